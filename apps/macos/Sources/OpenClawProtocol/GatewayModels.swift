@@ -684,6 +684,52 @@ public struct AgentWaitParams: Codable, Sendable {
     }
 }
 
+public struct AgentCompleteParams: Codable, Sendable {
+    public let prompt: String
+    public let system: String?
+    public let source: String?
+    public let agentid: String?
+    public let model: String?
+    public let images: [[String: AnyCodable]]?
+    public let tools: [[String: AnyCodable]]?
+    public let maxtokens: Int?
+    public let timeoutms: Int?
+
+    public init(
+        prompt: String,
+        system: String?,
+        source: String?,
+        agentid: String?,
+        model: String?,
+        images: [[String: AnyCodable]]?,
+        tools: [[String: AnyCodable]]?,
+        maxtokens: Int?,
+        timeoutms: Int?)
+    {
+        self.prompt = prompt
+        self.system = system
+        self.source = source
+        self.agentid = agentid
+        self.model = model
+        self.images = images
+        self.tools = tools
+        self.maxtokens = maxtokens
+        self.timeoutms = timeoutms
+    }
+
+    private enum CodingKeys: String, CodingKey {
+        case prompt
+        case system
+        case source
+        case agentid = "agentId"
+        case model
+        case images
+        case tools
+        case maxtokens = "maxTokens"
+        case timeoutms = "timeoutMs"
+    }
+}
+
 public struct WakeParams: Codable, Sendable {
     public let mode: AnyCodable
     public let text: String
@@ -2586,6 +2632,24 @@ public struct CronRunsParams: Codable, Sendable {
     }
 }
 
+public struct CronNextRunParams: Codable, Sendable {
+    public let schedule: AnyCodable
+    public let nowms: Int?
+
+    public init(
+        schedule: AnyCodable,
+        nowms: Int?)
+    {
+        self.schedule = schedule
+        self.nowms = nowms
+    }
+
+    private enum CodingKeys: String, CodingKey {
+        case schedule
+        case nowms = "nowMs"
+    }
+}
+
 public struct CronRunLogEntry: Codable, Sendable {
     public let ts: Int
     public let jobid: String
@@ -0,0 +1,76 @@
+/**
+ * action-approval.js — Which web actions need the user's OK (WebAgent approvalMode 'ask')
+ *
+ * Sensitive actions are matched on what the user would see, not on the AI's
+ * plan: a click is judged by the element's accessible name (or the text /
+ * selector it was targeted with), Enter by the AI's stated intent, and typed
+ * text by the same checks computer-use applies (vault.checkText — passwords,
+ * card and ID numbers, blocked keywords).
+ *
+ * Kinds: 'payment' | 'delete' | 'publish' | 'send' | 'sensitive_text'
+ */
+
+// Same vault file the desktop's Security Vault settings edit
+const vault = require('../computer-use/vault.cjs');
+
+// ─── Classes ─────────────────────────────────────────
+// First match wins, so the most consequential class comes first
+const CLASSES = [
+  { kind: 'payment', pattern: /\b(pay|payment|purchase|buy|checkout|check out|place (your )?order|confirm (your )?order|complete (your )?order|transfer|donate|subscribe)\b/i },
+  { kind: 'delete', pattern: /\b(delete|remove|discard|erase|trash|deactivate|close (my |your )?account|unsubscribe)\b/i },
+  { kind: 'publish', pattern: /\b(publish|post|tweet|share|go live|make public)\b/i },
+  { kind: 'send', pattern: /\b(send|submit|reply|apply)\b/i },
+];
+
+/**
+ * Decide whether a validated decision needs approval.
+ * @param {{ action, params, thought }} decision
+ * @param {object} [options]
+ * @param {{ role, name }} [options.target] - Element behind params.ref (from the role snapshot)
+ * @returns {{ kind: string, reason: string, label: string }|null} null when it can go ahead
+ */
+function classifyAction(decision, options = {}) {
+  const { action, params = {} } = decision;
+
+  if (action === 'type' && params.text) {
+    const check = vault.checkText(params.text);
+    if (check.blocked) return { kind: 'sensitive_text', reason: check.reason, label: fieldLabel(params, options.target) };
+    return null;
+  }
+
+  let label = null;
+  if (action === 'click') label = options.target?.name || params.text || params.selector || null;
+  // Enter submits whatever form has focus — only the AI's intent says which
+  if (action === 'press_key' && /^enter$/i.test(params.key || '')) label = decision.thought || null;
+  if (!label) return null;
+
+  const match = CLASSES.find((c) => c.pattern.test(label));
+  if (!match) return null;
+  const what = action === 'click' ? `Clicking "${clip(label)}"` : `Pressing Enter to ${clip(label)}`;
+  return { kind: match.kind, reason: `${what} looks like a ${match.kind} action`, label: clip(label) };
+}
+
+/**
+ * One line for approval prompts, e.g. `browser: click "Pay now" (payment) on https://shop.test/cart`.
+ * Typed text is never repeated in the prompt.
+ */
+function describeApproval({ kind, label, action, url }) {
+  const what = action === 'type'
+    ? `type sensitive text into "${label}"`
+    : action === 'press_key' ? `press Enter (${label})` : `click "${label}"`;
+  return `browser: ${what} (${kind})${url ? ` on ${url}` : ''}`;
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+function fieldLabel(params, target) {
+  return clip(target?.name || params.field || params.selector || 'a field');
+}
+
+function clip(text, max = 80) {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = { classifyAction, describeApproval, CLASSES };
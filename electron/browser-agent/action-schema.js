@@ -0,0 +1,322 @@
+/**
+ * action-schema.js — Typed action schema for the Web Navigator
+ *
+ * Every action the navigator's AI may choose is declared here with its
+ * params. Decisions are validated before execution so a hallucinated action
+ * or a missing param becomes a structured error the AI sees on its next
+ * step, instead of an exception that ends the run.
+ *
+ * Error shape: { code, message, action, param? }
+ *   parse_error      — response was not a JSON object
+ *   missing_action   — JSON had no "action"
+ *   unknown_action   — action is not in ACTIONS
+ *   missing_param    — required param (or one of a target group) absent
+ *   invalid_param    — param has the wrong type / value
+ *   unknown_ref      — ref is not in the latest page snapshot
+ *   action_failed    — action was valid but the browser call threw
+ *   action_denied    — the user declined a sensitive action (approvalMode 'ask')
+ *   invalid_result   — the done result doesn't match the task's result schema
+ */
+
+const { parseRef } = require('./role-snapshot');
+
+// ─── Schema ──────────────────────────────────────────
+// params: { name: { type, required?, enum?, min?, max? } }
+// oneOf: at least one of these params must be present (element target)
+const ACTIONS = {
+  goto: {
+    params: { url: { type: 'url', required: true } },
+    example: '{"url":"https://..."}',
+    description: 'Navigate to URL',
+  },
+  click: {
+    params: { ref: { type: 'ref' }, selector: { type: 'string' }, text: { type: 'string' } },
+    oneOf: ['ref', 'selector', 'text'],
+    example: '{"ref":"e12"} or {"text":"button text"} or {"selector":"#id"}',
+    description: 'Click element (prefer ref when the page shows refs)',
+  },
+  type: {
+    params: { ref: { type: 'ref' }, selector: { type: 'string' }, field: { type: 'string' }, text: { type: 'string', required: true } },
+    oneOf: ['ref', 'selector', 'field'],
+    example: '{"ref":"e5","text":"React developer"} or {"field":"Search","text":"..."}',
+    description: 'Type in input (field = label/placeholder/selector)',
+  },
+  press_key: {
+    params: { key: { type: 'string', required: true } },
+    example: '{"key":"Enter"}',
+    description: 'Press keyboard key',
+  },
+  scroll: {
+    params: { direction: { type: 'string', enum: ['up', 'down'] }, amount: { type: 'number', min: 1, max: 10000 } },
+    example: '{"direction":"down","amount":500}',
+    description: 'Scroll page',
+  },
+  back: {
+    params: {},
+    example: '{}',
+    description: 'Go back',
+  },
+  new_tab: {
+    params: { url: { type: 'url' } },
+    example: '{"url":"https://..."}',
+    description: 'Open new tab',
+  },
+  switch_tab: {
+    params: { index: { type: 'integer', required: true, min: 0 } },
+    example: '{"index":0}',
+    description: 'Switch to tab',
+  },
+  close_tab: {
+    params: {},
+    example: '{}',
+    description: 'Close current tab',
+  },
+  wait: {
+    params: { ms: { type: 'number', min: 0, max: 30000 } },
+    example: '{"ms":2000}',
+    description: 'Wait for page load',
+  },
+  save_cookies: {
+    params: { name: { type: 'string' } },
+    example: '{"name":"upwork"}',
+    description: 'Save session',
+  },
+  load_cookies: {
+    params: { name: { type: 'string' } },
+    example: '{"name":"upwork"}',
+    description: 'Restore session',
+  },
+  wait_for_response: {
+    params: { url: { type: 'string', required: true }, timeout: { type: 'number', min: 100, max: 60000 } },
+    example: '{"url":"/api/search","timeout":10000}',
+    description: 'Wait for a network response whose URL contains the pattern (* globs ok) and read its JSON/text',
+  },
+  upload: {
+    params: { files: { type: 'paths', required: true }, ref: { type: 'ref' }, selector: { type: 'string' }, text: { type: 'string' } },
+    example: '{"files":["cv.pdf"],"ref":"e7"}',
+    description: 'Attach files from the uploads folder to a file input (target optional)',
+  },
+  download: {
+    params: { ref: { type: 'ref' }, selector: { type: 'string' }, text: { type: 'string' }, timeout: { type: 'number', min: 1000, max: 300000 } },
+    oneOf: ['ref', 'selector', 'text'],
+    example: '{"ref":"e9"} or {"text":"Download invoice"}',
+    description: 'Click a link/button and save the file it downloads',
+  },
+  extract: {
+    params: {
+      selector: { type: 'string', required: true },
+      fields: { type: 'object' },
+      pages: { type: 'integer', min: 1, max: 50 },
+      mode: { type: 'string', enum: ['auto', 'next', 'scroll'] },
+      next: { type: 'string' },
+      key: { type: 'string' },
+      max_items: { type: 'integer', min: 1, max: 1000 },
+    },
+    example: '{"selector":".job-card","fields":{"title":"h3","budget":".budget"}} or add "pages":5,"key":"link"',
+    description: 'Extract data ("pages" follows Next / infinite scroll, de-duplicated by "key")',
+  },
+  done: {
+    params: { result: { type: 'any', required: true } },
+    example: '{"result":"extracted data or summary"}',
+    description: 'Goal accomplished!',
+  },
+  error: {
+    params: { message: { type: 'string', required: true } },
+    example: '{"message":"why failed"}',
+    description: 'Cannot complete goal',
+  },
+};
+
+const ACTION_NAMES = Object.keys(ACTIONS);
+
+// ─── Validation ──────────────────────────────────────
+
+/**
+ * Validate a parsed decision against the schema.
+ * Normalizes params in place (numeric strings → numbers, "@e12" → "e12").
+ *
+ * @param {{ action: string, params: object }} decision
+ * @param {object} [options]
+ * @param {object|null} [options.refs] - Refs from the latest role snapshot; null when the page has no refs
+ * @returns {object|null} Structured error, or null when valid
+ */
+function validateAction(decision, options = {}) {
+  const { action } = decision;
+  if (!action) {
+    return { code: 'missing_action', message: 'Response has no "action" field', action: null };
+  }
+  const spec = ACTIONS[action];
+  if (!spec) {
+    return {
+      code: 'unknown_action',
+      message: `Unknown action "${action}". Valid actions: ${ACTION_NAMES.join(', ')}`,
+      action,
+    };
+  }
+
+  const params = decision.params;
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return { code: 'invalid_param', message: '"params" must be an object', action, param: 'params' };
+  }
+
+  for (const [name, rule] of Object.entries(spec.params)) {
+    const value = params[name];
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        return { code: 'missing_param', message: `${action} requires "${name}" (e.g. ${spec.example})`, action, param: name };
+      }
+      delete params[name];
+      continue;
+    }
+    const problem = checkParam(name, value, rule, options);
+    if (problem) return { action, param: name, ...problem };
+    if (rule.type === 'number' || rule.type === 'integer') params[name] = Number(value);
+    if (rule.type === 'ref') params[name] = parseRef(value);
+  }
+
+  if (spec.oneOf && !spec.oneOf.some((name) => params[name] !== undefined)) {
+    return {
+      code: 'missing_param',
+      message: `${action} needs one of ${spec.oneOf.map((n) => `"${n}"`).join(', ')} (e.g. ${spec.example})`,
+      action,
+      param: spec.oneOf[0],
+    };
+  }
+
+  return null;
+}
+
+function checkParam(name, value, rule, options) {
+  switch (rule.type) {
+    case 'any':
+      return null;
+    case 'string':
+      if (typeof value !== 'string') return invalid(name, 'must be a string');
+      if (rule.enum && !rule.enum.includes(value)) return invalid(name, `must be one of ${rule.enum.join(', ')}`);
+      return null;
+    case 'url':
+      // Scheme is optional — browser.goto() defaults to https://
+      if (typeof value !== 'string' || /\s/.test(value.trim())) {
+        return invalid(name, 'must be a URL like "https://example.com"');
+      }
+      return null;
+    case 'number':
+    case 'integer': {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) return invalid(name, 'must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(num)) return invalid(name, 'must be an integer');
+      if (rule.min !== undefined && num < rule.min) return invalid(name, `must be >= ${rule.min}`);
+      if (rule.max !== undefined && num > rule.max) return invalid(name, `must be <= ${rule.max}`);
+      return null;
+    }
+    case 'paths': {
+      const list = [].concat(value);
+      if (list.length === 0 || !list.every((p) => typeof p === 'string' && p.trim())) {
+        return invalid(name, 'must be a file name or a list of file names');
+      }
+      return null;
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return invalid(name, 'must be an object');
+      return null;
+    case 'ref': {
+      const ref = parseRef(value);
+      if (!ref) return invalid(name, `must look like "e12", got ${JSON.stringify(value)}`);
+      if (!options.refs) {
+        return { code: 'unknown_ref', message: 'This page has no refs — target the element by "text" or "selector"' };
+      }
+      if (!options.refs[ref]) {
+        return { code: 'unknown_ref', message: `Ref "${ref}" is not on the current page — use a ref from the latest page snapshot` };
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+function invalid(name, reason) {
+  return { code: 'invalid_param', message: `"${name}" ${reason}` };
+}
+
+// ─── Prompt Helpers ──────────────────────────────────
+
+/**
+ * Render the ACTIONS section of the navigator prompt from the schema,
+ * so the prompt and the validator never drift apart.
+ * @returns {string}
+ */
+function describeActions() {
+  return ACTION_NAMES.map((name) => {
+    const spec = ACTIONS[name];
+    return `- ${`${name}:`.padEnd(12)} ${spec.example} — ${spec.description}`;
+  }).join('\n');
+}
+
+/**
+ * Render ACTIONS as tool definitions for native tool/function calling.
+ * Provider-neutral: shared/ai-provider.js converts them to each API's format.
+ * The validator still runs on the returned call — schemas only guide the model.
+ * @returns {Array<{ name: string, description: string, parameters: object }>} JSON-schema tools
+ */
+function toolDefinitions() {
+  return ACTION_NAMES.map((name) => {
+    const spec = ACTIONS[name];
+    const properties = {};
+    for (const [param, rule] of Object.entries(spec.params)) {
+      properties[param] = paramSchema(rule);
+    }
+    const required = Object.keys(spec.params).filter((param) => spec.params[param].required);
+    let description = `${spec.description}. Example params: ${spec.example}`;
+    if (spec.oneOf) description += `. Needs one of: ${spec.oneOf.join(', ')}`;
+    return {
+      name,
+      description,
+      parameters: { type: 'object', properties, ...(required.length > 0 && { required }) },
+    };
+  });
+}
+
+function paramSchema(rule) {
+  switch (rule.type) {
+    case 'any':
+      return { description: 'Any JSON value' };
+    case 'url':
+      return { type: 'string', description: 'URL like "https://example.com"' };
+    case 'ref':
+      return { type: 'string', description: 'Element ref from the latest page snapshot, like "e12"' };
+    case 'paths':
+      return { type: 'array', items: { type: 'string' }, description: 'File names in the upload folder' };
+    case 'object':
+      return { type: 'object', additionalProperties: { type: 'string' } };
+    case 'number':
+    case 'integer':
+      return {
+        type: rule.type,
+        ...(rule.min !== undefined && { minimum: rule.min }),
+        ...(rule.max !== undefined && { maximum: rule.max }),
+      };
+    default:
+      return { type: 'string', ...(rule.enum && { enum: rule.enum }) };
+  }
+}
+
+/**
+ * Format a structured error for the AI's next prompt.
+ * @param {object} error - From validateAction or an action_failed error
+ * @returns {string}
+ */
+function formatActionError(error) {
+  const where = error.action ? ` in "${error.action}"` : '';
+  return `[${error.code}]${where}: ${error.message}`;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  ACTIONS,
+  ACTION_NAMES,
+  validateAction,
+  describeActions,
+  toolDefinitions,
+  formatActionError,
+};
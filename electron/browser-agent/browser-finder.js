@@ -0,0 +1,137 @@
+/**
+ * browser-finder.js — Cross-platform Chromium executable resolver
+ *
+ * Finds the Chrome/Chromium/Edge/Brave binary that browser.js launches.
+ * Detection is shared with the gateway browser tool (src/browser/chrome.executables.ts,
+ * built to dist/browser/chrome.executables.js) so both drive the same browser.
+ *
+ * Priority:
+ * 1. Explicit executablePath option
+ * 2. KLAW_BROWSER_PATH / PUPPETEER_EXECUTABLE_PATH env override
+ * 3. Gateway detection (default browser, then known install locations)
+ * 4. Well-known install locations / PATH lookup (when dist/ is not built or finds nothing)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+
+// ─── Config ──────────────────────────────────────────
+const ENV_OVERRIDES = ['KLAW_BROWSER_PATH', 'PUPPETEER_EXECUTABLE_PATH'];
+const GATEWAY_DETECTION_MODULE = path.join(__dirname, '..', '..', 'dist', 'browser', 'chrome.executables.js');
+
+// Used when the gateway build is missing (e.g. running electron from a fresh checkout) or finds nothing
+const LINUX_FALLBACK_NAMES = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'microsoft-edge', 'brave-browser'];
+
+let detectionModule; // cached import (null = unavailable)
+
+/**
+ * Resolve the browser executable to launch.
+ * @param {object} [options] - { executablePath, platform }
+ * @returns {Promise<{ kind: string, path: string }>}
+ */
+async function resolveBrowserExecutable(options = {}) {
+  const platform = options.platform || process.platform;
+
+  if (options.executablePath) {
+    if (!fs.existsSync(options.executablePath)) {
+      throw new Error(`Browser executable not found: ${options.executablePath}`);
+    }
+    return { kind: 'custom', path: options.executablePath };
+  }
+
+  for (const name of ENV_OVERRIDES) {
+    const value = process.env[name]?.trim();
+    if (!value) continue;
+    if (!fs.existsSync(value)) {
+      throw new Error(`${name} points to a missing browser: ${value}`);
+    }
+    return { kind: 'custom', path: value };
+  }
+
+  const detection = await loadGatewayDetection();
+  const found = (detection && detection.resolveBrowserExecutableForPlatform({}, platform)) || findFallback(platform);
+  if (found) return found;
+
+  throw new Error(
+    `No Chromium-based browser found on ${platform}. Install Chrome, Chromium, Edge or Brave, ` +
+    `or set KLAW_BROWSER_PATH to the browser executable.`
+  );
+}
+
+/**
+ * Locate the real user profile for a detected browser (used for useRealProfile).
+ * Only Google Chrome is supported — other browsers fall back to our own data dir.
+ * @param {{ kind: string }} executable
+ * @param {string} [platform]
+ * @returns {string|null}
+ */
+function findRealProfileDir(executable, platform = process.platform) {
+  if (executable.kind !== 'chrome') return null;
+  let dir;
+  if (platform === 'win32') {
+    dir = path.join(process.env['LOCALAPPDATA'] || '', 'Google', 'Chrome', 'User Data');
+  } else if (platform === 'darwin') {
+    dir = path.join(os.homedir(), 'Library', 'Application Support', 'Google', 'Chrome');
+  } else {
+    dir = path.join(os.homedir(), '.config', 'google-chrome');
+  }
+  return fs.existsSync(dir) ? dir : null;
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+async function loadGatewayDetection() {
+  if (detectionModule !== undefined) return detectionModule;
+  try {
+    detectionModule = await import(pathToFileURL(GATEWAY_DETECTION_MODULE).href);
+  } catch (e) {
+    detectionModule = null;
+  }
+  return detectionModule;
+}
+
+function findFallback(platform) {
+  if (platform === 'linux') {
+    for (const name of LINUX_FALLBACK_NAMES) {
+      try {
+        const resolved = execFileSync('which', [name], { encoding: 'utf8', timeout: 800 }).trim();
+        if (resolved) return { kind: inferKind(name), path: resolved };
+      } catch (e) { /* not installed */ }
+    }
+    return null;
+  }
+
+  const candidates = platform === 'win32' ? [
+    path.join(process.env['PROGRAMFILES'] || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    path.join(process.env['PROGRAMFILES(X86)'] || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    path.join(process.env['LOCALAPPDATA'] || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    path.join(process.env['PROGRAMFILES'] || '', 'Microsoft', 'Edge', 'Application', 'msedge.exe'),
+    path.join(process.env['PROGRAMFILES(X86)'] || '', 'Microsoft', 'Edge', 'Application', 'msedge.exe'),
+  ] : platform === 'darwin' ? [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge',
+    '/Applications/Brave Browser.app/Contents/MacOS/Brave Browser',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  ] : [];
+
+  for (const p of candidates) {
+    if (fs.existsSync(p)) return { kind: inferKind(p.toLowerCase()), path: p };
+  }
+  return null;
+}
+
+function inferKind(name) {
+  if (name.includes('brave')) return 'brave';
+  if (name.includes('edge')) return 'edge';
+  if (name.includes('chromium')) return 'chromium';
+  return 'chrome';
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  resolveBrowserExecutable,
+  findRealProfileDir,
+};
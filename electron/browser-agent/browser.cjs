@@ -1,10 +1,13 @@
 /**
  * browser.js — Core Browser Control for Root AI
  * 
- * Uses puppeteer-core with user's installed Chrome/Edge.
+ * Uses puppeteer-core with user's installed Chrome/Chromium/Edge/Brave
+ * (resolved by browser-finder.js on Windows, macOS and Linux).
  * Provides: launch, navigate, click, type, read, screenshot, cookies.
  * 
- * Design: ONE browser instance, multiple pages (tabs).
+ * Design: ONE browser instance, one or more isolated contexts
+ * (createContext), each with its own cookies, tabs and active page.
+ * Module-level functions act on the default context.
  * All methods are async and throw on failure.
  */
 
@@ -15,46 +18,76 @@ puppeteer.use(StealthPlugin());
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
-const humanMouse = require('./human-mouse');
+const humanMouse = require('./human-mouse.cjs');
+const { resolveBrowserExecutable, findRealProfileDir } = require('./browser-finder.cjs');
+const roleSnapshot = require('./role-snapshot.cjs');
+const networkCapture = require('./network-capture.cjs');
+const fileTransfer = require('./file-transfer.cjs');
+const sessionStore = require('./session-store.cjs');
 
 // ─── State ───────────────────────────────────────────
+const DEFAULT_CONTEXT = 'default';
 let browser = null;
-let activePage = null;
-const COOKIES_DIR = path.join(os.homedir(), '.root-ai', 'browser-cookies');
+let browserSession = null; // browser-level CDP session (downloads)
+let headlessMode = false; // no window a human could take over
+let launching = null; // launch in progress, shared by concurrent callers
+let defaultContext = null; // created below, after BrowserContext
+const contexts = new Map(); // name → BrowserContext (named, isolated contexts)
+const users = new Set(); // tokens from use(), one per task running in the browser
+const backgroundUsers = new Set(); // the tokens among users that belong to background jobs
+const backgroundDone = []; // resolvers waiting for the last background job to finish
+let windowWaiters = 0; // launch() calls waiting to reopen a headless browser with a window
+let closeOnIdle = false; // closeWhenIdle() was called while tasks were running
 const USER_DATA_DIR = path.join(os.homedir(), '.root-ai', 'browser-data');
 
 // ─── Browser Lifecycle ───────────────────────────────
 
-/**
- * Find Chrome or Edge executable on Windows.
- * @returns {string} Path to browser executable
- */
-function findBrowserPath() {
-  const candidates = [
-    // Chrome
-    path.join(process.env['PROGRAMFILES'] || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
-    path.join(process.env['PROGRAMFILES(X86)'] || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
-    path.join(process.env['LOCALAPPDATA'] || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
-    // Edge
-    path.join(process.env['PROGRAMFILES'] || '', 'Microsoft', 'Edge', 'Application', 'msedge.exe'),
-    path.join(process.env['PROGRAMFILES(X86)'] || '', 'Microsoft', 'Edge', 'Application', 'msedge.exe'),
-  ];
-
-  for (const p of candidates) {
-    if (p && fs.existsSync(p)) return p;
-  }
-  throw new Error('Chrome or Edge not found. Please install Google Chrome.');
-}
-
 /**
  * Launch browser (or reuse existing).
- * @param {object} [options] - { headless: false, visible: true }
+ * Concurrent calls wait for the first launch instead of opening the profile twice.
+ * An explicit `headless: false` reopens a headless browser with a window once
+ * background jobs (see use()) are done — unless a task is still working in it.
+ * @param {object} [options] - { headless: false, visible: true, executablePath }
  * @returns {Promise<void>}
  */
 async function launch(options = {}) {
-  if (browser && browser.connected) return; // already running
+  const wantsWindow = options.headless === false;
+  if (wantsWindow) {
+    windowWaiters++;
+  }
+  try {
+    for (;;) {
+      if (launching) {
+        await launching.catch(() => {});
+        continue;
+      }
+      const reopen = isRunning();
+      if (reopen) {
+        if (!wantsWindow || !headlessMode) {
+          return; // already running
+        }
+        if (backgroundUsers.size > 0) {
+          await new Promise((resolve) => backgroundDone.push(resolve));
+          continue;
+        }
+        if (users.size > windowWaiters) {
+          return; // a task is working in the headless browser; share it
+        }
+      }
+      launching = (reopen ? close() : Promise.resolve())
+        .then(() => startBrowser(options))
+        .finally(() => { launching = null; });
+      return await launching;
+    }
+  } finally {
+    if (wantsWindow) {
+      windowWaiters--;
+    }
+  }
+}
 
-  const execPath = findBrowserPath();
+async function startBrowser(options) {
+  const executable = await resolveBrowserExecutable({ executablePath: options.executablePath });
   const headless = options.headless === true;
 
   // Use real Chrome profile if available (bypasses Cloudflare)
@@ -63,8 +96,8 @@ async function launch(options = {}) {
   let dataDir = USER_DATA_DIR;
   
   if (useRealProfile) {
-    const chromeProfile = path.join(process.env['LOCALAPPDATA'] || '', 'Google', 'Chrome', 'User Data');
-    if (fs.existsSync(chromeProfile)) {
+    const chromeProfile = findRealProfileDir(executable);
+    if (chromeProfile) {
       dataDir = chromeProfile;
     }
   }
@@ -80,15 +113,17 @@ async function launch(options = {}) {
         browserURL: 'http://127.0.0.1:9222',
         defaultViewport: null,
       });
+      headlessMode = /HeadlessChrome/.test(await browser.userAgent());
       const pages = await browser.pages();
-      activePage = pages[0] || await browser.newPage();
-      browser.on('disconnected', () => { browser = null; activePage = null; });
+      defaultContext.activePage = pages[0] || await browser.newPage();
+      watchDisconnect(browser);
       return;
     } catch (e) { /* not running, launch new */ }
   }
 
+  headlessMode = headless;
   browser = await puppeteer.launch({
-    executablePath: execPath,
+    executablePath: executable.path,
     headless: headless ? 'new' : false,
     userDataDir: dataDir,
     defaultViewport: null,
@@ -107,29 +142,42 @@ async function launch(options = {}) {
 
   // Get first page or create one
   const pages = await browser.pages();
-  activePage = pages[0] || await browser.newPage();
+  defaultContext.activePage = pages[0] || await browser.newPage();
 
   // Stealth: hide automation signals
-  await applyStealthPatches(activePage);
+  await applyStealthPatches(defaultContext.activePage);
 
   // Handle unexpected close
-  browser.on('disconnected', () => {
-    browser = null;
-    activePage = null;
+  watchDisconnect(browser);
+}
+
+// Reset on disconnect — unless a newer browser has been launched meanwhile
+function watchDisconnect(launched) {
+  launched.on('disconnected', () => {
+    if (browser === launched) {
+      resetState();
+    }
   });
 }
 
 /**
- * Close browser.
+ * Close browser (and every context in it).
  */
 async function close() {
   if (browser) {
     try { await browser.close(); } catch (e) { /* ignore */ }
-    browser = null;
-    activePage = null;
+    resetState();
   }
 }
 
+function resetState() {
+  browser = null;
+  browserSession = null;
+  closeOnIdle = false;
+  defaultContext.activePage = null;
+  contexts.clear();
+}
+
 /**
  * Check if browser is running.
  */
@@ -138,449 +186,714 @@ function isRunning() {
 }
 
 /**
- * Get active page (launches browser if needed).
+ * True when the running browser has no window (headless launch).
  */
-async function getPage() {
-  if (!browser || !browser.connected) await launch();
-  if (!activePage || activePage.isClosed()) {
-    const pages = await browser.pages();
-    activePage = pages[0] || await browser.newPage();
-  }
-  return activePage;
+function isHeadless() {
+  return isRunning() && headlessMode;
 }
 
-// ─── Navigation ──────────────────────────────────────
-
 /**
- * Navigate to a URL.
- * @param {string} url - Full URL (https://...)
- * @param {object} [options] - { waitUntil: 'networkidle2', timeout: 30000 }
+ * Mark the browser as used by a task until the returned function is called,
+ * so closeWhenIdle() leaves it open meanwhile.
+ * @param {object} [options] - { background: false } — background jobs (health
+ *   checks) don't need a window; a headed launch() waits for them to finish
+ * @returns {function} release
  */
-async function goto(url, options = {}) {
-  if (!url) throw new Error('URL is required');
-  if (!url.startsWith('http')) url = 'https://' + url;
-
-  const page = await getPage();
-  await page.goto(url, {
-    waitUntil: options.waitUntil || 'networkidle2',
-    timeout: options.timeout || 30000,
-  });
-}
-
-/**
- * Get current page URL.
- */
-async function currentUrl() {
-  const page = await getPage();
-  return page.url();
+function use(options = {}) {
+  const token = Symbol('browser-user');
+  users.add(token);
+  if (options.background) {
+    backgroundUsers.add(token);
+  }
+  return () => {
+    if (backgroundUsers.delete(token) && backgroundUsers.size === 0) {
+      for (const resolve of backgroundDone.splice(0)) {
+        resolve();
+      }
+    }
+    if (!users.delete(token) || users.size > 0 || !closeOnIdle) return;
+    close().catch(() => {});
+  };
 }
 
 /**
- * Get page title.
+ * Close the browser now, or once the last task using it (see use()) is done.
+ * For background jobs that launched the browser only for themselves.
  */
-async function getTitle() {
-  const page = await getPage();
-  return page.title();
+async function closeWhenIdle() {
+  if (users.size > 0) {
+    closeOnIdle = true;
+    return;
+  }
+  await close();
 }
 
-/**
- * Go back.
- */
-async function goBack() {
-  const page = await getPage();
-  await page.goBack({ waitUntil: 'networkidle2' });
-}
+// ─── Browser Contexts ────────────────────────────────
 
 /**
- * Go forward.
+ * An isolated browsing context: its own cookies, tabs and active page.
+ * The default context shares the launched profile; named contexts are
+ * incognito-style puppeteer contexts so parallel tasks can't see each
+ * other's sessions. Exposes the same page API as this module, so callers
+ * (navigator, analyzer, login-manager) accept either interchangeably.
  */
-async function goForward() {
-  const page = await getPage();
-  await page.goForward({ waitUntil: 'networkidle2' });
-}
+class BrowserContext {
+  /**
+   * @param {string} name - Context name ('default' for the shared profile)
+   * @param {object|null} puppeteerContext - null for the browser's default context
+   */
+  constructor(name, puppeteerContext = null) {
+    this.name = name;
+    this.puppeteerContext = puppeteerContext;
+    this.activePage = null;
+    this.captureNetwork = false; // keep requests and bodies of this context's tabs (network-capture.js)
+  }
 
-/**
- * Reload page.
- */
-async function reload() {
-  const page = await getPage();
-  await page.reload({ waitUntil: 'networkidle2' });
-}
+  /**
+   * Launch the browser if needed (options only apply on first launch).
+   */
+  async launch(options = {}) {
+    await launch(options);
+  }
 
-// ─── Reading Page Content ────────────────────────────
+  /**
+   * Check if this context is usable.
+   */
+  isRunning() {
+    if (!isRunning()) return false;
+    return !this.puppeteerContext || !this.puppeteerContext.closed;
+  }
 
-/**
- * Get all visible text from the page.
- * @returns {Promise<string>}
- */
-async function getText() {
-  const page = await getPage();
-  return page.evaluate(() => document.body.innerText);
-}
+  /**
+   * Underlying puppeteer context (launches browser if needed).
+   */
+  async target() {
+    if (!isRunning()) await launch();
+    if (this.puppeteerContext) {
+      if (this.puppeteerContext.closed) throw new Error(`Browser context "${this.name}" was destroyed`);
+      return this.puppeteerContext;
+    }
+    return browser.defaultBrowserContext();
+  }
 
-/**
- * Get page HTML.
- * @returns {Promise<string>}
- */
-async function getHTML() {
-  const page = await getPage();
-  return page.content();
-}
+  /**
+   * Get active page (launches browser if needed).
+   */
+  async getPage() {
+    const target = await this.target();
+    if (!this.activePage || this.activePage.isClosed()) {
+      const pages = await target.pages();
+      this.activePage = pages[0] || null;
+      if (!this.activePage) {
+        this.activePage = await target.newPage();
+        await applyStealthPatches(this.activePage);
+      }
+    }
+    if (this.captureNetwork) {
+      networkCapture.observePage(this.activePage);
+    }
+    return this.activePage;
+  }
 
-/**
- * Extract structured data from page using a CSS selector.
- * @param {string} selector - CSS selector
- * @param {string[]} [attrs] - Attributes to extract (default: ['innerText'])
- * @returns {Promise<Array<object>>}
- */
-async function extractAll(selector, attrs = ['innerText']) {
-  const page = await getPage();
-  return page.$$eval(selector, (elements, attributes) => {
-    return elements.map(el => {
-      const result = {};
-      for (const attr of attributes) {
-        if (attr === 'innerText') result.text = el.innerText;
-        else if (attr === 'innerHTML') result.html = el.innerHTML;
-        else if (attr === 'href') result.href = el.href;
-        else if (attr === 'src') result.src = el.src;
-        else if (attr === 'value') result.value = el.value;
-        else result[attr] = el.getAttribute(attr);
+  /**
+   * Turn network capture on or off for this context's tabs (off by default).
+   * Turning it off drops what was captured.
+   * @param {boolean} [enabled=true]
+   */
+  async setNetworkCapture(enabled = true) {
+    this.captureNetwork = enabled;
+    if (!this.isRunning()) {
+      return;
+    }
+    for (const page of await (await this.target()).pages()) {
+      if (enabled) {
+        networkCapture.observePage(page);
+      } else {
+        networkCapture.unobservePage(page);
       }
-      // Always include bounding box for click targets
-      const rect = el.getBoundingClientRect();
-      result.x = Math.round(rect.x + rect.width / 2);
-      result.y = Math.round(rect.y + rect.height / 2);
-      return result;
+    }
+  }
+
+  /**
+   * Wait with random human-like delay.
+   */
+  async humanDelay(min, max) {
+    return humanDelay(min, max);
+  }
+
+  /**
+   * Browser-level CDP session (shared by all contexts; scope calls with
+   * browserContextId = this.puppeteerContext.id).
+   */
+  async cdpSession() {
+    if (!isRunning()) await launch();
+    if (!browserSession) browserSession = await browser.target().createCDPSession();
+    return browserSession;
+  }
+
+  // ─── Navigation ────────────────────────────────────
+
+  /**
+   * Navigate to a URL.
+   * @param {string} url - Full URL (https://...)
+   * @param {object} [options] - { waitUntil: 'networkidle2', timeout: 30000 }
+   */
+  async goto(url, options = {}) {
+    if (!url) throw new Error('URL is required');
+    if (!url.startsWith('http')) url = 'https://' + url;
+
+    const page = await this.getPage();
+    await page.goto(url, {
+      waitUntil: options.waitUntil || 'networkidle2',
+      timeout: options.timeout || 30000,
     });
-  }, attrs);
-}
+  }
 
-/**
- * Get all links on the page.
- * @returns {Promise<Array<{ text, href }>>}
- */
-async function getLinks() {
-  return extractAll('a[href]', ['innerText', 'href']);
-}
+  /**
+   * Get current page URL.
+   */
+  async currentUrl() {
+    const page = await this.getPage();
+    return page.url();
+  }
 
-// ─── Interactions ────────────────────────────────────
+  /**
+   * Get page title.
+   */
+  async getTitle() {
+    const page = await this.getPage();
+    return page.title();
+  }
 
-/**
- * Click an element.
- * @param {string} selector - CSS selector, or text to find
- * @param {object} [options] - { timeout: 5000 }
- */
-async function click(selector, options = {}) {
-  const page = await getPage();
-  const timeout = options.timeout || 5000;
+  /**
+   * Go back.
+   */
+  async goBack() {
+    const page = await this.getPage();
+    await page.goBack({ waitUntil: 'networkidle2' });
+  }
 
-  // Try CSS selector first — use human-like click
-  try {
-    await page.waitForSelector(selector, { timeout, visible: true });
-    await humanMouse.humanClickElement(page, selector, { button: options.button, double: options.double });
-    return;
-  } catch (e) {
-    // If humanClick failed on selector, try text-based
-    if (e.message.includes('not found') || e.message.includes('not visible')) {
-      // fall through to text search
-    } else {
-      // Selector found but humanClick had issue — try direct click as fallback
-      try {
-        await page.click(selector);
-        return;
-      } catch (e2) { /* fall through */ }
-    }
+  /**
+   * Go forward.
+   */
+  async goForward() {
+    const page = await this.getPage();
+    await page.goForward({ waitUntil: 'networkidle2' });
+  }
+
+  /**
+   * Reload page.
+   */
+  async reload() {
+    const page = await this.getPage();
+    await page.reload({ waitUntil: 'networkidle2' });
   }
 
-  // Fallback: find by visible text and human-click
-  const element = await findByText(selector);
-  if (element) {
-    const box = await element.boundingBox();
-    if (box) {
-      await humanMouse.humanClick(page, box.x + box.width / 2, box.y + box.height / 2);
+  // ─── Reading Page Content ──────────────────────────
+
+  /**
+   * Get all visible text from the page.
+   * @returns {Promise<string>}
+   */
+  async getText() {
+    const page = await this.getPage();
+    return page.evaluate(() => document.body.innerText);
+  }
+
+  /**
+   * Get page HTML.
+   * @returns {Promise<string>}
+   */
+  async getHTML() {
+    const page = await this.getPage();
+    return page.content();
+  }
+
+  /**
+   * Extract structured data from page using a CSS selector.
+   * @param {string} selector - CSS selector
+   * @param {string[]} [attrs] - Attributes to extract (default: ['innerText'])
+   * @returns {Promise<Array<object>>}
+   */
+  async extractAll(selector, attrs = ['innerText']) {
+    const page = await this.getPage();
+    return page.$$eval(selector, (elements, attributes) => {
+      return elements.map(el => {
+        const result = {};
+        for (const attr of attributes) {
+          if (attr === 'innerText') result.text = el.innerText;
+          else if (attr === 'innerHTML') result.html = el.innerHTML;
+          else if (attr === 'href') result.href = el.href;
+          else if (attr === 'src') result.src = el.src;
+          else if (attr === 'value') result.value = el.value;
+          else result[attr] = el.getAttribute(attr);
+        }
+        // Always include bounding box for click targets
+        const rect = el.getBoundingClientRect();
+        result.x = Math.round(rect.x + rect.width / 2);
+        result.y = Math.round(rect.y + rect.height / 2);
+        return result;
+      });
+    }, attrs);
+  }
+
+  /**
+   * Get all links on the page.
+   * @returns {Promise<Array<{ text, href }>>}
+   */
+  async getLinks() {
+    return this.extractAll('a[href]', ['innerText', 'href']);
+  }
+
+  // ─── Interactions ──────────────────────────────────
+
+  /**
+   * Click an element.
+   * @param {string} selector - CSS selector, role-snapshot ref ("e12"), or text to find
+   * @param {object} [options] - { timeout: 5000 }
+   */
+  async click(selector, options = {}) {
+    const page = await this.getPage();
+    const timeout = options.timeout || 5000;
+
+    // Role-snapshot ref ("e12") — resolve via the latest snapshot
+    const ref = roleSnapshot.parseRef(selector);
+    if (ref) {
+      const element = await roleSnapshot.resolveRef(page, ref);
+      await clickElement(page, element);
       return;
     }
-    await element.click(); // last resort: direct click
-    return;
-  }
 
-  throw new Error(`Element not found: "${selector}"`);
-}
+    // Try CSS selector first — use human-like click
+    try {
+      await page.waitForSelector(selector, { timeout, visible: true });
+      await humanMouse.humanClickElement(page, selector, { button: options.button, double: options.double });
+      return;
+    } catch (e) {
+      // If humanClick failed on selector, try text-based
+      if (e.message.includes('not found') || e.message.includes('not visible')) {
+        // fall through to text search
+      } else {
+        // Selector found but humanClick had issue — try direct click as fallback
+        try {
+          await page.click(selector);
+          return;
+        } catch (e2) { /* fall through */ }
+      }
+    }
 
-/**
- * Type text into an element.
- * @param {string} selector - CSS selector or text label
- * @param {string} text - Text to type
- * @param {object} [options] - { clear: true, delay: 50 }
- */
-async function type(selector, text, options = {}) {
-  const page = await getPage();
-  const timeout = options.timeout || 5000;
+    // Fallback: find by visible text and human-click
+    const element = await this.findByText(selector);
+    if (element) {
+      await clickElement(page, element);
+      return;
+    }
 
-  // Find and click the input field first (human-like)
-  let found = false;
-  try {
-    await page.waitForSelector(selector, { timeout, visible: true });
-    await humanMouse.humanClickElement(page, selector);
-    found = true;
-  } catch (e) {
-    // Try by label
-    const input = await findInputByLabel(selector);
-    if (input) {
-      const box = await input.boundingBox();
-      if (box) {
-        await humanMouse.humanClick(page, box.x + box.width / 2, box.y + box.height / 2);
+    throw new Error(`Element not found: "${selector}"`);
+  }
+
+  /**
+   * Type text into an element.
+   * @param {string} selector - CSS selector, role-snapshot ref ("e12"), or text label
+   * @param {string} text - Text to type
+   * @param {object} [options] - { clear: true, delay: 50 }
+   */
+  async type(selector, text, options = {}) {
+    const page = await this.getPage();
+    const timeout = options.timeout || 5000;
+
+    // Find and click the input field first (human-like)
+    let found = false;
+    const ref = roleSnapshot.parseRef(selector);
+    if (ref) {
+      await clickElement(page, await roleSnapshot.resolveRef(page, ref));
+      found = true;
+    } else {
+      try {
+        await page.waitForSelector(selector, { timeout, visible: true });
+        await humanMouse.humanClickElement(page, selector);
         found = true;
+      } catch (e) {
+        // Try by label
+        const input = await this.findInputByLabel(selector);
+        if (input) {
+          const box = await input.boundingBox();
+          if (box) {
+            await humanMouse.humanClick(page, box.x + box.width / 2, box.y + box.height / 2);
+            found = true;
+          }
+        }
       }
     }
+
+    if (!found) throw new Error(`Input not found: "${selector}"`);
+
+    // Clear existing text
+    if (options.clear !== false) {
+      await page.keyboard.down('Control');
+      await page.keyboard.press('a');
+      await page.keyboard.up('Control');
+      await new Promise(r => setTimeout(r, 50));
+      await page.keyboard.press('Backspace');
+      await new Promise(r => setTimeout(r, 100));
+    }
+
+    // Type with human-like speed
+    await humanMouse.humanType(page, text, {
+      minDelay: options.delay || 30,
+      maxDelay: (options.delay || 30) * 3,
+      mistakes: options.mistakes !== false,
+    });
   }
 
-  if (!found) throw new Error(`Input not found: "${selector}"`);
+  /**
+   * Select from dropdown.
+   * @param {string} selector - CSS selector of <select>
+   * @param {string} value - Value or visible text to select
+   */
+  async select(selector, value) {
+    const page = await this.getPage();
+    try {
+      await page.waitForSelector(selector, { timeout: 5000, visible: true });
+      await page.select(selector, value);
+    } catch (e) {
+      throw new Error(`Dropdown not found: "${selector}"`);
+    }
+  }
 
-  // Clear existing text
-  if (options.clear !== false) {
-    await page.keyboard.down('Control');
-    await page.keyboard.press('a');
-    await page.keyboard.up('Control');
-    await new Promise(r => setTimeout(r, 50));
-    await page.keyboard.press('Backspace');
-    await new Promise(r => setTimeout(r, 100));
+  /**
+   * Press a keyboard key or shortcut.
+   * @param {string} key - Key name: 'Enter', 'Tab', 'Escape', etc.
+   */
+  async pressKey(key) {
+    const page = await this.getPage();
+    await page.keyboard.press(key);
   }
 
-  // Type with human-like speed
-  await humanMouse.humanType(page, text, {
-    minDelay: options.delay || 30,
-    maxDelay: (options.delay || 30) * 3,
-    mistakes: options.mistakes !== false,
-  });
-}
+  /**
+   * Scroll the page.
+   * @param {string} [direction='down'] - 'up' or 'down'
+   * @param {number} [amount=500] - Pixels to scroll
+   */
+  async scroll(direction = 'down', amount = 500) {
+    const page = await this.getPage();
+    const delta = direction === 'up' ? -amount : amount;
+    await humanMouse.humanScroll(page, delta);
+  }
 
-/**
- * Select from dropdown.
- * @param {string} selector - CSS selector of <select>
- * @param {string} value - Value or visible text to select
- */
-async function select(selector, value) {
-  const page = await getPage();
-  try {
-    await page.waitForSelector(selector, { timeout: 5000, visible: true });
-    await page.select(selector, value);
-  } catch (e) {
-    throw new Error(`Dropdown not found: "${selector}"`);
+  // ─── Element Finders ───────────────────────────────
+
+  /**
+   * Find element by visible text content.
+   * @param {string} text - Text to search for
+   * @returns {Promise<ElementHandle|null>}
+   */
+  async findByText(text) {
+    const page = await this.getPage();
+    // Try XPath text search
+    const escapedText = text.replace(/'/g, "\\'");
+    const xpaths = [
+      `//*[normalize-space(text())='${escapedText}']`,
+      `//*[contains(normalize-space(text()), '${escapedText}')]`,
+      `//button[contains(., '${escapedText}')]`,
+      `//a[contains(., '${escapedText}')]`,
+      `//input[@value='${escapedText}']`,
+    ];
+
+    for (const xpath of xpaths) {
+      try {
+        const [element] = await page.$x(xpath);
+        if (element) return element;
+      } catch (e) { /* continue */ }
+    }
+    return null;
   }
-}
 
-/**
- * Press a keyboard key or shortcut.
- * @param {string} key - Key name: 'Enter', 'Tab', 'Escape', etc.
- */
-async function pressKey(key) {
-  const page = await getPage();
-  await page.keyboard.press(key);
-}
+  /**
+   * Find input field by its label text.
+   * @param {string} labelText - Label text
+   * @returns {Promise<ElementHandle|null>}
+   */
+  async findInputByLabel(labelText) {
+    const page = await this.getPage();
+    // Try label[for] → input
+    const input = await page.evaluateHandle((text) => {
+      const labels = document.querySelectorAll('label');
+      for (const label of labels) {
+        if (label.innerText.toLowerCase().includes(text.toLowerCase())) {
+          if (label.htmlFor) {
+            return document.getElementById(label.htmlFor);
+          }
+          // Label wraps input
+          return label.querySelector('input, textarea, select');
+        }
+      }
+      // Try placeholder
+      const inputs = document.querySelectorAll('input, textarea');
+      for (const inp of inputs) {
+        if (inp.placeholder && inp.placeholder.toLowerCase().includes(text.toLowerCase())) {
+          return inp;
+        }
+        if (inp.getAttribute('aria-label')?.toLowerCase().includes(text.toLowerCase())) {
+          return inp;
+        }
+      }
+      return null;
+    }, labelText);
 
-/**
- * Scroll the page.
- * @param {string} [direction='down'] - 'up' or 'down'
- * @param {number} [amount=500] - Pixels to scroll
- */
-async function scroll(direction = 'down', amount = 500) {
-  const page = await getPage();
-  const delta = direction === 'up' ? -amount : amount;
-  await humanMouse.humanScroll(page, delta);
-}
+    const element = input.asElement();
+    return element || null;
+  }
 
-// ─── Element Finders ─────────────────────────────────
+  /**
+   * Wait for an element to appear.
+   * @param {string} selector - CSS selector
+   * @param {number} [timeout=10000] - Max wait ms
+   */
+  async waitFor(selector, timeout = 10000) {
+    const page = await this.getPage();
+    await page.waitForSelector(selector, { timeout, visible: true });
+  }
 
-/**
- * Find element by visible text content.
- * @param {string} text - Text to search for
- * @returns {Promise<ElementHandle|null>}
- */
-async function findByText(text) {
-  const page = await getPage();
-  // Try XPath text search
-  const escapedText = text.replace(/'/g, "\\'");
-  const xpaths = [
-    `//*[normalize-space(text())='${escapedText}']`,
-    `//*[contains(normalize-space(text()), '${escapedText}')]`,
-    `//button[contains(., '${escapedText}')]`,
-    `//a[contains(., '${escapedText}')]`,
-    `//input[@value='${escapedText}']`,
-  ];
-
-  for (const xpath of xpaths) {
-    try {
-      const [element] = await page.$x(xpath);
-      if (element) return element;
-    } catch (e) { /* continue */ }
+  /**
+   * Wait for text to appear on page.
+   * @param {string} text - Text to wait for
+   * @param {number} [timeout=10000]
+   */
+  async waitForText(text, timeout = 10000) {
+    const page = await this.getPage();
+    await page.waitForFunction(
+      (t) => document.body.innerText.includes(t),
+      { timeout },
+      text
+    );
   }
-  return null;
-}
 
-/**
- * Find input field by its label text.
- * @param {string} labelText - Label text
- * @returns {Promise<ElementHandle|null>}
- */
-async function findInputByLabel(labelText) {
-  const page = await getPage();
-  // Try label[for] → input
-  const input = await page.evaluateHandle((text) => {
-    const labels = document.querySelectorAll('label');
-    for (const label of labels) {
-      if (label.innerText.toLowerCase().includes(text.toLowerCase())) {
-        if (label.htmlFor) {
-          return document.getElementById(label.htmlFor);
-        }
-        // Label wraps input
-        return label.querySelector('input, textarea, select');
-      }
+  // ─── Tabs ──────────────────────────────────────────
+
+  /**
+   * Open a new tab.
+   * @param {string} [url] - Optional URL to navigate to
+   * @returns {Promise<void>}
+   */
+  async newTab(url) {
+    const target = await this.target();
+    this.activePage = await target.newPage();
+    await applyStealthPatches(this.activePage);
+    if (this.captureNetwork) {
+      networkCapture.observePage(this.activePage);
     }
-    // Try placeholder
-    const inputs = document.querySelectorAll('input, textarea');
-    for (const inp of inputs) {
-      if (inp.placeholder && inp.placeholder.toLowerCase().includes(text.toLowerCase())) {
-        return inp;
-      }
-      if (inp.getAttribute('aria-label')?.toLowerCase().includes(text.toLowerCase())) {
-        return inp;
-      }
+    if (url) await this.goto(url);
+  }
+
+  /**
+   * List all open tabs in this context.
+   * @returns {Promise<Array<{ index, url, title }>>}
+   */
+  async listTabs() {
+    if (!this.isRunning()) return [];
+    const pages = await (await this.target()).pages();
+    const tabs = [];
+    for (let i = 0; i < pages.length; i++) {
+      tabs.push({
+        index: i,
+        url: pages[i].url(),
+        title: await pages[i].title(),
+      });
     }
-    return null;
-  }, labelText);
+    return tabs;
+  }
 
-  const element = input.asElement();
-  return element || null;
-}
+  /**
+   * Switch to a tab by index.
+   * @param {number} index - Tab index (0-based)
+   */
+  async switchTab(index) {
+    if (!this.isRunning()) throw new Error('Browser not running');
+    const pages = await (await this.target()).pages();
+    if (index < 0 || index >= pages.length) throw new Error(`Tab ${index} doesn't exist (${pages.length} tabs open)`);
+    this.activePage = pages[index];
+    await this.activePage.bringToFront();
+  }
 
-/**
- * Wait for an element to appear.
- * @param {string} selector - CSS selector
- * @param {number} [timeout=10000] - Max wait ms
- */
-async function waitFor(selector, timeout = 10000) {
-  const page = await getPage();
-  await page.waitForSelector(selector, { timeout, visible: true });
-}
+  /**
+   * Show the active tab to the user: restore its window if minimized and focus the tab.
+   * Used when the agent hands the page over to a human (CAPTCHA, login wall).
+   */
+  async bringToFront() {
+    const page = await this.getPage();
+    try {
+      const session = await page.target().createCDPSession();
+      const { windowId } = await session.send('Browser.getWindowForTarget');
+      await session.send('Browser.setWindowBounds', { windowId, bounds: { windowState: 'normal' } });
+      await session.detach();
+    } catch (e) { /* no window control (headless, remote browser) — focusing the tab still helps */ }
+    await page.bringToFront();
+  }
 
-/**
- * Wait for text to appear on page.
- * @param {string} text - Text to wait for
- * @param {number} [timeout=10000]
- */
-async function waitForText(text, timeout = 10000) {
-  const page = await getPage();
-  await page.waitForFunction(
-    (t) => document.body.innerText.includes(t),
-    { timeout },
-    text
-  );
-}
+  /**
+   * Close current tab.
+   */
+  async closeTab() {
+    if (!this.activePage) return;
+    await this.activePage.close();
+    const pages = await (await this.target()).pages();
+    this.activePage = pages[pages.length - 1] || null;
+    if (this.activePage) await this.activePage.bringToFront();
+  }
 
-// ─── Tabs ────────────────────────────────────────────
+  // ─── Files ─────────────────────────────────────────
 
-/**
- * Open a new tab.
- * @param {string} [url] - Optional URL to navigate to
- * @returns {Promise<void>}
- */
-async function newTab(url) {
-  if (!browser || !browser.connected) await launch();
-  activePage = await browser.newPage();
-  await applyStealthPatches(activePage);
-  if (url) await goto(url);
+  /**
+   * Attach files (from the uploads folder) to a file input or upload button.
+   * @param {string|null} target - Ref, selector or text; null = first file input
+   * @param {string|string[]} files - Names relative to the uploads folder
+   * @param {object} [options] - { uploadDir, maxBytes, timeoutMs }
+   */
+  async upload(target, files, options = {}) {
+    return fileTransfer.uploadFiles(this, target, files, options);
+  }
+
+  /**
+   * Click an element and save the download it starts (sandboxed, size-limited).
+   * @param {string} target - Ref, selector or text of the download link/button
+   * @param {object} [options] - { timeoutMs, maxBytes, downloadDir }
+   * @returns {Promise<{ url, suggestedFilename, path, size }>}
+   */
+  async download(target, options = {}) {
+    return fileTransfer.downloadFile(this, () => this.click(target), options);
+  }
+
+  // ─── Screenshot ────────────────────────────────────
+
+  /**
+   * Take screenshot of current page.
+   * @param {object} [options] - { fullPage: false }
+   * @returns {Promise<string>} Base64 PNG
+   */
+  async screenshot(options = {}) {
+    const page = await this.getPage();
+    const buffer = await page.screenshot({
+      type: 'png',
+      fullPage: options.fullPage || false,
+      encoding: 'base64',
+    });
+    return buffer;
+  }
+
+  // ─── Cookies / Session ─────────────────────────────
+
+  /**
+   * Save cookies for a domain (encrypted at rest, see session-store.js).
+   * @param {string} name - Session name (e.g., 'upwork')
+   */
+  async saveCookies(name) {
+    const page = await this.getPage();
+    const cookies = await page.cookies();
+    sessionStore.save('cookies', name, cookies);
+  }
+
+  /**
+   * Load cookies for a domain. Expired cookies are skipped.
+   * @param {string} name - Session name
+   * @returns {Promise<boolean>} true if cookies loaded
+   */
+  async loadCookies(name) {
+    if (!sessionStore.exists('cookies', name)) return false;
+
+    try {
+      const cookies = sessionStore.load('cookies', name);
+      if (!cookies || cookies.length === 0) return false;
+      const page = await this.getPage();
+      await page.setCookie(...cookies);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
 }
 
+defaultContext = new BrowserContext(DEFAULT_CONTEXT);
+
 /**
- * List all open tabs.
- * @returns {Promise<Array<{ index, url, title }>>}
+ * Create a named, isolated browser context (or return the existing one).
+ * @param {string} name - Context name, e.g. a task id
+ * @param {object} [options]
+ * @param {boolean} [options.captureNetwork=false] - Turn on network capture (see network-capture.js)
+ * @returns {Promise<BrowserContext>}
  */
-async function listTabs() {
-  if (!browser || !browser.connected) return [];
-  const pages = await browser.pages();
-  const tabs = [];
-  for (let i = 0; i < pages.length; i++) {
-    tabs.push({
-      index: i,
-      url: pages[i].url(),
-      title: await pages[i].title(),
-    });
+async function createContext(name, options = {}) {
+  const ctx = await openContext(name);
+  if (options.captureNetwork) {
+    await ctx.setNetworkCapture(true);
   }
-  return tabs;
+  return ctx;
+}
+
+async function openContext(name) {
+  if (!name || name === DEFAULT_CONTEXT) return defaultContext;
+  const existing = contexts.get(name);
+  if (existing && existing.isRunning()) return existing;
+
+  if (!isRunning()) await launch();
+  // puppeteer >= 22 renamed createIncognitoBrowserContext → createBrowserContext
+  const puppeteerContext = browser.createBrowserContext
+    ? await browser.createBrowserContext()
+    : await browser.createIncognitoBrowserContext();
+  const ctx = new BrowserContext(name, puppeteerContext);
+  contexts.set(name, ctx);
+  return ctx;
 }
 
 /**
- * Switch to a tab by index.
- * @param {number} index - Tab index (0-based)
+ * Get a context by name (default context if name omitted).
+ * @param {string} [name]
+ * @returns {BrowserContext|null}
  */
-async function switchTab(index) {
-  if (!browser || !browser.connected) throw new Error('Browser not running');
-  const pages = await browser.pages();
-  if (index < 0 || index >= pages.length) throw new Error(`Tab ${index} doesn't exist (${pages.length} tabs open)`);
-  activePage = pages[index];
-  await activePage.bringToFront();
+function getContext(name) {
+  if (!name || name === DEFAULT_CONTEXT) return defaultContext;
+  return contexts.get(name) || null;
 }
 
 /**
- * Close current tab.
+ * Destroy a named context — closes its tabs and drops its cookies.
+ * @param {string} name
+ * @returns {Promise<boolean>} true if a context was destroyed
  */
-async function closeTab() {
-  if (!activePage) return;
-  await activePage.close();
-  const pages = await browser.pages();
-  activePage = pages[pages.length - 1] || null;
-  if (activePage) await activePage.bringToFront();
+async function destroyContext(name) {
+  const ctx = contexts.get(name);
+  if (!ctx) return false;
+  contexts.delete(name);
+  try { await ctx.puppeteerContext.close(); } catch (e) { /* browser already gone */ }
+  ctx.activePage = null;
+  return true;
 }
 
-// ─── Screenshot ──────────────────────────────────────
-
 /**
- * Take screenshot of current page.
- * @param {object} [options] - { fullPage: false }
- * @returns {Promise<string>} Base64 PNG
+ * List context names (default first).
+ * @returns {string[]}
  */
-async function screenshot(options = {}) {
-  const page = await getPage();
-  const buffer = await page.screenshot({
-    type: 'png',
-    fullPage: options.fullPage || false,
-    encoding: 'base64',
-  });
-  return buffer;
+function listContexts() {
+  return [DEFAULT_CONTEXT, ...contexts.keys()];
 }
 
-// ─── Cookies / Session ───────────────────────────────
-
 /**
- * Save cookies for a domain.
- * @param {string} name - Session name (e.g., 'upwork')
+ * Bind a context method to the default context (keeps the flat module API).
  */
-async function saveCookies(name) {
-  const page = await getPage();
-  const cookies = await page.cookies();
-  if (!fs.existsSync(COOKIES_DIR)) fs.mkdirSync(COOKIES_DIR, { recursive: true });
-  const filePath = path.join(COOKIES_DIR, `${name}.json`);
-  fs.writeFileSync(filePath, JSON.stringify(cookies, null, 2));
+function onDefault(method) {
+  return (...args) => defaultContext[method](...args);
 }
 
 /**
- * Load cookies for a domain.
- * @param {string} name - Session name
- * @returns {Promise<boolean>} true if cookies loaded
+ * Human-click an element handle at its center (direct click if it has no box).
  */
-async function loadCookies(name) {
-  const filePath = path.join(COOKIES_DIR, `${name}.json`);
-  if (!fs.existsSync(filePath)) return false;
-
-  try {
-    const cookies = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const page = await getPage();
-    await page.setCookie(...cookies);
-    return true;
-  } catch (e) {
-    return false;
+async function clickElement(page, element) {
+  const box = await element.boundingBox();
+  if (box) {
+    await humanMouse.humanClick(page, box.x + box.width / 2, box.y + box.height / 2);
+    return;
   }
+  await element.click(); // last resort: direct click
 }
 
 // ─── Human-like Delays ──────────────────────────────
@@ -654,40 +967,58 @@ module.exports = {
   launch,
   close,
   isRunning,
-  getPage,
+  isHeadless,
+  use,
+  closeWhenIdle,
+  getPage: onDefault('getPage'),
+  setNetworkCapture: onDefault('setNetworkCapture'),
+  get captureNetwork() {
+    return defaultContext.captureNetwork;
+  },
+  // Contexts
+  BrowserContext,
+  createContext,
+  getContext,
+  destroyContext,
+  listContexts,
   // Navigation
-  goto,
-  currentUrl,
-  getTitle,
-  goBack,
-  goForward,
-  reload,
+  goto: onDefault('goto'),
+  currentUrl: onDefault('currentUrl'),
+  getTitle: onDefault('getTitle'),
+  goBack: onDefault('goBack'),
+  goForward: onDefault('goForward'),
+  reload: onDefault('reload'),
   // Reading
-  getText,
-  getHTML,
-  extractAll,
-  getLinks,
+  getText: onDefault('getText'),
+  getHTML: onDefault('getHTML'),
+  extractAll: onDefault('extractAll'),
+  getLinks: onDefault('getLinks'),
   // Interactions
-  click,
-  type,
-  select,
-  pressKey,
-  scroll,
+  click: onDefault('click'),
+  type: onDefault('type'),
+  select: onDefault('select'),
+  pressKey: onDefault('pressKey'),
+  scroll: onDefault('scroll'),
   // Finders
-  findByText,
-  findInputByLabel,
-  waitFor,
-  waitForText,
+  findByText: onDefault('findByText'),
+  findInputByLabel: onDefault('findInputByLabel'),
+  waitFor: onDefault('waitFor'),
+  waitForText: onDefault('waitForText'),
   // Tabs
-  newTab,
-  listTabs,
-  switchTab,
-  closeTab,
+  newTab: onDefault('newTab'),
+  listTabs: onDefault('listTabs'),
+  switchTab: onDefault('switchTab'),
+  closeTab: onDefault('closeTab'),
+  bringToFront: onDefault('bringToFront'),
   // Screenshot
-  screenshot,
+  screenshot: onDefault('screenshot'),
+  // Files
+  upload: onDefault('upload'),
+  download: onDefault('download'),
+  cdpSession: onDefault('cdpSession'),
   // Cookies
-  saveCookies,
-  loadCookies,
+  saveCookies: onDefault('saveCookies'),
+  loadCookies: onDefault('loadCookies'),
   // Utility
   humanDelay,
 };
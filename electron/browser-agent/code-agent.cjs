@@ -5,7 +5,7 @@
  * runs tests, and prepares deliverables.
  */
 
-const { callGatewayForWebAgent } = require('./ai-bridge');
+const { callGatewayForWebAgent } = require('./ai-bridge.cjs');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -0,0 +1,252 @@
+/**
+ * file-transfer.js — Sandboxed file uploads and downloads
+ *
+ * Uploads: only files inside the uploads folder can be attached, so a model
+ * can't be talked into sending ~/.ssh/id_rsa to a website. Paths are
+ * resolved relative to that folder and symlinks are followed before the check.
+ *
+ * Downloads: Chrome saves into a per-context downloads folder. We wait for
+ * completion, enforce a size limit (cancelling oversized downloads mid-way)
+ * and rename the file to a sanitized version of the server's suggested name.
+ *
+ * Mirrors the gateway browser tool (src/browser/pw-tools-core.downloads.ts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const roleSnapshot = require('./role-snapshot.cjs');
+
+// ─── Config ──────────────────────────────────────────
+const UPLOADS_DIR = path.join(os.homedir(), '.root-ai', 'browser-uploads');
+const DOWNLOADS_DIR = path.join(os.homedir(), '.root-ai', 'browser-downloads');
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+const DEFAULT_TIMEOUT = 120000;
+
+// ─── Uploads ─────────────────────────────────────────
+
+/**
+ * Resolve upload paths inside the uploads folder.
+ * @param {string|string[]} files - Names/paths relative to the uploads folder
+ * @param {object} [options] - { uploadDir, maxBytes }
+ * @returns {string[]} Absolute real paths
+ */
+function resolveUploadPaths(files, options = {}) {
+  const rootDir = options.uploadDir || UPLOADS_DIR;
+  const maxBytes = options.maxBytes || MAX_UPLOAD_BYTES;
+  const list = [].concat(files || []).map((f) => String(f).trim()).filter(Boolean);
+  if (list.length === 0) throw new Error('No files to upload');
+  if (!fs.existsSync(rootDir)) {
+    throw new Error(`Uploads folder does not exist: ${rootDir} — put the files to attach there`);
+  }
+
+  const realRoot = fs.realpathSync(rootDir);
+  return list.map((file) => {
+    const candidate = path.resolve(realRoot, file);
+    if (!fs.existsSync(candidate)) throw new Error(`Upload file not found in uploads folder: ${file}`);
+    const real = fs.realpathSync(candidate);
+    const rel = path.relative(realRoot, real);
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) {
+      throw new Error(`Upload path escapes the uploads folder (${rootDir}): ${file}`);
+    }
+    const stat = fs.statSync(real);
+    if (!stat.isFile()) throw new Error(`Not a file: ${file}`);
+    if (stat.size > maxBytes) throw new Error(`${file} is ${formatBytes(stat.size)} — upload limit is ${formatBytes(maxBytes)}`);
+    return real;
+  });
+}
+
+/**
+ * List files available for upload (names relative to the uploads folder).
+ * @param {object} [options] - { uploadDir, limit: 50 }
+ * @returns {string[]}
+ */
+function listUploadableFiles(options = {}) {
+  const rootDir = options.uploadDir || UPLOADS_DIR;
+  const limit = options.limit || 50;
+  const found = [];
+  const walk = (dir, prefix) => {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return; }
+    for (const entry of entries) {
+      if (found.length >= limit || entry.name.startsWith('.')) continue;
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(path.join(dir, entry.name), rel);
+      else if (entry.isFile()) found.push(rel);
+    }
+  };
+  walk(rootDir, '');
+  return found;
+}
+
+/**
+ * Attach files to a file input.
+ * The target can be the <input type=file> itself, or a button that opens the
+ * file chooser. Without a target, the first file input on the page is used.
+ *
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {string|null} target - Ref ("e12"), CSS selector or visible text
+ * @param {string|string[]} files - Names relative to the uploads folder
+ * @param {object} [options] - { uploadDir, maxBytes, timeoutMs }
+ * @returns {Promise<{ files: string[] }>}
+ */
+async function uploadFiles(ctx, target, files, options = {}) {
+  const paths = resolveUploadPaths(files, options);
+  const page = await ctx.getPage();
+  const timeout = options.timeoutMs || 10000;
+
+  const input = await findFileInput(page, target);
+  if (input) {
+    await input.uploadFile(...paths);
+    // Some sites only listen for these
+    await input.evaluate((el) => {
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  } else {
+    if (!target) throw new Error('No file input on the page — pass the upload button as target');
+    const [chooser] = await Promise.all([
+      page.waitForFileChooser({ timeout }),
+      ctx.click(target),
+    ]);
+    await chooser.accept(paths);
+  }
+  return { files: paths.map((p) => path.basename(p)) };
+}
+
+async function findFileInput(page, target) {
+  let element;
+  if (!target) {
+    element = await page.$('input[type="file"]');
+  } else if (roleSnapshot.parseRef(target)) {
+    element = await roleSnapshot.resolveRef(page, roleSnapshot.parseRef(target));
+  } else {
+    element = await page.$(target).catch(() => null);
+  }
+  if (!element) return null;
+  const isFileInput = await element.evaluate((el) => el.tagName === 'INPUT' && el.type === 'file');
+  return isFileInput ? element : null;
+}
+
+// ─── Downloads ───────────────────────────────────────
+
+/**
+ * Run a trigger (usually a click) and wait for the download it starts.
+ *
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {function} trigger - async () => void, e.g. () => ctx.click('e12')
+ * @param {object} [options] - { timeoutMs: 120000, maxBytes: 100MB, downloadDir }
+ * @returns {Promise<{ url: string, suggestedFilename: string, path: string, size: number }>}
+ */
+async function downloadFile(ctx, trigger, options = {}) {
+  const timeout = options.timeoutMs || DEFAULT_TIMEOUT;
+  const maxBytes = options.maxBytes || MAX_DOWNLOAD_BYTES;
+  const dir = options.downloadDir || path.join(DOWNLOADS_DIR, sanitizeFileName(ctx.name || 'default'));
+  fs.mkdirSync(dir, { recursive: true });
+
+  const session = await ctx.cdpSession();
+  const contextId = ctx.puppeteerContext ? ctx.puppeteerContext.id : undefined;
+  const scope = contextId ? { browserContextId: contextId } : {};
+  await session.send('Browser.setDownloadBehavior', {
+    behavior: 'allowAndName', // saved as <guid>, renamed once complete
+    downloadPath: dir,
+    eventsEnabled: true,
+    ...scope,
+  });
+
+  let guid = null;
+  let info = null;
+  let settle;
+  const finished = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  finished.catch(() => {}); // may reject while trigger() is still running; awaited below
+
+  const fail = async (error) => {
+    if (guid) {
+      await session.send('Browser.cancelDownload', { guid, ...scope }).catch(() => {});
+      fs.rmSync(path.join(dir, guid), { force: true });
+    }
+    settle.reject(error);
+  };
+
+  const onBegin = (event) => {
+    if (guid) return; // first download after the trigger is ours
+    guid = event.guid;
+    info = { url: event.url, suggestedFilename: event.suggestedFilename };
+  };
+  const onProgress = (event) => {
+    if (event.guid !== guid) return;
+    if (Math.max(event.totalBytes || 0, event.receivedBytes || 0) > maxBytes) {
+      fail(new Error(`Download exceeds the ${formatBytes(maxBytes)} limit — cancelled`));
+      return;
+    }
+    if (event.state === 'canceled') settle.reject(new Error('Download was cancelled'));
+    if (event.state === 'completed') settle.resolve(event.receivedBytes);
+  };
+
+  session.on('Browser.downloadWillBegin', onBegin);
+  session.on('Browser.downloadProgress', onProgress);
+  const timer = setTimeout(() => fail(new Error(`Timed out after ${timeout}ms waiting for download`)), timeout);
+
+  try {
+    await trigger();
+    const size = await finished;
+    const filePath = uniquePath(dir, sanitizeFileName(info.suggestedFilename));
+    fs.renameSync(path.join(dir, guid), filePath);
+    return { url: info.url, suggestedFilename: info.suggestedFilename, path: filePath, size };
+  } catch (e) {
+    if (guid) fs.rmSync(path.join(dir, guid), { force: true });
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    session.off('Browser.downloadWillBegin', onBegin);
+    session.off('Browser.downloadProgress', onProgress);
+    // Later downloads the user starts in this browser go where they normally would again
+    await session.send('Browser.setDownloadBehavior', { behavior: 'default', ...scope }).catch(() => {});
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+/**
+ * Force a safe basename: the suggested name comes from the server, so strip
+ * path separators, traversal and control characters.
+ */
+function sanitizeFileName(fileName) {
+  const trimmed = String(fileName ?? '').trim();
+  if (!trimmed) return 'download.bin';
+  let base = path.posix.basename(trimmed);
+  base = path.win32.basename(base);
+  base = base.replace(/[\x00-\x1f\x7f]/g, '').replace(/[<>:"|?*]/g, '_').trim();
+  if (!base || base === '.' || base === '..') return 'download.bin';
+  return base.length > 200 ? base.substring(0, 200) : base;
+}
+
+function uniquePath(dir, name) {
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  let candidate = path.join(dir, name);
+  for (let i = 1; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${stem} (${i})${ext}`);
+  }
+  return candidate;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  uploadFiles,
+  resolveUploadPaths,
+  listUploadableFiles,
+  downloadFile,
+  sanitizeFileName,
+  UPLOADS_DIR,
+  DOWNLOADS_DIR,
+  MAX_UPLOAD_BYTES,
+  MAX_DOWNLOAD_BYTES,
+};
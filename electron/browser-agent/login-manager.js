@@ -7,88 +7,44 @@
  * 3. We detect login success, save cookies
  * 4. Next time: auto-load cookies, skip login
  * 
- * Supports any website. Stores sessions per domain.
+ * Supports any website. Sites with a profile (see site-profiles.js) get exact
+ * login detection; others fall back to "left the login page" heuristics.
+ * Stores sessions per domain, encrypted at rest (see session-store.js).
+ * Sessions whose cookies or profile TTL have expired are pruned.
  */
 
 const browser = require('./browser');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
 const EventEmitter = require('events');
-
-const SESSIONS_DIR = path.join(os.homedir(), '.root-ai', 'browser-sessions');
-
-// Known website login URLs and success indicators
-const KNOWN_SITES = {
-  upwork: {
-    loginUrl: 'https://www.upwork.com/ab/account-security/login',
-    successIndicators: ['My Jobs', 'Find Work', 'My Stats', '/nx/', '/feed'],
-    domain: 'upwork.com',
-  },
-  linkedin: {
-    loginUrl: 'https://www.linkedin.com/login',
-    successIndicators: ['Feed', 'My Network', 'messaging', '/feed/'],
-    domain: 'linkedin.com',
-  },
-  indeed: {
-    loginUrl: 'https://secure.indeed.com/auth',
-    successIndicators: ['My Jobs', 'My Indeed', '/myjobs/'],
-    domain: 'indeed.com',
-  },
-  fiverr: {
-    loginUrl: 'https://www.fiverr.com/login',
-    successIndicators: ['Dashboard', 'My Business', '/seller_dashboard'],
-    domain: 'fiverr.com',
-  },
-  freelancer: {
-    loginUrl: 'https://www.freelancer.com/login',
-    successIndicators: ['Dashboard', 'My Projects', '/dashboard'],
-    domain: 'freelancer.com',
-  },
-  github: {
-    loginUrl: 'https://github.com/login',
-    successIndicators: ['Dashboard', 'Repositories', '/dashboard'],
-    domain: 'github.com',
-  },
-  gmail: {
-    loginUrl: 'https://accounts.google.com/signin',
-    successIndicators: ['Inbox', 'Compose', 'mail.google.com'],
-    domain: 'google.com',
-  },
-};
+const sessionStore = require('./session-store');
+const siteProfiles = require('./site-profiles');
 
 class LoginManager extends EventEmitter {
   constructor() {
     super();
-    if (!fs.existsSync(SESSIONS_DIR)) {
-      fs.mkdirSync(SESSIONS_DIR, { recursive: true });
-    }
+    this.pruneExpired();
   }
 
   /**
-   * Get list of all saved sessions.
-   * @returns {Array<{ name, domain, savedAt, expired }>}
+   * Get list of all saved sessions (expired ones are pruned first).
+   * @returns {Array<{ name, domain, savedAt, expiresAt, cookieCount, encrypted }>}
    */
   listSessions() {
-    try {
-      const files = fs.readdirSync(SESSIONS_DIR).filter(f => f.endsWith('.json'));
-      return files.map(f => {
-        const name = f.replace('.json', '');
-        try {
-          const data = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, f), 'utf8'));
-          return {
-            name,
-            domain: data.domain || name,
-            savedAt: data.savedAt || 'unknown',
-            cookieCount: data.cookies?.length || 0,
-          };
-        } catch (e) {
-          return { name, domain: name, savedAt: 'error', cookieCount: 0 };
-        }
-      });
-    } catch (e) {
-      return [];
-    }
+    this.pruneExpired();
+    return sessionStore.list('session').map(name => {
+      try {
+        const meta = sessionStore.readMeta('session', name);
+        return {
+          name,
+          domain: meta.domain || name,
+          savedAt: meta.savedAt || 'unknown',
+          expiresAt: meta.expiresAt || null,
+          cookieCount: meta.cookieCount || 0,
+          encrypted: meta.encrypted,
+        };
+      } catch (e) {
+        return { name, domain: name, savedAt: 'error', expiresAt: null, cookieCount: 0, encrypted: false };
+      }
+    });
   }
 
   /**
@@ -97,7 +53,41 @@ class LoginManager extends EventEmitter {
    */
   hasSession(siteName) {
     const name = this.normalizeName(siteName);
-    return fs.existsSync(path.join(SESSIONS_DIR, `${name}.json`));
+    return sessionStore.exists('session', name);
+  }
+
+  /**
+   * Delete sessions (and saved cookies) whose cookies have all expired.
+   * @returns {Array<{ kind, name }>} Removed sessions
+   */
+  pruneExpired() {
+    const removed = sessionStore.pruneExpired();
+    if (removed.length > 0) this.emit('sessions_pruned', { removed });
+    return removed;
+  }
+
+  /**
+   * Export saved sessions and cookies to a passphrase-encrypted file,
+   * for moving them to another machine.
+   * @param {string} filePath
+   * @param {string} passphrase - At least 8 characters
+   * @param {string[]} [siteNames] - Only these sites (default all)
+   * @returns {{ path: string, count: number }}
+   */
+  exportSessions(filePath, passphrase, siteNames) {
+    const names = siteNames ? siteNames.map(n => this.normalizeName(n)) : undefined;
+    return sessionStore.exportSessions(filePath, passphrase, { names });
+  }
+
+  /**
+   * Import sessions from an export file (re-encrypted with this machine's key).
+   * @param {string} filePath
+   * @param {string} passphrase - Passphrase used for the export
+   * @param {object} [options] - { overwrite: false }
+   * @returns {{ imported: string[], skipped: string[] }}
+   */
+  importSessions(filePath, passphrase, options = {}) {
+    return sessionStore.importSessions(filePath, passphrase, options);
   }
 
   /**
@@ -105,7 +95,7 @@ class LoginManager extends EventEmitter {
    * Polls for login success automatically.
    * 
    * @param {string} siteName - 'upwork', 'linkedin', or any URL
-   * @param {object} [options] - { timeout: 120000, pollInterval: 3000 }
+   * @param {object} [options] - { timeout: 120000, pollInterval: 3000, context }
    * @returns {Promise<{ success: boolean, message: string }>}
    * 
    * Events: 'login_page_opened', 'waiting_for_login', 'login_detected', 'login_timeout'
@@ -114,57 +104,49 @@ class LoginManager extends EventEmitter {
     const timeout = options.timeout || 120000; // 2 minutes
     const pollInterval = options.pollInterval || 3000;
     const name = this.normalizeName(siteName);
+    const ctx = options.context || browser;
 
     // Get login URL
     let loginUrl;
-    let successIndicators;
-    const known = KNOWN_SITES[name];
-    if (known) {
-      loginUrl = known.loginUrl;
-      successIndicators = known.successIndicators;
+    const profile = siteProfiles.getProfile(name);
+    if (profile) {
+      loginUrl = profile.loginUrl;
     } else if (siteName.startsWith('http')) {
-      loginUrl = siteName;
-      successIndicators = []; // will detect by URL change
+      loginUrl = siteName; // no profile: detect by URL change
     } else {
       loginUrl = `https://www.${siteName}/login`;
-      successIndicators = [];
     }
 
     // Launch browser and go to login page
-    if (!browser.isRunning()) {
-      await browser.launch({ useRealProfile: false });
+    if (!ctx.isRunning()) {
+      await ctx.launch({ useRealProfile: false });
     }
 
-    await browser.goto(loginUrl, { timeout: 60000, waitUntil: 'domcontentloaded' });
+    await ctx.goto(loginUrl, { timeout: 60000, waitUntil: 'domcontentloaded' });
     
     // Wait for Cloudflare if needed
-    await this.waitForCloudflare();
+    await this.waitForCloudflare(30000, ctx);
 
     this.emit('login_page_opened', { site: name, url: loginUrl });
 
     // Poll for login success
     const startTime = Date.now();
-    let lastUrl = await browser.currentUrl();
+    let lastUrl = await ctx.currentUrl();
 
     while (Date.now() - startTime < timeout) {
       await new Promise(r => setTimeout(r, pollInterval));
 
       try {
-        const currentUrl = await browser.currentUrl();
-        const text = await browser.getText();
+        const currentUrl = await ctx.currentUrl();
 
         // Check success indicators
         let loggedIn = false;
         
-        if (successIndicators.length > 0) {
-          for (const indicator of successIndicators) {
-            if (text.includes(indicator) || currentUrl.includes(indicator)) {
-              loggedIn = true;
-              break;
-            }
-          }
+        if (profile) {
+          loggedIn = (await siteProfiles.checkLoginState(ctx, profile)).state === 'logged_in';
         } else {
           // Generic detection: URL changed from login page + no password field
+          const text = await ctx.getText();
           const hasPassword = text.toLowerCase().includes('password') && 
                              (currentUrl.includes('login') || currentUrl.includes('signin'));
           loggedIn = currentUrl !== lastUrl && !hasPassword;
@@ -172,7 +154,7 @@ class LoginManager extends EventEmitter {
 
         if (loggedIn) {
           // Save session
-          await this.saveSession(name, known?.domain || new URL(loginUrl).hostname);
+          await this.saveSession(name, profile?.domain || new URL(loginUrl).hostname, ctx);
           this.emit('login_detected', { site: name });
           return { success: true, message: `Logged in to ${name} successfully` };
         }
@@ -194,9 +176,11 @@ class LoginManager extends EventEmitter {
 
   /**
    * Save current browser session for a site.
+   * The profile's sessionTtl (if any) caps how long the session is kept.
+   * @param {object} [ctx] - Browser context to read cookies from
    */
-  async saveSession(name, domain) {
-    const page = await browser.getPage();
+  async saveSession(name, domain, ctx = browser) {
+    const page = await ctx.getPage();
     const cookies = await page.cookies();
     
     const sessionData = {
@@ -204,52 +188,48 @@ class LoginManager extends EventEmitter {
       domain,
       savedAt: new Date().toISOString(),
       cookies,
-      url: await browser.currentUrl(),
+      url: await ctx.currentUrl(),
     };
 
-    const filePath = path.join(SESSIONS_DIR, `${name}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(sessionData, null, 2));
+    const meta = { domain };
+    const ttl = siteProfiles.parseTtl(siteProfiles.getProfile(name)?.sessionTtl);
+    if (ttl) meta.expiresAt = new Date(Date.parse(sessionData.savedAt) + ttl).toISOString();
+    sessionStore.save('session', name, sessionData, meta);
   }
 
   /**
    * Load saved session and navigate to site.
    * @param {string} siteName
    * @param {string} [startUrl] - URL to navigate after loading cookies
+   * @param {object} [ctx] - Browser context to load the session into
    * @returns {Promise<boolean>} true if session loaded and still valid
    */
-  async loadSession(siteName, startUrl) {
+  async loadSession(siteName, startUrl, ctx = browser) {
     const name = this.normalizeName(siteName);
-    const filePath = path.join(SESSIONS_DIR, `${name}.json`);
-    
-    if (!fs.existsSync(filePath)) return false;
+
+    if (!sessionStore.exists('session', name)) return false;
 
     try {
-      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-      
-      if (!browser.isRunning()) {
-        await browser.launch({ useRealProfile: false });
+      const data = sessionStore.load('session', name); // null once every cookie expired
+      if (!data) return false;
+
+      if (!ctx.isRunning()) {
+        await ctx.launch({ useRealProfile: false });
       }
 
-      const page = await browser.getPage();
+      const page = await ctx.getPage();
       await page.setCookie(...data.cookies);
 
       // Navigate to site
-      const url = startUrl || data.url || `https://www.${data.domain || name}`;
-      await browser.goto(url, { timeout: 30000, waitUntil: 'domcontentloaded' });
-      await this.waitForCloudflare();
+      const profile = siteProfiles.getProfile(name);
+      const url = startUrl || profile?.landingUrl || data.url || `https://www.${data.domain || name}`;
+      await ctx.goto(url, { timeout: 30000, waitUntil: 'domcontentloaded' });
+      await this.waitForCloudflare(30000, ctx);
 
       // Verify still logged in
-      const known = KNOWN_SITES[name];
-      if (known) {
-        const text = await browser.getText();
-        const currentUrl = await browser.currentUrl();
-        for (const indicator of known.successIndicators) {
-          if (text.includes(indicator) || currentUrl.includes(indicator)) {
-            return true;
-          }
-        }
+      if (profile) {
         // Session might be expired
-        return false;
+        return (await siteProfiles.checkLoginState(ctx, profile)).state === 'logged_in';
       }
 
       return true; // assume OK for unknown sites
@@ -263,12 +243,43 @@ class LoginManager extends EventEmitter {
    */
   deleteSession(siteName) {
     const name = this.normalizeName(siteName);
-    const filePath = path.join(SESSIONS_DIR, `${name}.json`);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return true;
+    return sessionStore.remove('session', name);
+  }
+
+  /**
+   * Test a site profile against the live page: restores the saved session
+   * (if any) and opens the landing page, or opens the login page, then
+   * reports which indicators matched.
+   *
+   * @param {string|object} profileOrName - Profile name, or a profile object to try before saving it
+   * @param {object} [options] - { url, context }
+   * @returns {Promise<{ profile, errors, url, state, expected, ok, checks }>}
+   *   ok: state matches expected ('logged_in' with a saved session, 'logged_out' without)
+   */
+  async testProfile(profileOrName, options = {}) {
+    const profile = typeof profileOrName === 'string' ? siteProfiles.getProfile(this.normalizeName(profileOrName)) : profileOrName;
+    if (!profile) throw new Error(`No site profile "${profileOrName}" (see ${siteProfiles.PROFILES_DIR})`);
+    const { source, file, ...definition } = profile;
+    const errors = siteProfiles.validateProfile(definition);
+    if (errors.length > 0) {
+      return { profile: profile.name, errors, url: null, state: 'unknown', expected: null, ok: false, checks: [] };
     }
-    return false;
+
+    const ctx = options.context || browser;
+    if (!ctx.isRunning()) await ctx.launch({ useRealProfile: false });
+
+    const session = sessionStore.exists('session', profile.name) ? sessionStore.load('session', profile.name) : null;
+    if (session && session.cookies.length > 0) {
+      const page = await ctx.getPage();
+      await page.setCookie(...session.cookies);
+    }
+    const expected = session ? 'logged_in' : 'logged_out';
+    const url = options.url || (session ? profile.landingUrl || session.url : null) || profile.loginUrl;
+    await ctx.goto(url, { timeout: 30000, waitUntil: 'domcontentloaded' });
+    await this.waitForCloudflare(30000, ctx);
+
+    const result = await siteProfiles.checkLoginState(ctx, profile);
+    return { profile: profile.name, errors, ...result, expected, ok: result.state === expected };
   }
 
   /**
@@ -279,7 +290,7 @@ class LoginManager extends EventEmitter {
     
     // Try saved session first
     if (this.hasSession(name)) {
-      const valid = await this.loadSession(name);
+      const valid = await this.loadSession(name, undefined, options.context);
       if (valid) return { success: true, message: `Restored ${name} session` };
       // Session expired, delete and re-login
       this.deleteSession(name);
@@ -292,11 +303,11 @@ class LoginManager extends EventEmitter {
   /**
    * Wait for Cloudflare challenge.
    */
-  async waitForCloudflare(maxWait = 30000) {
+  async waitForCloudflare(maxWait = 30000, ctx = browser) {
     const start = Date.now();
     while (Date.now() - start < maxWait) {
       try {
-        const text = await browser.getText();
+        const text = await ctx.getText();
         if (!text.toLowerCase().includes('cloudflare') && 
             !text.toLowerCase().includes('just a moment') && 
             text.length > 200) {
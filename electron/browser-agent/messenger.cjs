@@ -5,9 +5,9 @@
  * AI drafts replies, user approves (or auto-send mode).
  */
 
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
-const { callGatewayForWebAgent } = require('./ai-bridge');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const { callGatewayForWebAgent } = require('./ai-bridge.cjs');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -113,7 +113,7 @@ async function sendMessage(text) {
       if (el) {
         const box = await el.boundingBox();
         if (box && box.width > 50) {
-          const humanMouse = require('./human-mouse');
+          const humanMouse = require('./human-mouse.cjs');
           await humanMouse.humanClick(page, box.x + box.width / 2, box.y + box.height / 2);
           await new Promise(r => setTimeout(r, 200));
           await humanMouse.humanType(page, text);
@@ -135,7 +135,7 @@ async function sendMessage(text) {
     if (sendBtn) {
       const box = await sendBtn.boundingBox();
       if (box) {
-        const humanMouse = require('./human-mouse');
+        const humanMouse = require('./human-mouse.cjs');
         await humanMouse.humanClick(page, box.x + box.width / 2, box.y + box.height / 2);
         return true;
       }
@@ -8,94 +8,231 @@
  */
 
 const EventEmitter = require('events');
+const path = require('path');
 const browser = require('./browser');
 const analyzer = require('./page-analyzer');
+const roleSnapshot = require('./role-snapshot');
+const networkCapture = require('./network-capture');
+const fileTransfer = require('./file-transfer');
+const approval = require('./action-approval');
+const resultSchema = require('./result-schema');
+const { validateAction, describeActions, toolDefinitions, formatActionError } = require('./action-schema');
 
 // ─── Constants ───────────────────────────────────────
 const MAX_STEPS = 30;
+const MAX_INVALID_STREAK = 3; // consecutive unusable AI decisions before giving up
+const MAX_RESULT_REPAIRS = 1; // times a result that breaks its schema goes back to the AI
+const RESPONSE_PREVIEW_CHARS = 1500;
 const HUMAN_DELAY_MIN = 800;
 const HUMAN_DELAY_MAX = 2500;
 
 class WebNavigator extends EventEmitter {
   /**
    * @param {object} options
-   * @param {function} options.askAI - Function(prompt, context) → string. AI decision maker.
+   * @param {function} options.askAI - Function(prompt, context, { tools, onText }) → string or
+   *   { text, toolCall, usage } (see ai-bridge.callGatewayForWebAgent). AI decision maker.
+   * @param {object} [options.context] - Browser context from browser.createContext() (default: shared browser)
+   * @param {string} [options.pageFormat='aria'] - Page summary format: 'aria' (role snapshot with refs) or 'dom' (scraped elements)
+   * @param {object} [options.recorder] - RunRecorder that receives every step (see run-recorder.js)
+   * @param {number[]} [options.stepDelay] - [min, max] ms pause between steps (default human-like 800–2500)
+   * @param {string} [options.uploadDir] - Folder the AI may upload from (default ~/.root-ai/browser-uploads)
+   * @param {number} [options.maxDownloadBytes] - Cancel downloads larger than this (default 100 MB)
+   * @param {function} [options.beforeStep] - async (stepCount) => null | string, run before every step;
+   *   a string stops the run with that as the result (WebAgent uses it for budget checks)
+   * @param {function} [options.onBlocked] - async ({ kind: 'captcha'|'login', url, stepNum }) => boolean;
+   *   hands a CAPTCHA or login wall to the user and resumes the goal when it returns true.
+   *   Without it a CAPTCHA stops the run and a login wall is only reported.
+   * @param {function} [options.onSensitiveAction] - async ({ kind, reason, label, action, params, url, stepNum }) => boolean,
+   *   awaited before payment/send/delete/publish clicks and sensitive typed text (see action-approval.js)
    */
   constructor(options = {}) {
     super();
     this.askAI = options.askAI;
+    this.browser = options.context || browser;
+    this.pageFormat = options.pageFormat || 'aria';
+    if (!analyzer.SUMMARY_FORMATS.includes(this.pageFormat)) {
+      throw new Error(`Unknown pageFormat "${this.pageFormat}" (expected ${analyzer.SUMMARY_FORMATS.join(' or ')})`);
+    }
     this.running = false;
     this.steps = [];
     this.stepCount = 0;
+    this.lastError = null; // structured error from the previous step, shown to the AI
+    this.lastResponse = null; // body read by the last wait_for_response
+    this.actionStartedAt = null; // when the last executed action began (ms)
+    this.lastExtractedData = null; // items from the last extract (or JSON from wait_for_response)
+    this.lastExtraction = null; // { pages, stopReason } of the last paginated extract
+    this.paginator = null;
+    this.recorder = options.recorder || null;
+    this.stepDelay = options.stepDelay || [HUMAN_DELAY_MIN, HUMAN_DELAY_MAX];
+    this.uploadDir = options.uploadDir || fileTransfer.UPLOADS_DIR;
+    this.maxDownloadBytes = options.maxDownloadBytes || fileTransfer.MAX_DOWNLOAD_BYTES;
+    this.beforeStep = options.beforeStep || null;
+    this.onBlocked = options.onBlocked || null;
+    this.onSensitiveAction = options.onSensitiveAction || null;
+    this.schema = null; // JSON Schema for the current run's result
+    this.checkResult = null;
+    this.handedOff = new Set(); // login pages already handed to the user this run
+    this.downloads = []; // files saved by 'download' during the current run
+    this.usage = { inputTokens: 0, outputTokens: 0, calls: 0 }; // AI token usage for the current run
   }
 
   /**
    * Execute a web navigation goal.
    * 
    * @param {string} goal - What to accomplish (e.g., "Search Upwork for React jobs")
-   * @returns {Promise<{ success: boolean, result: any, steps: number }>}
+   * @param {object} [options]
+   * @param {object} [options.schema] - JSON Schema the final result must match (see result-schema.js)
+   * @returns {Promise<{ success: boolean, result: any, steps: number, downloads?: Array<object>,
+   *   extracted?: any, raw?: any, validation?: { valid: boolean, errors: string[] }, stopped?: string }>}
+   *   stopped: 'user' when stop() ended the run (also while an approval was pending).
+   *   extracted: data from the last extract / wait_for_response (null if none).
+   *   With a schema, result is the validated data and raw what the AI answered.
    * 
-   * Events: 'step', 'done', 'error', 'captcha', 'login_needed'
+   * Events: 'step', 'done', 'error', 'captcha', 'login_needed',
+   *         'extract_batch' (new items found on each page of a paginated extract),
+   *         'thought_delta' (model text as it streams), 'usage' (tokens per AI call)
+   * Token totals for the run are on this.usage afterwards.
    */
-  async run(goal) {
+  async run(goal, options = {}) {
     if (!this.askAI) throw new Error('askAI function required');
     if (this.running) throw new Error('Navigator already running');
+    this.schema = options.schema || null;
+    this.checkResult = this.schema ? resultSchema.compileSchema(this.schema) : null;
 
     this.running = true;
     this.steps = [];
     this.stepCount = 0;
+    this.lastError = null;
+    this.lastResponse = null;
+    this.actionStartedAt = null;
+    this.lastExtractedData = null;
+    this.lastExtraction = null;
+    this.downloads = [];
+    this.handedOff = new Set();
+    this.usage = { inputTokens: 0, outputTokens: 0, calls: 0 };
+    let invalidStreak = 0;
+    let resultRepairs = 0;
 
     this.emit('start', { goal });
 
     try {
       // Ensure browser is running
-      if (!browser.isRunning()) await browser.launch();
+      if (!this.browser.isRunning()) await this.browser.launch();
 
       while (this.running && this.stepCount < MAX_STEPS) {
+        if (this.beforeStep) {
+          const stopReason = await this.beforeStep(this.stepCount);
+          if (stopReason) {
+            this.running = false;
+            return { success: false, result: stopReason, steps: this.stepCount };
+          }
+          if (!this.running) break;
+        }
         this.stepCount++;
 
         // 1. Analyze current page
+        const url = await this.browser.currentUrl().catch(() => null);
         let pageInfo;
         try {
-          pageInfo = await analyzer.getPageSummary(2000);
+          pageInfo = await analyzer.getPageSummary(2000, this.browser, this.pageFormat);
         } catch (e) {
           pageInfo = `ERROR reading page: ${e.message}`;
         }
 
-        // 2. Check for blockers
-        const captcha = await analyzer.hasCaptcha().catch(() => false);
+        // 2. Check for blockers — with onBlocked the user clears them and the run carries on
+        const captcha = await analyzer.hasCaptcha(this.browser).catch(() => false);
         if (captcha) {
-          this.emit('captcha', { url: await browser.currentUrl() });
-          this.running = false;
-          return { success: false, result: 'CAPTCHA detected — needs human intervention', steps: this.stepCount };
+          this.emit('captcha', { url: await this.browser.currentUrl() });
+          if (!await this.handOff('captcha', url)) {
+            this.running = false;
+            return { success: false, result: 'CAPTCHA detected — needs human intervention', steps: this.stepCount };
+          }
+          continue;
         }
 
-        const loginNeeded = await analyzer.requiresLogin().catch(() => false);
+        const loginNeeded = await analyzer.requiresLogin(this.browser).catch(() => false);
         if (loginNeeded && this.stepCount > 2) {
           // Only flag if we didn't just navigate to a login page on purpose
-          this.emit('login_needed', { url: await browser.currentUrl() });
+          this.emit('login_needed', { url: await this.browser.currentUrl() });
+          // Hand each login page over once; if it's still there the AI handles it like any page
+          if (this.onBlocked && !this.handedOff.has(`login:${url}`)) {
+            this.handedOff.add(`login:${url}`);
+            if (!await this.handOff('login', url)) {
+              this.running = false;
+              return { success: false, result: 'Login required — needs human intervention', steps: this.stepCount };
+            }
+            continue;
+          }
         }
 
         // 3. Ask AI what to do
         const context = this.buildContext(goal, pageInfo);
         let decision;
         try {
-          const aiResponse = await this.askAI(NAVIGATOR_PROMPT, context);
-          decision = this.parseDecision(aiResponse);
+          const stepNum = this.stepCount;
+          const aiResponse = await this.askAI(NAVIGATOR_PROMPT, context, {
+            tools: TOOLS,
+            onText: (text) => this.emit('thought_delta', { stepNum, text }),
+          });
+          decision = this.toDecision(aiResponse);
         } catch (e) {
           this.emit('error', { message: `AI error: ${e.message}`, steps: this.stepCount });
           this.running = false;
           return { success: false, result: `AI error: ${e.message}`, steps: this.stepCount };
         }
 
+        // 4. Validate — an unusable decision is fed back as a retryable step
+        const refs = await this.currentRefs();
+        const invalid = decision.error || validateAction(decision, { refs });
+        if (invalid) {
+          decision.error = invalid;
+          this.lastError = invalid;
+          this.steps.push(decision);
+          this.emit('step', { stepNum: this.stepCount, ...decision });
+          await this.record({ url, page: pageInfo, decision });
+          if (++invalidStreak >= MAX_INVALID_STREAK) {
+            const message = `AI produced ${invalidStreak} invalid actions in a row — last: ${formatActionError(invalid)}`;
+            this.running = false;
+            this.emit('error', { message, steps: this.stepCount });
+            return { success: false, result: message, steps: this.stepCount };
+          }
+          continue;
+        }
+        invalidStreak = 0;
+
         this.steps.push(decision);
         this.emit('step', { stepNum: this.stepCount, ...decision });
 
-        // 4. Handle terminal actions
+        // 5. Handle terminal actions — a result that breaks its schema gets a repair round
+        const target = decision.params.ref && refs ? refs[decision.params.ref] : undefined;
+        const checked = decision.action === 'done' && this.checkResult ? this.checkResult(decision.params.result) : null;
+        if (checked && !checked.valid && resultRepairs < MAX_RESULT_REPAIRS) {
+          resultRepairs++;
+          decision.error = { code: 'invalid_result', message: `Result doesn't match the schema: ${checked.errors.join('; ')}`, action: 'done' };
+          this.lastError = decision.error;
+          this.emit('step', { stepNum: this.stepCount, thought: decision.error.message, action: 'error_recovery', params: {}, error: decision.error });
+          await this.record({ url, page: pageInfo, decision });
+          continue;
+        }
+        if (decision.action === 'done' || decision.action === 'error') {
+          await this.record({ url, page: pageInfo, decision });
+        }
         if (decision.action === 'done') {
           this.running = false;
-          this.emit('done', { result: decision.params.result, steps: this.stepCount });
-          return { success: true, result: decision.params.result, steps: this.stepCount };
+          const raw = decision.params.result;
+          const extracted = this.lastExtractedData;
+          if (!checked) {
+            this.emit('done', { result: raw, steps: this.stepCount });
+            return { success: true, result: raw, steps: this.stepCount, downloads: this.downloads, extracted };
+          }
+          const validation = { valid: checked.valid, errors: checked.errors };
+          if (!checked.valid) {
+            const message = `Result doesn't match the schema: ${checked.errors.join('; ')}`;
+            this.emit('error', { message, steps: this.stepCount });
+            return { success: false, result: raw, steps: this.stepCount, downloads: this.downloads, extracted, validation };
+          }
+          this.emit('done', { result: checked.value, steps: this.stepCount });
+          return { success: true, result: checked.value, raw, steps: this.stepCount, downloads: this.downloads, extracted, validation };
         }
         if (decision.action === 'error') {
           this.running = false;
@@ -103,18 +240,35 @@ class WebNavigator extends EventEmitter {
           return { success: false, result: decision.params.message, steps: this.stepCount };
         }
 
-        // 5. Execute action
-        try {
-          await this.executeAction(decision.action, decision.params);
-        } catch (e) {
-          this.steps[this.steps.length - 1].thought += ` [FAILED: ${e.message}]`;
-          this.emit('step', { stepNum: this.stepCount, thought: `Action failed: ${e.message}`, action: 'error_recovery', params: {} });
+        // 6. Execute action — sensitive ones only once the user approves
+        this.lastError = null;
+        const denied = await this.checkApproval(decision, target, url);
+        if (!this.running) {
+          break; // stopped while waiting for the user — reported below
+        }
+        if (denied) {
+          decision.error = denied;
+          this.lastError = denied;
+          this.emit('step', { stepNum: this.stepCount, thought: denied.message, action: 'error_recovery', params: {}, error: denied });
+        } else {
+          try {
+            await this.executeAction(decision.action, decision.params);
+          } catch (e) {
+            decision.error = { code: 'action_failed', message: e.message, action: decision.action };
+            this.lastError = decision.error;
+            this.emit('step', { stepNum: this.stepCount, thought: `Action failed: ${e.message}`, action: 'error_recovery', params: {}, error: decision.error });
+          }
         }
+        await this.record({ url, page: pageInfo, decision, target });
 
-        // 6. Human-like delay
-        await browser.humanDelay(HUMAN_DELAY_MIN, HUMAN_DELAY_MAX);
+        // 7. Human-like delay
+        await this.browser.humanDelay(...this.stepDelay);
       }
 
+      // Every other way out of the loop returns, so a loop that ended while running is out of steps
+      if (!this.running) {
+        return { success: false, result: 'Stopped by user', steps: this.stepCount, stopped: 'user' };
+      }
       this.running = false;
       return { success: false, result: `Max ${MAX_STEPS} steps reached`, steps: this.stepCount };
 
@@ -129,38 +283,116 @@ class WebNavigator extends EventEmitter {
    */
   buildContext(goal, pageInfo) {
     let ctx = `GOAL: ${goal}\n\nCURRENT PAGE:\n${pageInfo}`;
+    if (this.schema) ctx += `\n\n${resultSchema.describeSchema(this.schema)}`;
     if (this.steps.length > 0) {
       const recent = this.steps.slice(-5);
       ctx += `\n\nPREVIOUS STEPS (last ${recent.length} of ${this.steps.length}):`;
       recent.forEach((s, i) => {
-        ctx += `\n${this.steps.length - recent.length + i + 1}. [${s.action}] ${s.thought}`;
+        ctx += `\n${this.steps.length - recent.length + i + 1}. [${s.action || '?'}] ${s.thought}`;
+        if (s.error) ctx += ` → ERROR ${formatActionError(s.error)}`;
       });
     }
+    const last = this.steps[this.steps.length - 1];
+    if (last && last.action === 'wait_for_response' && !last.error && this.lastResponse) {
+      const r = this.lastResponse;
+      const body = r.json !== undefined ? JSON.stringify(r.json) : r.body;
+      ctx += `\n\nLAST RESPONSE (${r.status} ${r.url}):\n${body.substring(0, RESPONSE_PREVIEW_CHARS)}`;
+      if (body.length > RESPONSE_PREVIEW_CHARS) ctx += `\n... (${body.length} chars total)`;
+    }
+    if (last && last.action === 'extract' && !last.error && Array.isArray(this.lastExtractedData)) {
+      const items = JSON.stringify(this.lastExtractedData);
+      const paging = this.lastExtraction ? ` from ${this.lastExtraction.pages} page(s), stopped: ${this.lastExtraction.stopReason}` : '';
+      ctx += `\n\nEXTRACTED ${this.lastExtractedData.length} items${paging}:\n${items.substring(0, RESPONSE_PREVIEW_CHARS)}`;
+      if (items.length > RESPONSE_PREVIEW_CHARS) ctx += `\n... (${items.length} chars total)`;
+    }
+    if (this.downloads.length > 0) {
+      ctx += `\n\nDOWNLOADED: ${this.downloads.map((d) => `${path.basename(d.path)} (${d.size} bytes)`).join(', ')}`;
+    }
+    if (/file|upload|attach|choose/i.test(pageInfo)) {
+      const files = fileTransfer.listUploadableFiles({ uploadDir: this.uploadDir, limit: 20 });
+      if (files.length > 0) ctx += `\n\nUPLOADABLE FILES: ${files.join(', ')}`;
+    }
+    if (this.lastError) {
+      ctx += `\n\nYOUR LAST ACTION FAILED: ${formatActionError(this.lastError)}`;
+      ctx += `\nFix it and respond with one valid action for the current page.`;
+    }
     return ctx;
   }
 
   /**
-   * Parse AI response into action.
+   * Hand the current step to the recorder, if any.
+   */
+  async record(step) {
+    if (!this.recorder) return;
+    await this.recorder.recordStep({ stepNum: this.stepCount, ...step, error: step.decision.error }, this.browser);
+  }
+
+  /**
+   * Refs from the latest role snapshot, or null when the page format has none.
+   */
+  async currentRefs() {
+    if (this.pageFormat !== 'aria') return null;
+    try {
+      return roleSnapshot.getRefs(await this.browser.getPage());
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Turn an askAI reply into a decision. Native tool calls map directly;
+   * plain text (no tools, or the model answered in JSON anyway) is parsed.
+   * @param {string|{ text, toolCall, usage }} response
+   * @returns {{ thought, action, params, error? }}
+   */
+  toDecision(response) {
+    if (!response || typeof response !== 'object') return this.parseDecision(response);
+    this.addUsage(response.usage);
+    const call = response.toolCall;
+    if (!call) return this.parseDecision(response.text);
+
+    const decision = { thought: String(response.text || '').trim(), action: call.name, params: call.input ?? {} };
+    if (call.error) decision.error = { code: 'parse_error', message: call.error, action: call.name };
+    return decision;
+  }
+
+  addUsage(usage) {
+    this.usage.calls++;
+    if (usage) {
+      this.usage.inputTokens += usage.inputTokens || 0;
+      this.usage.outputTokens += usage.outputTokens || 0;
+    }
+    this.emit('usage', { stepNum: this.stepCount, call: usage || null, total: { ...this.usage } });
+  }
+
+  /**
+   * Parse a plain-text AI reply into a decision.
+   * Unparseable replies come back with a structured `error` instead of throwing.
    */
   parseDecision(response) {
-    let text = response.trim();
+    let text = String(response || '').trim();
     text = text.replace(/^```json\s*/i, '').replace(/^```\s*/i, '').replace(/\s*```$/i, '');
     
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (!jsonMatch) {
-      return { thought: 'Failed to parse AI response', action: 'error', params: { message: text.substring(0, 200) } };
+      return {
+        thought: text.substring(0, 200), action: null, params: {},
+        error: { code: 'parse_error', message: 'Response was not a JSON object', action: null },
+      };
     }
 
     try {
       const parsed = JSON.parse(jsonMatch[0]);
-      if (!parsed.action) return { thought: 'No action', action: 'error', params: { message: 'Missing action' } };
       return {
-        thought: parsed.thought || '',
-        action: parsed.action,
-        params: parsed.params || {},
+        thought: typeof parsed.thought === 'string' ? parsed.thought : '',
+        action: typeof parsed.action === 'string' ? parsed.action.trim() : null,
+        params: parsed.params === undefined ? {} : parsed.params,
       };
     } catch (e) {
-      return { thought: 'Parse error', action: 'error', params: { message: e.message } };
+      return {
+        thought: text.substring(0, 200), action: null, params: {},
+        error: { code: 'parse_error', message: `Invalid JSON: ${e.message}`, action: null },
+      };
     }
   }
 
@@ -168,54 +400,140 @@ class WebNavigator extends EventEmitter {
    * Execute a navigation action.
    */
   async executeAction(action, params) {
+    const previousStart = this.actionStartedAt;
+    this.actionStartedAt = Date.now();
     switch (action) {
       case 'goto':
-        await browser.goto(params.url);
+        await this.browser.goto(params.url);
         break;
       case 'click':
-        await browser.click(params.selector || params.text);
+        await this.browser.click(params.ref || params.selector || params.text);
         break;
       case 'type':
-        await browser.type(params.selector || params.field, params.text);
+        await this.browser.type(params.ref || params.selector || params.field, params.text);
         break;
       case 'press_key':
-        await browser.pressKey(params.key);
+        await this.browser.pressKey(params.key);
         break;
       case 'scroll':
-        await browser.scroll(params.direction || 'down', params.amount || 500);
+        await this.browser.scroll(params.direction || 'down', params.amount || 500);
         break;
       case 'back':
-        await browser.goBack();
+        await this.browser.goBack();
         break;
       case 'new_tab':
-        await browser.newTab(params.url);
+        await this.browser.newTab(params.url);
         break;
       case 'switch_tab':
-        await browser.switchTab(params.index);
+        await this.browser.switchTab(params.index);
         break;
       case 'close_tab':
-        await browser.closeTab();
+        await this.browser.closeTab();
         break;
       case 'wait':
         await new Promise(r => setTimeout(r, params.ms || 2000));
         break;
       case 'save_cookies':
-        await browser.saveCookies(params.name || 'default');
+        await this.browser.saveCookies(params.name || 'default');
         break;
       case 'load_cookies':
-        await browser.loadCookies(params.name || 'default');
+        await this.browser.loadCookies(params.name || 'default');
+        break;
+      case 'wait_for_response': {
+        // The response was caused by the action before this one (the click or
+        // submit), so only count what arrived since it started, not older calls
+        // to the same URL. JSON bodies become the extracted data, like 'extract'.
+        const response = await networkCapture.waitForResponse(this.browser, params.url, {
+          timeoutMs: params.timeout,
+          since: previousStart ?? undefined,
+        });
+        this.lastResponse = response;
+        if (response.json !== undefined) this.lastExtractedData = response.json;
+        break;
+      }
+      case 'upload':
+        await this.browser.upload(params.ref || params.selector || params.text || null, params.files, { uploadDir: this.uploadDir });
         break;
-      case 'extract':
+      case 'download': {
+        const file = await this.browser.download(params.ref || params.selector || params.text, {
+          timeoutMs: params.timeout,
+          maxBytes: this.maxDownloadBytes,
+        });
+        this.downloads.push(file);
+        break;
+      }
+      case 'extract': {
         // Extract data and store in result — AI will use 'done' with it
-        const items = await analyzer.extractItems(params.selector, params.fields || {});
-        this.lastExtractedData = items;
+        this.lastExtraction = null;
+        if (!params.pages && !params.mode) {
+          this.lastExtractedData = await analyzer.extractItems(params.selector, params.fields || {}, this.browser);
+          break;
+        }
+        this.paginator = new analyzer.ItemPaginator(params.selector, params.fields || {}, {
+          mode: params.mode,
+          next: params.next,
+          key: params.key,
+          maxPages: params.pages,
+          maxItems: params.max_items,
+          delay: this.stepDelay,
+        }, this.browser);
+        this.paginator.on('batch', (batch) => this.emit('extract_batch', { stepNum: this.stepCount, ...batch }));
+        try {
+          const collected = await this.paginator.run();
+          this.lastExtractedData = collected.items;
+          this.lastExtraction = collected;
+          if (collected.stopReason === 'error' && collected.items.length === 0) throw new Error(collected.error);
+        } finally {
+          this.paginator = null;
+        }
         break;
+      }
       default:
         throw new Error(`Unknown action: ${action}`);
     }
   }
 
-  stop() { this.running = false; }
+  /**
+   * Hold a payment, send, delete or publish action (or sensitive typed text) until
+   * onSensitiveAction decides. A denial goes back to the AI as an action_denied error.
+   * @returns {Promise<object|null>} The error, or null to go ahead
+   */
+  async checkApproval(decision, target, url) {
+    if (!this.onSensitiveAction) return null;
+    const risk = approval.classifyAction(decision, { target });
+    if (!risk) return null;
+    const approved = await this.onSensitiveAction({
+      ...risk,
+      action: decision.action,
+      params: decision.params,
+      thought: decision.thought,
+      url,
+      stepNum: this.stepCount,
+    }).catch(() => false);
+    if (approved) return null;
+    return { code: 'action_denied', message: `The user did not allow this: ${risk.reason}`, action: decision.action };
+  }
+
+  /**
+   * Pause for the user to clear a CAPTCHA or login wall, then re-read the page.
+   * The blocked step isn't counted, and a note in the step history tells the AI what happened.
+   * @returns {Promise<boolean>} true to carry on, false when there's no handoff or it was cancelled
+   */
+  async handOff(kind, url) {
+    if (!this.onBlocked || !this.running) return false;
+    const resumed = await this.onBlocked({ kind, url, stepNum: this.stepCount }).catch(() => false);
+    if (!resumed || !this.running) return false;
+    this.stepCount--;
+    this.lastError = null;
+    const what = kind === 'captcha' ? 'solved a CAPTCHA' : 'signed in';
+    this.steps.push({ thought: `The user ${what} at ${url || 'this page'} — continuing`, action: 'handoff', params: { kind } });
+    return true;
+  }
+
+  stop() {
+    this.running = false;
+    if (this.paginator) this.paginator.stop();
+  }
 }
 
 // ─── System Prompt ───────────────────────────────────
@@ -223,37 +541,29 @@ const NAVIGATOR_PROMPT = `You are Root AI's Web Navigator. You browse websites t
 
 You receive the current page analysis and must decide the NEXT action.
 
-RESPOND WITH EXACTLY ONE JSON OBJECT:
+EACH STEP: first write one or two sentences on what you see and plan, then call exactly one action tool.
+If no tools are available, RESPOND WITH EXACTLY ONE JSON OBJECT instead:
 
 {"thought":"what you see and plan","action":"<action>","params":{...}}
 
 ACTIONS:
-- goto:        {"url":"https://..."} — Navigate to URL
-- click:       {"text":"button text"} or {"selector":"#id"} — Click element
-- type:        {"field":"Search","text":"React developer"} — Type in input (field = label/placeholder/selector)
-- press_key:   {"key":"Enter"} — Press keyboard key
-- scroll:      {"direction":"down","amount":500} — Scroll page
-- back:        {} — Go back
-- new_tab:     {"url":"https://..."} — Open new tab
-- switch_tab:  {"index":0} — Switch to tab
-- close_tab:   {} — Close current tab
-- wait:        {"ms":2000} — Wait for page load
-- save_cookies: {"name":"upwork"} — Save session
-- load_cookies: {"name":"upwork"} — Restore session
-- extract:     {"selector":".job-card","fields":{"title":"h3","budget":".budget"}} — Extract data
-- done:        {"result":"extracted data or summary"} — Goal accomplished!
-- error:       {"message":"why failed"} — Cannot complete goal
+${describeActions()}
 
 STRATEGY:
 - Read the page summary carefully before acting
 - Use form labels/placeholders to identify input fields
 - Click buttons by their visible text
+- If the page shows [ref=eN] markers, act on elements by ref — refs are only valid for the latest page
+- If your last action was rejected, read the error and send a corrected action
 - After typing in search, press Enter
 - Wait after navigation for page to load
 - If page has CAPTCHA, report error
 - If login needed, try loading saved cookies first
 - Extract structured data when goal asks for information
+- If the data comes from an API call (search results, infinite lists), use wait_for_response to read its JSON
 - Use "done" with the result when goal is accomplished`;
 
+const TOOLS = toolDefinitions();
+
 // ─── Exports ─────────────────────────────────────────
 module.exports = { WebNavigator, NAVIGATOR_PROMPT };
@@ -0,0 +1,385 @@
+/**
+ * network-capture.js — Request/response capture and HAR export
+ *
+ * Capture is opt-in per BrowserContext (setNetworkCapture, or createContext
+ * with { captureNetwork: true }). Pages of a capturing context are observed:
+ * requests with their post data, responses, failures and (for XHR/fetch) the
+ * response body are kept in a bounded per-page log. Scraping tasks can then
+ * read the JSON an API call returned instead of the rendered text. Other
+ * contexts keep nothing — wait_for_response still works there, for responses
+ * that arrive after the wait starts.
+ *
+ * Usage:
+ *   const capture = require('./network-capture');
+ *   await ctx.setNetworkCapture(true);
+ *   capture.getRequests(ctx, { urlPattern: '/api/', resourceType: 'xhr' });
+ *   const resp = await capture.waitForResponse(ctx, '/api/search');
+ *   capture.exportHar(ctx, { name: 'run' }); // → ~/.root-ai/browser-har/run.har
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// ─── Config ──────────────────────────────────────────
+const HAR_DIR = path.join(os.homedir(), '.root-ai', 'browser-har');
+const MAX_ENTRIES_PER_PAGE = 500;
+const MAX_BODY_CHARS = 200000;
+const BODY_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+const TEXT_MIME = /json|text|javascript|xml|graphql/i;
+const DEFAULT_WAIT_TIMEOUT = 20000;
+
+// page → { entries, byRequest, nextId }
+const pageLogs = new WeakMap();
+
+// ─── Observation ─────────────────────────────────────
+
+/**
+ * Start capturing a page's traffic. Idempotent.
+ * Called by a capturing BrowserContext whenever it creates or hands out a page.
+ * @param {object} page - Puppeteer page
+ */
+function observePage(page) {
+  if (!page || pageLogs.has(page)) return;
+  const log = { entries: [], byRequest: new WeakMap(), nextId: 0, listeners: {} };
+  pageLogs.set(page, log);
+  const on = (event, listener) => {
+    log.listeners[event] = listener;
+    page.on(event, listener);
+  };
+
+  on('request', (req) => {
+    const entry = {
+      id: `r${++log.nextId}`,
+      startedAt: new Date().toISOString(),
+      startMs: Date.now(),
+      method: req.method(),
+      url: req.url(),
+      resourceType: req.resourceType(),
+      requestHeaders: req.headers(),
+      postData: req.postData() || null,
+      status: null,
+      statusText: null,
+      responseHeaders: null,
+      mimeType: null,
+      ok: null,
+      failureText: null,
+      durationMs: null,
+      body: null,
+      bodyTruncated: false,
+      finished: false, // response (and body, if captured) fully read
+    };
+    log.byRequest.set(req, entry);
+    log.entries.push(entry);
+    if (log.entries.length > MAX_ENTRIES_PER_PAGE) log.entries.shift();
+  });
+
+  on('response', (resp) => {
+    const entry = log.byRequest.get(resp.request());
+    if (!entry) return;
+    const headers = resp.headers();
+    entry.status = resp.status();
+    entry.statusText = resp.statusText();
+    entry.responseHeaders = headers;
+    entry.mimeType = (headers['content-type'] || '').split(';')[0].trim() || null;
+    entry.ok = resp.ok();
+  });
+
+  on('requestfinished', async (req) => {
+    const entry = log.byRequest.get(req);
+    if (!entry) return;
+    entry.durationMs = Date.now() - entry.startMs;
+    if (BODY_RESOURCE_TYPES.has(entry.resourceType) && TEXT_MIME.test(entry.mimeType || '')) {
+      try {
+        const text = await req.response().text();
+        entry.bodyTruncated = text.length > MAX_BODY_CHARS;
+        entry.body = entry.bodyTruncated ? text.substring(0, MAX_BODY_CHARS) : text;
+      } catch (e) { /* body gone (navigation, redirect) */ }
+    }
+    entry.finished = true;
+  });
+
+  on('requestfailed', (req) => {
+    const entry = log.byRequest.get(req);
+    if (!entry) return;
+    entry.durationMs = Date.now() - entry.startMs;
+    entry.ok = false;
+    entry.failureText = req.failure()?.errorText || 'failed';
+    entry.finished = true;
+  });
+}
+
+/**
+ * Stop capturing a page's traffic and drop what was captured.
+ * @param {object} page - Puppeteer page
+ */
+function unobservePage(page) {
+  const log = page && pageLogs.get(page);
+  if (!log) {
+    return;
+  }
+  for (const [event, listener] of Object.entries(log.listeners)) {
+    page.off(event, listener);
+  }
+  pageLogs.delete(page);
+}
+
+/**
+ * Refuse to read a log that a context never keeps.
+ * Contexts (and the flat browser API) say whether they capture; fakes that don't are read as is.
+ */
+function assertCapturing(ctx) {
+  if (ctx.captureNetwork === false) {
+    throw new Error('Network capture is off for this browser context — turn it on with setNetworkCapture(true)');
+  }
+}
+
+// ─── Querying ────────────────────────────────────────
+
+/**
+ * Captured requests on the context's active page, oldest first.
+ *
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {object} [filter]
+ * @param {string} [filter.urlPattern] - Substring, exact URL, or glob with * / **
+ * @param {string|string[]} [filter.resourceType] - e.g. 'xhr', ['xhr', 'fetch'], 'document'
+ * @param {boolean} [filter.failedOnly=false]
+ * @param {number} [filter.limit] - Keep only the most recent N
+ * @param {boolean} [filter.includeBodies=false] - Include captured response bodies
+ * @returns {Promise<Array<object>>}
+ */
+async function getRequests(ctx, filter = {}) {
+  assertCapturing(ctx);
+  const page = await ctx.getPage();
+  return filterEntries(pageLogs.get(page)?.entries || [], filter).map((e) => summarize(e, filter.includeBodies));
+}
+
+/**
+ * Forget everything captured on the context's active page.
+ */
+async function clearRequests(ctx) {
+  const page = await ctx.getPage();
+  const log = pageLogs.get(page);
+  if (log) log.entries = [];
+}
+
+/**
+ * Wait for a response whose URL matches the pattern and return its body.
+ * A matching response already captured since `since` counts, so a wait that
+ * comes just after the triggering click does not miss it. Pass the start of that
+ * click; the default (now) only takes responses that arrive from here on.
+ *
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {string} urlPattern - Substring, exact URL, or glob with * / **
+ * @param {object} [options] - { timeoutMs: 20000, maxChars: 200000, since: Date.now() }
+ * @returns {Promise<{ url, status, headers, mimeType, body, json, truncated }>}
+ */
+async function waitForResponse(ctx, urlPattern, options = {}) {
+  const pattern = String(urlPattern ?? '').trim();
+  if (!pattern) throw new Error('url pattern is required');
+  const timeout = options.timeoutMs || DEFAULT_WAIT_TIMEOUT;
+  const maxChars = options.maxChars || MAX_BODY_CHARS;
+  const since = options.since ?? Date.now();
+  const page = await ctx.getPage();
+
+  const recent = (pageLogs.get(page)?.entries || [])
+    .filter((e) => e.startMs >= since && e.finished && e.status !== null && matchUrlPattern(pattern, e.url))
+    .pop();
+  if (recent) return toResponseResult(recent, maxChars);
+
+  let resp;
+  try {
+    resp = await page.waitForResponse((r) => matchUrlPattern(pattern, r.url()), { timeout });
+  } catch (e) {
+    const seen = filterEntries(pageLogs.get(page)?.entries || [], { resourceType: ['xhr', 'fetch'], limit: 5 });
+    const hint = seen.length ? ` Recent XHR/fetch: ${seen.map((r) => r.url).join(', ')}` : '';
+    throw new Error(`No response matching "${pattern}" within ${timeout}ms.${hint}`);
+  }
+
+  let text = '';
+  try {
+    text = await resp.text();
+  } catch (e) {
+    throw new Error(`Failed to read response body for "${resp.url()}": ${e.message}`);
+  }
+  const headers = resp.headers();
+  return toResponseResult({
+    url: resp.url(),
+    status: resp.status(),
+    responseHeaders: headers,
+    mimeType: (headers['content-type'] || '').split(';')[0].trim() || null,
+    body: text,
+    bodyTruncated: false,
+  }, maxChars);
+}
+
+// ─── HAR Export ──────────────────────────────────────
+
+/**
+ * Build a HAR 1.2 log from every tab in the context.
+ * With `options.name` it is also written to ~/.root-ai/browser-har/<name>.har,
+ * readable by this user only. HARs carry cookies and auth headers, so there is
+ * no way to write one anywhere else.
+ *
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {object} [options] - { name, urlPattern, resourceType }
+ * @returns {Promise<{ har: object, path: string|null, entries: number }>}
+ */
+async function exportHar(ctx, options = {}) {
+  assertCapturing(ctx);
+  // BrowserContexts export all their tabs; the flat browser API only knows its active page
+  const pages = ctx.target ? await (await ctx.target()).pages() : [await ctx.getPage()];
+
+  const harPages = [];
+  const entries = [];
+  for (let i = 0; i < pages.length; i++) {
+    const log = pageLogs.get(pages[i]);
+    if (!log) continue;
+    const pageref = `page_${i + 1}`;
+    const selected = filterEntries(log.entries, options);
+    if (selected.length === 0) continue;
+    harPages.push({
+      startedDateTime: selected[0].startedAt,
+      id: pageref,
+      title: await pages[i].title().catch(() => pages[i].url()),
+      pageTimings: {},
+    });
+    for (const entry of selected) entries.push(toHarEntry(entry, pageref));
+  }
+  entries.sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+  const har = {
+    log: {
+      version: '1.2',
+      creator: { name: 'Root AI Browser Agent', version: '1.0' },
+      pages: harPages,
+      entries,
+    },
+  };
+
+  let file = null;
+  if (options.name) {
+    if (!/^[\w-][\w.-]*$/.test(options.name)) throw new Error(`Invalid HAR name: ${options.name}`);
+    file = path.join(HAR_DIR, `${options.name}.har`);
+    fs.mkdirSync(HAR_DIR, { recursive: true, mode: 0o700 });
+    writePrivate(file, JSON.stringify(har, null, 2));
+  }
+  return { har, path: file, entries: entries.length };
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+// Owner-only permissions, also when replacing an older export; write-then-rename so a crash never leaves half a file
+function writePrivate(filePath, content) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Same matching rules as the gateway browser tool (src/browser/pw-tools-core.responses.ts):
+ * exact URL, glob with * / **, or substring.
+ */
+function matchUrlPattern(pattern, url) {
+  const p = String(pattern || '').trim();
+  if (!p) return false;
+  if (p === url) return true;
+  if (p.includes('*')) {
+    const escaped = p.replace(/[|\\{}()[\]^$+?.]/g, '\\$&');
+    const regex = new RegExp(`^${escaped.replace(/\*\*/g, '.*').replace(/\*/g, '.*')}$`);
+    return regex.test(url);
+  }
+  return url.includes(p);
+}
+
+function filterEntries(entries, filter = {}) {
+  const types = filter.resourceType ? [].concat(filter.resourceType) : null;
+  let result = entries.filter((e) => {
+    if (filter.urlPattern && !matchUrlPattern(filter.urlPattern, e.url)) return false;
+    if (types && !types.includes(e.resourceType)) return false;
+    if (filter.failedOnly && e.ok !== false) return false;
+    return true;
+  });
+  if (filter.limit) result = result.slice(-filter.limit);
+  return result;
+}
+
+function summarize(entry, includeBody) {
+  const { startMs, finished, requestHeaders, responseHeaders, body, bodyTruncated, ...summary } = entry;
+  if (includeBody) {
+    summary.body = body;
+    summary.bodyTruncated = bodyTruncated;
+  }
+  return summary;
+}
+
+function toResponseResult(entry, maxChars) {
+  const text = entry.body || '';
+  const truncated = entry.bodyTruncated || text.length > maxChars;
+  const body = text.length > maxChars ? text.substring(0, maxChars) : text;
+  let json;
+  if (/json/i.test(entry.mimeType || '') || /^\s*[[{]/.test(body)) {
+    try { json = JSON.parse(body); } catch (e) { /* not JSON (or truncated) */ }
+  }
+  return {
+    url: entry.url,
+    status: entry.status,
+    headers: entry.responseHeaders || {},
+    mimeType: entry.mimeType,
+    body,
+    json,
+    truncated,
+  };
+}
+
+function toHarEntry(entry, pageref) {
+  const url = new URL(entry.url);
+  const content = { size: entry.body ? entry.body.length : -1, mimeType: entry.mimeType || '' };
+  if (entry.body !== null) content.text = entry.body;
+  return {
+    pageref,
+    startedDateTime: entry.startedAt,
+    time: entry.durationMs ?? -1,
+    request: {
+      method: entry.method,
+      url: entry.url,
+      httpVersion: 'HTTP/1.1',
+      headers: toHarHeaders(entry.requestHeaders),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      cookies: [],
+      headersSize: -1,
+      bodySize: entry.postData ? entry.postData.length : 0,
+      ...(entry.postData ? { postData: { mimeType: entry.requestHeaders['content-type'] || '', text: entry.postData } } : {}),
+    },
+    response: {
+      status: entry.status ?? 0,
+      statusText: entry.failureText || entry.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      headers: toHarHeaders(entry.responseHeaders),
+      cookies: [],
+      content,
+      redirectURL: entry.responseHeaders?.location || '',
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: entry.durationMs ?? -1, receive: 0 },
+    _resourceType: entry.resourceType,
+  };
+}
+
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  observePage,
+  unobservePage,
+  getRequests,
+  clearRequests,
+  waitForResponse,
+  exportHar,
+  matchUrlPattern,
+  HAR_DIR,
+};
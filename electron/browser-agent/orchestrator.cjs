@@ -9,15 +9,15 @@
  */
 
 const EventEmitter = require('events');
-const browser = require('./browser');
-const loginManager = require('./login-manager');
-const analyzer = require('./page-analyzer');
-const proposalWriter = require('./proposal-writer');
-const messenger = require('./messenger');
-const codeAgent = require('./code-agent');
-const dashboard = require('./dashboard');
-const { WebNavigator } = require('./navigator');
-const { callGatewayForWebAgent } = require('./ai-bridge');
+const browser = require('./browser.cjs');
+const loginManager = require('./login-manager.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const proposalWriter = require('./proposal-writer.cjs');
+const messenger = require('./messenger.cjs');
+const codeAgent = require('./code-agent.cjs');
+const dashboard = require('./dashboard.cjs');
+const { WebNavigator } = require('./navigator.cjs');
+const { callGatewayForWebAgent } = require('./ai-bridge.cjs');
 
 // Approval levels
 const APPROVAL_LEVELS = {
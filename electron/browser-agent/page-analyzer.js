@@ -8,17 +8,28 @@
  * - Available actions (what can the user do on this page?)
  */
 
+const EventEmitter = require('events');
 const browser = require('./browser');
+const roleSnapshot = require('./role-snapshot');
+
+// Summary formats: 'dom' (scraped headings/buttons/links) or 'aria' (role snapshot with refs)
+const SUMMARY_FORMATS = ['dom', 'aria'];
+
+// Paginated extraction: 'next' clicks a next/load-more control, 'scroll' scrolls
+// to the bottom, 'auto' clicks when a next control exists and scrolls otherwise
+const PAGINATION_MODES = ['auto', 'next', 'scroll'];
+const NEXT_MARKER = 'data-root-ai-next';
 
 // ─── Page Structure Extraction ───────────────────────
 
 /**
  * Analyze current page and return structured summary.
  * This gives the AI everything it needs to understand the page.
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
  * @returns {Promise<object>} Page analysis result
  */
-async function analyzePage() {
-  const page = await browser.getPage();
+async function analyzePage(ctx = browser) {
+  const page = await ctx.getPage();
 
   const analysis = await page.evaluate(() => {
     const result = {
@@ -187,10 +198,15 @@ async function analyzePage() {
  * Get a concise text summary of the page (for AI context).
  * Keeps it under maxChars to save tokens.
  * @param {number} [maxChars=3000]
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
+ * @param {string} [format='dom'] - 'dom' | 'aria' (see SUMMARY_FORMATS)
  * @returns {Promise<string>}
  */
-async function getPageSummary(maxChars = 3000) {
-  const a = await analyzePage();
+async function getPageSummary(maxChars = 3000, ctx = browser, format = 'dom') {
+  if (!SUMMARY_FORMATS.includes(format)) throw new Error(`Unknown summary format: ${format}`);
+  if (format === 'aria') return getRoleSnapshotSummary(maxChars, ctx);
+
+  const a = await analyzePage(ctx);
   
   let summary = `PAGE: ${a.title}\nURL: ${a.url}\nTYPE: ${a.type}\n`;
   
@@ -231,6 +247,29 @@ async function getPageSummary(maxChars = 3000) {
   return summary.substring(0, maxChars);
 }
 
+/**
+ * Accessibility-role summary of the page: every interactive element gets a
+ * ref (e.g. "e12") that click/type accept in place of a selector.
+ * @param {number} [maxChars=3000]
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
+ * @returns {Promise<string>}
+ */
+async function getRoleSnapshotSummary(maxChars = 3000, ctx = browser) {
+  const page = await ctx.getPage();
+  const { snapshot, refs } = await roleSnapshot.takeRoleSnapshot(ctx);
+
+  let summary = `PAGE: ${await page.title()}\nURL: ${page.url()}\n`;
+  summary += `REFS: ${Object.keys(refs).length} (use {"ref":"eN"} to click/type)\n\n`;
+  summary += snapshot;
+
+  if (summary.length > maxChars) {
+    // Too long: re-snapshot interactive-only so the refs we keep are the ones shown
+    const interactive = await roleSnapshot.takeRoleSnapshot(ctx, { interactive: true });
+    summary = `PAGE: ${await page.title()}\nURL: ${page.url()}\n(interactive elements only)\n\n${interactive.snapshot}`;
+  }
+  return summary.substring(0, maxChars);
+}
+
 /**
  * Extract data from page as structured list items.
  * AI-friendly: returns array of objects with consistent keys.
@@ -238,10 +277,11 @@ async function getPageSummary(maxChars = 3000) {
  * 
  * @param {string} itemSelector - CSS selector for each item container
  * @param {object} fieldMap - { fieldName: 'cssSelector' } mapping
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
  * @returns {Promise<Array<object>>}
  */
-async function extractItems(itemSelector, fieldMap) {
-  const page = await browser.getPage();
+async function extractItems(itemSelector, fieldMap, ctx = browser) {
+  const page = await ctx.getPage();
   
   return page.$$eval(itemSelector, (items, fields) => {
     return items.map(item => {
@@ -262,12 +302,242 @@ async function extractItems(itemSelector, fieldMap) {
   }, fieldMap);
 }
 
+// ─── Paginated Extraction ────────────────────────────
+
+/**
+ * Extract items across pages: follows the "next" link (or "Load more" button)
+ * or scrolls until no new items appear. Items are de-duplicated by a key field
+ * and streamed as they are found.
+ *
+ * Events:
+ *   'batch' → { page, url, items, total }  (items = new items only)
+ *   'done'  → { items, pages, stopReason, error? }
+ *
+ * Stop reasons: max_items, max_pages, no_next, end_of_list, no_new_items, stopped, error
+ *
+ * Usage:
+ *   const paginator = new ItemPaginator('.job-card', { title: 'h3' }, { key: 'link', maxPages: 5 });
+ *   paginator.on('batch', ({ items }) => save(items));
+ *   const { items, stopReason } = await paginator.run();
+ */
+class ItemPaginator extends EventEmitter {
+  /**
+   * @param {string} itemSelector - CSS selector for each item container
+   * @param {object} fieldMap - { fieldName: 'cssSelector' } mapping
+   * @param {object} [options]
+   * @param {string} [options.mode='auto'] - 'auto', 'next' or 'scroll'
+   * @param {string} [options.next] - CSS selector or visible text of the next control (default: rel=next / "Next" / "Load more" heuristics)
+   * @param {string} [options.key] - Field used to de-duplicate items (default: the whole item)
+   * @param {number} [options.maxItems=200] - Stop once this many unique items were collected
+   * @param {number} [options.maxPages=10] - Stop after this many pages / scroll rounds
+   * @param {number} [options.idleRounds=2] - Stop after this many rounds in a row without new items
+   * @param {number} [options.waitMs] - How long to wait for new content after each step (next: 10000, scroll: 3000)
+   * @param {number[]} [options.delay] - [min, max] ms pause between pages (default 500–1500)
+   * @param {object} [ctx] - Browser context (defaults to the shared browser)
+   */
+  constructor(itemSelector, fieldMap, options = {}, ctx = browser) {
+    super();
+    this.itemSelector = itemSelector;
+    this.fieldMap = fieldMap || {};
+    this.ctx = ctx;
+    this.mode = options.mode || 'auto';
+    if (!PAGINATION_MODES.includes(this.mode)) {
+      throw new Error(`Unknown pagination mode "${this.mode}" (expected ${PAGINATION_MODES.join(', ')})`);
+    }
+    this.next = options.next || null;
+    this.key = options.key || null;
+    this.maxItems = options.maxItems || 200;
+    this.maxPages = options.maxPages || 10;
+    this.idleRounds = options.idleRounds || 2;
+    this.waitMs = options.waitMs || null;
+    this.delay = options.delay || [500, 1500];
+    this.running = false;
+  }
+
+  /**
+   * Collect items until a budget is hit or the list runs out.
+   * Never throws for page errors — they end the run with stopReason 'error'
+   * and whatever was collected so far.
+   * @returns {Promise<{ items: Array<object>, pages: number, stopReason: string, error?: string }>}
+   */
+  async run() {
+    if (this.running) throw new Error('Paginator already running');
+    this.running = true;
+
+    const seen = new Set();
+    const items = [];
+    let pages = 0;
+    let idle = 0;
+    let stopReason = null;
+    let error;
+
+    try {
+      while (!stopReason) {
+        pages++;
+        const page = await this.ctx.getPage();
+        const found = await extractItems(this.itemSelector, this.fieldMap, this.ctx);
+
+        const fresh = [];
+        for (const item of found) {
+          if (items.length + fresh.length >= this.maxItems) break;
+          const key = this.keyOf(item);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          fresh.push(item);
+        }
+        items.push(...fresh);
+        this.emit('batch', { page: pages, url: page.url(), items: fresh, total: items.length });
+
+        idle = fresh.length === 0 ? idle + 1 : 0;
+        if (items.length >= this.maxItems) stopReason = 'max_items';
+        else if (!this.running) stopReason = 'stopped';
+        else if (idle >= this.idleRounds) stopReason = 'no_new_items';
+        else if (pages >= this.maxPages) stopReason = 'max_pages';
+        else {
+          stopReason = await this.advance();
+          if (!stopReason) await this.ctx.humanDelay(...this.delay);
+        }
+      }
+    } catch (e) {
+      stopReason = 'error';
+      error = e.message;
+    }
+
+    this.running = false;
+    const result = { items, pages, stopReason };
+    if (error) result.error = error;
+    this.emit('done', result);
+    return result;
+  }
+
+  stop() { this.running = false; }
+
+  keyOf(item) {
+    const value = this.key ? item[this.key] : '';
+    return value ? `${this.key}:${value}` : JSON.stringify(item);
+  }
+
+  /**
+   * Move to the next page of items.
+   * @returns {Promise<string|null>} Stop reason, or null when new content may have loaded
+   */
+  async advance() {
+    const page = await this.ctx.getPage();
+    if (this.mode !== 'scroll') {
+      const hasNext = await page.evaluate(markNextControl, this.next, NEXT_MARKER);
+      if (hasNext) {
+        const before = await this.signature();
+        await this.ctx.click(`[${NEXT_MARKER}]`);
+        const changed = await this.waitForChange(before, this.waitMs || 10000);
+        return changed ? null : 'no_new_items';
+      }
+      if (this.mode === 'next') return 'no_next';
+    }
+
+    const before = await this.signature();
+    await page.evaluate(() => {
+      const root = document.scrollingElement || document.documentElement;
+      window.scrollTo(0, root.scrollHeight);
+    });
+    const changed = await this.waitForChange(before, this.waitMs || 3000);
+    return changed ? null : 'end_of_list';
+  }
+
+  /**
+   * Fingerprint of the list: URL, item count, first/last item text and page
+   * height. Reading it can fail mid-navigation — that counts as "changing".
+   */
+  async signature() {
+    try {
+      const page = await this.ctx.getPage();
+      return await page.evaluate((selector) => {
+        const items = document.querySelectorAll(selector);
+        const text = (el) => (el ? el.innerText.trim().substring(0, 200) : '');
+        const root = document.scrollingElement || document.documentElement;
+        return [location.href, items.length, text(items[0]), text(items[items.length - 1]), root.scrollHeight].join('|');
+      }, this.itemSelector);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Poll until the list signature changes, then give the items a moment to render.
+   * @returns {Promise<boolean>} false if nothing changed within timeoutMs
+   */
+  async waitForChange(before, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 250));
+      const now = await this.signature();
+      if (now !== null && now !== before) {
+        const page = await this.ctx.getPage();
+        await page.waitForSelector(this.itemSelector, { timeout: Math.max(deadline - Date.now(), 1000) }).catch(() => {});
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * Runs in the page: find the next/load-more control and tag it with `marker`
+ * so it can be clicked by selector. Disabled and hidden controls don't count.
+ */
+function markNextControl(next, marker) {
+  document.querySelectorAll(`[${marker}]`).forEach((el) => el.removeAttribute(marker));
+
+  const usable = (el) => {
+    if (!el || el.disabled || el.getAttribute('aria-disabled') === 'true') return false;
+    if (/\bdisabled\b/i.test(el.className || '')) return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  };
+  const clickable = () => Array.from(document.querySelectorAll('a[href], button, [role="button"], [role="link"], input[type="button"], input[type="submit"]'));
+  const label = (el) => (el.innerText || el.value || el.getAttribute('aria-label') || '').trim();
+
+  let candidates = [];
+  if (next) {
+    try { candidates = Array.from(document.querySelectorAll(next)); } catch (e) { /* not a selector — match by text */ }
+    if (candidates.length === 0) {
+      const wanted = next.trim().toLowerCase();
+      candidates = clickable().filter((el) => label(el).toLowerCase() === wanted);
+    }
+  } else {
+    candidates = [
+      ...document.querySelectorAll('a[rel~="next"], button[rel~="next"]'),
+      ...document.querySelectorAll('a[aria-label*="next" i], button[aria-label*="next" i]'),
+      ...clickable().filter((el) => /^(next( page)?|load more|show more|more results|›|»|→|>)$/i.test(label(el))),
+    ];
+  }
+
+  const target = candidates.find(usable);
+  if (!target) return false;
+  target.setAttribute(marker, '1');
+  return true;
+}
+
+/**
+ * Convenience wrapper around ItemPaginator.
+ * @param {string} itemSelector - CSS selector for each item container
+ * @param {object} fieldMap - { fieldName: 'cssSelector' } mapping
+ * @param {object} [options] - ItemPaginator options, plus onBatch(batch) to stream results
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
+ * @returns {Promise<{ items: Array<object>, pages: number, stopReason: string, error?: string }>}
+ */
+async function extractAllItems(itemSelector, fieldMap, options = {}, ctx = browser) {
+  const paginator = new ItemPaginator(itemSelector, fieldMap, options, ctx);
+  if (options.onBatch) paginator.on('batch', options.onBatch);
+  return paginator.run();
+}
+
 /**
  * Detect if page has a CAPTCHA.
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
  * @returns {Promise<boolean>}
  */
-async function hasCaptcha() {
-  const page = await browser.getPage();
+async function hasCaptcha(ctx = browser) {
+  const page = await ctx.getPage();
   return page.evaluate(() => {
     const html = document.documentElement.innerHTML.toLowerCase();
     return html.includes('captcha') || 
@@ -284,10 +554,11 @@ async function hasCaptcha() {
 
 /**
  * Detect if page requires login.
+ * @param {object} [ctx] - Browser context (defaults to the shared browser)
  * @returns {Promise<boolean>}
  */
-async function requiresLogin() {
-  const page = await browser.getPage();
+async function requiresLogin(ctx = browser) {
+  const page = await ctx.getPage();
   return page.evaluate(() => {
     const url = window.location.href.toLowerCase();
     const text = document.body.innerText.toLowerCase();
@@ -302,7 +573,12 @@ async function requiresLogin() {
 module.exports = {
   analyzePage,
   getPageSummary,
+  getRoleSnapshotSummary,
   extractItems,
+  extractAllItems,
+  ItemPaginator,
   hasCaptcha,
   requiresLogin,
+  SUMMARY_FORMATS,
+  PAGINATION_MODES,
 };
@@ -10,7 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { callGatewayForWebAgent } = require('./ai-bridge');
+const { callGatewayForWebAgent } = require('./ai-bridge.cjs');
 
 const PROFILE_PATH = path.join(os.homedir(), '.root-ai', 'freelancer-profile.json');
 const TEMPLATES_PATH = path.join(os.homedir(), '.root-ai', 'proposal-templates.json');
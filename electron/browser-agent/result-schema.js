@@ -0,0 +1,81 @@
+/**
+ * result-schema.js — Typed results for web tasks
+ *
+ * WebAgent.execute(task, { schema }) takes a JSON Schema for the data the
+ * task should produce. The navigator shows it to the AI, checks the "done"
+ * result against it and, when it doesn't match, hands the errors back for
+ * one repair round before giving up.
+ */
+
+// ─── Config ──────────────────────────────────────────
+const MAX_SCHEMA_CHARS = 3000; // schema text shown to the AI
+const MAX_ERRORS = 8;
+
+let ajv = null;
+
+/**
+ * Compile a JSON Schema into a result check.
+ * @param {object} schema
+ * @returns {function} (result) => { valid: boolean, value: any, errors: string[] }
+ *   value is the result parsed from JSON when the AI returned it as text
+ * @throws when the schema itself is invalid
+ */
+function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Result schema must be a JSON Schema object');
+  }
+  if (!ajv) {
+    const Ajv = require('ajv'); // only needed for typed results
+    ajv = new Ajv({ allErrors: true, strict: false });
+  }
+  let validate;
+  try {
+    validate = ajv.compile(schema);
+  } catch (e) {
+    throw new Error(`Invalid result schema: ${e.message}`);
+  }
+  return (result) => {
+    const value = parseResult(result);
+    if (validate(value)) return { valid: true, value, errors: [] };
+    return { valid: false, value, errors: formatErrors(validate.errors) };
+  };
+}
+
+/**
+ * Schema section of the navigator's page context.
+ */
+function describeSchema(schema) {
+  let text = JSON.stringify(schema);
+  if (text.length > MAX_SCHEMA_CHARS) text = `${text.slice(0, MAX_SCHEMA_CHARS)}… (truncated)`;
+  return 'RESULT SCHEMA: finish with "done" whose "result" is JSON data (not a sentence) '
+    + `valid against this JSON Schema:\n${text}`;
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+/**
+ * Results often come back as JSON text, sometimes fenced — parse those; anything else stays as is.
+ */
+function parseResult(result) {
+  if (typeof result !== 'string') return result;
+  const text = result.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  if (!/^[[{"]/.test(text)) return result;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return result;
+  }
+}
+
+function formatErrors(errors = []) {
+  const lines = errors.slice(0, MAX_ERRORS).map((e) => {
+    const where = e.instancePath || '(root)';
+    const extra = e.keyword === 'additionalProperties' ? ` "${e.params.additionalProperty}"` : '';
+    return `${where} ${e.message}${extra}`;
+  });
+  if (errors.length > MAX_ERRORS) lines.push(`… ${errors.length - MAX_ERRORS} more`);
+  return lines;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = { compileSchema, describeSchema };
@@ -0,0 +1,208 @@
+/**
+ * role-snapshot.js — Accessibility-role snapshot with stable element refs
+ *
+ * Alternative to page-analyzer's DOM scrape: walks puppeteer's accessibility
+ * tree and renders a compact outline where every interactive (and named
+ * content) node gets a ref like "e12":
+ *
+ *   - heading "Find Work" [level=1] [ref=e1]
+ *   - searchbox "Search for jobs" [ref=e2]
+ *   - button "Search" [ref=e3]
+ *
+ * Mirrors the gateway browser tool's format (src/browser/pw-role-snapshot.ts)
+ * so prompts look the same. Refs resolve back to elements via puppeteer's
+ * aria selectors (role + name, nth for duplicates).
+ */
+
+const INTERACTIVE_ROLES = new Set([
+  'button', 'link', 'textbox', 'checkbox', 'radio', 'combobox', 'listbox',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'searchbox',
+  'slider', 'spinbutton', 'switch', 'tab', 'treeitem',
+]);
+
+const CONTENT_ROLES = new Set([
+  'heading', 'cell', 'gridcell', 'columnheader', 'rowheader', 'listitem',
+  'article', 'region', 'main', 'navigation', 'dialog', 'alertdialog', 'alert',
+]);
+
+const STRUCTURAL_ROLES = new Set([
+  'generic', 'group', 'list', 'table', 'row', 'rowgroup', 'grid', 'treegrid',
+  'menu', 'menubar', 'toolbar', 'tablist', 'tree', 'directory', 'document',
+  'application', 'presentation', 'none', 'rootwebarea', 'webarea', 'section',
+  'paragraph', 'div', 'linebreak', 'inlinetextbox',
+]);
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 160;
+
+// Refs from the latest snapshot per page (page → { e1: { role, name, nth } })
+const refsByPage = new WeakMap();
+
+// ─── Snapshot Building ───────────────────────────────
+
+/**
+ * Render an accessibility tree into a role snapshot.
+ * Pure function — no browser access, easy to test.
+ *
+ * @param {object} root - Tree from page.accessibility.snapshot()
+ * @param {object} [options] - { interactive: false, compact: true, maxDepth }
+ * @returns {{ snapshot: string, refs: object }}
+ */
+function buildRoleSnapshot(root, options = {}) {
+  const compact = options.compact !== false;
+  const refs = {};
+  const counts = new Map(); // "role:name" → occurrences
+  const lines = [];
+  let counter = 0;
+
+  const visit = (node, depth) => {
+    if (!node) return;
+    const role = String(node.role || '').toLowerCase();
+    const fullName = clean(node.name, Infinity);
+    const name = clean(node.name, MAX_NAME_LENGTH);
+    const isInteractive = INTERACTIVE_ROLES.has(role);
+    const isContent = CONTENT_ROLES.has(role);
+    const isStructural = STRUCTURAL_ROLES.has(role);
+    const withinDepth = options.maxDepth === undefined || depth <= options.maxDepth;
+
+    let printed = false;
+    if (withinDepth) {
+      if (role === 'statictext' || role === 'text') {
+        if (!options.interactive && name) {
+          lines.push(`${indent(depth, options)}- text: ${clean(node.name, MAX_TEXT_LENGTH)}`);
+        }
+      } else if (isInteractive || (!options.interactive && isContent && name)) {
+        const ref = `e${++counter}`;
+        const key = `${role}:${fullName}`;
+        const nth = counts.get(key) || 0;
+        counts.set(key, nth + 1);
+        refs[ref] = { role, name: fullName, nth };
+        lines.push(`${indent(depth, options)}- ${role}${name ? ` "${name}"` : ''}${describeState(node)} [ref=${ref}]`);
+        printed = true;
+      } else if (!options.interactive && !(compact && isStructural && !name) && role) {
+        lines.push(`${indent(depth, options)}- ${role}${name ? ` "${name}"` : ''}`);
+        printed = true;
+      }
+    }
+
+    // Structural nodes we skipped don't add a nesting level
+    const childDepth = printed ? depth + 1 : depth;
+    for (const child of node.children || []) visit(child, childDepth);
+  };
+
+  visit(root, 0);
+
+  // nth only matters when role+name is ambiguous
+  for (const data of Object.values(refs)) {
+    if ((counts.get(`${data.role}:${data.name}`) || 0) <= 1) delete data.nth;
+  }
+
+  const empty = options.interactive ? '(no interactive elements)' : '(empty)';
+  return { snapshot: lines.join('\n') || empty, refs };
+}
+
+/**
+ * Take a role snapshot of the context's active page and remember its refs.
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {object} [options] - buildRoleSnapshot options
+ * @returns {Promise<{ snapshot: string, refs: object }>}
+ */
+async function takeRoleSnapshot(ctx, options = {}) {
+  const page = await ctx.getPage();
+  const tree = await page.accessibility.snapshot({ interestingOnly: true });
+  const result = buildRoleSnapshot(tree, options);
+  refsByPage.set(page, result.refs);
+  return result;
+}
+
+// ─── Ref Resolution ──────────────────────────────────
+
+/**
+ * Normalize "e12", "@e12" or "ref=e12" to "e12". Returns null for anything else.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+function parseRef(raw) {
+  const trimmed = String(raw || '').trim();
+  const normalized = trimmed.startsWith('@') ? trimmed.slice(1)
+    : trimmed.startsWith('ref=') ? trimmed.slice(4)
+    : trimmed;
+  return /^e\d+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Resolve a ref from the latest snapshot to an element handle.
+ * @param {object} page - Puppeteer page
+ * @param {string} ref - e.g. "e12"
+ * @returns {Promise<ElementHandle>}
+ */
+async function resolveRef(page, ref) {
+  const refs = refsByPage.get(page);
+  const data = refs?.[ref];
+  if (!data) {
+    throw new Error(`Unknown ref "${ref}" — take a fresh snapshot of the page first`);
+  }
+  const matches = await findByRole(page, data.role, data.name);
+  const element = matches[data.nth || 0];
+  if (!element) {
+    throw new Error(`Ref "${ref}" (${data.role} "${data.name}") is no longer on the page`);
+  }
+  return element;
+}
+
+/**
+ * Refs from the latest snapshot of a page (empty object if none).
+ */
+function getRefs(page) {
+  return refsByPage.get(page) || {};
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+function indent(depth, options) {
+  return options.interactive ? '' : '  '.repeat(depth);
+}
+
+function clean(value, max) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+function describeState(node) {
+  let out = '';
+  if (node.level) out += ` [level=${node.level}]`;
+  if (node.checked !== undefined) out += ` [checked=${node.checked}]`;
+  if (node.expanded !== undefined) out += ` [expanded=${node.expanded}]`;
+  if (node.disabled) out += ' [disabled]';
+  if (node.focused) out += ' [focused]';
+  if (node.value !== undefined && node.value !== '') out += ` value="${clean(node.value, 60)}"`;
+  return out;
+}
+
+/**
+ * All elements with the given role + accessible name, in document order.
+ */
+async function findByRole(page, role, name) {
+  // aria selectors treat [ ] as the attribute block, and without a name they match
+  // every element of the role (named ones too) — filter by name ourselves then
+  if (name && !/[[\]]/.test(name)) {
+    return page.$$(`aria/${name}[role="${role}"]`);
+  }
+  const candidates = await page.$$(`aria/[role="${role}"]`);
+  const matches = [];
+  for (const el of candidates) {
+    const node = await page.accessibility.snapshot({ root: el, interestingOnly: false });
+    if (clean(node?.name, Infinity) === name) matches.push(el);
+  }
+  return matches;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  buildRoleSnapshot,
+  takeRoleSnapshot,
+  parseRef,
+  resolveRef,
+  getRefs,
+  INTERACTIVE_ROLES,
+};
@@ -0,0 +1,390 @@
+/**
+ * run-recorder.js — Replayable recordings of web agent runs
+ *
+ * Every navigator step (page summary, model decision, action result,
+ * optional screenshot) is written to a run record. A record can be replayed
+ * against the browser without calling the model — turning a successful run
+ * into a repeatable macro, or reproducing a failure after a site changes.
+ *
+ * Sensitive typed text (what vault.checkText flags, or anything typed into a
+ * password/PIN/code field) is never written: the record keeps "[redacted]"
+ * and the field's label, the value is scrubbed from page summaries and the
+ * result, and a replay has to be given it again (replayRun's `values`).
+ *
+ * Layout:
+ *   ~/.root-ai/web-agent/runs/<runId>.json        — run record
+ *   ~/.root-ai/web-agent/runs/<runId>/step-N.png  — screenshots (if enabled)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const browser = require('./browser');
+const roleSnapshot = require('./role-snapshot');
+const { WebNavigator } = require('./navigator');
+// Same checks approvals use for typed text
+const vault = require('../computer-use/vault.cjs');
+
+// ─── Config ──────────────────────────────────────────
+const RUNS_DIR = path.join(os.homedir(), '.root-ai', 'web-agent', 'runs');
+const RECORD_VERSION = 1;
+const MAX_RUNS = 200; // oldest records are pruned beyond this
+const REPLAY_DELAY_MS = 500;
+const REDACTED = '[redacted]';
+const SECRET_FIELD = /pass(word|code|phrase)?|\bpin\b|otp|one-time|2fa|verification code|security code|cvv|cvc|secret|token|api.?key/i;
+
+// ─── Recording ───────────────────────────────────────
+
+class RunRecorder {
+  /**
+   * @param {object} options
+   * @param {string} options.task - Task / goal being run
+   * @param {string} [options.context] - Browser context name
+   * @param {string} [options.pageFormat] - Navigator page format
+   * @param {boolean} [options.screenshots=false] - Capture a screenshot after every step
+   * @param {string} [options.dir] - Override runs directory (tests)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || RUNS_DIR;
+    this.screenshots = options.screenshots || false;
+    this.record = {
+      version: RECORD_VERSION,
+      id: createRunId(),
+      task: options.task,
+      context: options.context || null,
+      pageFormat: options.pageFormat || null,
+      startUrl: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      steps: [],
+      result: null,
+    };
+    this.secrets = new Set(); // redacted values, scrubbed from everything else recorded
+  }
+
+  get id() { return this.record.id; }
+
+  get file() { return path.join(this.dir, `${this.record.id}.json`); }
+
+  /**
+   * Record one navigator step. Never throws — a recording failure must not end the run.
+   *
+   * @param {object} step
+   * @param {number} step.stepNum
+   * @param {string} step.url - Page URL the decision was made on
+   * @param {string} step.page - Page summary shown to the model
+   * @param {object} step.decision - { thought, action, params }
+   * @param {object} [step.target] - Element a ref pointed to ({ role, name, nth })
+   * @param {object} [step.error] - Structured error (invalid decision or failed action)
+   * @param {object} [ctx] - Browser context to screenshot
+   */
+  async recordStep(step, ctx) {
+    if (!this.record.startUrl && step.url) this.record.startUrl = step.url;
+
+    const params = { ...step.decision.params };
+    const secret = sensitiveInput(step.decision, step.target);
+    if (secret) {
+      this.secrets.add(String(params.text));
+      params.text = REDACTED;
+    }
+
+    const entry = {
+      stepNum: step.stepNum,
+      at: new Date().toISOString(),
+      url: step.url || null,
+      page: this.scrub(step.page || ''),
+      decision: {
+        thought: this.scrub(step.decision.thought || ''),
+        action: step.decision.action,
+        params: this.scrub(params),
+      },
+    };
+    if (secret) entry.redacted = this.scrub(secret);
+    if (step.target) entry.target = step.target;
+    if (step.error) entry.error = this.scrub(step.error);
+
+    // The typed value would be readable on the screenshot (only password inputs mask it)
+    if (this.screenshots && ctx && !secret) {
+      try {
+        const shot = await ctx.screenshot();
+        const shotDir = path.join(this.dir, this.record.id);
+        fs.mkdirSync(shotDir, { recursive: true });
+        const name = `step-${step.stepNum}.png`;
+        fs.writeFileSync(path.join(shotDir, name), Buffer.from(shot, 'base64'));
+        entry.screenshot = `${this.record.id}/${name}`;
+      } catch (e) { /* screenshot is optional */ }
+    }
+
+    this.record.steps.push(entry);
+    this.save();
+  }
+
+  /**
+   * Close the record with the run's final result.
+   * @param {object} result - { success, result, steps, duration }
+   */
+  finish(result) {
+    this.record.finishedAt = new Date().toISOString();
+    this.record.result = this.scrub(result);
+    this.save();
+    pruneRuns(this.dir);
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.record, null, 2), { mode: 0o600 });
+    } catch (e) { /* recording failure is non-critical */ }
+  }
+
+  /**
+   * Copy of a value with every redacted secret replaced in its strings.
+   */
+  scrub(value) {
+    if (this.secrets.size === 0 || value === null || value === undefined) return value;
+    if (typeof value === 'string') {
+      let out = value;
+      for (const secret of this.secrets) if (secret) out = out.split(secret).join(REDACTED);
+      return out;
+    }
+    if (Array.isArray(value)) return value.map((v) => this.scrub(v));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.scrub(v)]));
+    }
+    return value;
+  }
+}
+
+// ─── Loading ─────────────────────────────────────────
+
+/**
+ * Load a run record by ID.
+ * @param {string} runId
+ * @param {string} [dir]
+ * @returns {object}
+ */
+function loadRun(runId, dir = RUNS_DIR) {
+  if (!/^[\w-]+$/.test(String(runId))) throw new Error(`Invalid run ID: ${runId}`);
+  const file = path.join(dir, `${runId}.json`);
+  if (!fs.existsSync(file)) throw new Error(`Run not found: ${runId}`);
+  const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (record.version !== RECORD_VERSION) {
+    throw new Error(`Unsupported run record version ${record.version} (expected ${RECORD_VERSION})`);
+  }
+  return record;
+}
+
+/**
+ * List recorded runs, newest first (summary only).
+ * @param {string} [dir]
+ * @returns {Array<{ id, task, startedAt, success, steps, inputs }>} inputs: values a replay must be given
+ */
+function listRuns(dir = RUNS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const runs = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      runs.push({
+        id: record.id,
+        task: record.task,
+        startedAt: record.startedAt,
+        success: record.result ? record.result.success : null,
+        steps: record.steps.length,
+        inputs: redactedInputs(record),
+      });
+    } catch (e) { /* skip corrupt record */ }
+  }
+  return runs.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+/**
+ * Delete a run record and its screenshots.
+ */
+function deleteRun(runId, dir = RUNS_DIR) {
+  if (!/^[\w-]+$/.test(String(runId))) throw new Error(`Invalid run ID: ${runId}`);
+  fs.rmSync(path.join(dir, `${runId}.json`), { force: true });
+  fs.rmSync(path.join(dir, runId), { recursive: true, force: true });
+}
+
+// ─── Replay ──────────────────────────────────────────
+
+/**
+ * Replay a recorded run against the browser — no model calls.
+ * Steps that were rejected or failed in the original run are skipped;
+ * ref targets are re-resolved by role + name on the live page. Sensitive
+ * actions go through `onSensitiveAction` like a live run; a refusal stops the replay.
+ *
+ * @param {object|string} run - Run record or run ID
+ * @param {object} [options]
+ * @param {object} [options.context] - Browser context (default: shared browser)
+ * @param {object} [options.values] - Text for redacted steps, by step number (see redactedInputs())
+ * @param {number} [options.delayMs=500] - Pause between steps
+ * @param {function} [options.onSensitiveAction] - async (request) → boolean, see WebNavigator; omit to allow all
+ * @param {function} [options.onStep] - Called with { stepNum, action, params, status, error }
+ * @returns {Promise<{ success: boolean, result: any, replayed: number, failedAt: number|null, error: string|null, extracted: any, stopped?: string }>}
+ *   result: what this replay extracted (null if nothing) — not the recorded answer;
+ *   stopped: 'declined' when the user refused a sensitive step
+ */
+async function replayRun(run, options = {}) {
+  const record = typeof run === 'string' ? loadRun(run) : run;
+  const ctx = options.context || browser;
+  const delayMs = options.delayMs ?? REPLAY_DELAY_MS;
+  const onStep = options.onStep || (() => {});
+  const values = options.values || {};
+
+  // Ask for every withheld value up front rather than failing halfway through the run
+  const missing = redactedInputs(record).filter((input) => typeof values[input.stepNum] !== 'string');
+  if (missing.length > 0) {
+    const list = missing.map((input) => `step ${input.stepNum} ("${input.label}")`).join(', ');
+    throw new Error(`Replay needs the sensitive text that was not recorded: ${list}`);
+  }
+
+  // Reuse the navigator's action semantics so a replay does exactly what the run did
+  const executor = new WebNavigator({
+    context: ctx,
+    pageFormat: record.pageFormat || undefined,
+    onSensitiveAction: options.onSensitiveAction,
+  });
+
+  if (!ctx.isRunning()) await ctx.launch();
+  if (/^https?:/i.test(record.startUrl || '')) await ctx.goto(record.startUrl);
+
+  let replayed = 0;
+  for (const step of record.steps) {
+    const { action } = step.decision;
+    const params = { ...step.decision.params };
+
+    if (step.error) {
+      onStep({ stepNum: step.stepNum, action, params, status: 'skipped', error: null });
+      continue;
+    }
+    if (action === 'done' || action === 'error') {
+      onStep({ stepNum: step.stepNum, action, params, status: 'done', error: null });
+      return {
+        success: action === 'done',
+        result: action === 'done' ? executor.lastExtractedData ?? null : params.message,
+        replayed,
+        failedAt: null,
+        error: null,
+        extracted: executor.lastExtractedData || null,
+      };
+    }
+
+    const shown = { ...params }; // what onStep reports: never the supplied secret
+    try {
+      if (step.redacted) params.text = values[step.stepNum];
+      if (params.ref) params.ref = shown.ref = await relocateRef(ctx, step);
+      executor.stepCount = step.stepNum;
+      const url = await ctx.currentUrl().catch(() => null);
+      const denied = await executor.checkApproval({ ...step.decision, params }, step.target, url);
+      if (denied) {
+        onStep({ stepNum: step.stepNum, action, params: shown, status: 'denied', error: denied.message });
+        return {
+          success: false,
+          result: null,
+          replayed,
+          failedAt: step.stepNum,
+          error: denied.message,
+          stopped: 'declined',
+          extracted: executor.lastExtractedData || null,
+        };
+      }
+      await executor.executeAction(action, params);
+      replayed++;
+      onStep({ stepNum: step.stepNum, action, params: shown, status: 'ok', error: null });
+    } catch (e) {
+      onStep({ stepNum: step.stepNum, action, params: shown, status: 'failed', error: e.message });
+      return {
+        success: false,
+        result: null,
+        replayed,
+        failedAt: step.stepNum,
+        error: `Step ${step.stepNum} (${action}) failed: ${e.message}`,
+        extracted: executor.lastExtractedData || null,
+      };
+    }
+
+    if (delayMs > 0) await new Promise((r) => setTimeout(r, delayMs));
+  }
+
+  // Recording ended without done/error (e.g. max steps) — replay reached the same point
+  return {
+    success: Boolean(record.result && record.result.success),
+    result: executor.lastExtractedData ?? null,
+    replayed,
+    failedAt: null,
+    error: null,
+    extracted: executor.lastExtractedData || null,
+  };
+}
+
+/**
+ * Typed text a replay has to be given again (it was redacted when recorded).
+ * Steps that failed in the run are left out — replay skips them.
+ * @param {object} record
+ * @returns {Array<{ stepNum: number, label: string, reason: string }>}
+ */
+function redactedInputs(record) {
+  return record.steps
+    .filter((step) => step.redacted && !step.error)
+    .map((step) => ({ stepNum: step.stepNum, label: step.redacted.label, reason: step.redacted.reason }));
+}
+
+/**
+ * Find the live ref for a recorded ref target (refs are renumbered per snapshot).
+ */
+async function relocateRef(ctx, step) {
+  const target = step.target;
+  if (!target) throw new Error(`Recorded ref "${step.decision.params.ref}" has no target`);
+  const { refs } = await roleSnapshot.takeRoleSnapshot(ctx);
+  for (const [ref, data] of Object.entries(refs)) {
+    if (data.role === target.role && data.name === target.name && (data.nth || 0) === (target.nth || 0)) {
+      return ref;
+    }
+  }
+  throw new Error(`Element changed: ${target.role} "${target.name}" is no longer on the page`);
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+/**
+ * Whether a decision types text that must not be recorded.
+ * @returns {{ label: string, reason: string }|null}
+ */
+function sensitiveInput(decision, target) {
+  const { action, params = {} } = decision;
+  if (action !== 'type' || params.text === undefined || params.text === '') return null;
+  const label = String(target?.name || params.field || params.selector || params.ref || 'a field');
+  const check = vault.checkText(String(params.text));
+  if (check.blocked) return { label, reason: check.reason };
+  if (SECRET_FIELD.test(label)) return { label, reason: `"${label}" looks like a secret field` };
+  return null;
+}
+
+function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function pruneRuns(dir) {
+  try {
+    const records = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+    for (const file of records.slice(0, Math.max(0, records.length - MAX_RUNS))) {
+      deleteRun(file.replace(/\.json$/, ''), dir);
+    }
+  } catch (e) { /* pruning is best-effort */ }
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  RunRecorder,
+  loadRun,
+  listRuns,
+  deleteRun,
+  replayRun,
+  redactedInputs,
+  RUNS_DIR,
+};
@@ -0,0 +1,281 @@
+/**
+ * session-health.js — Background checks for saved login sessions
+ *
+ * loadSession() only finds out a session expired once a task is running and
+ * needs it. The monitor checks every saved session on a timer instead:
+ *   - restores it in an isolated browser context and verifies the login
+ *   - records last-verified time and the expiry predicted from cookie
+ *     lifetimes (capped by the site profile's sessionTtl)
+ *   - notifies through the gateway's channels when a session expired or is
+ *     about to, so the user can log in again before a scheduled run fails
+ *
+ * Config and state live in ~/.root-ai/session-health.json:
+ *   { intervalMinutes, warnBeforeHours, notify: [{ channel, target, account? }], sessions: { ... } }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const browser = require('./browser.cjs');
+const loginManager = require('./login-manager.cjs');
+const sessionStore = require('./session-store.cjs');
+const { sendGatewayMessage } = require('./ai-bridge.cjs');
+
+// ─── Config ──────────────────────────────────────────
+const HEALTH_FILE = path.join(os.homedir(), '.root-ai', 'session-health.json');
+const CONTEXT_NAME = 'session-health';
+const DEFAULT_INTERVAL_MINUTES = 6 * 60;
+const DEFAULT_WARN_HOURS = 24;
+const FIRST_CHECK_DELAY = 60 * 1000; // let the app finish starting first
+
+class SessionHealthMonitor extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.intervalMs] - Time between checks (default from config, else 6h)
+   * @param {number} [options.warnBeforeMs] - Warn when a session expires within this window (default 24h)
+   * @param {Array<{ channel, target, account }>} [options.notify] - Where to send alerts (default from config)
+   * @param {function} [options.sendMessage] - ({ channel, target, account, message }) → Promise (default: gateway `message send`)
+   * @param {function} [options.verify] - async (name, ctx) → boolean; default restores the session and checks the site profile
+   * @param {string} [options.file] - State file (default ~/.root-ai/session-health.json)
+   *
+   * Events: 'check_start', 'session_checked', 'session_expired', 'session_expiring', 'notified', 'notify_failed', 'check_done'
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file || HEALTH_FILE;
+    this.state = this.load();
+    const minutes = this.state.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+    const hours = this.state.warnBeforeHours || DEFAULT_WARN_HOURS;
+    this.intervalMs = options.intervalMs || minutes * 60 * 1000;
+    this.warnBeforeMs = options.warnBeforeMs || hours * 60 * 60 * 1000;
+    this.notifyTargets = options.notify || this.state.notify || [];
+    this.sendMessage = options.sendMessage || sendGatewayMessage;
+    this.verify = options.verify || ((name, ctx) => loginManager.loadSession(name, undefined, ctx));
+    this.timer = null;
+    this.checking = null;
+  }
+
+  // ─── Scheduling ────────────────────────────────────
+
+  /**
+   * Check periodically. The first check runs shortly after start.
+   * @param {object} [options] - { firstDelayMs: 60000 }
+   */
+  start(options = {}) {
+    if (this.timer) return;
+    const run = () => this.checkAll().catch(() => {});
+    this.firstTimer = setTimeout(run, options.firstDelayMs ?? FIRST_CHECK_DELAY);
+    this.timer = setInterval(run, this.intervalMs);
+    // Never keep the process alive just for health checks
+    this.firstTimer.unref?.();
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.firstTimer);
+    clearInterval(this.timer);
+    this.firstTimer = null;
+    this.timer = null;
+  }
+
+  // ─── Checks ────────────────────────────────────────
+
+  /**
+   * Check every saved session once. Concurrent calls share the same run.
+   * @returns {Promise<Array<object>>} Health records (see checkSession)
+   */
+  async checkAll() {
+    if (this.checking) return this.checking;
+    this.checking = this.runChecks().finally(() => { this.checking = null; });
+    return this.checking;
+  }
+
+  async runChecks() {
+    loginManager.pruneExpired();
+    const names = sessionStore.list('session');
+    this.emit('check_start', { sessions: names });
+
+    // Sessions pruned since the last check still need their "expired" alert;
+    // ones that disappeared before their expiry were deleted on purpose
+    const results = [];
+    for (const [name, previous] of Object.entries(this.state.sessions)) {
+      if (names.includes(name)) continue;
+      if (previous.predictedExpiry && Date.parse(previous.predictedExpiry) <= Date.now()) {
+        results.push(await this.record(name, { status: 'expired', predictedExpiry: previous.predictedExpiry, reason: 'Every cookie expired' }));
+      } else {
+        delete this.state.sessions[name];
+      }
+    }
+
+    if (names.length > 0) {
+      const wasRunning = browser.isRunning();
+      // Background use: a task asking for a window gets the browser reopened with one after the checks
+      const release = browser.use({ background: true });
+      try {
+        if (!wasRunning) await browser.launch({ headless: true, useRealProfile: false });
+        const ctx = await browser.createContext(CONTEXT_NAME);
+        for (const name of names) {
+          results.push(await this.checkSession(name, ctx));
+        }
+      } finally {
+        await browser.destroyContext(CONTEXT_NAME).catch(() => {});
+        release();
+        // A task may have joined the browser we launched; it stays open until that ends
+        if (!wasRunning) await browser.closeWhenIdle().catch(() => {});
+      }
+    }
+
+    this.save();
+    this.emit('check_done', { results });
+    return results;
+  }
+
+  /**
+   * Verify one session in the given browser context.
+   * @returns {Promise<{ name, status, lastCheckedAt, lastVerifiedAt, predictedExpiry, reason }>}
+   *   status: 'valid' | 'expiring' | 'expired' | 'error'
+   */
+  async checkSession(name, ctx) {
+    let meta = null;
+    try {
+      meta = sessionStore.readMeta('session', name);
+    } catch (e) { /* unreadable — verification below reports it */ }
+    const predictedExpiry = meta?.expiresAt || null;
+
+    let valid;
+    try {
+      valid = await this.verify(name, ctx);
+    } catch (e) {
+      return this.record(name, { status: 'error', predictedExpiry, reason: e.message });
+    }
+    if (!valid) {
+      return this.record(name, { status: 'expired', predictedExpiry, reason: 'Site shows the session as logged out' });
+    }
+
+    const remaining = predictedExpiry ? Date.parse(predictedExpiry) - Date.now() : Infinity;
+    const status = remaining <= this.warnBeforeMs ? 'expiring' : 'valid';
+    return this.record(name, {
+      status,
+      predictedExpiry,
+      verified: true,
+      reason: status === 'expiring' ? `Expires ${formatRemaining(remaining)}` : null,
+    });
+  }
+
+  /**
+   * Store a check result and send an alert when the status became expired/expiring.
+   */
+  async record(name, { status, predictedExpiry = null, verified = false, reason = null }) {
+    const now = new Date().toISOString();
+    const previous = this.state.sessions[name] || {};
+    const entry = {
+      name,
+      status,
+      lastCheckedAt: now,
+      lastVerifiedAt: verified ? now : previous.lastVerifiedAt || null,
+      predictedExpiry,
+      reason,
+      notifiedStatus: previous.notifiedStatus || null,
+    };
+
+    this.emit('session_checked', entry);
+    if (status === 'expired' || status === 'expiring') {
+      this.emit(status === 'expired' ? 'session_expired' : 'session_expiring', entry);
+      // Alert once per status change, not on every check
+      if (previous.notifiedStatus !== status) {
+        const sent = await this.notify(entry);
+        if (sent) entry.notifiedStatus = status;
+      }
+    } else {
+      entry.notifiedStatus = null;
+    }
+
+    if (status === 'expired' && entry.notifiedStatus === 'expired' && !sessionStore.exists('session', name)) {
+      delete this.state.sessions[name]; // alerted and nothing left to check
+    } else {
+      this.state.sessions[name] = entry;
+    }
+    return entry;
+  }
+
+  /**
+   * Send an alert to every configured channel.
+   * @returns {Promise<boolean>} true if at least one channel got it (or none are configured)
+   */
+  async notify(entry) {
+    const message = entry.status === 'expired'
+      ? `🔑 Your ${entry.name} session expired. Log in again so scheduled runs keep working.`
+      : `⏳ Your ${entry.name} session ${entry.reason.toLowerCase()}. Log in again to refresh it.`;
+
+    if (this.notifyTargets.length === 0) {
+      this.emit('notified', { ...entry, message, targets: [] });
+      return true;
+    }
+
+    let delivered = 0;
+    for (const target of this.notifyTargets) {
+      try {
+        await this.sendMessage({ ...target, message });
+        delivered++;
+      } catch (e) {
+        this.emit('notify_failed', { name: entry.name, target, error: e.message });
+      }
+    }
+    if (delivered > 0) this.emit('notified', { ...entry, message, targets: this.notifyTargets });
+    return delivered > 0;
+  }
+
+  // ─── State ─────────────────────────────────────────
+
+  /**
+   * Latest health record for every saved session.
+   * @returns {Array<object>}
+   */
+  getHealth() {
+    return Object.values(this.state.sessions);
+  }
+
+  /**
+   * Update alert targets / schedule and persist them.
+   * @param {object} config - { notify, intervalMinutes, warnBeforeHours }
+   */
+  configure(config = {}) {
+    if (config.notify) this.notifyTargets = this.state.notify = config.notify;
+    if (config.intervalMinutes) {
+      this.state.intervalMinutes = config.intervalMinutes;
+      this.intervalMs = config.intervalMinutes * 60 * 1000;
+      if (this.timer) {
+        this.stop();
+        this.start();
+      }
+    }
+    if (config.warnBeforeHours) {
+      this.state.warnBeforeHours = config.warnBeforeHours;
+      this.warnBeforeMs = config.warnBeforeHours * 60 * 60 * 1000;
+    }
+    this.save();
+  }
+
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return { ...state, sessions: state.sessions || {} };
+    } catch (e) {
+      return { sessions: {} };
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+  }
+}
+
+function formatRemaining(ms) {
+  if (ms <= 0) return 'now';
+  const hours = Math.round(ms / 3600000);
+  return hours < 48 ? `in ${Math.max(hours, 1)}h` : `in ${Math.round(hours / 24)} days`;
+}
+
+module.exports = { SessionHealthMonitor, HEALTH_FILE };
@@ -0,0 +1,497 @@
+/**
+ * session-store.js — Encrypted storage for browser sessions and cookies
+ *
+ * Login sessions (login-manager.js) and saved cookies (browser.saveCookies)
+ * are encrypted at rest with AES-256-GCM. The key lives in the OS keychain:
+ *   - Electron safeStorage (DPAPI on Windows, Keychain on macOS, libsecret on Linux)
+ *   - macOS `security` / Linux `secret-tool` when running outside Electron
+ * Where no keychain exists, the key is derived from a passphrase
+ * (setPassphrase() or ROOT_AI_SESSION_PASSPHRASE) with scrypt.
+ *
+ * File format (name/domain/dates stay readable so sessions can be listed and
+ * pruned without the key):
+ *   { format, version, name, domain, savedAt, expiresAt, cookieCount,
+ *     cipher, keySource, keyId, iv, tag, data }
+ *
+ * Plaintext files from older versions are encrypted the first time they're read.
+ * Export/import uses a separate passphrase so sessions can move between machines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// ─── Config ──────────────────────────────────────────
+const STATE_DIR = path.join(os.homedir(), '.root-ai');
+const STORE_DIRS = {
+  session: path.join(STATE_DIR, 'browser-sessions'),
+  cookies: path.join(STATE_DIR, 'browser-cookies'),
+};
+const KEY_FILE = path.join(STATE_DIR, 'session-key.enc'); // safeStorage-wrapped key
+const PASSPHRASE_FILE = path.join(STATE_DIR, 'session-key.json'); // scrypt salt for passphrase keys
+const KEYCHAIN_SERVICE = 'Root AI Browser Sessions';
+const KEYCHAIN_ACCOUNT = 'session-key';
+
+const FORMAT = 'root-ai-session';
+const EXPORT_FORMAT = 'root-ai-session-export';
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSPHRASE = 8;
+
+let cachedKey = null; // { key: Buffer, source: string, id: string }
+let passphrase = null;
+
+// ─── Key Management ──────────────────────────────────
+
+/**
+ * Use a passphrase-derived key instead of the keychain.
+ * Sessions saved with the keychain key can't be read afterwards (and vice versa).
+ * @param {string|null} value - Passphrase, or null to go back to the keychain
+ */
+function setPassphrase(value) {
+  if (value !== null && String(value).length < MIN_PASSPHRASE) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  }
+  passphrase = value === null ? null : String(value);
+  cachedKey = null;
+}
+
+/**
+ * Resolve the encryption key: explicit passphrase → keychain → ROOT_AI_SESSION_PASSPHRASE.
+ * @returns {{ key: Buffer, source: string, id: string }}
+ */
+function getKey() {
+  if (cachedKey) return cachedKey;
+
+  let key = null;
+  let source = null;
+  if (passphrase) {
+    key = passphraseKey(passphrase);
+    source = 'passphrase';
+  } else {
+    const keychain = keychainKey();
+    if (keychain) {
+      ({ key, source } = keychain);
+    } else if (process.env.ROOT_AI_SESSION_PASSPHRASE) {
+      key = passphraseKey(process.env.ROOT_AI_SESSION_PASSPHRASE);
+      source = 'passphrase';
+    }
+  }
+  if (!key) {
+    throw new Error('No keychain available to encrypt sessions — set ROOT_AI_SESSION_PASSPHRASE or call setPassphrase()');
+  }
+
+  cachedKey = { key, source, id: keyId(key) };
+  return cachedKey;
+}
+
+/**
+ * @returns {string|null} 'safe-storage', 'keychain', 'secret-service', 'passphrase' or null
+ */
+function keySource() {
+  try {
+    return getKey().source;
+  } catch (e) {
+    return null;
+  }
+}
+
+function keychainKey() {
+  const backends = [
+    ['safe-storage', safeStorageKey],
+    ['keychain', macKeychainKey],
+    ['secret-service', secretServiceKey],
+  ];
+  for (const [source, read] of backends) {
+    try {
+      const encoded = read();
+      if (encoded) return { key: Buffer.from(encoded, 'base64'), source };
+    } catch (e) { /* try the next backend */ }
+  }
+  return null;
+}
+
+// Electron main process only; 'basic_text' on Linux means no real keyring
+function safeStorageKey() {
+  let safeStorage;
+  try { ({ safeStorage } = require('electron')); } catch (e) { return null; }
+  if (!safeStorage || !safeStorage.isEncryptionAvailable()) return null;
+  if (safeStorage.getSelectedStorageBackend && safeStorage.getSelectedStorageBackend() === 'basic_text') return null;
+
+  if (fs.existsSync(KEY_FILE)) return safeStorage.decryptString(fs.readFileSync(KEY_FILE));
+  const encoded = newKey();
+  writePrivate(KEY_FILE, safeStorage.encryptString(encoded));
+  return encoded;
+}
+
+function macKeychainKey() {
+  if (process.platform !== 'darwin') return null;
+  const args = ['-s', KEYCHAIN_SERVICE, '-a', KEYCHAIN_ACCOUNT];
+  try {
+    return run('security', ['find-generic-password', ...args, '-w']);
+  } catch (e) {
+    // No -U: never overwrite an existing (e.g. locked) entry with a new key
+    const encoded = newKey();
+    run('security', ['add-generic-password', ...args, '-w', encoded]);
+    return encoded;
+  }
+}
+
+function secretServiceKey() {
+  if (process.platform !== 'linux') return null;
+  const attrs = ['service', KEYCHAIN_SERVICE, 'account', KEYCHAIN_ACCOUNT];
+  let existing = '';
+  try {
+    existing = run('secret-tool', ['lookup', ...attrs]);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null; // secret-tool not installed
+    // exit status 1 = no such secret yet
+  }
+  if (existing) return existing;
+  const encoded = newKey();
+  run('secret-tool', ['store', `--label=${KEYCHAIN_SERVICE}`, ...attrs], encoded);
+  return encoded;
+}
+
+function passphraseKey(value) {
+  let salt;
+  try {
+    salt = JSON.parse(fs.readFileSync(PASSPHRASE_FILE, 'utf8')).salt;
+  } catch (e) { /* first use */ }
+  if (!salt) {
+    salt = crypto.randomBytes(16).toString('base64');
+    writePrivate(PASSPHRASE_FILE, JSON.stringify({ kdf: 'scrypt', salt }, null, 2));
+  }
+  return deriveKey(value, Buffer.from(salt, 'base64'));
+}
+
+function deriveKey(value, salt) {
+  return crypto.scryptSync(String(value), salt, 32, SCRYPT);
+}
+
+function newKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 12);
+}
+
+function run(command, args, input) {
+  return execFileSync(command, args, {
+    input,
+    encoding: 'utf8',
+    timeout: 10000,
+    stdio: ['pipe', 'pipe', 'ignore'],
+  }).trim();
+}
+
+// ─── Encryption ──────────────────────────────────────
+
+function encrypt(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(key, box) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+// ─── Sessions ────────────────────────────────────────
+
+/**
+ * Encrypt and save a session or cookie set.
+ * @param {string} kind - 'session' (login-manager) or 'cookies' (browser.saveCookies)
+ * @param {string} name - Session name, e.g. 'upwork'
+ * @param {object|Array} payload - Session object with .cookies, or a cookie array
+ * @param {object} [meta] - Readable fields stored next to the ciphertext (e.g. { domain }).
+ *   meta.expiresAt caps the expiry taken from the cookies (site session TTL).
+ * @returns {string} File path
+ */
+function save(kind, name, payload, meta = {}) {
+  const { key, source, id } = getKey();
+  const cookies = cookiesOf(payload);
+  const cookieExpiry = latestExpiry(cookies);
+  const envelope = {
+    format: FORMAT,
+    version: VERSION,
+    name,
+    ...meta,
+    savedAt: meta.savedAt || payload.savedAt || new Date().toISOString(),
+    expiresAt: meta.expiresAt && (!cookieExpiry || meta.expiresAt < cookieExpiry) ? meta.expiresAt : cookieExpiry,
+    cookieCount: cookies.length,
+    cipher: CIPHER,
+    keySource: source,
+    keyId: id,
+    ...encrypt(key, payload),
+  };
+  const filePath = fileFor(kind, name);
+  writePrivate(filePath, JSON.stringify(envelope, null, 2));
+  return filePath;
+}
+
+/**
+ * Load and decrypt a session. Expired cookies are dropped; a session whose
+ * cookies have all expired is deleted and reported as missing.
+ * @param {string} kind - 'session' or 'cookies'
+ * @param {string} name
+ * @returns {object|Array|null} Payload, or null when there is no usable session
+ */
+function load(kind, name) {
+  const filePath = fileFor(kind, name);
+  if (!fs.existsSync(filePath)) return null;
+  const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  let payload;
+  if (isEnvelope(stored)) {
+    if (isExpired(stored)) {
+      fs.rmSync(filePath, { force: true });
+      return null;
+    }
+    const { key, source, id } = getKey();
+    if (stored.keyId && stored.keyId !== id) {
+      throw new Error(`Session "${name}" was encrypted with a different key (${stored.keySource}, now using ${source})`);
+    }
+    payload = decrypt(key, stored);
+  } else {
+    payload = stored; // plaintext from before encryption — migrate now
+    save(kind, name, payload, pickMeta(payload));
+  }
+
+  return withoutExpiredCookies(payload);
+}
+
+/**
+ * Readable metadata of a stored session (no key needed).
+ * @returns {{ name, domain, savedAt, expiresAt, cookieCount, encrypted }|null}
+ */
+function readMeta(kind, name) {
+  const filePath = fileFor(kind, name);
+  if (!fs.existsSync(filePath)) return null;
+  const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (isEnvelope(stored)) {
+    const { name: storedName, domain, savedAt, expiresAt, cookieCount } = stored;
+    return { name: storedName || name, domain, savedAt, expiresAt, cookieCount, encrypted: true };
+  }
+  const cookies = cookiesOf(stored);
+  return { name, ...pickMeta(stored), expiresAt: latestExpiry(cookies), cookieCount: cookies.length, encrypted: false };
+}
+
+/**
+ * @param {string} kind - 'session' or 'cookies'
+ * @returns {string[]} Names of stored sessions
+ */
+function list(kind) {
+  const dir = dirFor(kind);
+  try {
+    return fs.readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5));
+  } catch (e) {
+    return [];
+  }
+}
+
+function exists(kind, name) {
+  return fs.existsSync(fileFor(kind, name));
+}
+
+function remove(kind, name) {
+  const filePath = fileFor(kind, name);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Delete sessions whose persistent cookies have all expired.
+ * Reads only the readable metadata, so it works without the key.
+ * @param {object} [options] - { now: Date.now() }
+ * @returns {Array<{ kind: string, name: string }>} Removed sessions
+ */
+function pruneExpired(options = {}) {
+  const now = options.now || Date.now();
+  const removed = [];
+  for (const kind of Object.keys(STORE_DIRS)) {
+    for (const name of list(kind)) {
+      try {
+        const meta = readMeta(kind, name);
+        if (meta && meta.expiresAt && Date.parse(meta.expiresAt) <= now) {
+          remove(kind, name);
+          removed.push({ kind, name });
+        }
+      } catch (e) { /* unreadable file — leave it alone */ }
+    }
+  }
+  return removed;
+}
+
+// ─── Export / Import ─────────────────────────────────
+
+/**
+ * Export sessions into one file encrypted with a passphrase (not the machine
+ * key), so it can be imported on another machine.
+ * @param {string} filePath - Where to write the export
+ * @param {string} exportPassphrase - At least 8 characters
+ * @param {object} [options] - { names: [...] } to export only some sessions (default all)
+ * @returns {{ path: string, count: number }}
+ */
+function exportSessions(filePath, exportPassphrase, options = {}) {
+  checkPassphrase(exportPassphrase);
+  const wanted = options.names ? new Set(options.names) : null;
+  const items = [];
+  for (const kind of Object.keys(STORE_DIRS)) {
+    for (const name of list(kind)) {
+      if (wanted && !wanted.has(name)) continue;
+      const payload = load(kind, name);
+      if (payload) items.push({ kind, name, meta: pickMeta(readMeta(kind, name) || {}), payload });
+    }
+  }
+
+  const salt = crypto.randomBytes(16);
+  const bundle = {
+    format: EXPORT_FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    kdf: { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p },
+    cipher: CIPHER,
+    ...encrypt(deriveKey(exportPassphrase, salt), items),
+  };
+  writePrivate(filePath, JSON.stringify(bundle, null, 2));
+  return { path: filePath, count: items.length };
+}
+
+/**
+ * Import sessions from an export file and re-encrypt them with this machine's key.
+ * Expired sessions are skipped.
+ * @param {string} filePath
+ * @param {string} exportPassphrase - Passphrase the export was made with
+ * @param {object} [options] - { overwrite: false }
+ * @returns {{ imported: string[], skipped: string[] }} Entries as "kind/name"
+ */
+function importSessions(filePath, exportPassphrase, options = {}) {
+  checkPassphrase(exportPassphrase);
+  const bundle = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (bundle.format !== EXPORT_FORMAT || bundle.kdf?.name !== 'scrypt') {
+    throw new Error('Not a session export file');
+  }
+  const { salt, N, r, p } = bundle.kdf;
+  const key = crypto.scryptSync(String(exportPassphrase), Buffer.from(salt, 'base64'), 32, { N, r, p, maxmem: SCRYPT.maxmem });
+
+  let items;
+  try {
+    items = decrypt(key, bundle);
+  } catch (e) {
+    throw new Error('Wrong passphrase or corrupted export file');
+  }
+
+  const imported = [];
+  const skipped = [];
+  for (const item of items) {
+    const label = `${item.kind}/${item.name}`;
+    if (!STORE_DIRS[item.kind] || !isSafeName(item.name)) {
+      skipped.push(label);
+      continue;
+    }
+    const payload = withoutExpiredCookies(item.payload);
+    const cookies = cookiesOf(payload);
+    const expiry = latestExpiry(cookies);
+    if ((expiry && Date.parse(expiry) <= Date.now()) || (exists(item.kind, item.name) && !options.overwrite)) {
+      skipped.push(label);
+      continue;
+    }
+    save(item.kind, item.name, payload, item.meta || {});
+    imported.push(label);
+  }
+  return { imported, skipped };
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+function dirFor(kind) {
+  const dir = STORE_DIRS[kind];
+  if (!dir) throw new Error(`Unknown session kind "${kind}" (expected ${Object.keys(STORE_DIRS).join(' or ')})`);
+  return dir;
+}
+
+function fileFor(kind, name) {
+  if (!isSafeName(name)) throw new Error(`Invalid session name: ${name}`);
+  return path.join(dirFor(kind), `${name}.json`);
+}
+
+function isSafeName(name) {
+  return typeof name === 'string' && /^[\w.-]+$/.test(name) && name !== '.' && name !== '..';
+}
+
+function isEnvelope(stored) {
+  return stored && stored.format === FORMAT && typeof stored.data === 'string';
+}
+
+function isExpired(envelope, now = Date.now()) {
+  return Boolean(envelope.expiresAt) && Date.parse(envelope.expiresAt) <= now;
+}
+
+function cookiesOf(payload) {
+  if (Array.isArray(payload)) return payload;
+  return Array.isArray(payload?.cookies) ? payload.cookies : [];
+}
+
+function pickMeta(data) {
+  const meta = {};
+  for (const field of ['domain', 'savedAt', 'expiresAt']) {
+    if (data && typeof data[field] === 'string') meta[field] = data[field];
+  }
+  return meta;
+}
+
+/**
+ * Latest expiry among persistent cookies (`expires` is in seconds; -1 = session cookie).
+ * @returns {string|null} ISO date, or null when there are no persistent cookies
+ */
+function latestExpiry(cookies) {
+  const times = cookies.map((c) => c.expires).filter((t) => typeof t === 'number' && t > 0);
+  return times.length > 0 ? new Date(Math.max(...times) * 1000).toISOString() : null;
+}
+
+function withoutExpiredCookies(payload, now = Date.now()) {
+  const alive = (c) => !(typeof c.expires === 'number' && c.expires > 0 && c.expires * 1000 <= now);
+  if (Array.isArray(payload)) return payload.filter(alive);
+  if (payload && Array.isArray(payload.cookies)) return { ...payload, cookies: payload.cookies.filter(alive) };
+  return payload;
+}
+
+function checkPassphrase(value) {
+  if (!value || String(value).length < MIN_PASSPHRASE) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+  }
+}
+
+// Owner-only permissions; write-then-rename so a crash never leaves half a file
+function writePrivate(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  save,
+  load,
+  readMeta,
+  list,
+  exists,
+  remove,
+  pruneExpired,
+  exportSessions,
+  importSessions,
+  setPassphrase,
+  keySource,
+  STORE_DIRS,
+};
@@ -0,0 +1,223 @@
+/**
+ * site-profiles.js — Site definitions for login-manager
+ *
+ * A profile says where to log in to a site and how to tell whether the
+ * browser is logged in. Built-in profiles ship in ./site-profiles/; users add
+ * or override them with JSON/YAML files in ~/.root-ai/site-profiles/
+ * (a user file with the same "name" replaces the built-in one).
+ *
+ * Profile:
+ *   name        — id used by login('upwork'), lowercase letters/digits/-/_
+ *   domain      — cookie domain, e.g. "upwork.com"
+ *   loginUrl    — page the user logs in on
+ *   landingUrl  — page to open after restoring a session (optional)
+ *   success     — { selectors, text, urls } any match = logged in
+ *   logout      — { selectors, text, urls } any match = logged out (optional, wins over success)
+ *   sessionTtl  — how long a login lasts, "12h" / "30d" / ms (optional)
+ *
+ * Indicators: selectors are CSS matched in the page, text is a substring of
+ * the page text, urls is a substring of the current URL.
+ *
+ * site-profile.schema.json (next to this file) is the JSON Schema for profile
+ * files; point "$schema" at it for completion and checks in the editor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Ajv = require('ajv');
+
+// ─── Config ──────────────────────────────────────────
+const BUILTIN_DIR = path.join(__dirname, 'site-profiles');
+const PROFILES_DIR = path.join(os.homedir(), '.root-ai', 'site-profiles');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const INDICATOR_TYPES = ['selectors', 'text', 'urls'];
+const TTL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+let cache = null; // { profiles: Map<name, profile>, errors: Array<{ file, errors }> }
+
+// ─── Schema ──────────────────────────────────────────
+// site-profile.schema.json is the contract: editors use it through "$schema"
+// and loading validates every file against it.
+const SCHEMA_FILE = path.join(__dirname, 'site-profile.schema.json');
+const SCHEMA = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+const MESSAGE_KEYWORDS = new Set(['pattern', 'anyOf']); // errors worded by the schema's errorMessage
+
+let validate = null; // compiled on first use
+
+/**
+ * Validate a profile object against site-profile.schema.json.
+ * @param {object} profile
+ * @returns {string[]} Problems as "field: reason" (empty when valid)
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['profile: must be an object'];
+  }
+  if (!validate) {
+    validate = new Ajv({ allErrors: true, strict: false, verbose: true }).compile(SCHEMA);
+  }
+  if (validate(profile)) {
+    return [];
+  }
+  // Errors inside an anyOf branch are dropped: the anyOf error itself says what was expected
+  const problems = validate.errors.filter((error) => !/\/anyOf\/\d+\//.test(error.schemaPath)).map(formatError);
+  return [...new Set(problems)];
+}
+
+/**
+ * One ajv error as "field: reason", e.g. "success: text/0 must be a non-empty string".
+ */
+function formatError(error) {
+  const { keyword, params, parentSchema } = error;
+  const [field = 'profile', ...rest] = error.instancePath.split('/').slice(1);
+  if (keyword === 'required') {
+    return `${params.missingProperty}: required`;
+  }
+  if (keyword === 'additionalProperties') {
+    const expected = Object.keys(parentSchema.properties).filter((key) => key !== '$schema').join(', ');
+    return error.instancePath
+      ? `${field}: unknown indicator type ${params.additionalProperty} (expected ${expected})`
+      : `${params.additionalProperty}: unknown field (expected ${expected})`;
+  }
+  const reason = MESSAGE_KEYWORDS.has(keyword) && parentSchema.errorMessage ? parentSchema.errorMessage : error.message;
+  return `${field}: ${rest.length > 0 ? `${rest.join('/')} ` : ''}${reason}`;
+}
+
+/**
+ * Parse a session TTL.
+ * @param {string|number} value - "90m", "12h", "30d" or milliseconds
+ * @returns {number|null} Milliseconds
+ */
+function parseTtl(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd])$/i.exec(String(value).trim());
+  return match ? Math.round(Number(match[1]) * TTL_UNITS[match[2].toLowerCase()]) : null;
+}
+
+// ─── Loading ─────────────────────────────────────────
+
+/**
+ * Load built-in and user profiles. Invalid files are skipped and reported in
+ * `errors` so one broken file doesn't take the others down.
+ * @param {object} [options] - { reload: false, userDir }
+ * @returns {{ profiles: Map<string, object>, errors: Array<{ file: string, errors: string[] }> }}
+ */
+function loadProfiles(options = {}) {
+  if (cache && !options.reload) return cache;
+
+  const profiles = new Map();
+  const errors = [];
+  for (const [dir, source] of [[BUILTIN_DIR, 'builtin'], [options.userDir || PROFILES_DIR, 'user']]) {
+    for (const file of profileFiles(dir)) {
+      let profile;
+      try {
+        profile = parseProfileFile(file);
+      } catch (e) {
+        errors.push({ file, errors: [`parse: ${e.message}`] });
+        continue;
+      }
+      const problems = validateProfile(profile);
+      if (problems.length > 0) {
+        errors.push({ file, errors: problems });
+        continue;
+      }
+      profiles.set(profile.name, { ...profile, source, file });
+    }
+  }
+
+  cache = { profiles, errors };
+  return cache;
+}
+
+function profileFiles(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter((f) => PROFILE_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort()
+      .map((f) => path.join(dir, f));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Read one profile file (.json, .yaml or .yml).
+ * @param {string} file
+ * @returns {object}
+ */
+function parseProfileFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.json') return JSON.parse(text);
+  const YAML = require('yaml'); // only needed for YAML profiles
+  return YAML.parse(text);
+}
+
+/**
+ * @param {string} name - Profile name, e.g. 'upwork'
+ * @returns {object|null}
+ */
+function getProfile(name) {
+  return loadProfiles().profiles.get(name) || null;
+}
+
+/**
+ * @returns {{ profiles: Array<{ name, domain, source, file }>, errors: Array<{ file, errors }> }}
+ */
+function listProfiles() {
+  const { profiles, errors } = loadProfiles();
+  return {
+    profiles: [...profiles.values()].map(({ name, domain, source, file }) => ({ name, domain, source, file })),
+    errors,
+  };
+}
+
+// ─── Login Detection ─────────────────────────────────
+
+/**
+ * Check the current page against a profile's indicators.
+ * Logout indicators win: a login form on the page means logged out even if
+ * the header still says "Dashboard".
+ *
+ * @param {object} ctx - Browser context (or the browser module)
+ * @param {object} profile
+ * @returns {Promise<{ state: 'logged_in'|'logged_out'|'unknown', url: string, checks: Array<{ kind, type, value, matched }> }>}
+ */
+async function checkLoginState(ctx, profile) {
+  const page = await ctx.getPage();
+  const url = page.url();
+  const text = await ctx.getText().catch(() => '');
+
+  const checks = [];
+  for (const kind of ['logout', 'success']) {
+    const indicators = profile[kind] || {};
+    for (const type of INDICATOR_TYPES) {
+      for (const value of indicators[type] || []) {
+        let matched;
+        if (type === 'urls') matched = url.includes(value);
+        else if (type === 'text') matched = text.includes(value);
+        else matched = await page.$(value).then((el) => Boolean(el)).catch(() => false);
+        checks.push({ kind, type, value, matched });
+      }
+    }
+  }
+
+  let state = 'unknown';
+  if (checks.some((c) => c.kind === 'logout' && c.matched)) state = 'logged_out';
+  else if (checks.some((c) => c.kind === 'success' && c.matched)) state = 'logged_in';
+  return { state, url, checks };
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  loadProfiles,
+  getProfile,
+  listProfiles,
+  validateProfile,
+  parseProfileFile,
+  parseTtl,
+  checkLoginState,
+  BUILTIN_DIR,
+  SCHEMA_FILE,
+  PROFILES_DIR,
+};
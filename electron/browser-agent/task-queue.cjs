@@ -0,0 +1,460 @@
+/**
+ * task-queue.js — Persistent queue and scheduler for web tasks
+ *
+ * WebAgent runs one task at a time and refuses a second. The queue keeps the
+ * rest and runs them in turn:
+ *   - priority: 'high' | 'normal' | 'low' — higher first, then oldest first
+ *   - retries: a failed run goes back in the queue with backoff, up to maxRetries
+ *   - cancel: queued entries are dropped, a running one is stopped
+ *   - schedule: { kind: 'cron', expr, tz? } | { kind: 'every', everyMs } | { kind: 'at', at },
+ *     next runs computed by the gateway's cron code (cron.nextRun); while the
+ *     gateway can't answer, the entry stays queued and asks again with backoff
+ *   - each run gets its own browser context (queue-<id>) unless agent.context names one
+ *   - origin: the chat that queued the task ({ channel, target, account? }) gets
+ *     the result through the gateway's `message send`
+ *
+ * Entries persist in ~/.root-ai/web-agent/queue.json; a task that was running
+ * when the app quit is queued again on the next start. Nobody watches a queued
+ * run, so one that hits its budget stops instead of waiting for approval.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { callGatewayForWebAgent, sendGatewayMessage, gatewayNextRun } = require('./ai-bridge.cjs');
+const { compileSchema } = require('./result-schema.cjs');
+
+// ─── Config ──────────────────────────────────────────
+const QUEUE_FILE = path.join(os.homedir(), '.root-ai', 'web-agent', 'queue.json');
+const PRIORITIES = { high: 2, normal: 1, low: 0 };
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY = 60 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+const MAX_TIMER_DELAY = 60 * 1000; // re-check at least this often (sleep, clock changes)
+const MAX_FINISHED = 200; // done/failed/cancelled entries kept as history
+const MAX_MESSAGE_CHARS = 3500;
+const FINISHED = ['done', 'failed', 'cancelled'];
+const INVALID_SCHEDULE = /invalid cron\.nextRun/; // the gateway answered: the schedule itself is bad
+
+class TaskQueue extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {function} [options.createAgent] - (agentOptions) => { execute(task), stop(), on() } (default: gateway-backed WebAgent)
+   * @param {function} [options.sendMessage] - ({ channel, target, account, message }) → Promise (default: gateway `message send`)
+   * @param {function} [options.nextRunAt] - async (schedule, nowMs) → epoch ms | null (default: gateway `cron.nextRun`)
+   * @param {function} [options.closeContext] - async (name) → drop a run's browser context (default: browser.destroyContext)
+   * @param {number} [options.retryDelayMs] - First retry delay, doubled per attempt (default 1 min)
+   * @param {string} [options.file] - Queue file (default ~/.root-ai/web-agent/queue.json)
+   *
+   * Events: 'added', 'task_start', 'task_step', 'task_handoff', 'task_approval', 'task_done',
+   *         'task_retry', 'task_failed', 'schedule_retry', 'cancelled', 'delivered', 'deliver_failed'
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file || QUEUE_FILE;
+    this.createAgent = options.createAgent || defaultAgent;
+    this.sendMessage = options.sendMessage || sendGatewayMessage;
+    this.nextRunAt = options.nextRunAt || gatewayNextRun;
+    this.closeContext = options.closeContext || defaultCloseContext;
+    this.retryDelayMs = options.retryDelayMs || RETRY_BASE_DELAY;
+    this.entries = this.load();
+    this.started = false;
+    this.timer = null;
+    this.current = null; // { entry, agent } while a task runs
+    this.idle = Promise.resolve();
+
+    // Interrupted by a restart: run again, it counts as an attempt
+    for (const entry of this.entries) {
+      if (entry.status === 'running') Object.assign(entry, { status: 'queued', nextRunAt: Date.now() });
+    }
+  }
+
+  // ─── Queue ─────────────────────────────────────────
+
+  /**
+   * Queue a task.
+   * @param {string} task - Natural language task for WebAgent.execute()
+   * @param {object} [options]
+   * @param {string} [options.priority='normal'] - 'high' | 'normal' | 'low'
+   * @param {object} [options.schedule] - Cron schedule; without it the task runs once, as soon as possible
+   * @param {number} [options.maxRetries=2] - Extra attempts after a failed run
+   * @param {{ channel?, target, account? }} [options.origin] - Chat to send the result to
+   * @param {object} [options.schema] - JSON Schema for the result (see WebAgent.execute)
+   * @param {object} [options.agent] - WebAgent options for the run (context, budget, pageFormat, handoff, approvalMode, ...)
+   * @returns {Promise<object>} The queue entry
+   */
+  async add(task, options = {}) {
+    if (!task || !String(task).trim()) throw new Error('Task description is required');
+    const priority = options.priority || 'normal';
+    if (!(priority in PRIORITIES)) {
+      throw new Error(`Unknown priority "${priority}" (expected ${Object.keys(PRIORITIES).join(', ')})`);
+    }
+    if (options.origin && !options.origin.target) throw new Error('origin needs a target');
+    if (options.schema) compileSchema(options.schema);
+    const id = crypto.randomBytes(4).toString('hex');
+    // Bad agent options (approvalMode, budget, ...) are refused now, not on every run
+    this.agentFor({ id, origin: options.origin, agent: options.agent || {} });
+
+    const now = Date.now();
+    let nextRunAt = now;
+    let scheduleError = null;
+    if (options.schedule) {
+      try {
+        nextRunAt = await this.nextRunAt(options.schedule, now);
+      } catch (e) {
+        if (INVALID_SCHEDULE.test(e.message)) {
+          throw e;
+        }
+        scheduleError = e; // gateway not reachable yet: queue it and ask again later
+      }
+      if (nextRunAt === null) throw new Error('Schedule has no future run');
+    }
+
+    const entry = {
+      id,
+      task: String(task).trim(),
+      priority,
+      status: 'queued',
+      schedule: options.schedule || null,
+      origin: options.origin || null,
+      schema: options.schema || null,
+      agent: options.agent || {},
+      maxRetries: options.maxRetries ?? DEFAULT_MAX_RETRIES,
+      attempts: 0,
+      runs: 0,
+      nextRunAt,
+      createdAt: now,
+      updatedAt: now,
+      lastRun: null,
+      delivery: null,
+      scheduleRetry: null,
+    };
+    if (scheduleError) {
+      this.deferSchedule(entry, scheduleError);
+    }
+    this.entries.push(entry);
+    this.save();
+    this.emit('added', { ...entry });
+    this.kick();
+    return { ...entry };
+  }
+
+  /**
+   * Cancel a queued or scheduled entry, stopping it if it is running.
+   * @returns {boolean} false when the entry is unknown or already finished
+   */
+  cancel(id) {
+    const entry = this.entries.find((e) => e.id === id);
+    if (!entry || FINISHED.includes(entry.status)) return false;
+    if (this.current?.entry === entry) this.current.agent?.stop();
+    Object.assign(entry, { status: 'cancelled', nextRunAt: null, updatedAt: Date.now() });
+    this.save();
+    this.emit('cancelled', { ...entry });
+    this.kick();
+    return true;
+  }
+
+  /**
+   * Answer the running task's CAPTCHA/login handoff.
+   * @param {boolean} resume - true to continue the task, false to end it
+   * @returns {boolean} false when the running task isn't waiting for the user
+   */
+  answerHandoff(resume) {
+    const agent = this.current?.agent;
+    if (!agent?.isAwaitingHandoff?.()) return false;
+    return resume ? agent.continueHandoff() : agent.cancelHandoff();
+  }
+
+  /**
+   * Answer the running task's pending approval (approvalMode 'ask').
+   * @param {boolean} approve
+   * @param {object} [options] - { always } as for WebAgent.approveAction()
+   * @returns {boolean} false when the running task isn't waiting for one
+   */
+  answerApproval(approve, options) {
+    const agent = this.current?.agent;
+    if (!agent?.isAwaitingApproval?.()) return false;
+    return approve ? agent.approveAction(options) : agent.denyAction();
+  }
+
+  /**
+   * Entries in run order: running, then queued by due time and priority, then finished.
+   * @param {object} [filter] - { status }
+   */
+  list(filter = {}) {
+    const rank = (e) => (e.status === 'running' ? 0 : e.status === 'queued' ? 1 : 2);
+    return this.entries
+      .filter((e) => !filter.status || e.status === filter.status)
+      .sort((a, b) => rank(a) - rank(b) || (a.nextRunAt ?? 0) - (b.nextRunAt ?? 0) || PRIORITIES[b.priority] - PRIORITIES[a.priority])
+      .map((e) => ({ ...e }));
+  }
+
+  get(id) {
+    const entry = this.entries.find((e) => e.id === id);
+    return entry ? { ...entry } : null;
+  }
+
+  // ─── Scheduling ────────────────────────────────────
+
+  /**
+   * Start running due entries, one at a time.
+   */
+  start() {
+    this.started = true;
+    this.kick();
+  }
+
+  /**
+   * Stop picking up new entries. A running task finishes first (see whenIdle()).
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Resolves once no task is running.
+   */
+  whenIdle() {
+    return this.idle;
+  }
+
+  /**
+   * Run the next due entry, or wait for the earliest one.
+   */
+  kick() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.started || this.current) return;
+
+    const now = Date.now();
+    const queued = this.entries.filter((e) => e.status === 'queued');
+    const due = queued
+      .filter((e) => e.nextRunAt <= now)
+      .sort((a, b) => PRIORITIES[b.priority] - PRIORITIES[a.priority] || a.createdAt - b.createdAt)[0];
+    if (due) {
+      this.idle = (due.scheduleRetry ? this.retrySchedule(due) : this.runEntry(due))
+        .catch((e) => {
+          // Only the queue's own bookkeeping gets here; park the entry so it isn't picked again
+          Object.assign(due, { status: 'failed', nextRunAt: null, updatedAt: Date.now() });
+          this.emit('task_failed', { ...due, error: e.message });
+        })
+        .finally(() => this.kick());
+      return;
+    }
+    if (queued.length === 0) return;
+    const earliest = Math.min(...queued.map((e) => e.nextRunAt));
+    this.timer = setTimeout(() => this.kick(), Math.min(earliest - now, MAX_TIMER_DELAY));
+    this.timer.unref?.();
+  }
+
+  /**
+   * Run one entry and decide what comes next: done, retry, next occurrence or failed.
+   * The queue stays busy until the result is delivered and the entry rescheduled.
+   */
+  async runEntry(entry) {
+    this.current = { entry, agent: null };
+    try {
+      Object.assign(entry, { status: 'running', attempts: entry.attempts + 1, updatedAt: Date.now() });
+      this.save();
+      this.emit('task_start', { ...entry });
+
+      // A failure to even create the agent is a failed run like any other: retried with backoff
+      let result;
+      try {
+        const agent = this.agentFor(entry);
+        this.current.agent = agent;
+        agent.on('step', (data) => this.emit('task_step', { id: entry.id, ...data }));
+        agent.on('handoff', (data) => this.emit('task_handoff', { id: entry.id, ...data }));
+        agent.on('approval', (data) => this.emit('task_approval', { ...data, taskId: entry.id }));
+        result = await agent.execute(entry.task, entry.schema ? { schema: entry.schema } : {});
+      } catch (e) {
+        result = { success: false, result: e.message, steps: 0 };
+      }
+      if (!entry.agent.context) {
+        await this.closeContext(runContext(entry)).catch(() => {});
+      }
+      await this.finishRun(entry, result);
+    } finally {
+      this.current = null;
+      this.save();
+    }
+  }
+
+  /**
+   * The agent for an entry's run. Nobody watches it, so it stops on its budget.
+   * It runs in its own browser context, apart from the user's own tabs, unless
+   * agent.context names one.
+   */
+  agentFor(entry) {
+    // A handoff (agent.handoff) is announced to the chat that queued the task
+    const notify = entry.origin ? [entry.origin] : [];
+    return this.createAgent({ notify, ...entry.agent, context: entry.agent.context || runContext(entry), onBudgetExceeded: async () => false });
+  }
+
+  async finishRun(entry, result) {
+    entry.lastRun = {
+      success: result.success,
+      result: result.result,
+      steps: result.steps,
+      duration: result.duration,
+      runId: result.runId || null,
+      attempts: entry.attempts,
+      stopped: result.stopped || null,
+      finishedAt: Date.now(),
+    };
+    entry.updatedAt = Date.now();
+    if (entry.status === 'cancelled') return;
+
+    // Budget stops are deliberate — retrying would only spend more
+    const retry = !result.success && result.stopped !== 'budget' && entry.attempts <= entry.maxRetries;
+    if (retry) {
+      const delay = Math.min(this.retryDelayMs * 2 ** (entry.attempts - 1), RETRY_MAX_DELAY);
+      Object.assign(entry, { status: 'queued', nextRunAt: Date.now() + delay });
+      this.emit('task_retry', { ...entry, error: result.result, retryInMs: delay });
+      return;
+    }
+
+    entry.runs++;
+    entry.attempts = 0;
+    this.emit(result.success ? 'task_done' : 'task_failed', { ...entry });
+    await this.deliver(entry, result);
+    if (entry.status !== 'cancelled') await this.scheduleNext(entry, result.success ? 'done' : 'failed');
+    this.prune();
+  }
+
+  /**
+   * Queue a scheduled entry's next occurrence, or finish it with the given status.
+   * If the gateway can't be asked, the entry stays queued and asks again later.
+   */
+  async scheduleNext(entry, finalStatus) {
+    if (entry.schedule) {
+      try {
+        const next = await this.nextRunAt(entry.schedule, Date.now());
+        if (entry.status === 'cancelled') return; // cancelled while we asked
+        entry.scheduleRetry = null;
+        if (next !== null) {
+          Object.assign(entry, { status: 'queued', nextRunAt: next });
+          return;
+        }
+      } catch (e) {
+        if (entry.status === 'cancelled') {
+          return;
+        }
+        if (!INVALID_SCHEDULE.test(e.message)) {
+          this.deferSchedule(entry, e);
+          return;
+        }
+        entry.scheduleRetry = null;
+        if (entry.lastRun) {
+          entry.lastRun.scheduleError = e.message;
+        }
+        finalStatus = 'failed';
+      }
+    }
+    Object.assign(entry, { status: finalStatus, nextRunAt: null });
+  }
+
+  /**
+   * Keep an entry whose next run couldn't be computed queued; kick() asks
+   * again (retrySchedule) after a doubling delay instead of running it.
+   */
+  deferSchedule(entry, error) {
+    const attempts = (entry.scheduleRetry?.attempts || 0) + 1;
+    const delay = Math.min(this.retryDelayMs * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+    Object.assign(entry, {
+      status: 'queued',
+      nextRunAt: Date.now() + delay,
+      scheduleRetry: { attempts, error: error.message },
+      updatedAt: Date.now(),
+    });
+    this.emit('schedule_retry', { ...entry, error: error.message, retryInMs: delay });
+  }
+
+  /**
+   * Ask again for the next run of an entry deferred by deferSchedule().
+   * The queue stays busy meanwhile, so the entry isn't picked twice.
+   */
+  async retrySchedule(entry) {
+    this.current = { entry, agent: null };
+    try {
+      // A schedule that ends now finishes the entry the way its last run went
+      await this.scheduleNext(entry, entry.lastRun && entry.lastRun.success ? 'done' : 'failed');
+    } finally {
+      this.current = null;
+      this.save();
+    }
+  }
+
+  // ─── Delivery ──────────────────────────────────────
+
+  /**
+   * Send the result to the chat that queued the task.
+   */
+  async deliver(entry, result) {
+    if (!entry.origin) return;
+    const message = formatResultMessage(entry, result);
+    try {
+      await this.sendMessage({ ...entry.origin, message });
+      entry.delivery = { status: 'delivered', at: Date.now() };
+      this.emit('delivered', { id: entry.id, origin: entry.origin, message });
+    } catch (e) {
+      entry.delivery = { status: 'failed', error: e.message, at: Date.now() };
+      this.emit('deliver_failed', { id: entry.id, origin: entry.origin, error: e.message });
+    }
+  }
+
+  // ─── State ─────────────────────────────────────────
+
+  /** Drop the oldest finished entries beyond MAX_FINISHED. */
+  prune() {
+    const finished = this.entries.filter((e) => FINISHED.includes(e.status));
+    if (finished.length <= MAX_FINISHED) return;
+    const drop = new Set(finished.sort((a, b) => a.updatedAt - b.updatedAt).slice(0, finished.length - MAX_FINISHED));
+    this.entries = this.entries.filter((e) => !drop.has(e));
+  }
+
+  load() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(state.entries) ? state.entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ entries: this.entries }, null, 2));
+  }
+}
+
+// The browser context a run uses when its agent options don't name one
+function runContext(entry) {
+  return `queue-${entry.id}`;
+}
+
+async function defaultCloseContext(name) {
+  await require('./browser.cjs').destroyContext(name); // lazy, as in defaultAgent
+}
+
+function defaultAgent(options) {
+  const { WebAgent } = require('./web-agent.cjs'); // lazy: web-agent pulls in the browser
+  return new WebAgent({ ...options, askAI: callGatewayForWebAgent });
+}
+
+function formatResultMessage(entry, result) {
+  const body = typeof result.result === 'string'
+    ? result.result
+    : JSON.stringify(result.result, null, 2) ?? '';
+  const head = result.success
+    ? `✅ Web task done: ${entry.task}`
+    : `❌ Web task failed after ${entry.lastRun.stopped === 'budget' ? 'hitting its budget' : `${entry.lastRun.attempts} attempt(s)`}: ${entry.task}`;
+  const text = `${head}\n\n${body}`;
+  return text.length > MAX_MESSAGE_CHARS ? `${text.slice(0, MAX_MESSAGE_CHARS)}… [truncated]` : text;
+}
+
+module.exports = { TaskQueue, QUEUE_FILE, PRIORITIES };
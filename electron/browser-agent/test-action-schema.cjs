@@ -0,0 +1,122 @@
+/**
+ * action-schema.js tests — how validateAction normalizes params and the
+ * structured errors the AI sees on its next step.
+ * Run: node test-action-schema.cjs
+ */
+const { test, assert, run } = require('./test-fixtures/harness.cjs');
+const { validateAction, formatActionError, toolDefinitions, ACTION_NAMES } = require('./action-schema.cjs');
+
+const REFS = { e5: { role: 'textbox', name: 'Search' }, e12: { role: 'button', name: 'Send' } };
+
+// Validate and return [error, params] (params are normalized in place)
+function check(action, params, options = { refs: REFS }) {
+  const decision = { action, params };
+  return [validateAction(decision, options), decision.params];
+}
+
+async function main() {
+  console.log('\n🧪 Testing action-schema.js\n');
+
+  await test('valid decisions pass', () => {
+    assert(check('goto', { url: 'https://example.com' })[0] === null, 'goto');
+    assert(check('click', { ref: 'e12' })[0] === null, 'click by ref');
+    assert(check('type', { field: 'Search', text: 'react' })[0] === null, 'type by field');
+    assert(check('done', { result: { items: [] } })[0] === null, 'done with any result');
+  });
+
+  await test('numeric strings become numbers', () => {
+    const [error, params] = check('scroll', { direction: 'down', amount: '500' });
+    assert(error === null && params.amount === 500, JSON.stringify({ error, params }));
+    const [tabError, tab] = check('switch_tab', { index: ' 2 ' });
+    assert(tabError === null && tab.index === 2, JSON.stringify({ tabError, tab }));
+  });
+
+  await test('non-numbers and fractions are refused', () => {
+    const [word] = check('wait', { ms: 'soon' });
+    assert(word.code === 'invalid_param' && word.param === 'ms' && word.message === '"ms" must be a number', JSON.stringify(word));
+    const [fraction] = check('switch_tab', { index: '1.5' });
+    assert(fraction.code === 'invalid_param' && fraction.message === '"index" must be an integer', JSON.stringify(fraction));
+  });
+
+  await test('@e12 and ref=e12 are normalized to e12', () => {
+    const [error, params] = check('click', { ref: '@e12' });
+    assert(error === null && params.ref === 'e12', JSON.stringify({ error, params }));
+    const [typeError, typed] = check('type', { ref: 'ref=e5', text: 'react' });
+    assert(typeError === null && typed.ref === 'e5', JSON.stringify({ typeError, typed }));
+  });
+
+  await test('malformed refs are invalid params', () => {
+    const [error] = check('click', { ref: 'button-3' });
+    assert(error.code === 'invalid_param' && error.message === '"ref" must look like "e12", got "button-3"', JSON.stringify(error));
+  });
+
+  await test('refs missing from the snapshot are unknown_ref', () => {
+    const [error] = check('click', { ref: 'e99' });
+    assert(error.code === 'unknown_ref' && error.action === 'click' && error.param === 'ref', JSON.stringify(error));
+    assert(/Ref "e99" is not on the current page/.test(error.message), error.message);
+  });
+
+  await test('refs on a page without refs point to text or selector', () => {
+    const [error] = check('click', { ref: 'e12' }, { refs: null });
+    assert(error.code === 'unknown_ref' && /no refs — target the element by "text" or "selector"/.test(error.message), JSON.stringify(error));
+    const [noOptions] = check('click', { ref: 'e12' }, {});
+    assert(noOptions.code === 'unknown_ref', JSON.stringify(noOptions));
+  });
+
+  await test('an element target is required for click, type and download', () => {
+    const [click] = check('click', {});
+    assert(click.code === 'missing_param' && click.param === 'ref', JSON.stringify(click));
+    assert(click.message.startsWith('click needs one of "ref", "selector", "text"'), click.message);
+    const [type] = check('type', { text: 'react', ref: '' }); // empty values count as missing
+    assert(type.code === 'missing_param' && /type needs one of "ref", "selector", "field"/.test(type.message), JSON.stringify(type));
+    const [download] = check('download', { timeout: 5000 });
+    assert(download.code === 'missing_param' && download.action === 'download', JSON.stringify(download));
+  });
+
+  await test('enum values are enforced', () => {
+    const [error] = check('scroll', { direction: 'left' });
+    assert(error.code === 'invalid_param' && error.message === '"direction" must be one of up, down', JSON.stringify(error));
+    const [mode] = check('extract', { selector: '.card', mode: 'infinite' });
+    assert(mode.message === '"mode" must be one of auto, next, scroll', JSON.stringify(mode));
+  });
+
+  await test('min and max are enforced', () => {
+    const [tooLong] = check('wait', { ms: 40000 });
+    assert(tooLong.code === 'invalid_param' && tooLong.message === '"ms" must be <= 30000', JSON.stringify(tooLong));
+    const [negative] = check('switch_tab', { index: -1 });
+    assert(negative.message === '"index" must be >= 0', JSON.stringify(negative));
+    const [edge, params] = check('extract', { selector: '.card', pages: '50' });
+    assert(edge === null && params.pages === 50, 'Bounds are inclusive');
+  });
+
+  await test('missing and unknown actions, required params and bad params', () => {
+    assert(validateAction({ params: {} }).code === 'missing_action', 'missing_action');
+    const unknown = validateAction({ action: 'hover', params: {} });
+    assert(unknown.code === 'unknown_action' && unknown.message.includes(ACTION_NAMES.join(', ')), JSON.stringify(unknown));
+    const [required] = check('goto', {});
+    assert(required.code === 'missing_param' && required.param === 'url' && /e\.g\. \{"url"/.test(required.message), JSON.stringify(required));
+    const array = validateAction({ action: 'back', params: [] });
+    assert(array.code === 'invalid_param' && array.param === 'params', JSON.stringify(array));
+  });
+
+  await test('empty optional params are dropped', () => {
+    const [error, params] = check('scroll', { direction: 'down', amount: '' });
+    assert(error === null && !('amount' in params), JSON.stringify(params));
+  });
+
+  await test('errors are formatted for the next prompt', () => {
+    const [error] = check('wait', { ms: 40000 });
+    assert(formatActionError(error) === '[invalid_param] in "wait": "ms" must be <= 30000', formatActionError(error));
+    assert(formatActionError({ code: 'missing_action', message: 'x', action: null }) === '[missing_action]: x', 'No action');
+  });
+
+  await test('tool definitions mirror the schema', () => {
+    const tools = Object.fromEntries(toolDefinitions().map((t) => [t.name, t]));
+    assert(Object.keys(tools).join() === ACTION_NAMES.join(), 'One tool per action');
+    assert(tools.scroll.parameters.properties.direction.enum.join() === 'up,down', 'enum');
+    assert(tools.wait.parameters.properties.ms.maximum === 30000, 'max');
+    assert(tools.goto.parameters.required.join() === 'url' && !tools.back.parameters.required, 'required');
+  });
+}
+
+run(main);
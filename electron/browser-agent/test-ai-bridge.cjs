@@ -1,7 +1,7 @@
 /**
  * Test ai-bridge.js — can we call AI?
  */
-const { callGatewayForWebAgent, getAIConfig } = require('./ai-bridge');
+const { callGatewayForWebAgent, getAIConfig } = require('./ai-bridge.cjs');
 
 async function test() {
   console.log('=== AI BRIDGE TEST ===\n');
@@ -0,0 +1,101 @@
+/**
+ * ai-bridge.js streaming tests — tool calls, streamed text and usage.
+ * A local server plays an OpenAI-compatible API and the gateway is down, so
+ * calls use the direct key; no internet or API key needed.
+ * Run: node test-ai-stream.cjs
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { test, assert, run } = require('./test-fixtures/harness.cjs');
+
+delete process.env.ANTHROPIC_API_KEY;
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.OPENAI_MODEL = 'test-model';
+
+// Gateway CLI stand-in that fails like a stopped gateway
+const stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-stream-'));
+process.env.KLAW_GATEWAY_CLI = path.join(stubDir, 'gateway-down.mjs');
+fs.writeFileSync(process.env.KLAW_GATEWAY_CLI, `
+  console.error('Gateway call failed: gateway closed (1006 abnormal closure (no close frame)): no close reason');
+  process.exit(1);
+`);
+
+const { callGatewayForWebAgent } = require('./ai-bridge.cjs');
+const { toolDefinitions } = require('./action-schema.cjs');
+
+// Each request gets the next scripted reply: an array of SSE chunks, or { status, body }
+const replies = [];
+const requests = [];
+const sse = (chunks) => chunks.map((c) => `data: ${JSON.stringify(c)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => body += chunk);
+  req.on('end', () => {
+    requests.push(JSON.parse(body));
+    const reply = replies.shift();
+    if (!Array.isArray(reply)) {
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    // Split mid-line so the client has to buffer partial events
+    const text = sse(reply);
+    res.write(text.slice(0, 37));
+    setTimeout(() => res.end(text.slice(37)), 20);
+  });
+});
+
+async function main() {
+  console.log('\n🧪 Testing ai-bridge.js streaming\n');
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  await test('tool call, streamed thought and usage come back', async () => {
+    replies.push([
+      { choices: [{ delta: { content: 'The search box ' } }] },
+      { choices: [{ delta: { content: 'is empty.' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'type', arguments: '{"field":"Sea' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'rch","text":"React"}' } }] } }] },
+      { choices: [], usage: { prompt_tokens: 812, completion_tokens: 31 } },
+    ]);
+    const streamed = [];
+    const reply = await callGatewayForWebAgent('system', 'page', {
+      tools: toolDefinitions(),
+      onText: (text) => streamed.push(text),
+    });
+    assert(streamed.join('') === 'The search box is empty.' && reply.text === streamed.join(''), `Text: ${JSON.stringify(streamed)}`);
+    assert(reply.toolCall.name === 'type' && reply.toolCall.input.text === 'React', `Tool call: ${JSON.stringify(reply.toolCall)}`);
+    assert(reply.usage.inputTokens === 812 && reply.usage.outputTokens === 31, `Usage: ${JSON.stringify(reply.usage)}`);
+    assert(reply.provider === 'openai' && reply.model === 'test-model', 'Provider/model missing');
+    const sent = requests.pop();
+    assert(sent.stream && sent.tools.find((t) => t.function.name === 'extract'), 'Tools not sent as functions');
+  });
+
+  await test('broken tool arguments are reported, not thrown', async () => {
+    replies.push([{ choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'goto', arguments: '{"url":' } }] } }] }]);
+    const reply = await callGatewayForWebAgent('system', 'page', { tools: toolDefinitions() });
+    assert(reply.toolCall.error && reply.toolCall.input === null, `Expected an argument error: ${JSON.stringify(reply.toolCall)}`);
+  });
+
+  await test('no options still returns plain text', async () => {
+    replies.push([{ choices: [{ delta: { content: '{"summary":"ok"}' } }] }]);
+    const reply = await callGatewayForWebAgent('system', 'plan');
+    assert(reply === '{"summary":"ok"}', `Unexpected reply: ${JSON.stringify(reply)}`);
+    assert(!requests.pop().tools, 'Tools sent without being asked for');
+  });
+
+  await test('API errors reject with the provider message', async () => {
+    replies.push({ status: 401, body: { error: { message: 'Incorrect API key' } } });
+    const error = await callGatewayForWebAgent('system', 'page', {}).catch((e) => e);
+    assert(error instanceof Error && /401: Incorrect API key/.test(error.message), `Unexpected: ${error?.message || error}`);
+  });
+}
+
+run(main, () => {
+  server.close();
+  fs.rmSync(stubDir, { recursive: true, force: true });
+});
@@ -1,8 +1,8 @@
 /**
  * Test page-analyzer.js on real websites
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('1. Launching browser...');
@@ -25,6 +25,12 @@ async function test() {
   console.log(`   ✅ Summary (${summary.length} chars):`);
   console.log('   ' + summary.split('\n').slice(0, 5).join('\n   '));
 
+  // Test role snapshot summary (aria format with refs)
+  console.log('\n3b. Getting role snapshot summary...');
+  const aria = await analyzer.getPageSummary(3000, browser, 'aria');
+  console.log(`   ✅ Aria summary (${aria.length} chars):`);
+  console.log('   ' + aria.split('\n').slice(0, 5).join('\n   '));
+
   // Test CAPTCHA detection
   console.log('\n4. CAPTCHA detection...');
   const captcha = await analyzer.hasCaptcha();
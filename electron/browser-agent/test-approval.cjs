@@ -0,0 +1,188 @@
+/**
+ * Approval tests — which web actions count as sensitive, and WebAgent holding
+ * them (approvalMode 'ask') until the desktop or the gateway answers.
+ * The browser, page analyzer, AI and gateway are faked.
+ * Run: node test-approval.cjs
+ */
+const { useTempHome, test, assert, run, fakeContext } = require('./test-fixtures/harness.cjs');
+
+useTempHome('root-ai-approval-');
+
+// The gateway's exec approvals, faked before web-agent picks them up
+const bridge = require('./ai-bridge.cjs');
+const gateway = { requests: [], resolved: [], answer: null };
+Object.assign(bridge, {
+  requestGatewayApproval: async (request) => {
+    gateway.requests.push(request);
+    if (gateway.answer === 'offline') throw new Error('gateway not running');
+    if (!gateway.answer) return new Promise(() => {}); // nobody answers in chat
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return gateway.answer;
+  },
+  resolveGatewayApproval: async (id, decision) => { gateway.resolved.push({ id, decision }); },
+});
+
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const { classifyAction, describeApproval } = require('./action-approval.cjs');
+const { WebAgent } = require('./web-agent.cjs');
+
+// ─── Fakes ───────────────────────────────────────────
+
+const page = { url: 'https://shop.test/cart', clicked: [] };
+
+Object.assign(analyzer, {
+  getPageSummary: async () => `URL: ${page.url}`,
+  hasCaptcha: async () => false,
+  requiresLogin: async () => false,
+});
+
+const context = fakeContext(page, {
+  click: async (target) => { page.clicked.push(target); },
+});
+
+Object.assign(browser, {
+  isRunning: () => true,
+  isHeadless: () => false,
+  createContext: async () => context,
+});
+
+/**
+ * Scripted AI: clicks each button in turn, then reports the last error it was shown.
+ */
+function fakeAI(buttons) {
+  let next = 0;
+  return async (system, ctx, options = {}) => {
+    if (!options.tools) return '{"summary":"shop","steps":["click"]}';
+    if (next < buttons.length) {
+      const text = buttons[next++];
+      return { text: `Clicking ${text}`, toolCall: { name: 'click', input: { text } } };
+    }
+    const error = (ctx.match(/ERROR .*/) || ['no error'])[0];
+    return { text: 'Finished', toolCall: { name: 'done', input: { result: error } } };
+  };
+}
+
+function newAgent(buttons, options = {}) {
+  const agent = new WebAgent({ askAI: fakeAI(buttons), record: false, approvalMode: 'ask', ...options });
+  agent.on('error', () => {});
+  return agent;
+}
+
+async function main() {
+  console.log('\n🔐 Testing action-approval.js\n');
+
+  await test('classifies payment, delete, publish and send controls', async () => {
+    const click = (text) => classifyAction({ action: 'click', params: { text } })?.kind || null;
+    assert(click('Place your order') === 'payment', 'order');
+    assert(click('Pay $12.00') === 'payment', 'pay');
+    assert(click('Delete repository') === 'delete', 'delete');
+    assert(click('Publish post') === 'publish', 'publish first');
+    assert(click('Send') === 'send', 'send');
+    assert(click('Search') === null && click('Next page') === null && click('Payments history') === null, 'Harmless clicks flagged');
+  });
+
+  await test('uses the element name behind a ref, and the intent behind Enter', async () => {
+    const byRef = classifyAction({ action: 'click', params: { ref: 'e4' } }, { target: { role: 'button', name: 'Buy now' } });
+    assert(byRef.kind === 'payment' && byRef.label === 'Buy now', JSON.stringify(byRef));
+    const enter = classifyAction({ action: 'press_key', params: { key: 'Enter' }, thought: 'Submit the reply form' });
+    assert(enter.kind === 'send', JSON.stringify(enter));
+    assert(!classifyAction({ action: 'press_key', params: { key: 'Tab' }, thought: 'Submit' }), 'Only Enter submits');
+  });
+
+  await test('typed text goes through the vault checks', async () => {
+    const card = classifyAction({ action: 'type', params: { field: 'Card', text: '4111 1111 1111 1111' } });
+    assert(card.kind === 'sensitive_text' && /card number/.test(card.reason), JSON.stringify(card));
+    assert(!classifyAction({ action: 'type', params: { field: 'Search', text: 'react jobs' } }), 'Plain text flagged');
+    const line = describeApproval({ ...card, action: 'type', url: 'https://shop.test' });
+    assert(line === 'browser: type sensitive text into "Card" (sensitive_text) on https://shop.test' && !line.includes('4111'), line);
+  });
+
+  console.log('\n🤖 WebAgent\n');
+
+  await test("'auto' never asks", async () => {
+    page.clicked = [];
+    const agent = newAgent(['Pay now'], { approvalMode: 'auto' });
+    let asked = false;
+    agent.on('approval', () => { asked = true; });
+    const result = await agent.execute('pay');
+    assert(result.success && !asked && page.clicked.join() === 'Pay now', JSON.stringify(result));
+  });
+
+  await test('a desktop denial blocks the click and tells the AI', async () => {
+    page.clicked = [];
+    gateway.requests = [];
+    gateway.resolved = [];
+    gateway.answer = null;
+    const agent = newAgent(['Search', 'Pay now']);
+    const states = [];
+    agent.on('approval', (event) => {
+      states.push(event.state);
+      if (event.state === 'waiting') setTimeout(() => agent.denyAction(), 30);
+    });
+    const result = await agent.execute('buy it');
+    assert(page.clicked.join() === 'Search', `Clicked: ${page.clicked.join()}`);
+    assert(states.join() === 'waiting,denied', states.join());
+    assert(/action_denied/.test(result.result) && /payment/.test(result.result), result.result);
+    assert(gateway.requests.length === 1 && gateway.requests[0].command === 'browser: click "Pay now" (payment) on https://shop.test/cart', JSON.stringify(gateway.requests));
+    assert(gateway.resolved.length === 1 && gateway.resolved[0].decision === 'deny', 'Gateway request left open');
+    assert(result.budget.durationMs < 30, `Time waiting for approval was counted: ${result.budget.durationMs}ms`);
+  });
+
+  await test('an approval through the gateway lets the click through', async () => {
+    page.clicked = [];
+    gateway.resolved = [];
+    gateway.answer = 'allow-once';
+    const agent = newAgent(['Delete draft'], { notify: [{ channel: 'telegram', target: '@me' }] });
+    const states = [];
+    agent.on('approval', (event) => states.push(`${event.state}${event.by ? `:${event.by}` : ''}`));
+    const result = await agent.execute('clean up');
+    assert(result.success && page.clicked.join() === 'Delete draft', JSON.stringify(result));
+    assert(states.join() === 'waiting,approved:gateway', states.join());
+    assert(gateway.requests.at(-1).origin.target === '@me', 'Origin chat not passed to the gateway');
+    assert(gateway.resolved.length === 0, 'Answered approvals need no resolve');
+  });
+
+  await test('allow-always covers the same control for the rest of the task', async () => {
+    page.clicked = [];
+    gateway.answer = 'offline';
+    const agent = newAgent(['Send', 'Send', 'Reply']);
+    let asked = 0;
+    agent.on('approval', (event) => {
+      if (event.state !== 'waiting') return;
+      asked++;
+      setTimeout(() => agent.approveAction({ always: event.label === 'Send' }), 10);
+    });
+    const result = await agent.execute('answer messages');
+    assert(result.success && page.clicked.join() === 'Send,Send,Reply', page.clicked.join());
+    assert(asked === 2, `Expected to ask for Send once and Reply once, asked ${asked} times`);
+  });
+
+  await test('unanswered approvals time out as denied; stop() ends the wait', async () => {
+    page.clicked = [];
+    gateway.answer = null;
+    const timed = newAgent(['Pay now'], { approvalTimeoutMs: 30 });
+    const states = [];
+    timed.on('approval', (event) => states.push(event.state));
+    await timed.execute('pay');
+    assert(states.join() === 'waiting,timeout' && page.clicked.length === 0, states.join());
+
+    const stopped = newAgent(['Pay now']);
+    stopped.on('approval', (event) => { if (event.state === 'waiting') setTimeout(() => stopped.stop(), 10); });
+    const result = await stopped.execute('pay');
+    assert(!result.success && page.clicked.length === 0, JSON.stringify(result));
+    assert(result.stopped === 'user' && result.result === 'Stopped by user', `Not reported as stopped: ${JSON.stringify(result)}`);
+  });
+
+  await test('onApproval decides on its own', async () => {
+    page.clicked = [];
+    gateway.requests = [];
+    const seen = [];
+    const agent = newAgent(['Publish'], { onApproval: async (request) => { seen.push(request); return true; } });
+    const result = await agent.execute('publish');
+    assert(result.success && page.clicked.join() === 'Publish', JSON.stringify(result));
+    assert(seen[0].kind === 'publish' && !('params' in seen[0]) && gateway.requests.length === 0, JSON.stringify(seen));
+  });
+}
+
+run(main);
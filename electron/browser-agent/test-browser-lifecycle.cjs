@@ -0,0 +1,145 @@
+/**
+ * browser.js lifecycle tests — launching once for concurrent callers,
+ * knowing whether the browser has a window and reopening it with one for
+ * tasks that need it after a background check launched it headless.
+ * Puppeteer is faked.
+ * Run: node test-browser-lifecycle.cjs
+ */
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { useTempHome, test, assert, run } = require('./test-fixtures/harness.cjs');
+
+useTempHome('root-ai-browser-');
+process.env.KLAW_BROWSER_PATH = process.execPath; // any existing file; nothing is started
+
+const puppeteer = require('puppeteer-extra');
+const browser = require('./browser.cjs');
+const networkCapture = require('./network-capture.cjs');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ─── Fakes ───────────────────────────────────────────
+
+const launches = []; // options of every puppeteer.launch / connect
+
+function fakeBrowser(userAgent) {
+  const page = Object.assign(new EventEmitter(), {
+    setUserAgent: async () => {},
+    evaluateOnNewDocument: async () => {},
+    setExtraHTTPHeaders: async () => {},
+    isClosed: () => false,
+  });
+  const handlers = {};
+  return {
+    connected: true,
+    pages: async () => [page],
+    defaultBrowserContext() { return this; },
+    newPage: async () => page,
+    userAgent: async () => userAgent,
+    on: (event, fn) => { handlers[event] = fn; },
+    close: async function () {
+      this.connected = false;
+      handlers.disconnected?.();
+    },
+  };
+}
+
+puppeteer.launch = async (options) => {
+  launches.push(options);
+  await sleep(30); // long enough for a second caller to arrive mid-launch
+  return fakeBrowser(options.headless ? 'HeadlessChrome/131.0.0.0' : 'Chrome/131.0.0.0');
+};
+
+async function main() {
+  console.log('\n🧪 Testing browser.js lifecycle\n');
+
+  await test('concurrent launches start one browser', async () => {
+    await Promise.all([browser.launch({ useRealProfile: false }), browser.launch(), browser.launch()]);
+    assert(launches.length === 1, `Expected 1 launch, got ${launches.length}`);
+    assert(browser.isRunning() && !browser.isHeadless(), 'Headed browser not running');
+    assert(fs.existsSync(launches[0].userDataDir), 'Profile folder missing');
+    await browser.close();
+  });
+
+  await test('a failed launch is reported to its caller and the next one retries', async () => {
+    const launch = puppeteer.launch;
+    puppeteer.launch = async () => { throw new Error('profile in use'); };
+    const error = await browser.launch({ useRealProfile: false }).catch((e) => e);
+    puppeteer.launch = launch;
+    assert(error?.message === 'profile in use', `Unexpected: ${error}`);
+    await browser.launch({ useRealProfile: false });
+    assert(browser.isRunning(), 'Retry did not launch');
+    await browser.close();
+  });
+
+  await test('a connected browser reports whether it is headless', async () => {
+    const connect = puppeteer.connect;
+    try {
+      puppeteer.connect = async () => fakeBrowser('Mozilla/5.0 HeadlessChrome/131.0.0.0');
+      await browser.launch({ connectExisting: true, useRealProfile: false });
+      assert(browser.isHeadless(), 'Headless Chrome reported as headed');
+      await browser.close();
+
+      puppeteer.connect = async () => fakeBrowser('Mozilla/5.0 Chrome/131.0.0.0');
+      await browser.launch({ connectExisting: true, useRealProfile: false });
+      assert(browser.isRunning() && !browser.isHeadless(), 'Chrome with a window reported as headless');
+      await browser.close();
+    } finally {
+      puppeteer.connect = connect;
+    }
+  });
+
+  await test('a task asking for a window waits for the health check, then gets one', async () => {
+    launches.length = 0;
+    const check = browser.use({ background: true });
+    await browser.launch({ headless: true, useRealProfile: false });
+    const task = browser.use();
+    let ready = false;
+    const launching = browser.launch({ headless: false, useRealProfile: false }).then(() => { ready = true; });
+    await sleep(50);
+    assert(!ready && browser.isHeadless(), 'Task joined the headless browser while the check was running');
+
+    check(); // the check is done and asks to close the browser it launched
+    await browser.closeWhenIdle();
+    await launching;
+    assert(browser.isRunning() && !browser.isHeadless(), 'Browser not reopened with a window');
+    assert(launches.map((l) => l.headless).join() === 'new,false', JSON.stringify(launches.map((l) => l.headless)));
+    task();
+    assert(browser.isRunning(), "The check's closeWhenIdle closed the task's new browser");
+    await browser.close();
+  });
+
+  await test('a headless browser another task is working in is shared, not reopened', async () => {
+    launches.length = 0;
+    const other = browser.use();
+    await browser.launch({ headless: true, useRealProfile: false });
+    const mine = browser.use();
+    await browser.launch({ headless: false, useRealProfile: false });
+    assert(launches.length === 1 && browser.isHeadless(), 'Headless task lost its browser');
+    other();
+    mine();
+    await browser.close();
+  });
+
+  await test('network traffic is only kept for a context that asks for it', async () => {
+    await browser.launch({ useRealProfile: false });
+    const page = await browser.getPage();
+    assert(page.listenerCount('request') === 0, 'Captured without being asked');
+    const off = await networkCapture.getRequests(browser).catch((e) => e);
+    assert(/Network capture is off/.test(off?.message), `Expected a refusal: ${off}`);
+
+    await browser.setNetworkCapture(true);
+    page.emit('request', { method: () => 'POST', url: () => 'https://x.test/login', resourceType: () => 'xhr', headers: () => ({}), postData: () => 'password=hunter2' });
+    const [request] = await networkCapture.getRequests(browser);
+    assert(request?.url === 'https://x.test/login', JSON.stringify(request));
+
+    await browser.setNetworkCapture(false);
+    assert(page.listenerCount('request') === 0, 'Still listening after capture was turned off');
+    await browser.setNetworkCapture(true);
+    assert((await networkCapture.getRequests(browser)).length === 0, 'Dropped capture came back');
+    await browser.setNetworkCapture(false);
+    await browser.close();
+  });
+}
+
+run(main);
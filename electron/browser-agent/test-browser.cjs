@@ -2,7 +2,7 @@
  * Quick test for browser.js
  * Run: node test-browser.js
  */
-const browser = require('./browser');
+const browser = require('./browser.cjs');
 
 async function test() {
   console.log('1. Launching browser...');
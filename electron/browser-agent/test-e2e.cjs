@@ -1,8 +1,8 @@
 /**
  * End-to-end test: WebAgent executes a real task with AI
  */
-const { WebAgent } = require('./web-agent');
-const { callGatewayForWebAgent } = require('./ai-bridge');
+const { WebAgent } = require('./web-agent.cjs');
+const { callGatewayForWebAgent } = require('./ai-bridge.cjs');
 
 async function test() {
   console.log('=== END-TO-END WEB AGENT TEST ===\n');
@@ -27,7 +27,7 @@ async function test() {
   if (result.result) console.log(`Output: ${typeof result.result === 'string' ? result.result.substring(0, 300) : JSON.stringify(result.result).substring(0, 300)}`);
 
   // Close browser
-  const browser = require('./browser');
+  const browser = require('./browser.cjs');
   await browser.close();
 
   console.log('\n=== TEST COMPLETE ===');
@@ -36,7 +36,7 @@ async function test() {
 test().catch(e => {
   console.error('❌ E2E test failed:', e.message);
   console.error(e.stack);
-  const browser = require('./browser');
+  const browser = require('./browser.cjs');
   browser.close().catch(() => {});
   process.exit(1);
 });
@@ -0,0 +1,103 @@
+/**
+ * harness.cjs — Shared plumbing for the electron agent test scripts
+ *
+ * Every suite is a plain Node script: it runs its tests in order, prints one
+ * line per test and a 📊 summary, and exits non-zero on failure. This module
+ * holds the parts they all repeat:
+ *
+ *   useTempHome(prefix) — point HOME at a fresh temp folder; call it before
+ *                         requiring modules that keep state under the home
+ *                         folder. run() removes the folder at the end.
+ *   test / assert / run — the test runner and the summary.
+ *   fakeContext(page)   — the few BrowserContext methods WebAgent and
+ *                         WebNavigator call when the page itself is faked.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let passed = 0, failed = 0;
+const homes = []; // temp home folders to remove once the suite is done
+
+/**
+ * Point HOME (and USERPROFILE on Windows) at a new, empty temp folder.
+ * @param {string} prefix - Folder name prefix, e.g. 'root-ai-approval-'
+ * @returns {string} the folder
+ */
+function useTempHome(prefix) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  homes.push(home);
+  return home;
+}
+
+/**
+ * Run one test and print its outcome. Never throws.
+ * @param {string} name
+ * @param {function} fn - sync or async; fails by throwing
+ */
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ❌ ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, msg) {
+  if (!condition) {
+    throw new Error(msg);
+  }
+}
+
+/**
+ * Run the suite's main(), then remove the temp homes, print the summary and
+ * exit with 1 if anything failed (including main() itself throwing).
+ * @param {function(): Promise<void>} main
+ * @param {function} [cleanup] - extra teardown, run before the summary
+ */
+function run(main, cleanup) {
+  main()
+    .catch((e) => {
+      console.log(`  ❌ setup: ${e.message}`);
+      failed++;
+    })
+    .finally(async () => {
+      try {
+        await cleanup?.();
+      } catch (e) {
+        console.log(`  ❌ cleanup: ${e.message}`);
+        failed++;
+      }
+      for (const home of homes) {
+        fs.rmSync(home, { recursive: true, force: true });
+      }
+      console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${passed + failed}\n`);
+      process.exit(failed === 0 ? 0 : 1);
+    });
+}
+
+/**
+ * A BrowserContext stand-in for tests that fake the page analyzer: it is
+ * always running, reports `page.url` and has no real page to screenshot.
+ * @param {{ url: string }} page - shared with the test, which may change url
+ * @param {object} [methods] - extra or replaced context methods (click, goto, ...)
+ * @returns {object}
+ */
+function fakeContext(page, methods = {}) {
+  return {
+    isRunning: () => true,
+    launch: async () => {},
+    currentUrl: async () => page.url,
+    getPage: async () => { throw new Error('no page'); },
+    humanDelay: async () => {},
+    ...methods,
+  };
+}
+
+module.exports = { useTempHome, test, assert, run, fakeContext };
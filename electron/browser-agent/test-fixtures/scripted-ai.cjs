@@ -0,0 +1,60 @@
+/**
+ * scripted-ai.cjs — Fake askAI for deterministic navigator tests
+ *
+ * Replays a fixed list of decisions instead of calling a model. Each entry is
+ * either a decision object ({ action, params, thought }), a raw string (to
+ * exercise parseDecision), or a function (context, calls) → entry that can
+ * look at the page summary it was given. A decision with `tool: true` is
+ * answered like ai-bridge's native tool calling: the thought is streamed to
+ * onText and { text, toolCall, usage } is returned.
+ *
+ * Every call is recorded on `askAI.calls` so tests can assert on what the
+ * navigator showed the model (page summaries, fed-back errors).
+ */
+
+/**
+ * @param {Array<object|string|function>} script
+ * @returns {function & { calls: Array<{ systemPrompt, context, options }>, remaining: function }}
+ */
+function createScriptedAI(script) {
+  const queue = [...script];
+  const calls = [];
+
+  const askAI = async (systemPrompt, context, options) => {
+    calls.push({ systemPrompt, context, options });
+    if (queue.length === 0) {
+      throw new Error(`Scripted AI exhausted after ${calls.length - 1} responses`);
+    }
+    let entry = queue.shift();
+    if (typeof entry === 'function') entry = await entry(context, calls);
+    if (typeof entry === 'string') return entry;
+    if (entry.tool) {
+      const text = entry.thought || `scripted ${entry.action}`;
+      options?.onText?.(text);
+      return { text, toolCall: { name: entry.action, input: entry.params }, usage: entry.usage || null };
+    }
+    return JSON.stringify({ thought: entry.thought || `scripted ${entry.action}`, ...entry });
+  };
+
+  askAI.calls = calls;
+  askAI.remaining = () => queue.length;
+  return askAI;
+}
+
+/**
+ * Find the ref for an element in a role-snapshot page summary.
+ * Use inside a scripted step: (ctx) => ({ action: 'click', params: { ref: refFor(ctx, 'button', 'Search') } })
+ *
+ * @param {string} context - Context string the navigator passed to askAI
+ * @param {string} role - e.g. 'button'
+ * @param {string} name - Accessible name (exact)
+ * @returns {string} ref like "e3"
+ */
+function refFor(context, role, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = context.match(new RegExp(`- ${role} "${escaped}"[^\\n]*\\[ref=(e\\d+)\\]`));
+  if (!match) throw new Error(`No ${role} "${name}" in page snapshot`);
+  return match[1];
+}
+
+module.exports = { createScriptedAI, refFor };
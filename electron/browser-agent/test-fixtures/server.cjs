@@ -0,0 +1,179 @@
+/**
+ * server.cjs — Local HTTP server for browser-agent fixtures
+ *
+ * Serves the static pages in this folder plus a few dynamic routes, so
+ * WebNavigator can be driven end-to-end without touching the internet:
+ *
+ *   /search?q=react       — search results (.result cards)
+ *   POST /login           — demo / secret → dashboard, anything else → error
+ *   /list?page=N          — paginated list, 10 items per page, 3 pages
+ *   /api/jobs?q=react     — JSON search API (used by live-search.html via fetch)
+ *   /files/invoice.pdf    — attachment download (INVOICE_PDF bytes)
+ *   /*.html               — static fixtures (search, live-search, login, modal, upload, feed, index)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ─── Fixture Data ────────────────────────────────────
+const JOBS = [
+  { title: 'React developer for dashboard', budget: '$500' },
+  { title: 'React Native mobile app', budget: '$1,200' },
+  { title: 'Node.js API integration', budget: '$300' },
+  { title: 'Vue to React migration', budget: '$800' },
+  { title: 'WordPress theme fixes', budget: '$150' },
+];
+
+const LIST_PAGE_SIZE = 10;
+const LIST_TOTAL = 30;
+const INVOICE_PDF = '%PDF-1.4\n% fixture invoice\n%%EOF\n';
+const USERNAME = 'demo';
+const PASSWORD = 'secret';
+
+/**
+ * Start the fixture server on a random local port.
+ * @param {object} [options] - { port: 0 }
+ * @returns {Promise<{ url: string, port: number, requests: Array<{ method, url }>, close: function }>}
+ */
+function startFixtureServer(options = {}) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, url: url.pathname + url.search });
+
+    try {
+      if (url.pathname === '/') return sendFile(res, 'index.html');
+      if (url.pathname === '/search') return send(res, 200, renderSearch(url.searchParams.get('q') || ''));
+      if (url.pathname === '/api/jobs') return sendJson(res, searchJobs(url.searchParams.get('q') || ''));
+      if (url.pathname === '/files/invoice.pdf') {
+        res.writeHead(200, {
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': 'attachment; filename="invoice-2024.pdf"',
+          'Content-Length': Buffer.byteLength(INVOICE_PDF),
+        });
+        return res.end(INVOICE_PDF);
+      }
+      if (url.pathname === '/list') return send(res, 200, renderList(Number(url.searchParams.get('page')) || 1));
+      if (url.pathname === '/login' && req.method === 'POST') {
+        const form = new URLSearchParams(await readBody(req));
+        return send(res, 200, renderLogin(form.get('username'), form.get('password')));
+      }
+      if (/^\/[\w-]+\.html$/.test(url.pathname)) return sendFile(res, url.pathname.slice(1));
+      send(res, 404, page('Not Found', '<h1>Not Found</h1>'));
+    } catch (e) {
+      send(res, 500, page('Error', `<h1>Error</h1><p>${escapeHtml(e.message)}</p>`));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        port,
+        requests,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+  });
+}
+
+// ─── Dynamic Pages ───────────────────────────────────
+
+function searchJobs(query) {
+  const q = query.trim().toLowerCase();
+  const jobs = q ? JOBS.filter((job) => job.title.toLowerCase().includes(q)) : [];
+  return { query, total: jobs.length, jobs };
+}
+
+function renderSearch(query) {
+  const matches = searchJobs(query).jobs;
+  const cards = matches.map((job) => `
+    <article class="result">
+      <h3><a href="/search.html">${escapeHtml(job.title)}</a></h3>
+      <span class="budget">${escapeHtml(job.budget)}</span>
+    </article>`).join('');
+  return page(`Results for ${query}`, `
+    <h1>Results for "${escapeHtml(query)}"</h1>
+    <p id="count">${matches.length} jobs found</p>
+    <section aria-label="Results">${cards || '<p>No jobs found</p>'}</section>`);
+}
+
+function renderList(pageNum) {
+  const pages = Math.ceil(LIST_TOTAL / LIST_PAGE_SIZE);
+  const current = Math.min(Math.max(1, pageNum), pages);
+  const start = (current - 1) * LIST_PAGE_SIZE;
+  const items = [];
+  for (let i = start + 1; i <= Math.min(start + LIST_PAGE_SIZE, LIST_TOTAL); i++) {
+    items.push(`<li class="item"><span class="name">Item ${i}</span> <span class="id">#${i}</span></li>`);
+  }
+  const prev = current > 1 ? `<a href="/list?page=${current - 1}" rel="prev">Previous</a>` : '';
+  const next = current < pages ? `<a href="/list?page=${current + 1}" rel="next">Next</a>` : '';
+  return page(`List page ${current}`, `
+    <h1>Inventory</h1>
+    <p>Page ${current} of ${pages}</p>
+    <ul id="items">${items.join('')}</ul>
+    <nav aria-label="Pagination">${prev} ${next}</nav>`);
+}
+
+function renderLogin(username, password) {
+  if (username === USERNAME && password === PASSWORD) {
+    return page('Dashboard', `<h1>Welcome, ${escapeHtml(username)}</h1><p id="session">Signed in</p>`);
+  }
+  const form = fs.readFileSync(path.join(__dirname, 'login.html'), 'utf8');
+  return form.replace('<form', '<p role="alert">Invalid username or password</p>\n  <form');
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>${body}
+</body>
+</html>`;
+}
+
+function send(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(html);
+}
+
+function sendJson(res, data) {
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+function sendFile(res, name) {
+  const file = path.join(__dirname, name);
+  if (!fs.existsSync(file)) return send(res, 404, page('Not Found', '<h1>Not Found</h1>'));
+  send(res, 200, fs.readFileSync(file, 'utf8'));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  startFixtureServer,
+  JOBS,
+  LIST_TOTAL,
+  LIST_PAGE_SIZE,
+  INVOICE_PDF,
+  USERNAME,
+  PASSWORD,
+};
@@ -0,0 +1,191 @@
+/**
+ * Handoff tests — a CAPTCHA or login wall pauses the run for the user, who
+ * clears it in the browser window and lets the same goal carry on.
+ * The browser, page analyzer and AI are faked.
+ * Run: node test-handoff.cjs
+ */
+const { useTempHome, test, assert, run, fakeContext } = require('./test-fixtures/harness.cjs');
+
+useTempHome('root-ai-handoff-');
+
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const { WebNavigator } = require('./navigator.cjs');
+const { WebAgent } = require('./web-agent.cjs');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ─── Fakes ───────────────────────────────────────────
+
+// page.blocker: 'captcha' | 'login' | null — cleared by the "user" in the tests
+const page = { url: 'about:blank', blocker: null };
+
+Object.assign(analyzer, {
+  getPageSummary: async () => `URL: ${page.url}`,
+  hasCaptcha: async () => page.blocker === 'captcha',
+  requiresLogin: async () => page.blocker === 'login',
+});
+
+function tabContext() {
+  return fakeContext(page, {
+    focused: 0,
+    goto: async (url) => { page.url = url; },
+    bringToFront: async function () { this.focused++; },
+  });
+}
+
+/**
+ * Scripted AI: goto each url in turn, then done. Remembers the step history it was shown.
+ */
+function fakeAI(urls) {
+  const seen = [];
+  let next = 0;
+  const askAI = async (system, context, options = {}) => {
+    if (!options.tools) return '{"summary":"visit pages","steps":["visit"]}';
+    seen.push(context);
+    if (next < urls.length) {
+      const url = urls[next++];
+      return { text: `Opening ${url}`, toolCall: { name: 'goto', input: { url } } };
+    }
+    return { text: 'All visited', toolCall: { name: 'done', input: { result: page.url } } };
+  };
+  return { askAI, seen };
+}
+
+async function main() {
+  console.log('\n🖐️ Testing CAPTCHA / login handoff\n');
+
+  await test('without onBlocked a CAPTCHA still stops the run', async () => {
+    page.url = 'about:blank';
+    page.blocker = 'captcha';
+    const { askAI } = fakeAI(['https://a.test']);
+    const nav = new WebNavigator({ askAI, context: tabContext(), pageFormat: 'dom', stepDelay: [0, 0] });
+    const result = await nav.run('visit a');
+    assert(!result.success && /CAPTCHA/.test(result.result), JSON.stringify(result));
+  });
+
+  await test('navigator resumes the same goal with its history after a CAPTCHA', async () => {
+    page.url = 'about:blank';
+    page.blocker = null;
+    const { askAI, seen } = fakeAI(['https://a.test', 'https://b.test']);
+    const blocked = [];
+    const context = tabContext();
+    const nav = new WebNavigator({
+      askAI,
+      context,
+      pageFormat: 'dom',
+      stepDelay: [0, 0],
+      onBlocked: async (blocker) => {
+        blocked.push(blocker);
+        page.blocker = null; // the user solves it
+        return true;
+      },
+    });
+    // A CAPTCHA shows up once the first page is open
+    const goto = context.goto;
+    context.goto = async (url) => { await goto(url); if (url === 'https://a.test') page.blocker = 'captcha'; };
+    const result = await nav.run('visit a then b');
+    assert(result.success && result.result === 'https://b.test', JSON.stringify(result));
+    assert(blocked.length === 1 && blocked[0].kind === 'captcha' && blocked[0].url === 'https://a.test', JSON.stringify(blocked));
+    assert(result.steps === 3, `Handoff shouldn't count as a step: ${result.steps}`);
+    assert(/\[goto\] Opening https:\/\/a\.test/.test(seen[1]) && /\[handoff\] The user solved a CAPTCHA/.test(seen[1]), seen[1]);
+  });
+
+  await test('a cancelled login handoff ends the run', async () => {
+    page.url = 'about:blank';
+    page.blocker = null;
+    const { askAI } = fakeAI(['https://a.test', 'https://b.test', 'https://login.test']);
+    const context = tabContext();
+    const goto = context.goto;
+    context.goto = async (url) => { await goto(url); page.blocker = url === 'https://login.test' ? 'login' : null; };
+    const nav = new WebNavigator({ askAI, context, pageFormat: 'dom', stepDelay: [0, 0], onBlocked: async () => false });
+    const result = await nav.run('visit a, b and sign in');
+    assert(!result.success && /Login required/.test(result.result), JSON.stringify(result));
+  });
+
+  console.log('\n🤖 WebAgent\n');
+  const context = tabContext();
+  Object.assign(browser, {
+    isRunning: () => true,
+    isHeadless: () => false,
+    createContext: async () => context,
+  });
+
+  await test('agent brings the browser forward, notifies and waits for continue', async () => {
+    page.url = 'about:blank';
+    page.blocker = null;
+    const goto = context.goto;
+    context.goto = async (url) => { await goto(url); if (url === 'https://a.test') page.blocker = 'login'; };
+    const sent = [];
+    const { askAI } = fakeAI(['https://x.test', 'https://y.test', 'https://a.test']);
+    const agent = new WebAgent({
+      askAI,
+      record: false,
+      handoff: true,
+      notify: [{ channel: 'telegram', target: '@me' }],
+      sendMessage: async (msg) => { sent.push(msg); },
+      budget: { maxDurationMs: 60 * 1000 },
+    });
+    const states = [];
+    agent.on('handoff', (event) => {
+      states.push(event.state);
+      if (event.state === 'waiting') {
+        setTimeout(() => {
+          page.blocker = null; // signed in
+          assert(agent.isAwaitingHandoff(), 'Expected to be waiting');
+          agent.continueHandoff();
+        }, 80);
+      }
+    });
+    const result = await agent.execute('sign in and read the page');
+    context.goto = goto;
+    assert(result.success && result.result === 'https://a.test', JSON.stringify(result));
+    assert(states.join() === 'waiting,resumed', states.join());
+    assert(context.focused === 1, 'Browser window not brought to front');
+    assert(sent.length === 1 && sent[0].target === '@me' && /login page at https:\/\/a\.test/.test(sent[0].message), JSON.stringify(sent));
+    assert(result.budget.durationMs < 80, `Time waiting for the user was counted: ${result.budget.durationMs}ms`);
+  });
+
+  await test('stop() or the timeout ends a waiting handoff', async () => {
+    page.url = 'about:blank';
+    page.blocker = 'captcha';
+    const failures = [];
+    const { askAI } = fakeAI([]);
+    const agent = new WebAgent({
+      askAI,
+      record: false,
+      handoff: true,
+      notify: [{ target: '@me' }],
+      sendMessage: async () => { throw new Error('gateway down'); },
+    });
+    agent.on('handoff_notify_failed', (event) => failures.push(event));
+    agent.on('error', () => {});
+    const running = agent.execute('anything');
+    await sleep(30);
+    agent.stop();
+    const stopped = await running;
+    assert(!stopped.success && /CAPTCHA/.test(stopped.result), JSON.stringify(stopped));
+    assert(failures.length === 1 && failures[0].error === 'gateway down', 'A failed notification should be reported, not fatal');
+
+    const timed = new WebAgent({ askAI, record: false, handoff: true, handoffTimeoutMs: 30 });
+    const states = [];
+    timed.on('handoff', (event) => states.push(event.state));
+    timed.on('error', () => {});
+    const result = await timed.execute('anything');
+    assert(!result.success && states.join() === 'waiting,timeout', states.join());
+  });
+
+  await test('headless browsers are not handed over', async () => {
+    page.url = 'about:blank';
+    page.blocker = 'captcha';
+    browser.isHeadless = () => true;
+    const agent = new WebAgent({ askAI: fakeAI([]).askAI, record: false, handoff: true });
+    let handedOff = false;
+    agent.on('handoff', () => { handedOff = true; });
+    agent.on('error', () => {});
+    const result = await agent.execute('anything');
+    assert(!result.success && !handedOff, 'Handed off without a window');
+  });
+}
+
+run(main);
@@ -1,5 +1,5 @@
-const upwork = require('./upwork');
-const browser = require('./browser');
+const upwork = require('./upwork.cjs');
+const browser = require('./browser.cjs');
 
 async function test() {
   console.log('=== JOB SEARCH TEST (Indeed) ===\n');
@@ -3,8 +3,8 @@
  * Tests: browser launch → navigate → read → click → extract
  * No AI needed — tests the browser functions directly
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('=== LIVE WEB AGENT TEST ===\n');
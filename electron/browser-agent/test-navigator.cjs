@@ -0,0 +1,478 @@
+/**
+ * Deterministic WebNavigator tests — local fixtures, scripted AI, no internet.
+ * Run: node test-navigator.cjs   (needs a local Chrome/Chromium, runs headless)
+ */
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, assert, run } = require('./test-fixtures/harness.cjs');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const { WebNavigator } = require('./navigator.cjs');
+const { RunRecorder, replayRun, redactedInputs } = require('./run-recorder.cjs');
+const networkCapture = require('./network-capture.cjs');
+const fileTransfer = require('./file-transfer.cjs');
+const { startFixtureServer, USERNAME, PASSWORD, INVOICE_PDF, LIST_TOTAL } = require('./test-fixtures/server.cjs');
+const { createScriptedAI, refFor } = require('./test-fixtures/scripted-ai.cjs');
+
+let server, ctx;
+
+function navigatorFor(script, options = {}) {
+  const askAI = createScriptedAI(script);
+  const nav = new WebNavigator({ askAI, context: ctx, stepDelay: [0, 0], ...options });
+  nav.on('error', () => {}); // failures are asserted on the run result
+  return { nav, askAI };
+}
+
+async function main() {
+  console.log('\n🧪 Testing navigator.js (local fixtures)\n');
+
+  // ─── parseDecision (no browser) ───
+  const parser = new WebNavigator({});
+
+  await test('parseDecision reads fenced JSON', () => {
+    const d = parser.parseDecision('```json\n{"thought":"t","action":"goto","params":{"url":"x"}}\n```');
+    assert(d.action === 'goto' && d.params.url === 'x' && !d.error, JSON.stringify(d));
+  });
+
+  await test('parseDecision flags non-JSON as parse_error', () => {
+    const d = parser.parseDecision('I will click the button');
+    assert(d.error && d.error.code === 'parse_error', JSON.stringify(d));
+  });
+
+  await test('parseDecision flags broken JSON as parse_error', () => {
+    const d = parser.parseDecision('{"action": "click", params: }');
+    assert(d.error && d.error.code === 'parse_error', JSON.stringify(d));
+  });
+
+  // ─── Network capture (no browser) ───
+
+  await test('wait_for_response takes the response of the action before it, not an older one', async () => {
+    // A page that answers /api/jobs calls the way puppeteer reports them
+    const page = new EventEmitter();
+    const fetchJobs = (q, delayMs = 0) => {
+      const body = JSON.stringify({ query: q });
+      const response = { status: () => 200, statusText: () => 'OK', ok: () => true, headers: () => ({ 'content-type': 'application/json' }), text: async () => body };
+      const req = { method: () => 'GET', url: () => `http://x/api/jobs?q=${q}`, resourceType: () => 'fetch', headers: () => ({}), postData: () => null, response: () => response };
+      response.request = () => req;
+      response.url = req.url;
+      page.emit('request', req);
+      setTimeout(() => {
+        page.emit('response', response);
+        page.emit('requestfinished', req);
+      }, delayMs);
+    };
+    page.waitForResponse = (match) => new Promise((resolve) => {
+      page.on('response', (r) => {
+        if (match(r)) {
+          resolve(r);
+        }
+      });
+    });
+    networkCapture.observePage(page);
+    const nav = new WebNavigator({ context: { getPage: async () => page, click: async () => fetchJobs('react', 50) } });
+
+    fetchJobs('');
+    await new Promise((r) => setTimeout(r, 10));
+    await nav.executeAction('click', { ref: 'e3' }); // still loading when the wait starts
+    await nav.executeAction('wait_for_response', { url: '/api/jobs', timeout: 1000 });
+    assert(nav.lastExtractedData.query === 'react', `Got the stale response: ${JSON.stringify(nav.lastExtractedData)}`);
+  });
+
+  await test('HAR files only go to the HAR folder, private to the user', async () => {
+    const page = Object.assign(new EventEmitter(), { title: async () => 'Jobs' });
+    networkCapture.observePage(page);
+    const request = { method: () => 'GET', url: () => 'http://x/api/me', resourceType: () => 'fetch', headers: () => ({ cookie: 'sid=1' }), postData: () => null };
+    page.emit('request', request);
+    const fake = { getPage: async () => page };
+
+    for (const name of ['../stolen', '.hidden', '/tmp/x']) {
+      const error = await networkCapture.exportHar(fake, { name }).catch((e) => e);
+      assert(/Invalid HAR name/.test(error.message), `${name}: ${error.message}`);
+    }
+    // An older export others could read is replaced by a private one
+    fs.mkdirSync(networkCapture.HAR_DIR, { recursive: true });
+    fs.writeFileSync(path.join(networkCapture.HAR_DIR, 'har-test.har'), '{}', { mode: 0o644 });
+    const out = await networkCapture.exportHar(fake, { name: 'har-test', path: path.join(os.tmpdir(), 'elsewhere.har') });
+    try {
+      assert(out.path === path.join(networkCapture.HAR_DIR, 'har-test.har') && out.entries === 1, JSON.stringify(out));
+      if (process.platform !== 'win32') {
+        assert((fs.statSync(out.path).mode & 0o777) === 0o600, 'HAR is readable by others');
+      }
+    } finally {
+      fs.rmSync(out.path, { force: true });
+    }
+  });
+
+  // ─── Downloads (no browser) ───
+
+  await test('download behavior is reset once a download completes or fails', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-downloads-'));
+    const session = new EventEmitter();
+    const sent = [];
+    session.send = async (method, params) => { sent.push(`${method} ${params.behavior || ''}`.trim()); };
+    const fake = { name: 'dl', cdpSession: async () => session };
+    const start = (guid, totalBytes) => async () => {
+      session.emit('Browser.downloadWillBegin', { guid, url: 'http://x/f.pdf', suggestedFilename: 'f.pdf' });
+      fs.writeFileSync(path.join(dir, guid), 'PDF');
+      session.emit('Browser.downloadProgress', { guid, state: 'completed', totalBytes, receivedBytes: totalBytes });
+    };
+    try {
+      const file = await fileTransfer.downloadFile(fake, start('g1', 3), { downloadDir: dir });
+      assert(file.size === 3 && fs.existsSync(file.path), JSON.stringify(file));
+      assert(sent.join() === 'Browser.setDownloadBehavior allowAndName,Browser.setDownloadBehavior default', sent.join());
+
+      sent.length = 0;
+      const error = await fileTransfer.downloadFile(fake, start('g2', 10), { downloadDir: dir, maxBytes: 5 }).catch((e) => e);
+      assert(/exceeds the/.test(error.message), error.message);
+      assert(sent[sent.length - 1] === 'Browser.setDownloadBehavior default', sent.join());
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // ─── Run records (no browser) ───
+
+  await test('recorder keeps secrets out of the run record', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-runs-'));
+    const recorder = new RunRecorder({ task: 'sign in', dir });
+    await recorder.recordStep({ stepNum: 1, url: 'http://x/login', page: 'textbox "Username"', decision: { action: 'type', params: { selector: '#username', text: USERNAME } } });
+    await recorder.recordStep({ stepNum: 2, url: 'http://x/login', page: 'textbox "Password"', decision: { thought: `Typing ${PASSWORD}`, action: 'type', params: { selector: '#password', text: PASSWORD } } });
+    await recorder.recordStep({ stepNum: 3, url: 'http://x/notes', page: `note: ${PASSWORD}`, decision: { action: 'type', params: { field: 'Notes', text: 'card 4111 1111 1111 1111' } } });
+    recorder.finish({ success: true, result: `signed in with ${PASSWORD}`, steps: 3 });
+    const saved = fs.readFileSync(recorder.file, 'utf8');
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    assert(!saved.includes(PASSWORD) && !saved.includes('4111'), 'Secret written to the run record');
+    const [user, pass, card] = recorder.record.steps;
+    assert(user.decision.params.text === USERNAME && !user.redacted, 'Plain text should be kept');
+    assert(pass.decision.params.text === '[redacted]' && pass.redacted.label === '#password', JSON.stringify(pass));
+    assert(card.redacted && /card/.test(card.redacted.reason), JSON.stringify(card.redacted));
+    assert(card.page === 'note: [redacted]' && recorder.record.result.result === 'signed in with [redacted]', 'Secret not scrubbed from page/result');
+  });
+
+  await test('replay asks for redacted text before touching the browser', async () => {
+    const recorder = new RunRecorder({ task: 'sign in', dir: os.tmpdir() });
+    await recorder.recordStep({ stepNum: 1, url: 'http://x/login', page: '', decision: { action: 'type', params: { selector: '#password', text: PASSWORD } } });
+    await recorder.recordStep({ stepNum: 2, url: 'http://x/login', page: '', decision: { action: 'type', params: { selector: '#pin', text: '1234' } }, error: { code: 'element_not_found' } });
+    fs.rmSync(recorder.file, { force: true });
+    assert(redactedInputs(recorder.record).map((i) => i.stepNum).join() === '1', 'Failed steps need no value');
+    const untouched = { isRunning: () => { throw new Error('browser used'); } };
+    const error = await replayRun(recorder.record, { context: untouched, delayMs: 0 }).catch((e) => e);
+    assert(/needs the sensitive text.*step 1 \("#password"\)/.test(error.message), error.message);
+  });
+
+  await test('no screenshot is kept of a step that typed redacted text', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-runs-'));
+    const recorder = new RunRecorder({ task: 'pay', dir, screenshots: true });
+    const shooter = { screenshot: async () => Buffer.from('PNG').toString('base64') };
+    await recorder.recordStep({ stepNum: 1, url: 'http://x/pay', page: '', decision: { action: 'type', params: { field: 'Name', text: 'Ada' } } }, shooter);
+    await recorder.recordStep({ stepNum: 2, url: 'http://x/pay', page: '', decision: { action: 'type', params: { field: 'Card', text: '4111 1111 1111 1111' } } }, shooter);
+    const [name, card] = recorder.record.steps;
+    const shots = fs.readdirSync(path.join(dir, recorder.id));
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert(name.screenshot && !card.screenshot && shots.join() === 'step-1.png', JSON.stringify({ shots, card }));
+  });
+
+  await test('replay asks before sensitive steps and returns what it found, not the old answer', async () => {
+    const record = {
+      startUrl: 'http://x/cart',
+      steps: [
+        { stepNum: 1, decision: { action: 'click', params: { selector: '#coupon' } } },
+        { stepNum: 2, decision: { thought: 'Paying', action: 'click', params: { text: 'Pay now' } } },
+        { stepNum: 3, decision: { action: 'done', params: { result: 'paid $40 on 2024-01-03' } } },
+      ],
+    };
+    const clicks = [];
+    const shop = {
+      isRunning: () => true,
+      goto: async () => {},
+      currentUrl: async () => 'http://x/cart',
+      click: async (target) => { clicks.push(target); },
+    };
+    const asked = [];
+    const refused = await replayRun(record, {
+      context: shop, delayMs: 0, onSensitiveAction: async (request) => { asked.push(request.label); return false; },
+    });
+    assert(!refused.success && refused.stopped === 'declined' && refused.failedAt === 2, JSON.stringify(refused));
+    assert(asked.join() === 'Pay now' && clicks.join() === '#coupon', JSON.stringify({ asked, clicks }));
+
+    clicks.length = 0;
+    const allowed = await replayRun(record, { context: shop, delayMs: 0, onSensitiveAction: async () => true });
+    assert(allowed.success && clicks.join() === '#coupon,Pay now', JSON.stringify(allowed));
+    assert(allowed.result === null, `Replay returned the recorded answer: ${allowed.result}`);
+  });
+
+  // ─── Browser runs ───
+  server = await startFixtureServer();
+  await browser.launch({ headless: true });
+  ctx = await browser.createContext('navigator-tests', { captureNetwork: true });
+
+  await test('search: type by ref, submit, extract results', async () => {
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/search.html` } },
+      (c) => ({ action: 'type', params: { ref: refFor(c, 'searchbox', 'Search jobs'), text: 'React' } }),
+      { action: 'press_key', params: { key: 'Enter' } },
+      { action: 'wait', params: { ms: 500 } },
+      { action: 'extract', params: { selector: '.result', fields: { title: 'h3', budget: '.budget' } } },
+      { action: 'done', params: { result: 'found React jobs' } },
+    ]);
+    const result = await nav.run('Search for React jobs');
+    assert(result.success, `Run failed: ${result.result}`);
+    assert(server.requests.some((r) => r.url === '/search?q=React'), 'Search was not submitted');
+    assert(nav.lastExtractedData.length === 3, `Expected 3 results, got ${nav.lastExtractedData.length}`);
+    assert(nav.lastExtractedData[0].budget === '$500', `Unexpected first result: ${JSON.stringify(nav.lastExtractedData[0])}`);
+  });
+
+  await test('login: type by selector, click by ref', async () => {
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/login.html` } },
+      { action: 'type', params: { selector: '#username', text: USERNAME } },
+      { action: 'type', params: { selector: '#password', text: PASSWORD } },
+      (c) => ({ action: 'click', params: { ref: refFor(c, 'button', 'Log in') } }),
+      { action: 'wait', params: { ms: 500 } },
+      (c) => ({ action: 'done', params: { result: c.includes('Welcome, demo') ? 'signed in' : 'no dashboard' } }),
+    ]);
+    const result = await nav.run('Sign in');
+    assert(result.success && result.result === 'signed in', `Unexpected result: ${result.result}`);
+    assert(await ctx.getTitle() === 'Dashboard', 'Not on dashboard');
+  });
+
+  await test('pagination: extract, follow Next, extract again', async () => {
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/list?page=1` } },
+      { action: 'extract', params: { selector: 'li.item', fields: { name: '.name' } } },
+      (c) => ({ action: 'click', params: { ref: refFor(c, 'link', 'Next') } }),
+      { action: 'wait', params: { ms: 500 } },
+      { action: 'extract', params: { selector: 'li.item', fields: { name: '.name' } } },
+      { action: 'done', params: { result: 'page 2' } },
+    ]);
+    const result = await nav.run('Read the second page of the list');
+    assert(result.success, `Run failed: ${result.result}`);
+    assert(await ctx.getTitle() === 'List page 2', 'Did not reach page 2');
+    const names = nav.lastExtractedData.map((i) => i.name);
+    assert(names.length === 10 && names[0] === 'Item 11', `Unexpected items: ${names.join(', ')}`);
+  });
+
+  await test('paginated extract follows Next until the last page', async () => {
+    const batches = [];
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/list?page=1` } },
+      { action: 'extract', params: { selector: 'li.item', fields: { name: '.name', id: '.id' }, pages: 5, key: 'id' } },
+      (c) => {
+        assert(c.includes(`EXTRACTED ${LIST_TOTAL} items from 3 page(s), stopped: no_next`), 'Extraction summary not shown to the AI');
+        return { action: 'done', params: { result: 'all items' } };
+      },
+    ]);
+    nav.on('extract_batch', (batch) => batches.push(batch));
+    const result = await nav.run('Collect every item in the list');
+    assert(result.success, `Run failed: ${result.result}`);
+    const names = nav.lastExtractedData.map((i) => i.name);
+    assert(names.length === LIST_TOTAL && names[LIST_TOTAL - 1] === `Item ${LIST_TOTAL}`, `Unexpected items: ${names.join(', ')}`);
+    assert(batches.length === 3 && batches.every((b) => b.items.length === 10), `Unexpected batches: ${batches.map((b) => b.items.length)}`);
+  });
+
+  await test('paginated extract stops at the item budget', async () => {
+    await ctx.goto(`${server.url}/list?page=1`);
+    const { items, pages, stopReason } = await analyzer.extractAllItems('li.item', { name: '.name' }, { maxItems: 15, delay: [0, 0] }, ctx);
+    assert(items.length === 15 && pages === 2 && stopReason === 'max_items', `Unexpected: ${items.length} items, ${pages} pages, ${stopReason}`);
+  });
+
+  await test('infinite scroll collects new items without duplicates', async () => {
+    await ctx.goto(`${server.url}/feed.html`);
+    await ctx.waitFor('li.post');
+    const batches = [];
+    const { items, stopReason } = await analyzer.extractAllItems('li.post', { title: '.title' }, {
+      mode: 'scroll', key: 'link', maxPages: 10, delay: [0, 0], onBatch: (b) => batches.push(b),
+    }, ctx);
+    const titles = items.map((i) => i.title);
+    assert(titles.length === 30 && new Set(titles).size === 30, `Unexpected posts: ${titles.join(', ')}`);
+    assert(stopReason === 'end_of_list', `Unexpected stop reason: ${stopReason}`);
+    assert(batches[0].items.length === 10 && batches[batches.length - 1].total === 30, 'Batches were not streamed');
+  });
+
+  await test('modal: open dialog and confirm inside it', async () => {
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/modal.html` } },
+      (c) => ({ action: 'click', params: { ref: refFor(c, 'button', 'Subscribe') } }),
+      (c) => {
+        assert(c.includes('dialog "Confirm subscription"'), 'Dialog not in page snapshot');
+        return { action: 'click', params: { ref: refFor(c, 'button', 'Confirm') } };
+      },
+      { action: 'done', params: { result: 'subscribed' } },
+    ]);
+    const result = await nav.run('Subscribe to the newsletter');
+    assert(result.success, `Run failed: ${result.result}`);
+    assert((await ctx.getText()).includes('Subscribed'), 'Status did not change');
+  });
+
+  await test('tabs: open, switch and close', async () => {
+    const before = (await ctx.listTabs()).length;
+    const { nav } = navigatorFor([
+      { action: 'new_tab', params: { url: `${server.url}/list?page=3` } },
+      { action: 'switch_tab', params: { index: 0 } },
+      { action: 'close_tab', params: {} },
+      { action: 'done', params: { result: 'ok' } },
+    ]);
+    const result = await nav.run('Juggle tabs');
+    assert(result.success, `Run failed: ${result.result}`);
+    const tabs = await ctx.listTabs();
+    assert(tabs.length === before, `Expected ${before} tabs, got ${tabs.length}`);
+    assert((await ctx.currentUrl()).endsWith('/list?page=3'), 'Active tab is not the new one');
+  });
+
+  await test('wait_for_response reads the JSON an XHR returned', async () => {
+    const { nav, askAI } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/live-search.html` } },
+      (c) => ({ action: 'type', params: { ref: refFor(c, 'searchbox', 'Filter jobs'), text: 'react' } }),
+      (c) => ({ action: 'click', params: { ref: refFor(c, 'button', 'Load jobs') } }),
+      { action: 'wait_for_response', params: { url: '/api/jobs', timeout: 5000 } },
+      { action: 'done', params: { result: 'ok' } },
+    ]);
+    const result = await nav.run('Load React jobs from the API');
+    assert(result.success, `Run failed: ${result.result}`);
+    assert(nav.lastExtractedData.total === 3, `Unexpected JSON: ${JSON.stringify(nav.lastExtractedData)}`);
+    assert(askAI.calls[4].context.includes('LAST RESPONSE (200'), 'Response not shown to the AI');
+
+    const xhr = await networkCapture.getRequests(ctx, { urlPattern: '**/api/jobs*', resourceType: ['xhr', 'fetch'] });
+    assert(xhr.length === 1 && xhr[0].status === 200, `Unexpected capture: ${JSON.stringify(xhr)}`);
+
+    const { har } = await networkCapture.exportHar(ctx, { urlPattern: '/api/' });
+    const entry = har.log.entries.find((e) => e.request.url.includes('/api/jobs'));
+    assert(entry && entry.response.content.text.includes('React'), 'HAR is missing the API response body');
+  });
+
+  await test('upload attaches files from the uploads folder only', async () => {
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-uploads-'));
+    fs.writeFileSync(path.join(uploadDir, 'cv.pdf'), 'CV');
+    const { nav, askAI } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/upload.html` } },
+      { action: 'upload', params: { files: ['../../etc/passwd'] } },
+      (c) => {
+        assert(c.includes('UPLOADABLE FILES: cv.pdf'), 'Uploadable files not listed');
+        return { action: 'upload', params: { files: 'cv.pdf', selector: '#cv' } };
+      },
+      { action: 'done', params: { result: 'attached' } },
+    ], { uploadDir });
+    const result = await nav.run('Attach my CV');
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    assert(result.success, `Run failed: ${result.result}`);
+    assert(askAI.calls[2].context.includes('[action_failed]'), 'Escaping upload path was not refused');
+    assert((await ctx.getText()).includes('Attached: cv.pdf'), 'File was not attached');
+  });
+
+  await test('download saves into the sandbox with the suggested name', async () => {
+    const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-downloads-'));
+    await ctx.goto(`${server.url}/upload.html`);
+    const file = await ctx.download('Download invoice', { downloadDir, timeoutMs: 10000 });
+    const saved = fs.readFileSync(file.path, 'utf8');
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+    assert(path.basename(file.path) === 'invoice-2024.pdf', `Unexpected name: ${file.path}`);
+    assert(saved === INVOICE_PDF && file.size === saved.length, 'Downloaded bytes differ');
+
+    const limited = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-downloads-'));
+    let error = null;
+    await ctx.download('Download invoice', { downloadDir: limited, maxBytes: 10, timeoutMs: 10000 }).catch((e) => { error = e; });
+    const leftovers = fs.readdirSync(limited);
+    fs.rmSync(limited, { recursive: true, force: true });
+    assert(error && /limit/.test(error.message), 'Oversized download was not refused');
+    assert(leftovers.length === 0, `Partial download left behind: ${leftovers.join(', ')}`);
+  });
+
+  await test('invalid decisions are fed back and retried', async () => {
+    const { nav, askAI } = navigatorFor([
+      'Sure! Let me click it.',
+      { action: 'clik', params: { text: 'Next' } },
+      { action: 'done', params: { result: 'recovered' } },
+    ]);
+    const result = await nav.run('Recover from bad output');
+    assert(result.success && result.steps === 3, `Unexpected result: ${JSON.stringify(result)}`);
+    assert(askAI.calls[1].context.includes('[parse_error]'), 'parse_error not fed back');
+    assert(askAI.calls[2].context.includes('[unknown_action]'), 'unknown_action not fed back');
+  });
+
+  await test('native tool calls run as decisions and usage adds up', async () => {
+    const { nav, askAI } = navigatorFor([
+      { tool: true, action: 'goto', params: { url: `${server.url}/search.html` }, usage: { inputTokens: 900, outputTokens: 40 } },
+      { tool: true, action: 'done', params: { result: 'ok' }, usage: { inputTokens: 1100, outputTokens: 25 } },
+    ]);
+    const thoughts = [];
+    nav.on('thought_delta', (d) => thoughts.push(d));
+    const result = await nav.run('Open the search page');
+    assert(result.success && result.result === 'ok', `Run failed: ${JSON.stringify(result)}`);
+    assert(askAI.calls[0].options.tools.some((t) => t.name === 'goto' && t.parameters.required.includes('url')), 'Tools not offered');
+    assert(thoughts.length === 2 && thoughts[0].stepNum === 1, 'Thoughts not streamed');
+    const { inputTokens, outputTokens, calls } = nav.usage;
+    assert(inputTokens === 2000 && outputTokens === 65 && calls === 2, `Wrong usage: ${JSON.stringify(nav.usage)}`);
+  });
+
+  await test('failed actions are fed back with the browser error', async () => {
+    const { nav, askAI } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/search.html` } },
+      { action: 'click', params: { selector: '#does-not-exist' } },
+      (c) => {
+        assert(c.includes('[action_failed]'), 'action_failed not fed back');
+        return { action: 'done', params: { result: 'saw failure' } };
+      },
+    ]);
+    const result = await nav.run('Click something missing');
+    assert(result.success, `Run failed: ${result.result}`);
+    assert(askAI.remaining() === 0, 'Script not fully consumed');
+  });
+
+  await test('recorded run replays without the AI', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-runs-'));
+    const recorder = new RunRecorder({ task: 'search', dir });
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/search.html` } },
+      (c) => ({ action: 'type', params: { ref: refFor(c, 'searchbox', 'Search jobs'), text: 'Node' } }),
+      (c) => ({ action: 'click', params: { ref: refFor(c, 'button', 'Search') } }),
+      { action: 'wait', params: { ms: 500 } },
+      { action: 'extract', params: { selector: '.result', fields: { title: 'h3' } } },
+      { action: 'done', params: { result: 'ok' } },
+    ], { recorder });
+    const result = await nav.run('Search for Node jobs');
+    recorder.finish(result);
+    assert(result.success, `Run failed: ${result.result}`);
+
+    await ctx.goto(`${server.url}/`);
+    const replay = await replayRun(recorder.record, { context: ctx, delayMs: 0 });
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert(replay.success, `Replay failed: ${replay.error}`);
+    assert(replay.extracted.length === 1 && replay.extracted[0].title === 'Node.js API integration',
+      `Unexpected replay data: ${JSON.stringify(replay.extracted)}`);
+  });
+
+  await test('recorded login replays with the password given again', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-agent-runs-'));
+    const recorder = new RunRecorder({ task: 'login', dir });
+    const { nav } = navigatorFor([
+      { action: 'goto', params: { url: `${server.url}/login.html` } },
+      { action: 'type', params: { selector: '#username', text: USERNAME } },
+      { action: 'type', params: { selector: '#password', text: PASSWORD } },
+      (c) => ({ action: 'click', params: { ref: refFor(c, 'button', 'Log in') } }),
+      { action: 'wait', params: { ms: 500 } },
+      { action: 'done', params: { result: 'signed in' } },
+    ], { recorder });
+    recorder.finish(await nav.run('Sign in'));
+    const stepNum = recorder.record.steps.find((s) => s.redacted).stepNum;
+
+    await ctx.goto(`${server.url}/`);
+    const seen = [];
+    const replay = await replayRun(recorder.record, {
+      context: ctx, delayMs: 0, values: { [stepNum]: PASSWORD }, onStep: (s) => seen.push(s.params.text),
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert(replay.success, `Replay failed: ${replay.error}`);
+    assert(await ctx.getTitle() === 'Dashboard', 'Replay did not sign in');
+    assert(!seen.includes(PASSWORD), 'Replay reported the password');
+  });
+}
+
+run(main, async () => {
+  await browser.close().catch(() => {});
+  if (server) {
+    await server.close();
+  }
+});
@@ -0,0 +1,49 @@
+/**
+ * Check site profiles used by login-manager.js.
+ * Usage:
+ *   node test-profile.cjs                 — validate and list all profiles
+ *   node test-profile.cjs upwork [url]    — open the site and show which indicators match
+ *   node test-profile.cjs ./mysite.yaml   — same, for a profile file that isn't installed yet
+ */
+const path = require('path');
+const browser = require('./browser.cjs');
+const loginManager = require('./login-manager.cjs');
+const siteProfiles = require('./site-profiles.cjs');
+
+const target = process.argv[2];
+const url = process.argv[3];
+
+async function main() {
+  if (!target) {
+    const { profiles, errors } = siteProfiles.listProfiles();
+    console.log(`\n📋 Site profiles (user folder: ${siteProfiles.PROFILES_DIR})`);
+    console.log(`   JSON Schema for editors: ${siteProfiles.SCHEMA_FILE}\n`);
+    for (const p of profiles) console.log(`  ✅ ${p.name.padEnd(12)} ${p.domain.padEnd(18)} ${p.source}`);
+    for (const e of errors) console.log(`  ❌ ${path.basename(e.file)}: ${e.errors.join('; ')}`);
+    return errors.length === 0;
+  }
+
+  const profile = /\.(json|ya?ml)$/i.test(target) ? siteProfiles.parseProfileFile(path.resolve(target)) : target;
+  console.log(`\n🔎 Testing profile ${typeof profile === 'string' ? profile : profile.name}\n`);
+  await browser.launch({ headless: false });
+  const result = await loginManager.testProfile(profile, { url });
+
+  if (result.errors.length > 0) {
+    result.errors.forEach((e) => console.log(`  ❌ ${e}`));
+    return false;
+  }
+  console.log(`  URL: ${result.url}`);
+  for (const c of result.checks) {
+    console.log(`  ${c.matched ? '✅' : '⬜'} ${c.kind.padEnd(8)} ${c.type.padEnd(10)} ${c.value}`);
+  }
+  console.log(`\n  State: ${result.state} (expected ${result.expected}) ${result.ok ? '✅' : '❌'}\n`);
+  return result.ok;
+}
+
+main()
+  .then((ok) => process.exitCode = ok ? 0 : 1)
+  .catch((e) => {
+    console.log(`  ❌ ${e.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => browser.close().catch(() => {}));
@@ -0,0 +1,136 @@
+/**
+ * Typed result tests — schema checks, the navigator's repair round and
+ * WebAgent returning validated data with the raw extraction.
+ * The browser, page analyzer and AI are faked.
+ * Run: node test-result-schema.cjs
+ */
+const { useTempHome, test, assert, run, fakeContext } = require('./test-fixtures/harness.cjs');
+
+useTempHome('root-ai-schema-');
+
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const { compileSchema, describeSchema } = require('./result-schema.cjs');
+const { WebNavigator } = require('./navigator.cjs');
+const { WebAgent } = require('./web-agent.cjs');
+
+// ─── Fakes ───────────────────────────────────────────
+
+const JOBS = [
+  { title: 'React dev', budget: '$500' },
+  { title: 'Node API', budget: '$1,200' },
+];
+
+const JOB_SCHEMA = {
+  type: 'object',
+  required: ['jobs'],
+  properties: {
+    jobs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'budget'],
+        properties: { title: { type: 'string' }, budget: { type: 'number' } },
+        additionalProperties: false,
+      },
+    },
+  },
+};
+
+Object.assign(analyzer, {
+  getPageSummary: async () => 'URL: https://jobs.test',
+  hasCaptcha: async () => false,
+  requiresLogin: async () => false,
+  extractItems: async () => JOBS.map((job) => ({ ...job })),
+});
+
+const context = fakeContext({ url: 'https://jobs.test' });
+
+/**
+ * Scripted AI: extract, then answer with each of `answers` in turn. Keeps every context it was shown.
+ */
+function fakeAI(answers) {
+  const seen = [];
+  let extracted = false;
+  const askAI = async (system, ctx, options = {}) => {
+    if (!options.tools) return '{"summary":"jobs","steps":["extract"]}';
+    seen.push(ctx);
+    if (!extracted) {
+      extracted = true;
+      return { text: 'Extracting jobs', toolCall: { name: 'extract', input: { selector: '.job', fields: { title: 'h3', budget: '.budget' } } } };
+    }
+    return { text: 'Returning the jobs', toolCall: { name: 'done', input: { result: answers.shift() } } };
+  };
+  return { askAI, seen };
+}
+
+const typedJobs = { jobs: [{ title: 'React dev', budget: 500 }, { title: 'Node API', budget: 1200 }] };
+
+async function main() {
+  console.log('\n📐 Testing result-schema.js\n');
+
+  await test('parses JSON text (fenced too) before validating', async () => {
+    const check = compileSchema(JOB_SCHEMA);
+    const fenced = check('```json\n{"jobs":[{"title":"A","budget":5}]}\n```');
+    assert(fenced.valid && fenced.value.jobs[0].budget === 5, JSON.stringify(fenced));
+    const prose = check('I found two jobs');
+    assert(!prose.valid && prose.value === 'I found two jobs' && prose.errors[0] === '(root) must be object', JSON.stringify(prose));
+  });
+
+  await test('reports where the data breaks the schema', async () => {
+    const { errors } = compileSchema(JOB_SCHEMA)({ jobs: [{ title: 'A', budget: '$5', url: 'x' }] });
+    assert(errors.includes('/jobs/0/budget must be number'), errors.join('; '));
+    assert(errors.includes('/jobs/0 must NOT have additional properties "url"'), errors.join('; '));
+  });
+
+  await test('broken schemas are rejected up front', async () => {
+    const error = (() => { try { compileSchema({ type: 'strin' }); } catch (e) { return e; } })();
+    assert(error && /Invalid result schema/.test(error.message), error && error.message);
+    assert(/RESULT SCHEMA/.test(describeSchema(JOB_SCHEMA)), 'Schema prompt missing');
+  });
+
+  console.log('\n🧭 Navigator\n');
+
+  await test('a wrong result gets one repair round with the errors', async () => {
+    const { askAI, seen } = fakeAI([{ jobs: JOBS }, typedJobs]);
+    const nav = new WebNavigator({ askAI, context, pageFormat: 'dom', stepDelay: [0, 0] });
+    const result = await nav.run('list jobs', { schema: JOB_SCHEMA });
+    assert(result.success && result.result.jobs[1].budget === 1200, JSON.stringify(result));
+    assert(result.raw === typedJobs && result.validation.valid, 'Raw answer / validation missing');
+    assert(result.extracted.length === 2 && result.extracted[1].budget === '$1,200', 'Raw extraction missing');
+    assert(seen.every((ctx) => /RESULT SCHEMA/.test(ctx)), 'Schema not shown to the AI');
+    assert(/invalid_result.*\/jobs\/0\/budget must be number/.test(seen[2]), seen[2]);
+  });
+
+  await test('still wrong after the repair round fails the run', async () => {
+    const { askAI } = fakeAI([{ jobs: JOBS }, 'two jobs found']);
+    const nav = new WebNavigator({ askAI, context, pageFormat: 'dom', stepDelay: [0, 0] });
+    let error = null;
+    nav.on('error', (event) => { error = event; });
+    const result = await nav.run('list jobs', { schema: JOB_SCHEMA });
+    assert(!result.success && result.result === 'two jobs found' && !result.validation.valid, JSON.stringify(result));
+    assert(/doesn't match the schema/.test(error.message), 'No error event');
+  });
+
+  await test('without a schema done stays free text, plus the extraction', async () => {
+    const { askAI, seen } = fakeAI(['Two jobs: React dev, Node API']);
+    const nav = new WebNavigator({ askAI, context, pageFormat: 'dom', stepDelay: [0, 0] });
+    const result = await nav.run('list jobs');
+    assert(result.success && result.result === 'Two jobs: React dev, Node API' && result.extracted.length === 2, JSON.stringify(result));
+    assert(!('validation' in result) && !/RESULT SCHEMA/.test(seen[0]), 'Schema handling without a schema');
+  });
+
+  console.log('\n🤖 WebAgent\n');
+  Object.assign(browser, { isRunning: () => true, createContext: async () => context });
+
+  await test('execute(task, { schema }) returns typed data and the raw extraction', async () => {
+    const agent = new WebAgent({ askAI: fakeAI([JSON.stringify(typedJobs)]).askAI, record: false });
+    const result = await agent.execute('list jobs', { schema: JOB_SCHEMA });
+    assert(result.success && result.result.jobs[0].budget === 500 && typeof result.raw === 'string', JSON.stringify(result));
+    assert(result.extracted[0].budget === '$500', 'Raw extraction missing');
+    const error = await agent.execute('list jobs', { schema: 'jobs' }).catch((e) => e);
+    assert(/must be a JSON Schema object/.test(error.message), `Unexpected: ${error.message}`);
+  });
+}
+
+run(main);
@@ -0,0 +1,133 @@
+/**
+ * role-snapshot.js tests — snapshot rendering, ref numbering and resolving refs
+ * back to elements. The page is faked (accessibility tree + aria queries); no browser.
+ * Run: node test-role-snapshot.cjs
+ */
+const { test, assert, run } = require('./test-fixtures/harness.cjs');
+const roleSnapshot = require('./role-snapshot.cjs');
+
+async function throws(fn, pattern) {
+  try {
+    await fn();
+  } catch (e) {
+    assert(pattern.test(e.message), e.message);
+    return;
+  }
+  throw new Error('Should have thrown');
+}
+
+const TREE = {
+  role: 'RootWebArea',
+  name: 'Jobs',
+  children: [
+    { role: 'heading', name: 'Find  Work', level: 1 },
+    {
+      role: 'generic',
+      name: '',
+      children: [
+        { role: 'searchbox', name: 'Search for jobs', value: 'react' },
+        { role: 'button', name: 'Search' },
+        { role: 'StaticText', name: 'Showing 3 results' },
+      ],
+    },
+    { role: 'button', name: '' }, // icon-only
+    { role: 'button', name: 'Save' },
+    { role: 'button', name: '' },
+    { role: 'button', name: 'Save' },
+    { role: 'link', name: 'Terms [PDF]' },
+    { role: 'checkbox', name: 'Remote only', checked: true, disabled: true },
+  ],
+};
+
+/**
+ * Fake puppeteer page: elements in document order, matched by aria selectors
+ * the way puppeteer does — `aria/Name[role="x"]` by exact name, `aria/[role="x"]` any name.
+ */
+function fakePage(elements) {
+  return {
+    accessibility: {
+      snapshot: async ({ root } = {}) => (root ? { role: root.role, name: root.name } : TREE),
+    },
+    $$: async (selector) => {
+      const match = /^aria\/(.*)\[role="([^"]+)"\]$/.exec(selector);
+      if (!match) throw new Error(`Unsupported selector ${selector}`);
+      const [, name, role] = match;
+      return elements.filter((el) => el.role === role && (!name || el.name === name));
+    },
+  };
+}
+
+const ELEMENTS = [
+  { id: 'h1', role: 'heading', name: 'Find Work' },
+  { id: 'search', role: 'searchbox', name: 'Search for jobs' },
+  { id: 'go', role: 'button', name: 'Search' },
+  { id: 'icon1', role: 'button', name: '' },
+  { id: 'save1', role: 'button', name: 'Save' },
+  { id: 'icon2', role: 'button', name: '' },
+  { id: 'save2', role: 'button', name: 'Save' },
+  { id: 'terms', role: 'link', name: 'Terms [PDF]' },
+  { id: 'remote', role: 'checkbox', name: 'Remote only' },
+];
+
+async function main() {
+  console.log('\n🧪 Testing role-snapshot.js\n');
+
+  await test('renders roles, names, state and refs', () => {
+    const { snapshot } = roleSnapshot.buildRoleSnapshot(TREE);
+    const lines = snapshot.split('\n');
+    assert(lines[0] === '- rootwebarea "Jobs"', lines[0]);
+    assert(lines[1] === '  - heading "Find Work" [level=1] [ref=e1]', lines[1]);
+    assert(lines[2] === '  - searchbox "Search for jobs" value="react" [ref=e2]', `Structural node not skipped: ${lines[2]}`);
+    assert(lines.includes('  - text: Showing 3 results'), 'Static text missing');
+    assert(lines.includes('  - button [ref=e4]'), 'Unnamed button missing');
+    assert(lines.includes('  - checkbox "Remote only" [checked=true] [disabled] [ref=e9]'), snapshot);
+  });
+
+  await test('nth is kept only for duplicate role + name', () => {
+    const { refs } = roleSnapshot.buildRoleSnapshot(TREE);
+    assert(refs.e3.nth === undefined, `Unique element got nth: ${JSON.stringify(refs.e3)}`);
+    assert(refs.e4.name === '' && refs.e4.nth === 0 && refs.e6.nth === 1, JSON.stringify([refs.e4, refs.e6]));
+    assert(refs.e5.name === 'Save' && refs.e5.nth === 0 && refs.e7.nth === 1, JSON.stringify([refs.e5, refs.e7]));
+  });
+
+  await test('interactive mode lists only refs, flat', () => {
+    const { snapshot, refs } = roleSnapshot.buildRoleSnapshot(TREE, { interactive: true });
+    assert(!/heading|text:/.test(snapshot) && !/^ /m.test(snapshot), snapshot);
+    assert(Object.keys(refs).length === 8, `Expected 8 refs, got ${Object.keys(refs).length}`);
+    assert(roleSnapshot.buildRoleSnapshot({ role: 'RootWebArea', children: [] }, { interactive: true }).snapshot === '(no interactive elements)', 'Empty message');
+  });
+
+  await test('parseRef accepts e12, @e12 and ref=e12', () => {
+    assert(roleSnapshot.parseRef('e12') === 'e12' && roleSnapshot.parseRef(' @e12 ') === 'e12' && roleSnapshot.parseRef('ref=e12') === 'e12', 'Forms not normalized');
+    assert(roleSnapshot.parseRef('#submit') === null && roleSnapshot.parseRef('e') === null && roleSnapshot.parseRef(undefined) === null, 'Non-refs accepted');
+  });
+
+  const page = fakePage(ELEMENTS);
+  await roleSnapshot.takeRoleSnapshot({ getPage: async () => page });
+
+  await test('refs resolve to their element, duplicates by position', async () => {
+    assert((await roleSnapshot.resolveRef(page, 'e2')).id === 'search', 'Searchbox');
+    assert((await roleSnapshot.resolveRef(page, 'e5')).id === 'save1', 'First Save');
+    assert((await roleSnapshot.resolveRef(page, 'e7')).id === 'save2', 'Second Save');
+  });
+
+  await test('unnamed elements count only unnamed ones', async () => {
+    assert((await roleSnapshot.resolveRef(page, 'e4')).id === 'icon1', 'First icon button');
+    const second = await roleSnapshot.resolveRef(page, 'e6');
+    assert(second.id === 'icon2', `Second icon button resolved to ${second.id}`);
+  });
+
+  await test('names with brackets are matched exactly', async () => {
+    assert((await roleSnapshot.resolveRef(page, 'e8')).id === 'terms', 'Link with [PDF]');
+  });
+
+  await test('unknown and vanished refs fail clearly', async () => {
+    await throws(() => roleSnapshot.resolveRef(page, 'e99'), /Unknown ref "e99" — take a fresh snapshot/);
+    await throws(() => roleSnapshot.resolveRef(fakePage([]), 'e1'), /Unknown ref "e1"/);
+    const gone = fakePage(ELEMENTS.filter((el) => el.id !== 'save2'));
+    await roleSnapshot.takeRoleSnapshot({ getPage: async () => gone });
+    await throws(() => roleSnapshot.resolveRef(gone, 'e7'), /Ref "e7" \(button "Save"\) is no longer on the page/);
+  });
+}
+
+run(main);
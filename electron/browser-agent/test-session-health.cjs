@@ -0,0 +1,97 @@
+/**
+ * session-health.js tests — status, predicted expiry and one alert per change.
+ * The browser and the site check are faked.
+ * Run: node test-session-health.cjs
+ */
+const { useTempHome, test, assert, run } = require('./test-fixtures/harness.cjs');
+
+useTempHome('root-ai-health-');
+
+const browser = require('./browser.cjs');
+const sessionStore = require('./session-store.cjs');
+const { SessionHealthMonitor } = require('./session-health.cjs');
+
+// No real browser: the verify() below decides which sessions are still logged in
+browser.isRunning = () => true;
+browser.createContext = async () => ({});
+browser.destroyContext = async () => {};
+
+const inHours = (hours) => Date.now() / 1000 + hours * 3600;
+const saveSession = (name, expires) => sessionStore.save('session', name, { name, cookies: [{ name: 'sid', value: 'x', expires }] });
+
+async function main() {
+  console.log('\n🧪 Testing session-health.js\n');
+  sessionStore.setPassphrase('health-test-passphrase');
+  saveSession('upwork', inHours(24 * 30));
+  saveSession('github', inHours(2));
+  saveSession('linkedin', inHours(24 * 30));
+
+  const sent = [];
+  const monitor = new SessionHealthMonitor({
+    notify: [{ channel: 'telegram', target: '@me' }],
+    sendMessage: async ({ channel, target, message }) => sent.push({ channel, target, message }),
+    verify: async (name) => name !== 'linkedin',
+  });
+  const byName = (results) => Object.fromEntries(results.map((r) => [r.name, r]));
+
+  await test('sessions are classified with predicted expiry', async () => {
+    const health = byName(await monitor.checkAll());
+    assert(health.upwork.status === 'valid' && health.upwork.lastVerifiedAt, 'upwork should be valid and verified');
+    assert(health.github.status === 'expiring' && health.github.predictedExpiry, 'github should be expiring');
+    assert(health.linkedin.status === 'expired' && !health.linkedin.lastVerifiedAt, 'linkedin should be expired');
+  });
+
+  await test('alerts go to the configured channels', () => {
+    assert(sent.length === 2, `Expected 2 alerts, got ${sent.length}`);
+    assert(sent.every((s) => s.channel === 'telegram' && s.target === '@me'), 'Wrong alert target');
+    assert(sent.some((s) => /linkedin session expired/.test(s.message)), 'No expired alert for linkedin');
+  });
+
+  await test('unchanged status does not alert again', async () => {
+    await monitor.checkAll();
+    assert(sent.length === 2, `Alert repeated: ${sent.length}`);
+  });
+
+  await test('health is persisted between restarts', () => {
+    const reloaded = new SessionHealthMonitor({ sendMessage: async () => {} });
+    const health = byName(reloaded.getHealth());
+    assert(health.github.notifiedStatus === 'expiring' && health.upwork.lastVerifiedAt, 'State not persisted');
+  });
+
+  await test('sessions pruned after expiring still get an alert', async () => {
+    saveSession('upwork', inHours(-1));
+    monitor.state.sessions.upwork.predictedExpiry = new Date(Date.now() - 1000).toISOString();
+    const health = byName(await monitor.checkAll());
+    assert(health.upwork.status === 'expired', 'Pruned session not reported as expired');
+    assert(sent.some((s) => /upwork session expired/.test(s.message)), 'No alert for pruned session');
+  });
+
+  await test('deleted sessions are dropped silently', async () => {
+    const before = sent.length;
+    sessionStore.remove('session', 'github');
+    await monitor.checkAll();
+    assert(sent.length === before && !byName(monitor.getHealth()).github, 'Deleted session alerted or kept');
+  });
+
+  await test('a browser the check launched is only closed once tasks using it are done', async () => {
+    const calls = [];
+    let running = false;
+    Object.assign(browser, {
+      isRunning: () => running,
+      launch: async (options) => { running = true; calls.push(`launch headless=${options.headless}`); },
+      close: async () => { calls.push('close'); },
+      closeWhenIdle: async () => { calls.push('closeWhenIdle'); },
+    });
+    try {
+      await monitor.checkAll();
+      assert(calls.join() === 'launch headless=true,closeWhenIdle', calls.join());
+      calls.length = 0;
+      await monitor.checkAll(); // already running: someone else's browser, left alone
+      assert(calls.length === 0, calls.join());
+    } finally {
+      browser.isRunning = () => true;
+    }
+  });
+}
+
+run(main);
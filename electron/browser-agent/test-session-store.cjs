@@ -0,0 +1,101 @@
+/**
+ * session-store.js tests — encryption at rest, expiry pruning, export/import.
+ * Uses a passphrase key, never the real keychain.
+ * Run: node test-session-store.cjs
+ */
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, test, assert, run } = require('./test-fixtures/harness.cjs');
+
+const home = useTempHome('root-ai-sessions-');
+const sessionStore = require('./session-store.cjs');
+
+const inDays = (days) => Math.floor(Date.now() / 1000) + days * 86400;
+const session = (cookies) => ({ name: 'upwork', domain: 'upwork.com', savedAt: new Date().toISOString(), url: 'https://www.upwork.com/nx/', cookies });
+
+async function main() {
+  console.log('\n🧪 Testing session-store.js\n');
+  sessionStore.setPassphrase('correct horse battery');
+
+  await test('sessions are encrypted at rest', () => {
+    const file = sessionStore.save('session', 'upwork', session([{ name: 'token', value: 'SECRET-VALUE', expires: inDays(7) }]), { domain: 'upwork.com' });
+    const raw = fs.readFileSync(file, 'utf8');
+    assert(!raw.includes('SECRET-VALUE'), 'Cookie value stored in plaintext');
+    const stored = JSON.parse(raw);
+    assert(stored.domain === 'upwork.com' && stored.cookieCount === 1 && stored.keySource === 'passphrase', 'Readable metadata missing');
+    if (process.platform !== 'win32') {
+      assert((fs.statSync(file).mode & 0o077) === 0, 'File is readable by other users');
+    }
+  });
+
+  await test('load decrypts the session', () => {
+    const data = sessionStore.load('session', 'upwork');
+    assert(data.cookies[0].value === 'SECRET-VALUE' && data.url === 'https://www.upwork.com/nx/', 'Decrypted session differs');
+  });
+
+  await test('expired cookies are dropped on load', () => {
+    sessionStore.save('cookies', 'mixed', [
+      { name: 'old', value: '1', expires: inDays(-1) },
+      { name: 'new', value: '2', expires: inDays(1) },
+      { name: 'tab', value: '3', expires: -1 },
+    ]);
+    const names = sessionStore.load('cookies', 'mixed').map((c) => c.name);
+    assert(names.join(',') === 'new,tab', `Unexpected cookies: ${names}`);
+  });
+
+  await test('plaintext sessions are migrated on first read', () => {
+    const file = path.join(sessionStore.STORE_DIRS.cookies, 'legacy.json');
+    fs.writeFileSync(file, JSON.stringify([{ name: 'sid', value: 'LEGACY', expires: inDays(3) }]));
+    assert(sessionStore.readMeta('cookies', 'legacy').encrypted === false, 'Legacy file reported as encrypted');
+    assert(sessionStore.load('cookies', 'legacy')[0].value === 'LEGACY', 'Legacy cookies not loaded');
+    assert(!fs.readFileSync(file, 'utf8').includes('LEGACY'), 'Legacy file was not encrypted');
+  });
+
+  await test('fully expired sessions are pruned', () => {
+    sessionStore.save('session', 'stale', session([{ name: 'token', value: 'x', expires: inDays(-2) }]));
+    const removed = sessionStore.pruneExpired();
+    assert(removed.some((r) => r.kind === 'session' && r.name === 'stale'), 'Stale session not pruned');
+    assert(!sessionStore.exists('session', 'stale'), 'Stale session file still exists');
+    assert(sessionStore.exists('session', 'upwork'), 'Valid session was pruned');
+  });
+
+  await test('unsafe session names are refused', () => {
+    let error;
+    try { sessionStore.save('cookies', '../escape', []); } catch (e) { error = e; }
+    assert(error && /Invalid session name/.test(error.message), 'Path traversal name accepted');
+  });
+
+  await test('a different key cannot read the sessions', () => {
+    sessionStore.setPassphrase('a different passphrase');
+    let error;
+    try { sessionStore.load('session', 'upwork'); } catch (e) { error = e; }
+    sessionStore.setPassphrase('correct horse battery');
+    assert(error && /different key/.test(error.message), 'Session decrypted with the wrong key');
+  });
+
+  await test('export and import move sessions between machines', () => {
+    const exportFile = path.join(home, 'sessions.export.json');
+    const { count } = sessionStore.exportSessions(exportFile, 'transfer-pass');
+    assert(count === 3, `Expected 3 exported sessions, got ${count}`);
+    assert(!fs.readFileSync(exportFile, 'utf8').includes('SECRET-VALUE'), 'Export contains plaintext cookies');
+
+    // "Other machine": fresh store with another key
+    for (const dir of Object.values(sessionStore.STORE_DIRS)) {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    sessionStore.setPassphrase('other machine key');
+
+    let error;
+    try { sessionStore.importSessions(exportFile, 'wrong-passphrase'); } catch (e) { error = e; }
+    assert(error && /Wrong passphrase/.test(error.message), 'Wrong export passphrase accepted');
+
+    const { imported } = sessionStore.importSessions(exportFile, 'transfer-pass');
+    assert(imported.includes('session/upwork') && imported.length === 3, `Unexpected import: ${imported}`);
+    assert(sessionStore.load('session', 'upwork').cookies[0].value === 'SECRET-VALUE', 'Imported session unreadable');
+
+    const again = sessionStore.importSessions(exportFile, 'transfer-pass');
+    assert(again.imported.length === 0 && again.skipped.length === 3, 'Existing sessions overwritten without overwrite: true');
+  });
+}
+
+run(main);
@@ -0,0 +1,84 @@
+/**
+ * site-profiles.js tests — schema validation, loading, user overrides.
+ * No browser needed.
+ * Run: node test-site-profiles.cjs
+ */
+const fs = require('fs');
+const path = require('path');
+const { useTempHome, test, assert, run } = require('./test-fixtures/harness.cjs');
+
+useTempHome('root-ai-profiles-');
+const siteProfiles = require('./site-profiles.cjs');
+
+const userDir = siteProfiles.PROFILES_DIR;
+fs.mkdirSync(userDir, { recursive: true });
+const writeProfile = (file, profile) => fs.writeFileSync(path.join(userDir, file), JSON.stringify(profile, null, 2));
+
+async function main() {
+  console.log('\n🧪 Testing site-profiles.js\n');
+
+  await test('built-in profiles are valid', () => {
+    const { profiles, errors } = siteProfiles.loadProfiles({ reload: true });
+    assert(errors.length === 0, `Invalid built-ins: ${JSON.stringify(errors)}`);
+    for (const name of ['upwork', 'linkedin', 'indeed', 'fiverr', 'freelancer', 'github', 'gmail']) {
+      assert(profiles.get(name)?.source === 'builtin', `Missing built-in profile ${name}`);
+    }
+  });
+
+  await test('validation reports every problem', () => {
+    const errors = siteProfiles.validateProfile({ name: 'Bad Name', loginUrl: 'ftp://x', success: { text: [] }, colour: 'red' });
+    const fields = new Set(errors.map((e) => e.split(':')[0]));
+    for (const field of ['name', 'domain', 'loginUrl', 'success', 'colour']) {
+      assert(fields.has(field), `No error for ${field}: ${errors.join('; ')}`);
+    }
+  });
+
+  await test('schema errors are worded for people', () => {
+    const errors = siteProfiles.validateProfile({
+      name: 'ok', domain: 'ok.test', loginUrl: 'https://ok.test', success: { text: ['Hi'], foo: [] }, logout: { urls: [' '] }, sessionTtl: 'soon',
+    });
+    assert(errors.join('; ') === [
+      'success: unknown indicator type foo (expected selectors, text, urls)',
+      'logout: urls/0 must be a non-empty string',
+      'sessionTtl: must be a duration like "12h" or "30d", or milliseconds',
+    ].join('; '), errors.join('; '));
+  });
+
+  await test('built-in profiles point editors at the schema file', () => {
+    for (const { file } of siteProfiles.listProfiles().profiles) {
+      const { $schema } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert(path.resolve(path.dirname(file), $schema) === siteProfiles.SCHEMA_FILE, `${path.basename(file)}: ${$schema}`);
+    }
+  });
+
+  await test('session TTLs parse', () => {
+    assert(siteProfiles.parseTtl('12h') === 12 * 3600000, '12h');
+    assert(siteProfiles.parseTtl('30d') === 30 * 86400000, '30d');
+    assert(siteProfiles.parseTtl(60000) === 60000, 'ms');
+    assert(siteProfiles.parseTtl('soon') === null, 'invalid TTL accepted');
+  });
+
+  await test('user profiles add and override sites', () => {
+    writeProfile('acme.json', {
+      name: 'acme', domain: 'acme.test', loginUrl: 'https://acme.test/login',
+      success: { selectors: ['#account-menu'] }, logout: { urls: ['/login'] }, sessionTtl: '7d',
+    });
+    writeProfile('upwork.json', {
+      name: 'upwork', domain: 'upwork.com', loginUrl: 'https://www.upwork.com/login', success: { urls: ['/nx/'] },
+    });
+    siteProfiles.loadProfiles({ reload: true });
+    assert(siteProfiles.getProfile('acme')?.source === 'user', 'User profile not loaded');
+    assert(siteProfiles.getProfile('upwork').loginUrl === 'https://www.upwork.com/login', 'Built-in not overridden');
+  });
+
+  await test('broken files are skipped and reported', () => {
+    fs.writeFileSync(path.join(userDir, 'broken.json'), '{ not json');
+    writeProfile('invalid.json', { name: 'invalid', domain: 'invalid.test' });
+    const { profiles, errors } = siteProfiles.loadProfiles({ reload: true });
+    assert(profiles.has('acme') && !profiles.has('invalid'), 'Invalid profile loaded or valid one dropped');
+    const files = errors.map((e) => path.basename(e.file));
+    assert(files.includes('broken.json') && files.includes('invalid.json'), `Unexpected errors: ${files}`);
+  });
+}
+
+run(main);
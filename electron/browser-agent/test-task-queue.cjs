@@ -0,0 +1,275 @@
+/**
+ * task-queue.js tests — priority order, retries, cancellation, schedules,
+ * persistence and delivery to the chat that queued a task.
+ * Agents, the gateway's cron.nextRun and message send are faked.
+ * Run: node test-task-queue.cjs
+ */
+const EventEmitter = require('events');
+const path = require('path');
+const { useTempHome, test, assert, run } = require('./test-fixtures/harness.cjs');
+
+const home = useTempHome('root-ai-queue-');
+
+const { TaskQueue } = require('./task-queue.cjs');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await sleep(5);
+  }
+}
+
+/**
+ * Fake WebAgent: outcomes[task] is a list of results handed out in turn
+ * (the last one repeats); a 'hang' outcome runs until stop().
+ */
+function fakeAgents(outcomes) {
+  const ran = [];
+  const createAgent = (options) => {
+    const agent = new EventEmitter();
+    agent.options = options;
+    agent.execute = async (task) => {
+      ran.push(task);
+      const list = outcomes[task] || [{ success: true, result: `did ${task}` }];
+      const outcome = list.length > 1 ? list.shift() : list[0];
+      if (outcome === 'hang') {
+        await new Promise((resolve) => { agent.stop = resolve; });
+        return { success: false, result: 'Agent stopped', steps: 1 };
+      }
+      agent.emit('step', { stepNum: 1, action: 'goto' });
+      return { steps: 1, duration: 5, ...outcome };
+    };
+    agent.stop = () => {};
+    return agent;
+  };
+  return { ran, createAgent };
+}
+
+function queueFile(name) {
+  return path.join(home, `${name}.json`);
+}
+
+async function main() {
+  console.log('\n🧪 Testing task-queue.js\n');
+
+  await test('runs queued tasks by priority, then oldest first', async () => {
+    const { ran, createAgent } = fakeAgents({});
+    const queue = new TaskQueue({ file: queueFile('priority'), createAgent, nextRunAt: async () => null });
+    await queue.add('low one', { priority: 'low' });
+    await queue.add('normal one');
+    await queue.add('high one', { priority: 'high' });
+    await queue.add('normal two');
+    queue.start();
+    await waitFor(() => ran.length === 4);
+    await queue.whenIdle();
+    queue.stop();
+    assert(ran.join() === 'high one,normal one,normal two,low one', `Wrong order: ${ran.join()}`);
+    assert(queue.list({ status: 'done' }).length === 4, 'Expected all four done');
+  });
+
+  await test('retries failures with backoff, then reports to the origin chat', async () => {
+    const sent = [];
+    const { ran, createAgent } = fakeAgents({ flaky: [{ success: false, result: 'Page timed out' }] });
+    const queue = new TaskQueue({
+      file: queueFile('retry'),
+      createAgent,
+      retryDelayMs: 10,
+      sendMessage: async (msg) => { sent.push(msg); },
+    });
+    const retries = [];
+    queue.on('task_retry', ({ retryInMs }) => retries.push(retryInMs));
+    const entry = await queue.add('flaky', { maxRetries: 2, origin: { channel: 'telegram', target: '@me' } });
+    queue.start();
+    await waitFor(() => queue.get(entry.id).status === 'failed');
+    queue.stop();
+    assert(ran.length === 3, `Expected 1 run + 2 retries, got ${ran.length}`);
+    assert(retries.join() === '10,20', `Backoff should double: ${retries.join()}`);
+    assert(sent.length === 1 && sent[0].channel === 'telegram' && sent[0].target === '@me', JSON.stringify(sent));
+    assert(/failed after 3 attempt/.test(sent[0].message) && /Page timed out/.test(sent[0].message), sent[0].message);
+    assert(queue.get(entry.id).delivery.status === 'delivered', 'Delivery not recorded');
+  });
+
+  await test('budget stops are not retried', async () => {
+    const { ran, createAgent } = fakeAgents({ pricey: [{ success: false, result: 'Budget exceeded: cost $1.02/$1.00', stopped: 'budget' }] });
+    const queue = new TaskQueue({ file: queueFile('budget'), createAgent, retryDelayMs: 10 });
+    const entry = await queue.add('pricey', { agent: { budget: { maxCostUsd: 1 } } });
+    let options = null;
+    const original = queue.createAgent;
+    queue.createAgent = (opts) => { options = opts; return original(opts); };
+    queue.start();
+    await waitFor(() => queue.get(entry.id).status === 'failed');
+    queue.stop();
+    assert(ran.length === 1, `Budget stop was retried ${ran.length - 1} time(s)`);
+    assert(options.budget.maxCostUsd === 1 && await options.onBudgetExceeded() === false, 'Queued runs should stop on their budget');
+  });
+
+  await test('cancels queued and running tasks', async () => {
+    const { ran, createAgent } = fakeAgents({ slow: ['hang'] });
+    const queue = new TaskQueue({ file: queueFile('cancel'), createAgent });
+    const slow = await queue.add('slow');
+    const later = await queue.add('later', { priority: 'low' });
+    queue.start();
+    await waitFor(() => queue.get(slow.id).status === 'running');
+    assert(queue.cancel(later.id), 'Queued entry not cancelled');
+    assert(queue.cancel(slow.id), 'Running entry not cancelled');
+    await queue.whenIdle();
+    await sleep(20);
+    queue.stop();
+    assert(ran.join() === 'slow', `Cancelled task ran: ${ran.join()}`);
+    assert(queue.get(slow.id).status === 'cancelled' && queue.get(slow.id).lastRun.result === 'Agent stopped', JSON.stringify(queue.get(slow.id)));
+    assert(!queue.cancel(slow.id), 'Finished entries cannot be cancelled again');
+  });
+
+  await test('scheduled tasks run at each computed time and deliver every result', async () => {
+    const sent = [];
+    const asked = [];
+    let runsLeft = 2;
+    const { ran, createAgent } = fakeAgents({ digest: [{ success: true, result: { jobs: 3 } }] });
+    const queue = new TaskQueue({
+      file: queueFile('schedule'),
+      createAgent,
+      sendMessage: async (msg) => { sent.push(msg); },
+      // Stand-in for the gateway: fire 30ms from now, twice, then never again
+      nextRunAt: async (schedule, nowMs) => {
+        asked.push(schedule.expr);
+        return runsLeft-- > 0 ? nowMs + 30 : null;
+      },
+    });
+    const entry = await queue.add('digest', { schedule: { kind: 'cron', expr: '0 9 * * *', tz: 'UTC' }, origin: { target: '@me' } });
+    assert(entry.nextRunAt > Date.now(), 'Scheduled entry should wait for its time');
+    queue.start();
+    await sleep(10);
+    assert(ran.length === 0, 'Ran before its time');
+    await waitFor(() => queue.get(entry.id).status === 'done');
+    queue.stop();
+    assert(ran.length === 2 && queue.get(entry.id).runs === 2, `Expected 2 runs, got ${ran.length}`);
+    assert(asked.every((expr) => expr === '0 9 * * *') && asked.length === 3, asked.join());
+    assert(sent.length === 2 && /"jobs": 3/.test(sent[1].message), JSON.stringify(sent));
+  });
+
+  await test('rejects schedules without a future run', async () => {
+    const queue = new TaskQueue({ file: queueFile('past'), createAgent: fakeAgents({}).createAgent, nextRunAt: async () => null });
+    const error = await queue.add('too late', { schedule: { kind: 'at', at: '2020-01-01T00:00:00Z' } }).catch((e) => e);
+    assert(/no future run/.test(error.message), `Unexpected: ${error.message}`);
+    const bad = await queue.add('x', { priority: 'urgent' }).catch((e) => e);
+    assert(/Unknown priority/.test(bad.message), `Unexpected: ${bad.message}`);
+  });
+
+  await test('a gateway that cannot compute the next run keeps the schedule and asks again', async () => {
+    const answers = ['down', 'down', 'soon', 'down', 'never'];
+    const retries = [];
+    const { ran, createAgent } = fakeAgents({});
+    const queue = new TaskQueue({
+      file: queueFile('schedule-retry'),
+      retryDelayMs: 10,
+      createAgent,
+      closeContext: async () => {},
+      nextRunAt: async (schedule, nowMs) => {
+        const answer = answers.shift();
+        if (answer === 'down') {
+          throw new Error('Gateway call failed: gateway closed (1006 abnormal closure)');
+        }
+        return answer === 'soon' ? nowMs + 20 : null;
+      },
+    });
+    queue.on('schedule_retry', (e) => retries.push(e.retryInMs));
+    const entry = await queue.add('digest', { schedule: { kind: 'cron', expr: '0 9 * * *' } });
+    assert(entry.status === 'queued' && entry.scheduleRetry.attempts === 1, JSON.stringify(entry));
+    queue.start();
+    await waitFor(() => queue.get(entry.id).status === 'done');
+    await queue.whenIdle();
+    queue.stop();
+    assert(ran.join() === 'digest', `Expected one run, got ${ran.join()}`);
+    assert(retries.join() === '10,20,10', `Retry delays: ${retries.join()}`);
+    assert(queue.get(entry.id).scheduleRetry === null && answers.length === 0, JSON.stringify(queue.get(entry.id)));
+  });
+
+  await test('an invalid schedule is refused when queued', async () => {
+    const queue = new TaskQueue({
+      file: queueFile('bad-schedule'),
+      createAgent: fakeAgents({}).createAgent,
+      nextRunAt: async () => { throw new Error('Gateway call failed: invalid cron.nextRun schedule: Error: bad expression'); },
+    });
+    const error = await queue.add('x', { schedule: { kind: 'cron', expr: 'every tuesday' } }).catch((e) => e);
+    assert(/invalid cron\.nextRun/.test(error.message) && queue.list().length === 0, `Unexpected: ${error.message}`);
+  });
+
+  await test('each run gets its own browser context unless one is named', async () => {
+    const closed = [];
+    const { createAgent } = fakeAgents({});
+    const contexts = [];
+    const queue = new TaskQueue({
+      file: queueFile('contexts'),
+      createAgent: (options) => {
+        contexts.push(options.context);
+        return createAgent(options);
+      },
+      closeContext: async (name) => { closed.push(name); },
+    });
+    const own = await queue.add('own');
+    const named = await queue.add('named', { agent: { context: 'work' } });
+    contexts.length = 0; // drop the checks made when queueing
+    queue.start();
+    await waitFor(() => queue.get(named.id).status === 'done');
+    await queue.whenIdle();
+    queue.stop();
+    assert(contexts.join() === `queue-${own.id},work`, contexts.join());
+    assert(closed.join() === `queue-${own.id}`, `Closed: ${closed.join()}`);
+  });
+
+  await test('bad agent options are refused when queued', async () => {
+    const { ran, createAgent } = fakeAgents({});
+    const strict = (options) => {
+      if (options.approvalMode && options.approvalMode !== 'ask') throw new Error(`Unknown approvalMode "${options.approvalMode}"`);
+      return createAgent(options);
+    };
+    const queue = new TaskQueue({ file: queueFile('bad-agent'), createAgent: strict });
+    const error = await queue.add('x', { agent: { approvalMode: 'x' } }).catch((e) => e);
+    assert(/Unknown approvalMode "x"/.test(error.message), `Unexpected: ${error && error.message}`);
+    assert(queue.list().length === 0 && ran.length === 0, 'Rejected task was queued');
+  });
+
+  await test('an agent that cannot be created fails the run instead of looping', async () => {
+    let calls = 0;
+    const queue = new TaskQueue({
+      file: queueFile('no-agent'),
+      retryDelayMs: 10,
+      createAgent: () => {
+        if (++calls > 1) throw new Error('Browser profile is locked'); // fine when queued, broken later
+        return new EventEmitter();
+      },
+    });
+    const entry = await queue.add('locked', { maxRetries: 1 });
+    queue.start();
+    await waitFor(() => queue.get(entry.id).status === 'failed');
+    await queue.whenIdle();
+    queue.stop();
+    assert(calls === 3, `Expected the first run and one retry, got ${calls - 1} run(s)`);
+    assert(queue.get(entry.id).lastRun.result === 'Browser profile is locked', JSON.stringify(queue.get(entry.id).lastRun));
+  });
+
+  await test('queue survives a restart; interrupted tasks run again', async () => {
+    const file = queueFile('restart');
+    const first = fakeAgents({ long: ['hang'] });
+    const before = new TaskQueue({ file, createAgent: first.createAgent });
+    const entry = await before.add('long');
+    await before.add('next');
+    before.start();
+    await waitFor(() => before.get(entry.id).status === 'running');
+    before.stop(); // the app quits mid-task
+
+    const second = fakeAgents({});
+    const after = new TaskQueue({ file, createAgent: second.createAgent });
+    assert(after.get(entry.id).status === 'queued' && after.get(entry.id).attempts === 1, JSON.stringify(after.get(entry.id)));
+    after.start();
+    await waitFor(() => second.ran.length === 2);
+    await after.whenIdle();
+    after.stop();
+    assert(second.ran.join() === 'long,next', second.ran.join());
+  });
+}
+
+run(main);
@@ -1,4 +1,4 @@
-const upwork = require('./upwork');
+const upwork = require('./upwork.cjs');
 
 async function test() {
   console.log('=== UPWORK RSS JOB SEARCH TEST ===\n');
@@ -2,8 +2,8 @@
  * Test: Can we search Upwork and extract job listings?
  * No login needed — Upwork job search is public.
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('=== UPWORK JOB SEARCH TEST ===\n');
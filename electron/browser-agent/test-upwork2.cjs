@@ -2,8 +2,8 @@
  * Test Upwork with real Chrome profile
  * First close all Chrome windows, then this will launch Chrome with your real profile
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('=== UPWORK TEST (Real Chrome Profile) ===\n');
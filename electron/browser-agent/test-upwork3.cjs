@@ -3,8 +3,8 @@
  * Run Chrome with: chrome.exe --remote-debugging-port=9222
  * Or we'll use a fresh profile with cookies copied
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 const fs = require('fs');
 const path = require('path');
 
@@ -1,8 +1,8 @@
 /**
  * Test Upwork with puppeteer-extra + stealth plugin
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('=== UPWORK TEST (Stealth Plugin) ===\n');
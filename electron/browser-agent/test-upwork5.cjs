@@ -1,8 +1,8 @@
 /**
  * Test: Wait for Cloudflare to auto-solve (it runs JS checks, then redirects)
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('=== UPWORK TEST (Wait for Cloudflare auto-solve) ===\n');
@@ -1,8 +1,8 @@
 /**
  * Navigate Upwork like a real user — homepage → search → results
  */
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 
 async function test() {
   console.log('=== UPWORK TEST (Navigate like human) ===\n');
@@ -1,4 +1,4 @@
-const browser = require('./browser');
+const browser = require('./browser.cjs');
 
 async function test() {
   await browser.launch({ useRealProfile: false });
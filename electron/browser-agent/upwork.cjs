@@ -10,8 +10,8 @@
  * Also supports Upwork RSS feeds for job search (no login needed).
  */
 
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
@@ -12,9 +12,16 @@
  */
 
 const EventEmitter = require('events');
-const browser = require('./browser');
-const analyzer = require('./page-analyzer');
-const { WebNavigator } = require('./navigator');
+const browser = require('./browser.cjs');
+const analyzer = require('./page-analyzer.cjs');
+const { WebNavigator } = require('./navigator.cjs');
+const recorder = require('./run-recorder.cjs');
+const networkCapture = require('./network-capture.cjs');
+const { TaskBudget } = require('../shared/budget.cjs');
+const { sendGatewayMessage, requestGatewayApproval, resolveGatewayApproval } = require('./ai-bridge.cjs');
+const { describeApproval } = require('./action-approval.cjs');
+const { compileSchema } = require('./result-schema.cjs');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
@@ -22,21 +29,68 @@ const os = require('os');
 // ─── Config ──────────────────────────────────────────
 const STATE_DIR = path.join(os.homedir(), '.root-ai', 'web-agent');
 const TASKS_LOG = path.join(STATE_DIR, 'tasks.json');
+const HANDOFF_TIMEOUT = 15 * 60 * 1000; // how long a CAPTCHA/login handoff waits for the user
+const APPROVAL_TIMEOUT = 10 * 60 * 1000; // unanswered approvals count as denied
 
 class WebAgent extends EventEmitter {
   /**
    * @param {object} options
-   * @param {function} [options.askAI] - Custom AI function(systemPrompt, userMessage) → string
+   * @param {function} [options.askAI] - Custom AI function(systemPrompt, userMessage, options?) → string,
+   *   or { text, toolCall, usage } when options are passed (see ai-bridge.callGatewayForWebAgent)
    * @param {boolean} [options.headless=false] - Run browser in headless mode
-   * @param {string} [options.approvalMode='auto'] - 'auto' | 'ask' — should agent ask before sensitive actions?
+   * @param {string} [options.approvalMode='auto'] - 'auto' | 'ask' — with 'ask', payment/send/delete/publish
+   *   clicks and sensitive typed text wait for approveAction() / denyAction() or the gateway's exec approvals
+   * @param {function} [options.onApproval] - async (request) => boolean; decides approvals itself instead
+   * @param {boolean} [options.gatewayApproval=true] - Also ask through the gateway (Control UI, forwarded chats)
+   * @param {number} [options.approvalTimeoutMs] - Deny an unanswered approval after this long (default 10 min)
+   * @param {string} [options.context] - Named browser context to run in (isolated cookies/tabs); default shares the main profile
+   * @param {boolean} [options.captureNetwork=false] - Keep the context's requests, post data and API bodies
+   *   (network-capture.js), as read by the 'network' and 'har' quick actions
+   * @param {string} [options.pageFormat='aria'] - How pages are shown to the AI: 'aria' (role snapshot with element refs) or 'dom'
+   * @param {boolean} [options.record=true] - Write a replayable run record for every execute()
+   * @param {boolean} [options.recordScreenshots=false] - Include a screenshot per step in the run record
+   * @param {string} [options.uploadDir] - Folder the agent may upload files from (default ~/.root-ai/browser-uploads)
+   * @param {number} [options.maxDownloadBytes] - Download size limit (default 100 MB)
+   * @param {object} [options.budget] - Per-task limits { maxTokens, maxCostUsd, maxDurationMs, warnAt } (see shared/budget.js)
+   * @param {function} [options.onBudgetExceeded] - async ({ exceeded, totals }) => boolean, true to continue;
+   *   without it the task pauses until approveBudget() or denyBudget()
+   * @param {boolean} [options.handoff=false] - On a CAPTCHA or login wall, bring the browser window to the
+   *   front, tell the user and wait for continueHandoff() instead of giving up (needs a visible browser)
+   * @param {Array<{ channel?, target, account? }>} [options.notify] - Chats told about a handoff via the gateway
+   * @param {function} [options.sendMessage] - ({ channel, target, account, message }) → Promise (default: gateway `message send`)
+   * @param {number} [options.handoffTimeoutMs] - Give up on a handoff after this long (default 15 min)
    */
   constructor(options = {}) {
     super();
     this.askAI = options.askAI || null;
     this.headless = options.headless || false;
+    this.contextName = options.context || null;
+    this.captureNetwork = options.captureNetwork || false;
     this.approvalMode = options.approvalMode || 'auto';
+    if (!['auto', 'ask'].includes(this.approvalMode)) {
+      throw new Error(`Unknown approvalMode "${this.approvalMode}" (expected auto or ask)`);
+    }
+    this.onApproval = options.onApproval || null;
+    this.gatewayApproval = options.gatewayApproval !== false;
+    this.approvalTimeoutMs = options.approvalTimeoutMs || APPROVAL_TIMEOUT;
+    this.pendingApproval = null; // { id, resolve } of the approval being waited for
+    this.allowedForRun = new Set(); // 'kind:label' approved with allow-always
+    this.pageFormat = options.pageFormat || 'aria';
+    this.recordRuns = options.record !== false;
+    this.recordScreenshots = options.recordScreenshots || false;
+    this.uploadDir = options.uploadDir;
+    this.maxDownloadBytes = options.maxDownloadBytes;
     this.navigator = null;
     this.taskHistory = [];
+    this.usage = { inputTokens: 0, outputTokens: 0, calls: 0 }; // AI token usage of the current/last task
+    this.budgetLimits = options.budget || {};
+    this.onBudgetExceeded = options.onBudgetExceeded || null;
+    this.budget = new TaskBudget(this.budgetLimits);
+    this.handoff = options.handoff || false;
+    this.notify = (options.notify || []).filter((to) => to && to.target);
+    this.sendMessage = options.sendMessage || sendGatewayMessage;
+    this.handoffTimeoutMs = options.handoffTimeoutMs || HANDOFF_TIMEOUT;
+    this.pendingHandoff = null; // resolve() of the handoff being waited for
     this.running = false;
 
     // Ensure state dir
@@ -45,7 +99,7 @@ class WebAgent extends EventEmitter {
 
   /**
    * Set the AI function. Called by Electron IPC when gateway is ready.
-   * @param {function} fn - async (systemPrompt, userMessage) => string
+   * @param {function} fn - async (systemPrompt, userMessage, options?) => string | { text, toolCall, usage }
    */
   setAI(fn) {
     this.askAI = fn;
@@ -55,24 +109,51 @@ class WebAgent extends EventEmitter {
    * Execute a web task.
    * 
    * @param {string} task - Natural language task description
-   * @returns {Promise<{ success: boolean, result: any, steps: number, duration: number }>}
+   * @param {object} [options]
+   * @param {object} [options.schema] - JSON Schema for the result; the AI is shown it and its answer is
+   *   validated (one repair round) — result is then the typed data, raw the AI's answer
+   * @returns {Promise<{ success: boolean, result: any, steps: number, duration: number, runId: string|null, usage: object, budget: object }>}
+   *   usage: { inputTokens, outputTokens, calls } summed over the planner and every navigator step
+   *   budget: totals including cost (see TaskBudget.summary()); stopped: 'budget' when a limit ended the task,
+   *   'user' when stop() ended it
+   *   extracted: raw data from the last extract / wait_for_response (null if none);
+   *   validation: { valid, errors } when a schema was given
    * 
-   * Events: 'start', 'step', 'done', 'error', 'need_login', 'need_captcha'
+   * Events: 'start', 'step', 'done', 'error', 'need_login', 'need_captcha', 'extract_batch',
+   *         'thought' (streamed model text), 'usage' (tokens per AI call),
+   *         'budget' ({ state: 'warning' | 'exceeded' | 'approved' | 'denied', ... }),
+   *         'handoff' ({ kind, url, stepNum, state: 'waiting' | 'resumed' | 'cancelled' | 'timeout' }),
+   *         'handoff_notify_failed' ({ target, error }),
+   *         'approval' ({ id, kind, reason, summary, state: 'waiting' | 'approved' | 'denied' | 'timeout', by? })
    */
-  async execute(task) {
+  async execute(task, options = {}) {
     if (!this.askAI) throw new Error('AI not configured. Call setAI() first.');
     if (this.running) throw new Error('Agent already running a task');
     if (!task || !task.trim()) throw new Error('Task description is required');
+    if (options.schema) compileSchema(options.schema); // reject a broken schema before starting
 
     this.running = true;
     const startTime = Date.now();
-    this.emit('start', { task });
+    const run = this.recordRuns ? new recorder.RunRecorder({
+      task,
+      context: this.contextName,
+      pageFormat: this.pageFormat,
+      screenshots: this.recordScreenshots,
+    }) : null;
+    const runId = run ? run.id : null;
+    this.usage = { inputTokens: 0, outputTokens: 0, calls: 0 };
+    this.budget = new TaskBudget(this.budgetLimits);
+    this.allowedForRun = new Set();
+    let budgetStop = null;
+    const release = browser.use();
+    this.emit('start', { task, runId });
 
     try {
-      // 1. Launch browser if needed
-      if (!browser.isRunning()) {
+      // 1. Launch browser if needed (a headless one is reopened with a window), then pick our context
+      if (!browser.isRunning() || (!this.headless && browser.isHeadless())) {
         await browser.launch({ headless: this.headless });
       }
+      const context = await this.getContext();
 
       // 2. Plan the task — ask AI to break it down
       const plan = await this.planTask(task);
@@ -80,32 +161,106 @@ class WebAgent extends EventEmitter {
 
       // 3. Execute via navigator
       this.navigator = new WebNavigator({
-        askAI: (systemPrompt, context) => this.askAI(systemPrompt, context),
+        askAI: (systemPrompt, userMessage, options) => this.askAI(systemPrompt, userMessage, options),
+        context,
+        pageFormat: this.pageFormat,
+        recorder: run,
+        uploadDir: this.uploadDir,
+        maxDownloadBytes: this.maxDownloadBytes,
+        beforeStep: async () => {
+          budgetStop = await this.budget.checkpoint((event) => this.emit('budget', event), this.onBudgetExceeded);
+          return budgetStop;
+        },
+        // A headless browser has no window to hand over
+        onBlocked: this.handoff && !browser.isHeadless() ? (blocker) => this.handOff(context, blocker) : null,
+        onSensitiveAction: this.approvalMode === 'ask' ? (request) => this.requestApproval(request) : null,
       });
 
       // Forward navigator events
       this.navigator.on('step', (data) => this.emit('step', data));
       this.navigator.on('captcha', (data) => this.emit('need_captcha', data));
       this.navigator.on('login_needed', (data) => this.emit('need_login', data));
+      this.navigator.on('extract_batch', (data) => this.emit('extract_batch', data));
+      this.navigator.on('thought_delta', (data) => this.emit('thought', data));
+      this.navigator.on('usage', ({ stepNum, call }) => this.addUsage(call, stepNum));
 
-      const result = await this.navigator.run(task);
+      const result = { ...await this.navigator.run(task, { schema: options.schema }), usage: this.usage, budget: this.budget.summary() };
+      if (budgetStop) result.stopped = 'budget';
 
       // 4. Log task
       const duration = Date.now() - startTime;
-      this.logTask(task, result, duration);
+      if (run) run.finish({ ...result, duration });
+      this.logTask(task, result, duration, runId);
 
       this.running = false;
-      this.emit(result.success ? 'done' : 'error', { ...result, duration });
-      return { ...result, duration };
+      this.emit(result.success ? 'done' : 'error', { ...result, duration, runId });
+      return { ...result, duration, runId };
 
     } catch (e) {
       this.running = false;
       const duration = Date.now() - startTime;
-      this.emit('error', { message: e.message, steps: 0, duration });
-      return { success: false, result: e.message, steps: 0, duration };
+      if (run) run.finish({ success: false, result: e.message, steps: 0, duration });
+      const budget = this.budget.summary();
+      this.emit('error', { message: e.message, steps: 0, duration, runId, usage: this.usage, budget });
+      return { success: false, result: e.message, steps: 0, duration, runId, usage: this.usage, budget };
+    } finally {
+      release();
     }
   }
 
+  /**
+   * Replay a recorded run without calling the AI (macro / failure reproduction).
+   *
+   * @param {string} runId - ID from execute() result or listRuns()
+   * @param {object} [options] - { delayMs, values } — values: text for the steps whose sensitive input
+   *   was redacted, by step number (listRuns() gives each run's `inputs`)
+   * @returns {Promise<{ success: boolean, result: any, replayed: number, failedAt: number|null, error: string|null, extracted: any, stopped?: string }>}
+   *   With approvalMode 'ask', sensitive steps wait for approval as in execute(); a refusal stops the replay.
+   *
+   * Events: 'replay_step', 'replay_done', 'approval'
+   */
+  async replay(runId, options = {}) {
+    if (this.running) throw new Error('Agent already running a task');
+    const record = recorder.loadRun(runId);
+
+    this.running = true;
+    this.allowedForRun = new Set();
+    const release = browser.use();
+    try {
+      if (!browser.isRunning() || (!this.headless && browser.isHeadless())) {
+        await browser.launch({ headless: this.headless });
+      }
+      const context = await this.getContext();
+      const result = await recorder.replayRun(record, {
+        context,
+        delayMs: options.delayMs,
+        values: options.values,
+        // Replayed clicks can pay, send or delete just like the original run
+        onSensitiveAction: this.approvalMode === 'ask' ? (request) => this.requestApproval(request) : null,
+        onStep: (data) => this.emit('replay_step', { runId, ...data }),
+      });
+      this.emit('replay_done', { runId, ...result });
+      return result;
+    } finally {
+      this.running = false;
+      release();
+    }
+  }
+
+  /**
+   * List recorded runs, newest first.
+   */
+  listRuns() {
+    return recorder.listRuns();
+  }
+
+  /**
+   * Load a full run record (steps, decisions, page summaries).
+   */
+  getRun(runId) {
+    return recorder.loadRun(runId);
+  }
+
   /**
    * Ask AI to plan the task before executing.
    */
@@ -116,7 +271,12 @@ Task: "${task}"
 Respond as JSON: {"summary":"one-line summary","steps":["step1","step2",...]}`;
 
     try {
-      const response = await this.askAI(PLANNER_PROMPT, prompt);
+      const reply = await this.askAI(PLANNER_PROMPT, prompt, {});
+      let response = reply;
+      if (reply && typeof reply === 'object') {
+        this.addUsage(reply.usage, 0);
+        response = reply.text;
+      }
       const match = response.match(/\{[\s\S]*\}/);
       if (match) return JSON.parse(match[0]);
     } catch (e) { /* planning failed, continue anyway */ }
@@ -124,37 +284,246 @@ Respond as JSON: {"summary":"one-line summary","steps":["step1","step2",...]}`;
     return { summary: task, steps: [task] };
   }
 
+  /**
+   * Add one AI call's token usage to the running task's totals and budget.
+   * @param {{ inputTokens, outputTokens, costUsd? }|null} usage - null when the provider didn't report it
+   * @param {number} stepNum - 0 for the planner
+   */
+  addUsage(usage, stepNum) {
+    this.budget.record(usage);
+    this.usage.calls++;
+    if (usage) {
+      this.usage.inputTokens += usage.inputTokens || 0;
+      this.usage.outputTokens += usage.outputTokens || 0;
+    }
+    this.emit('usage', { stepNum, call: usage || null, total: { ...this.usage } });
+  }
+
+  // ─── Handoff ───────────────────────────────────────
+
+  /**
+   * Give the browser to the user until they clear a CAPTCHA or login wall.
+   * The task's clock stops meanwhile; the navigator keeps its step history and resumes the goal.
+   * @param {object} context - BrowserContext the task runs in
+   * @param {{ kind: 'captcha'|'login', url, stepNum }} blocker
+   * @returns {Promise<boolean>} true once the user says continue
+   */
+  async handOff(context, { kind, url, stepNum }) {
+    const event = { kind, url, stepNum };
+    this.budget.pause();
+    let timer = null;
+    try {
+      await context.bringToFront().catch(() => {});
+      const decision = new Promise((resolve) => {
+        this.pendingHandoff = resolve;
+        timer = setTimeout(() => resolve('timeout'), this.handoffTimeoutMs);
+      });
+      this.emit('handoff', { ...event, state: 'waiting' });
+      await this.notifyHandoff(kind, url);
+      const state = await decision;
+      this.emit('handoff', { ...event, state });
+      return state === 'resumed';
+    } finally {
+      clearTimeout(timer);
+      this.pendingHandoff = null;
+      this.budget.resume();
+    }
+  }
+
+  /**
+   * Tell the notify chats that the task is waiting. A failed send doesn't end the handoff —
+   * the desktop notification still reaches the user.
+   */
+  async notifyHandoff(kind, url) {
+    const blocker = kind === 'captcha' ? 'a CAPTCHA' : 'a login page';
+    const message = `🖐️ Web task paused on ${blocker}${url ? ` at ${url}` : ''}.\n`
+      + 'The browser is open on the desktop — take care of it there, then press Continue in the app.';
+    for (const to of this.notify) {
+      try {
+        await this.sendMessage({ ...to, message });
+      } catch (e) {
+        this.emit('handoff_notify_failed', { target: to.target, error: e.message });
+      }
+    }
+  }
+
+  /** True while the task waits for the user to clear a CAPTCHA or login wall. */
+  isAwaitingHandoff() {
+    return this.pendingHandoff !== null;
+  }
+
+  /**
+   * Resume the task after the user has dealt with the page.
+   * @returns {boolean} false when nothing was waiting
+   */
+  continueHandoff() {
+    if (!this.pendingHandoff) return false;
+    this.pendingHandoff('resumed');
+    return true;
+  }
+
+  /**
+   * End a task waiting on a handoff; it fails with the blocker as its result.
+   * @returns {boolean} false when nothing was waiting
+   */
+  cancelHandoff() {
+    if (!this.pendingHandoff) return false;
+    this.pendingHandoff('cancelled');
+    return true;
+  }
+
+  // ─── Approvals ─────────────────────────────────────
+
+  /**
+   * Wait for the user to allow a sensitive action. Asked on the desktop ('approval' event,
+   * approveAction/denyAction) and through the gateway's exec approvals at the same time;
+   * the first answer wins and closes the other. The task's clock stops meanwhile.
+   * @param {{ kind, reason, label, action, params, url, stepNum }} request - From the navigator
+   * @returns {Promise<boolean>}
+   */
+  async requestApproval(request) {
+    const key = `${request.kind}:${request.label}`;
+    if (this.allowedForRun.has(key)) return true;
+
+    const id = crypto.randomUUID();
+    const { params, ...shown } = request; // typed text stays out of prompts and logs
+    const event = { id, ...shown, summary: describeApproval(request) };
+    this.budget.pause();
+    let timer = null;
+    let gatewayOpen = false;
+    try {
+      const answers = [new Promise((resolve) => {
+        this.pendingApproval = { id, resolve };
+        timer = setTimeout(() => resolve({ decision: 'timeout' }), this.approvalTimeoutMs);
+      })];
+      if (this.onApproval) {
+        answers.push(this.onApproval(event).then(
+          (ok) => ({ decision: ok ? 'allow-once' : 'deny', by: 'callback' }),
+          () => ({ decision: 'deny', by: 'callback' }),
+        ));
+      } else if (this.gatewayApproval) {
+        gatewayOpen = true;
+        answers.push(this.askGateway(event).finally(() => { gatewayOpen = false; }));
+      }
+      this.emit('approval', { ...event, state: 'waiting' });
+
+      const { decision, by } = await Promise.race(answers);
+      if (gatewayOpen) {
+        resolveGatewayApproval(id, decision === 'timeout' ? 'deny' : decision).catch(() => {});
+      }
+      const approved = decision === 'allow-once' || decision === 'allow-always';
+      if (decision === 'allow-always') this.allowedForRun.add(key);
+      this.emit('approval', { ...event, state: approved ? 'approved' : decision === 'timeout' ? 'timeout' : 'denied', by });
+      return approved;
+    } finally {
+      clearTimeout(timer);
+      this.pendingApproval = null;
+      this.budget.resume();
+    }
+  }
+
+  /**
+   * Ask through the gateway. Settles only with a decision — an expired request or an
+   * unreachable gateway leaves the desktop prompt (and its timeout) to decide.
+   */
+  askGateway(event) {
+    const origin = this.notify[0];
+    return requestGatewayApproval({ id: event.id, command: event.summary, timeoutMs: this.approvalTimeoutMs, origin })
+      .then((decision) => (decision ? { decision, by: 'gateway' } : new Promise(() => {})))
+      .catch(() => new Promise(() => {}));
+  }
+
+  /** True while a sensitive action waits for approval. */
+  isAwaitingApproval() {
+    return this.pendingApproval !== null;
+  }
+
+  /**
+   * Allow the action waiting for approval.
+   * @param {object} [options] - { always: true } also allows the same control for the rest of the task
+   * @returns {boolean} false when nothing was waiting
+   */
+  approveAction(options = {}) {
+    if (!this.pendingApproval) return false;
+    this.pendingApproval.resolve({ decision: options.always ? 'allow-always' : 'allow-once', by: 'desktop' });
+    return true;
+  }
+
+  /**
+   * Refuse the action waiting for approval; the AI is told and picks another step.
+   * @returns {boolean} false when nothing was waiting
+   */
+  denyAction() {
+    if (!this.pendingApproval) return false;
+    this.pendingApproval.resolve({ decision: 'deny', by: 'desktop' });
+    return true;
+  }
+
+  /**
+   * Resolve this agent's browser context (creates the named context on first use).
+   * @returns {Promise<object>} BrowserContext
+   */
+  async getContext() {
+    return browser.createContext(this.contextName, { captureNetwork: this.captureNetwork });
+  }
+
   /**
    * Execute a quick one-shot action (no planning, just do it).
    * Good for simple tasks like "go to google.com"
    * 
    * @param {string} action - Action name
    * @param {object} params - Action parameters
+   * @param {object} [context] - Browser context (default: this agent's context)
    */
-  async quickAction(action, params = {}) {
+  async quickAction(action, params = {}, context) {
     if (!browser.isRunning()) await browser.launch({ headless: this.headless });
+    const ctx = context || await this.getContext();
 
     switch (action) {
       case 'goto':
-        await browser.goto(params.url);
+        await ctx.goto(params.url);
         return { success: true, result: `Navigated to ${params.url}` };
       case 'search':
-        await browser.goto(`https://www.google.com/search?q=${encodeURIComponent(params.query)}`);
-        const text = await browser.getText();
+        await ctx.goto(`https://www.google.com/search?q=${encodeURIComponent(params.query)}`);
+        const text = await ctx.getText();
         return { success: true, result: text.substring(0, 2000) };
       case 'screenshot':
-        const ss = await browser.screenshot();
+        const ss = await ctx.screenshot();
         return { success: true, result: ss };
       case 'read':
-        const pageText = await browser.getText();
+        const pageText = await ctx.getText();
         return { success: true, result: pageText.substring(0, 3000) };
       case 'analyze':
-        const analysis = await analyzer.getPageSummary();
+        const analysis = await analyzer.getPageSummary(3000, ctx);
         return { success: true, result: analysis };
       case 'tabs':
-        const tabs = await browser.listTabs();
+        const tabs = await ctx.listTabs();
         return { success: true, result: tabs };
+      case 'capture':
+        // params: { enabled } — network capture for this context, off unless asked for
+        await ctx.setNetworkCapture(params.enabled !== false);
+        return { success: true, result: `Network capture ${params.enabled !== false ? 'on' : 'off'}` };
+      case 'network':
+        // params: { urlPattern, resourceType, failedOnly, limit }
+        const requests = await networkCapture.getRequests(ctx, { limit: 100, ...params });
+        return { success: true, result: requests };
+      case 'wait_for_response':
+        const response = await networkCapture.waitForResponse(ctx, params.url, { timeoutMs: params.timeout });
+        return { success: true, result: response };
+      case 'har':
+        // params: { name, urlPattern, resourceType } → ~/.root-ai/browser-har/<name>.har
+        const har = await networkCapture.exportHar(ctx, {
+          name: params.name || `har-${Date.now()}`,
+          urlPattern: params.urlPattern,
+          resourceType: params.resourceType,
+        });
+        return { success: true, result: { path: har.path, entries: har.entries } };
       case 'close':
+        // Named contexts only drop themselves; the default context closes the browser
+        if (ctx.puppeteerContext) {
+          await browser.destroyContext(ctx.name);
+          return { success: true, result: `Context "${ctx.name}" closed` };
+        }
         await browser.close();
         return { success: true, result: 'Browser closed' };
       default:
@@ -165,12 +534,15 @@ Respond as JSON: {"summary":"one-line summary","steps":["step1","step2",...]}`;
   /**
    * Log completed task for history/analytics.
    */
-  logTask(task, result, duration) {
+  logTask(task, result, duration, runId = null) {
     const entry = {
       task,
       success: result.success,
       steps: result.steps,
       duration,
+      runId,
+      usage: result.usage || null,
+      budget: result.budget || null,
       timestamp: new Date().toISOString(),
     };
     this.taskHistory.push(entry);
@@ -200,12 +572,31 @@ Respond as JSON: {"summary":"one-line summary","steps":["step1","step2",...]}`;
     return [];
   }
 
+  /**
+   * Continue a task paused on its budget; the hit limits grow by their original size.
+   * @returns {boolean} false when nothing was waiting
+   */
+  approveBudget() {
+    return this.budget.approve();
+  }
+
+  /**
+   * End a task paused on its budget.
+   * @returns {boolean} false when nothing was waiting
+   */
+  denyBudget() {
+    return this.budget.deny();
+  }
+
   /**
    * Stop current task.
    */
   stop() {
     this.running = false;
     if (this.navigator) this.navigator.stop();
+    this.budget.deny();
+    this.cancelHandoff();
+    this.denyAction();
   }
 
   /**
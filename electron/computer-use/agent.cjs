@@ -5,11 +5,29 @@
  *   Screenshot → AI Vision → Execute Action → Repeat → Done
  * 
  * Emits events for UI updates (step progress, errors, completion).
+ * A task watches one display (the primary unless options.display says
+ * otherwise); the AI sees it shrunk to a model-friendly size and answers in
+ * screenshot pixels, which viewport.js maps back to screen coordinates.
+ * Each screenshot is compared with the previous one (screen-diff.js): the AI is
+ * told what its last action changed, and actions with no visible effect are
+ * flagged — several in a row stop the task as stuck.
+ * Every action is checked against the Security Vault (vault.js) and the active
+ * window first: blocked ones are refused back to the AI, ones that need
+ * confirmation wait for the user.
+ * Each task runs under a TaskBudget (tokens, dollars, wall-clock) and is
+ * logged with its totals to ~/.Klaw/computer-use/tasks.json.
  */
 
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
 const screen = require('./screen.cjs');
 const vision = require('./vision.cjs');
+const vault = require('./vault.cjs');
+const screenDiff = require('./screen-diff.cjs');
+const viewport = require('./viewport.cjs');
+const { TaskBudget } = require('../shared/budget.cjs');
 
 // ─── Constants ───────────────────────────────────────
 const MAX_STEPS = 25;           // Safety: max actions before force-stop
@@ -17,49 +35,96 @@ const WAIT_AFTER_ACTION = 800;  // ms to wait after each action for screen to se
 const WAIT_AFTER_OPEN = 2000;   // ms to wait after opening app/url
 const WAIT_AFTER_CLICK = 500;   // ms to wait after click
 const MAX_ACTION_RETRIES = 2;   // Retry failed actions
-const MAX_AI_RETRIES = 2;       // Retry failed AI calls
 const MAX_SCREENSHOT_RETRIES = 2; // Retry failed screenshots
+const MAX_NO_EFFECT = 3;        // Stop after this many actions in a row that changed nothing on screen
+// Actions that should visibly change the screen ('wait' may or may not)
+const VISIBLE_ACTIONS = new Set(['click', 'drag', 'type', 'key', 'scroll', 'open_app', 'open_url', 'find_and_click', 'window']);
+const STATE_DIR = path.join(os.homedir(), '.Klaw', 'computer-use');
+const TASKS_LOG = path.join(STATE_DIR, 'tasks.json');
+const MAX_LOGGED_TASKS = 100;
 
 class ComputerUseAgent extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.budget] - Per-task limits { maxTokens, maxCostUsd, maxDurationMs, warnAt } (see shared/budget.js)
+   * @param {function} [options.onBudgetExceeded] - async ({ exceeded, totals }) => boolean, true to continue;
+   *   without it the task pauses until approveBudget() or denyBudget()
+   * @param {function} [options.onApproval] - async ({ thought, action, params, reason }) => boolean for actions
+   *   the vault wants confirmed; without it the task pauses until approveAction() or denyAction()
+   * @param {number|string} [options.display] - Display to work on: id, name or 'primary' (see screen.getDisplay())
+   */
+  constructor(options = {}) {
     super();
+    this.display = options.display || 'primary';
+    this.viewport = null;  // the display and the image size the AI sees, set by run()
+    this.budgetLimits = options.budget || {};
+    this.onBudgetExceeded = options.onBudgetExceeded || null;
+    this.onApproval = options.onApproval || null;
+    this.pendingApproval = null; // resolve() of the confirmation being waited for
+    this.budget = new TaskBudget(this.budgetLimits);
     this.running = false;
     this.paused = false;
     this.goal = '';
     this.steps = [];     // history of { thought, action, params }
     this.stepCount = 0;
-    this.lastScreenshotHash = '';
-    this.sameScreenCount = 0;
+    this.lastFrame = null;     // screen-diff frame of the previous screenshot
+    this.lastAction = null;    // action executed since that screenshot
+    this.noEffectCount = 0;
   }
 
   /**
    * Run the agent loop for a given goal.
    * 
    * @param {string} goal - What the user wants to accomplish
-   * @returns {Promise<{ success: boolean, summary: string, steps: number }>}
+   * @returns {Promise<{ success: boolean, summary: string, steps: number, budget: object, stopped?: string }>}
+   *   budget: token/cost/time totals (see TaskBudget.summary()); stopped: 'budget' when a limit ended the task,
+   *   'declined' when the user refused an action the vault wanted confirmed
    * 
    * Events emitted:
-   *   'step'    - { stepNum, thought, action, params }
+   *   'start'   - { goal, display: { id, name, width, height, scale }, image: { width, height } }
+   *   'step'    - { stepNum, thought, action, params, usage }
    *   'done'    - { summary, steps }
    *   'error'   - { message, steps }
    *   'stopped' - { reason, steps }
+   *   'budget'  - { state: 'warning' | 'exceeded' | 'approved' | 'denied', ... }
+   *   'approval_needed' - { stepNum, thought, action, params, reason } — waiting for approveAction()/denyAction()
    */
   async run(goal) {
     if (this.running) throw new Error('Agent already running');
     if (!goal || goal.trim().length === 0) throw new Error('No goal provided');
+    const display = await screen.getDisplay(this.display); // throws for an unknown display
     
     this.running = true;
     this.paused = false;
     this.goal = goal.trim();
     this.steps = [];
     this.stepCount = 0;
-    this.lastScreenshotHash = '';
-    this.sameScreenCount = 0;
-
-    this.emit('start', { goal: this.goal });
+    this.lastFrame = null;     // screen-diff frame of the previous screenshot
+    this.lastAction = null;    // action executed since that screenshot
+    this.noEffectCount = 0;
+    this.budget = new TaskBudget(this.budgetLimits);
+    this.viewport = viewport.createViewport(display);
+
+    const { id, name, width, height, scale } = display;
+    this.emit('start', {
+      goal: this.goal,
+      display: { id, name, width, height, scale },
+      image: { width: this.viewport.width, height: this.viewport.height },
+    });
+
+    const result = await this.loop();
+    result.budget = this.budget.summary();
+    this.logTask(result);
+    return result;
+  }
 
+  /**
+   * The step loop of run(). Returns the task result without totals.
+   */
+  async loop() {
     try {
-      const screenSize = screen.getScreenSize();
+      // The AI answers in screenshot pixels
+      const screenSize = { width: this.viewport.width, height: this.viewport.height };
       
       while (this.running && this.stepCount < MAX_STEPS) {
         // Check pause
@@ -67,12 +132,21 @@ class ComputerUseAgent extends EventEmitter {
           await screen.wait(200);
         }
         if (!this.running) break;
+
+        // Budget: warn as limits approach, wait for approval once one is hit
+        const budgetStop = await this.budget.checkpoint((event) => this.emit('budget', event), this.onBudgetExceeded);
+        if (budgetStop) {
+          this.emit('stopped', { reason: budgetStop, steps: this.stepCount });
+          this.running = false;
+          return { success: false, summary: budgetStop, steps: this.stepCount, stopped: 'budget' };
+        }
+        if (!this.running) break;
         
         // Step 1: Take screenshot (with retry)
         let screenshotB64;
         for (let attempt = 0; attempt <= MAX_SCREENSHOT_RETRIES; attempt++) {
           try {
-            screenshotB64 = await screen.screenshot();
+            screenshotB64 = await screen.screenshot({ display: this.viewport.display, size: screenSize });
             break;
           } catch (e) {
             if (attempt === MAX_SCREENSHOT_RETRIES) {
@@ -83,42 +157,31 @@ class ComputerUseAgent extends EventEmitter {
           }
         }
 
-        // Stuck detection: simple hash of screenshot length + first/last bytes
-        const ssHash = screenshotB64.length + ':' + screenshotB64.substring(0, 100) + screenshotB64.substring(screenshotB64.length - 100);
-        if (ssHash === this.lastScreenshotHash) {
-          this.sameScreenCount++;
-          if (this.sameScreenCount >= 3) {
-            const msg = 'Stuck: screen unchanged after 3 attempts. Stopping.';
-            this.emit('error', { message: msg, steps: this.stepCount });
-            this.running = false;
-            return { success: false, summary: msg, steps: this.stepCount };
-          }
-        } else {
-          this.sameScreenCount = 0;
-        }
-        this.lastScreenshotHash = ssHash;
-
-        // Step 1.5: Get UI elements (best-effort, don't fail if unavailable)
+        // Step 1.5: Get UI elements on this display, in screenshot pixels (best-effort, don't fail if unavailable)
         let uiElements = [];
         try {
-          uiElements = await screen.listElements();
+          uiElements = viewport.elementsToImage(this.viewport, await screen.listElements());
         } catch (e) { /* UI Automation may fail on some apps — that's OK */ }
 
-        // Step 2: Send to AI (with retry)
+        // Step 1.6: What did the last action change? Stop when actions keep doing nothing
+        const screenChange = await this.checkScreenChange(screenshotB64, uiElements);
+        if (this.noEffectCount >= MAX_NO_EFFECT) {
+          const msg = `Stuck: the last ${MAX_NO_EFFECT} actions had no visible effect. Stopping.`;
+          this.emit('error', { message: msg, steps: this.stepCount });
+          this.running = false;
+          return { success: false, summary: msg, steps: this.stepCount };
+        }
+
+        // Step 2: Send to AI (the provider already retries rate limits and network errors)
         const history = this.steps.map(s => s.thought);
         let decision;
-        for (let attempt = 0; attempt <= MAX_AI_RETRIES; attempt++) {
-          try {
-            decision = await vision.analyzeScreen(screenshotB64, this.goal, history, screenSize, uiElements);
-            break;
-          } catch (e) {
-            if (attempt === MAX_AI_RETRIES) {
-              this.emit('error', { message: `AI analysis failed after ${attempt + 1} attempts: ${e.message}`, steps: this.stepCount });
-              return { success: false, summary: `AI analysis failed: ${e.message}`, steps: this.stepCount };
-            }
-            this.emit('step', { stepNum: this.stepCount, thought: `AI call failed (retry ${attempt + 1}): ${e.message}`, action: 'retry', params: {} });
-            await screen.wait(1000); // wait before retry
-          }
+        try {
+          decision = await vision.analyzeScreen(screenshotB64, this.goal, history, screenSize, uiElements, screenChange);
+          this.budget.record(decision.usage || null);
+        } catch (e) {
+          this.emit('error', { message: `AI analysis failed: ${e.message}`, steps: this.stepCount });
+          this.running = false;
+          return { success: false, summary: `AI analysis failed: ${e.message}`, steps: this.stepCount };
         }
 
         // Free screenshot from memory immediately
@@ -143,7 +206,32 @@ class ComputerUseAgent extends EventEmitter {
           return { success: false, summary: message, steps: this.stepCount };
         }
 
-        // Step 4: Execute the action (with retry)
+        // Step 4: Security Vault — refuse blocked actions, confirm sensitive ones
+        const check = await this.checkVault(decision);
+        if (!check.allowed) {
+          this.emit('step', {
+            stepNum: this.stepCount,
+            thought: `Security Vault refused "${decision.action}": ${check.reason}`,
+            action: 'blocked',
+            params: {}
+          });
+          // The AI only sees its earlier thoughts, so the refusal goes there
+          this.steps[this.steps.length - 1].thought += ` [REFUSED by Security Vault: ${check.reason} — choose another way]`;
+          this.lastAction = null;
+          continue;
+        }
+        if (check.needsConfirmation) {
+          const approved = await this.waitForApproval(decision, check.confirmReason);
+          if (!this.running) break;
+          if (!approved) {
+            const msg = `Stopped: user declined — ${check.confirmReason}`;
+            this.emit('stopped', { reason: msg, steps: this.stepCount });
+            this.running = false;
+            return { success: false, summary: msg, steps: this.stepCount, stopped: 'declined' };
+          }
+        }
+
+        // Step 5: Execute the action (with retry)
         let actionSuccess = false;
         for (let attempt = 0; attempt <= MAX_ACTION_RETRIES; attempt++) {
           try {
@@ -167,7 +255,9 @@ class ComputerUseAgent extends EventEmitter {
           }
         }
 
-        // Step 5: Wait for screen to settle
+        this.lastAction = decision.action;
+
+        // Step 6: Wait for screen to settle
         const waitTime = this.getWaitTime(decision.action);
         await screen.wait(waitTime);
       }
@@ -194,16 +284,112 @@ class ComputerUseAgent extends EventEmitter {
   }
 
   /**
-   * Execute a single action from the AI.
+   * Compare the new screenshot with the one before the last action.
+   * An action that should have changed the screen but didn't is marked in the
+   * history so the AI tries something else.
+   * @returns {Promise<string>} What changed, for the AI ('' on the first step or when it can't tell)
+   */
+  async checkScreenChange(screenshotB64, uiElements) {
+    const frame = await screenDiff.toFrame(screenshotB64);
+    const before = this.lastFrame;
+    const action = this.lastAction;
+    this.lastFrame = frame;
+    this.lastAction = null;
+    if (!frame || !before || !action) return '';
+
+    const diff = screenDiff.diffFrames(before, frame);
+    if (diff.changed) {
+      this.noEffectCount = 0;
+    } else if (VISIBLE_ACTIONS.has(action)) {
+      this.noEffectCount++;
+      this.steps[this.steps.length - 1].thought += ' [NO EFFECT: the screen did not change]';
+      this.emit('step', {
+        stepNum: this.stepCount,
+        thought: `"${action}" had no visible effect (${this.noEffectCount} in a row)`,
+        action: 'no_effect',
+        params: {}
+      });
+    }
+    return `after "${action}": ${screenDiff.describeChange(diff, uiElements)}`;
+  }
+
+  /**
+   * Run vault.checkAction() against the window that will receive the action.
+   * @returns {Promise<{ allowed: boolean, reason: string, needsConfirmation: boolean, confirmReason: string }>}
+   */
+  async checkVault(decision) {
+    // Opening a blocked app is refused like acting in one
+    if (decision.action === 'open_app') {
+      const appCheck = vault.checkApp(decision.params?.name);
+      if (appCheck.blocked) {
+        return { allowed: false, reason: appCheck.reason, needsConfirmation: false, confirmReason: '' };
+      }
+    }
+    let processName = '';
+    try {
+      processName = (await screen.getActiveWindow()).processName;
+    } catch (e) { /* unknown window — the other checks still apply */ }
+    return vault.checkAction({ ...decision, params: decision.params || {} }, processName);
+  }
+
+  /**
+   * Pause until the user allows or declines an action the vault wants confirmed.
+   * The budget clock stops meanwhile.
+   * @returns {Promise<boolean>}
+   */
+  async waitForApproval(decision, reason) {
+    const request = { stepNum: this.stepCount, thought: decision.thought, action: decision.action, params: decision.params, reason };
+    this.budget.pause();
+    try {
+      this.emit('approval_needed', request);
+      return this.onApproval
+        ? Boolean(await this.onApproval(request))
+        : await new Promise((resolve) => { this.pendingApproval = resolve; });
+    } finally {
+      this.pendingApproval = null;
+      this.budget.resume();
+    }
+  }
+
+  /** True while an action waits for the user's confirmation. */
+  isAwaitingApproval() {
+    return this.pendingApproval !== null;
+  }
+
+  /**
+   * Let the action waiting for confirmation run.
+   * @returns {boolean} false when nothing was waiting
+   */
+  approveAction() {
+    if (!this.pendingApproval) return false;
+    this.pendingApproval(true);
+    return true;
+  }
+
+  /**
+   * Decline the action waiting for confirmation; the task stops.
+   * @returns {boolean} false when nothing was waiting
+   */
+  denyAction() {
+    if (!this.pendingApproval) return false;
+    this.pendingApproval(false);
+    return true;
+  }
+
+  /**
+   * Execute a single action from the AI. Coordinates are screenshot pixels;
+   * find_and_click's come from the OS and need no mapping.
    */
   async executeAction(action, params) {
     switch (action) {
-      case 'click':
+      case 'click': {
         if (typeof params.x !== 'number' || typeof params.y !== 'number') {
           throw new Error('Click requires x, y coordinates');
         }
-        await screen.click(params.x, params.y, { button: params.button || 'left' });
+        const at = viewport.toScreen(this.viewport, params.x, params.y);
+        await screen.click(at.x, at.y, { button: params.button || 'left' });
         break;
+      }
 
       case 'type':
         if (!params.text) throw new Error('Type requires text');
@@ -215,13 +401,16 @@ class ComputerUseAgent extends EventEmitter {
         await screen.key(params.combo);
         break;
 
-      case 'drag':
+      case 'drag': {
         if (typeof params.x1 !== 'number' || typeof params.y1 !== 'number' ||
             typeof params.x2 !== 'number' || typeof params.y2 !== 'number') {
           throw new Error('Drag requires x1, y1, x2, y2 coordinates');
         }
-        await screen.drag(params.x1, params.y1, params.x2, params.y2);
+        const from = viewport.toScreen(this.viewport, params.x1, params.y1);
+        const to = viewport.toScreen(this.viewport, params.x2, params.y2);
+        await screen.drag(from.x, from.y, to.x, to.y);
         break;
+      }
 
       case 'scroll':
         await screen.scroll(params.direction || 'down', params.amount || 3);
@@ -278,12 +467,61 @@ class ComputerUseAgent extends EventEmitter {
     }
   }
 
+  /**
+   * Append the finished task and its totals to the task log (last 100 kept).
+   */
+  logTask(result) {
+    const entry = {
+      goal: this.goal,
+      success: result.success,
+      summary: result.summary,
+      steps: result.steps,
+      budget: result.budget,
+      timestamp: new Date().toISOString(),
+    };
+    try {
+      fs.mkdirSync(STATE_DIR, { recursive: true });
+      let tasks = [];
+      if (fs.existsSync(TASKS_LOG)) tasks = JSON.parse(fs.readFileSync(TASKS_LOG, 'utf8'));
+      tasks.push(entry);
+      fs.writeFileSync(TASKS_LOG, JSON.stringify(tasks.slice(-MAX_LOGGED_TASKS), null, 2));
+    } catch (e) { /* logging failure is non-critical */ }
+  }
+
+  /**
+   * Logged tasks, oldest first.
+   */
+  getTaskLog() {
+    try {
+      if (fs.existsSync(TASKS_LOG)) return JSON.parse(fs.readFileSync(TASKS_LOG, 'utf8'));
+    } catch (e) { /* ignore */ }
+    return [];
+  }
+
+  /**
+   * Continue a task paused on its budget; the hit limits grow by their original size.
+   * @returns {boolean} false when nothing was waiting
+   */
+  approveBudget() {
+    return this.budget.approve();
+  }
+
+  /**
+   * End a task paused on its budget.
+   * @returns {boolean} false when nothing was waiting
+   */
+  denyBudget() {
+    return this.budget.deny();
+  }
+
   /**
    * Stop the agent.
    */
   stop() {
     this.running = false;
     this.paused = false;
+    this.budget.deny();
+    this.denyAction();
   }
 
   /**
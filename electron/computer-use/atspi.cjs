@@ -0,0 +1,193 @@
+/**
+ * atspi.js — AT-SPI accessibility tree for Klaw Computer Use on Linux
+ *
+ * The Linux counterpart of ui-elements.ps1 (Windows UI Automation): lists the
+ * elements of the focused app as the same `type|x|y|w|h|name` lines, so
+ * screen.listElements() / findElement() and find_and_click behave the same on
+ * both. Control types use the UI Automation names (Button, Edit, MenuItem…).
+ *
+ * Reads the tree through python3-gi (gir1.2-atspi-2.0). The Python script is
+ * passed inline (python3 -c), so there is no file in a shared temp dir that
+ * another local user could swap out.
+ */
+
+const { execFile } = require('child_process');
+
+// ─── Constants ───────────────────────────────────────
+const ELEMENTS_TIMEOUT = 10000; // big trees are slow over D-Bus
+
+// python3 -c SCRIPT <list|find|focused> [text] [pid]
+// pid picks the app (the focused X window's); without it the ACTIVE window is used.
+const SCRIPT = `
+import sys
+
+try:
+    import gi
+    gi.require_version('Atspi', '2.0')
+    from gi.repository import Atspi
+except (ImportError, ValueError):
+    sys.stderr.write('AT-SPI bindings missing - install python3-gi and gir1.2-atspi-2.0\\n')
+    sys.exit(2)
+
+MAX_NODES = 3000
+MAX_RESULTS = 50
+
+ROLES = {
+    'push button': 'Button', 'toggle button': 'Button',
+    'menu item': 'MenuItem', 'check menu item': 'MenuItem', 'radio menu item': 'MenuItem',
+    'link': 'Hyperlink', 'list item': 'ListItem', 'page tab': 'TabItem',
+    'tree item': 'TreeItem', 'table cell': 'DataItem',
+    'check box': 'CheckBox', 'radio button': 'RadioButton', 'combo box': 'ComboBox',
+    'text': 'Edit', 'entry': 'Edit', 'password text': 'Edit', 'spin button': 'Spinner',
+    'document frame': 'Document', 'document web': 'Document', 'document text': 'Document',
+}
+CLICKABLE = ('Button', 'MenuItem', 'Hyperlink', 'ListItem', 'TabItem', 'TreeItem',
+             'CheckBox', 'RadioButton', 'ComboBox')
+EDITABLE = ('Edit', 'Document')
+
+
+def control_type(acc):
+    role = acc.get_role_name() or ''
+    return ROLES.get(role) or ''.join(w.capitalize() for w in role.split()) or 'Unknown'
+
+
+def record(acc):
+    ext = acc.get_extents(Atspi.CoordType.SCREEN)
+    if ext.width <= 0 or ext.height <= 0:
+        return None
+    name = ' '.join((acc.get_name() or '').split())
+    return '%s|%d|%d|%d|%d|%s' % (control_type(acc), ext.x + ext.width // 2,
+                                  ext.y + ext.height // 2, ext.width, ext.height, name)
+
+
+def showing(acc):
+    return acc.get_state_set().contains(Atspi.StateType.SHOWING)
+
+
+def descendants(root):
+    """Depth-first over the showing part of the tree, in reading order."""
+    stack = [root]
+    seen = 0
+    while stack and seen < MAX_NODES:
+        acc = stack.pop()
+        seen += 1
+        if acc is not root:
+            yield acc
+        try:
+            children = [acc.get_child_at_index(i) for i in range(acc.get_child_count())]
+        except Exception:
+            continue
+        stack.extend(c for c in reversed(children) if c is not None and showing(c))
+
+
+def target_window(pid):
+    desktop = Atspi.get_desktop(0)
+    fallback = None
+    for i in range(desktop.get_child_count()):
+        app = desktop.get_child_at_index(i)
+        if app is None or (pid and app.get_process_id() != pid):
+            continue
+        for j in range(app.get_child_count()):
+            win = app.get_child_at_index(j)
+            if win is None:
+                continue
+            if win.get_state_set().contains(Atspi.StateType.ACTIVE):
+                return win
+            # No window manager (Xvfb) means nothing is ACTIVE
+            if pid and fallback is None and showing(win):
+                fallback = win
+    return fallback
+
+
+def main():
+    action = sys.argv[1] if len(sys.argv) > 1 else 'list'
+    text = (sys.argv[2] if len(sys.argv) > 2 else '').lower()
+    pid = int(sys.argv[3]) if len(sys.argv) > 3 and sys.argv[3].isdigit() else 0
+    win = target_window(pid)
+    if win is None:
+        if action == 'focused':
+            print('Unknown|0|0|0|0|')
+        return
+
+    results = []
+    for acc in descendants(win):
+        try:
+            if action == 'focused':
+                if acc.get_state_set().contains(Atspi.StateType.FOCUSED):
+                    results.append(record(acc))
+                    break
+                continue
+            name = acc.get_name() or ''
+            if action == 'find':
+                if not name or text not in name.lower():
+                    continue
+            elif not name and control_type(acc) not in CLICKABLE + EDITABLE:
+                continue
+            line = record(acc)
+            if line:
+                results.append(line)
+            if len(results) >= MAX_RESULTS:
+                break
+        except Exception:
+            continue
+
+    results = [r for r in results if r]
+    if action == 'focused' and not results:
+        results = ['Unknown|0|0|0|0|']
+    print('\\n'.join(results))
+
+
+main()
+`;
+
+// ─── Helpers ─────────────────────────────────────────
+
+function runScript(action, text = '', pid = '') {
+  return new Promise((resolve, reject) => {
+    execFile('python3', ['-c', SCRIPT, action, text, String(pid || '')],
+      { timeout: ELEMENTS_TIMEOUT, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+        if (err && err.code === 'ENOENT') return reject(new Error('python3 not found — needed for AT-SPI'));
+        if (err) return reject(new Error(`AT-SPI lookup failed: ${String(stderr).trim() || err.message}`));
+        resolve(stdout.trim());
+      });
+  });
+}
+
+// ─── Elements ────────────────────────────────────────
+
+/**
+ * Named or interactive elements of the app's window (at most 50).
+ * @param {string|number} [pid] - App process; defaults to the ACTIVE window's app
+ * @returns {Promise<string>} `type|x|y|w|h|name` lines
+ */
+async function listElements(pid) {
+  return runScript('list', '', pid);
+}
+
+/**
+ * Elements whose name contains text (case-insensitive).
+ * @param {string} text
+ * @param {string|number} [pid]
+ * @returns {Promise<string>} `type|x|y|w|h|name` lines
+ */
+async function findElement(text, pid) {
+  return runScript('find', text, pid);
+}
+
+/**
+ * The element with keyboard focus, or an `Unknown|0|0|0|0|` line.
+ * @param {string|number} [pid]
+ * @returns {Promise<string>}
+ */
+async function getFocusedElement(pid) {
+  return runScript('focused', '', pid);
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  listElements,
+  findElement,
+  getFocusedElement,
+};
+
+
@@ -0,0 +1,156 @@
+/**
+ * screen-diff.js — What changed on screen between two screenshots
+ *
+ * Screenshots are shrunk to a grid of average brightness (a "frame", a few KB)
+ * and compared cell by cell, so tiny real changes show up while PNG encoder
+ * differences don't. Changed cells are grouped into regions, which the agent
+ * describes to the AI ("top-right 1420,60 480×320") and uses to notice an
+ * action that had no visible effect.
+ *
+ * Screenshots are decoded and shrunk with sharp, so any PNG a screen driver
+ * produces (16-bit, interlaced, palette) gives a frame.
+ */
+
+const sharp = require('sharp');
+
+// ─── Config ──────────────────────────────────────────
+const GRID_COLS = 96;          // cells across; rows follow the aspect ratio (20px cells at 1920 wide)
+const CELL_THRESHOLD = 8;      // mean brightness change (0-255) for a cell to count as changed
+const MOSTLY_CHANGED = 0.6;    // share of cells above which the whole screen is "new"
+const MAX_REGIONS = 3;         // regions described to the AI
+const MAX_NAMES = 3;           // UI element names quoted per region
+
+// ─── Frames ──────────────────────────────────────────
+
+/**
+ * Shrink a screenshot to a brightness grid.
+ * @param {string} pngBase64
+ * @returns {Promise<{ width: number, height: number, cols: number, rows: number, cells: Float32Array }|null>}
+ *   null when the image can't be decoded
+ */
+async function toFrame(pngBase64) {
+  try {
+    const image = sharp(Buffer.from(pngBase64, 'base64'));
+    const { width, height } = await image.metadata();
+    const cols = Math.min(GRID_COLS, width);
+    const rows = Math.max(1, Math.round(cols * height / width));
+    const grid = await image
+      .removeAlpha()
+      .greyscale()
+      .resize(cols, rows, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+    return { width, height, cols, rows, cells: Float32Array.from(grid) };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Compare two frames.
+ * @returns {{ changed: boolean, fraction: number, regions: Array<{ x, y, width, height, where: string }> }}
+ *   regions in screenshot pixels, largest first; fraction is the share of changed cells
+ */
+function diffFrames(before, after) {
+  if (!before || !after || before.cols !== after.cols || before.rows !== after.rows) {
+    // Resolution changed — everything is new
+    return { changed: true, fraction: 1, regions: [] };
+  }
+  const { cols, rows } = after;
+  const changed = new Uint8Array(cols * rows);
+  let count = 0;
+  for (let i = 0; i < changed.length; i++) {
+    if (Math.abs(after.cells[i] - before.cells[i]) > CELL_THRESHOLD) {
+      changed[i] = 1;
+      count++;
+    }
+  }
+  const fraction = count / changed.length;
+  return { changed: count > 0, fraction, regions: findRegions(changed, after) };
+}
+
+/**
+ * One line for the AI about what the last action changed.
+ * @param {{ changed, fraction, regions }} diff - From diffFrames()
+ * @param {Array<{ x, y, name }>} [elements] - UI elements, to name what's inside a region
+ * @returns {string}
+ */
+function describeChange(diff, elements = []) {
+  if (!diff.changed) return 'nothing changed';
+  if (diff.fraction >= MOSTLY_CHANGED || diff.regions.length === 0) {
+    return 'most of the screen changed (new window, page or view)';
+  }
+  const parts = diff.regions.slice(0, MAX_REGIONS).map((r) => {
+    const names = elements
+      .filter((e) => e.name && e.x >= r.x && e.x <= r.x + r.width && e.y >= r.y && e.y <= r.y + r.height)
+      .slice(0, MAX_NAMES)
+      .map((e) => `"${e.name}"`);
+    return `${r.where} (${r.x},${r.y} ${r.width}×${r.height})${names.length ? ` around ${names.join(', ')}` : ''}`;
+  });
+  const more = diff.regions.length > MAX_REGIONS ? ` and ${diff.regions.length - MAX_REGIONS} smaller areas` : '';
+  return `changed at ${parts.join('; ')}${more}`;
+}
+
+// ─── Helpers ─────────────────────────────────────────
+
+/**
+ * Group changed cells into connected regions (8-neighbour), as pixel boxes.
+ */
+function findRegions(changed, frame) {
+  const { cols, rows, width, height } = frame;
+  const cellW = width / cols;
+  const cellH = height / rows;
+  const seen = new Uint8Array(changed.length);
+  const regions = [];
+
+  for (let start = 0; start < changed.length; start++) {
+    if (!changed[start] || seen[start]) continue;
+    let minC = cols, minR = rows, maxC = 0, maxR = 0, cells = 0;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const i = stack.pop();
+      const c = i % cols;
+      const r = (i - c) / cols;
+      cells++;
+      minC = Math.min(minC, c); maxC = Math.max(maxC, c);
+      minR = Math.min(minR, r); maxR = Math.max(maxR, r);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const nr = r + dr, nc = c + dc;
+          if (nr < 0 || nc < 0 || nr >= rows || nc >= cols) continue;
+          const n = nr * cols + nc;
+          if (changed[n] && !seen[n]) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    const x = Math.floor(minC * cellW);
+    const y = Math.floor(minR * cellH);
+    const box = { x, y, width: Math.ceil((maxC + 1) * cellW) - x, height: Math.ceil((maxR + 1) * cellH) - y };
+    regions.push({ ...box, where: placeName(box, width, height), cells });
+  }
+
+  return regions
+    .sort((a, b) => b.cells - a.cells)
+    .map(({ cells, ...region }) => region);
+}
+
+/**
+ * "top-left" … "bottom-right", or "center", by where the box's middle falls on a 3×3 grid.
+ */
+function placeName(box, width, height) {
+  const col = Math.min(2, Math.floor(((box.x + box.width / 2) / width) * 3));
+  const row = Math.min(2, Math.floor(((box.y + box.height / 2) / height) * 3));
+  if (row === 1 && col === 1) return 'center';
+  return `${['top', 'middle', 'bottom'][row]}-${['left', 'center', 'right'][col]}`;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  toFrame,
+  diffFrames,
+  describeChange,
+};
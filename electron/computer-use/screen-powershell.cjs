@@ -0,0 +1,475 @@
+/**
+ * screen-powershell.js — Windows screen driver for Klaw Computer Use
+ *
+ * Implements the driver interface documented in screen.js with Win32 calls
+ * through PowerShell. Uses .ps1 script files for complex Win32 operations
+ * (here-strings don't work in inline PowerShell commands).
+ *
+ * The screen scripts run per-monitor DPI-aware, so monitor bounds, captures
+ * and clicks are all physical pixels, whatever each monitor's scale setting.
+ */
+
+const { execSync, execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// ─── Constants ───────────────────────────────────────
+const SCREENSHOT_TIMEOUT = 15000;
+const ACTION_TIMEOUT = 8000;
+const APP_OPEN_TIMEOUT = 10000;
+// Write scripts to temp dir (can't write inside app.asar)
+const SCRIPTS_DIR = path.join(os.tmpdir(), 'Klaw-ps-scripts');
+
+// SendKeys codes for screen.js key names
+const SEND_KEYS = {
+  enter: '{ENTER}', tab: '{TAB}', escape: '{ESC}', backspace: '{BACKSPACE}', delete: '{DELETE}',
+  space: ' ', up: '{UP}', down: '{DOWN}', left: '{LEFT}', right: '{RIGHT}',
+  home: '{HOME}', end: '{END}', pageup: '{PGUP}', pagedown: '{PGDN}',
+  f1: '{F1}', f2: '{F2}', f3: '{F3}', f4: '{F4}', f5: '{F5}', f6: '{F6}',
+  f7: '{F7}', f8: '{F8}', f9: '{F9}', f10: '{F10}', f11: '{F11}', f12: '{F12}',
+};
+const SEND_KEYS_MODIFIERS = { ctrl: '^', alt: '%', shift: '+' };
+
+// Opt the script out of DPI virtualization (per-monitor v2; system-aware before Windows 10 1607)
+const DPI_AWARE = `
+Add-Type @'
+using System;
+using System.Runtime.InteropServices;
+public class DpiAware {
+    [DllImport("user32.dll")] static extern bool SetProcessDpiAwarenessContext(IntPtr value);
+    [DllImport("user32.dll")] static extern IntPtr SetThreadDpiAwarenessContext(IntPtr value);
+    [DllImport("user32.dll")] static extern bool SetProcessDPIAware();
+    public static void Enable() {
+        IntPtr perMonitorV2 = new IntPtr(-4);
+        try {
+            // Fails when the process already has an awareness; the thread can still switch
+            if (!SetProcessDpiAwarenessContext(perMonitorV2)) SetThreadDpiAwarenessContext(perMonitorV2);
+        } catch (EntryPointNotFoundException) {
+            SetProcessDPIAware();
+        }
+    }
+}
+'@
+[DpiAware]::Enable()
+`;
+
+const APP_ALIASES = {
+  'notepad': 'notepad', 'calculator': 'calc', 'calc': 'calc',
+  'paint': 'mspaint', 'explorer': 'explorer', 'files': 'explorer',
+  'cmd': 'cmd', 'terminal': 'wt', 'powershell': 'powershell',
+  'vscode': 'code', 'code': 'code',
+  'chrome': 'chrome', 'firefox': 'firefox', 'edge': 'msedge',
+  'word': 'winword', 'excel': 'excel', 'powerpoint': 'powerpnt',
+  'outlook': 'outlook', 'teams': 'ms-teams',
+  'spotify': 'spotify', 'discord': 'discord', 'slack': 'slack',
+};
+
+// ─── Init: Create PowerShell scripts on first load ──
+function ensureScripts() {
+  if (!fs.existsSync(SCRIPTS_DIR)) {
+    fs.mkdirSync(SCRIPTS_DIR, { recursive: true });
+  }
+
+  // screenshot.ps1 — capture a region to base64 PNG, resized (RAM only)
+  // Region "@x,y,w,h" and Size "WxH" (see pointArg for the "@")
+  writeScript('screenshot.ps1', `
+param([string]$Region, [string]$Size)
+${DPI_AWARE}
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type -AssemblyName System.Drawing
+$x, $y, $w, $h = $Region.TrimStart('@').Split(',') | ForEach-Object { [int]$_ }
+$outW, $outH = $Size.Split('x') | ForEach-Object { [int]$_ }
+$bmp = New-Object System.Drawing.Bitmap($w, $h)
+$gfx = [System.Drawing.Graphics]::FromImage($bmp)
+$gfx.CopyFromScreen($x, $y, 0, 0, $bmp.Size)
+$out = $bmp
+if ($outW -ne $w -or $outH -ne $h) {
+    $out = New-Object System.Drawing.Bitmap($outW, $outH)
+    $scaled = [System.Drawing.Graphics]::FromImage($out)
+    $scaled.InterpolationMode = [System.Drawing.Drawing2D.InterpolationMode]::HighQualityBicubic
+    $scaled.DrawImage($bmp, 0, 0, $outW, $outH)
+    $scaled.Dispose()
+}
+$ms = New-Object System.IO.MemoryStream
+$out.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)
+$b64 = [Convert]::ToBase64String($ms.ToArray())
+$ms.Dispose()
+$gfx.Dispose()
+if ($out -ne $bmp) { $out.Dispose() }
+$bmp.Dispose()
+Write-Output $b64
+`);
+
+  // screensize.ps1
+  writeScript('screensize.ps1', `
+${DPI_AWARE}
+Add-Type -AssemblyName System.Windows.Forms
+$s = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds
+Write-Output "$($s.Width)x$($s.Height)"
+`);
+
+  // displays.ps1 — one "id|x|y|w|h|scale|primary|name" line per monitor
+  writeScript('displays.ps1', `
+${DPI_AWARE}
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type @'
+using System;
+using System.Runtime.InteropServices;
+public class MonitorScale {
+    [StructLayout(LayoutKind.Sequential)]
+    public struct POINT { public int X, Y; }
+    [DllImport("user32.dll")] static extern IntPtr MonitorFromPoint(POINT pt, uint flags);
+    [DllImport("shcore.dll")] static extern int GetDpiForMonitor(IntPtr monitor, int type, out uint dpiX, out uint dpiY);
+    public static double At(int x, int y) {
+        POINT pt; pt.X = x; pt.Y = y;
+        uint dpiX, dpiY;
+        try {
+            if (GetDpiForMonitor(MonitorFromPoint(pt, 2), 0, out dpiX, out dpiY) == 0) return dpiX / 96.0;
+        } catch (DllNotFoundException) {
+        } catch (EntryPointNotFoundException) {
+        }
+        return 1.0; // Windows 7: no per-monitor DPI
+    }
+}
+'@
+$id = 0
+foreach ($s in [System.Windows.Forms.Screen]::AllScreens) {
+    $id++
+    $b = $s.Bounds
+    $scale = [MonitorScale]::At($b.X + [int]($b.Width / 2), $b.Y + [int]($b.Height / 2))
+    $scaleText = $scale.ToString([System.Globalization.CultureInfo]::InvariantCulture)
+    Write-Output "$id|$($b.X)|$($b.Y)|$($b.Width)|$($b.Height)|$scaleText|$([int]$s.Primary)|$($s.DeviceName)"
+}
+`);
+
+  // input.ps1 — Win32 mouse/keyboard (accepts action as param; points as "@x,y")
+  writeScript('input.ps1', `
+param([string]$Action, [string]$Arg1, [string]$Arg2)
+${DPI_AWARE}
+
+Add-Type @'
+using System;
+using System.Runtime.InteropServices;
+using System.Threading;
+public class KlawInput {
+    [DllImport("user32.dll")] public static extern bool SetCursorPos(int X, int Y);
+    [DllImport("user32.dll")] public static extern void mouse_event(uint dwFlags, int dx, int dy, uint dwData, int dwExtraInfo);
+    
+    public const uint MOUSEEVENTF_LEFTDOWN = 0x02;
+    public const uint MOUSEEVENTF_LEFTUP = 0x04;
+    public const uint MOUSEEVENTF_RIGHTDOWN = 0x08;
+    public const uint MOUSEEVENTF_RIGHTUP = 0x10;
+    public const uint MOUSEEVENTF_WHEEL = 0x0800;
+    
+    public static void LeftClick(int x, int y) {
+        SetCursorPos(x, y);
+        Thread.Sleep(50);
+        mouse_event(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
+        Thread.Sleep(30);
+        mouse_event(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
+    }
+    
+    public static void RightClick(int x, int y) {
+        SetCursorPos(x, y);
+        Thread.Sleep(50);
+        mouse_event(MOUSEEVENTF_RIGHTDOWN, 0, 0, 0, 0);
+        Thread.Sleep(30);
+        mouse_event(MOUSEEVENTF_RIGHTUP, 0, 0, 0, 0);
+    }
+    
+    public static void DoubleClick(int x, int y) {
+        SetCursorPos(x, y);
+        Thread.Sleep(50);
+        mouse_event(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
+        mouse_event(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
+        Thread.Sleep(80);
+        mouse_event(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
+        mouse_event(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
+    }
+    
+    public static void ScrollWheel(int clicks) {
+        mouse_event(MOUSEEVENTF_WHEEL, 0, 0, (uint)(clicks * 120), 0);
+    }
+    
+    public static void MoveTo(int x, int y) {
+        SetCursorPos(x, y);
+    }
+}
+'@
+
+$px, $py = $Arg1.TrimStart('@').Split(',') | ForEach-Object { [int]$_ }
+
+switch ($Action) {
+    "leftclick"   { [KlawInput]::LeftClick($px, $py) }
+    "rightclick"  { [KlawInput]::RightClick($px, $py) }
+    "doubleclick" { [KlawInput]::DoubleClick($px, $py) }
+    "scroll"      { [KlawInput]::ScrollWheel([int]$Arg1) }
+    "move"        { [KlawInput]::MoveTo($px, $py) }
+    default       { Write-Error "Unknown action: $Action" }
+}
+Write-Output "OK"
+`);
+
+  // activewindow.ps1
+  writeScript('activewindow.ps1', `
+Add-Type @'
+using System;
+using System.Runtime.InteropServices;
+using System.Text;
+public class ActiveWin {
+    [DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();
+    [DllImport("user32.dll")] public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
+    [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+    public static string GetTitle() {
+        IntPtr h = GetForegroundWindow();
+        StringBuilder sb = new StringBuilder(256);
+        GetWindowText(h, sb, 256);
+        return sb.ToString();
+    }
+    public static uint GetPid() {
+        IntPtr h = GetForegroundWindow();
+        uint pid;
+        GetWindowThreadProcessId(h, out pid);
+        return pid;
+    }
+}
+'@
+$title = [ActiveWin]::GetTitle()
+$pid = [ActiveWin]::GetPid()
+$proc = Get-Process -Id $pid -ErrorAction SilentlyContinue
+Write-Output "$($proc.ProcessName)|$title"
+`);
+
+  // focuswindow.ps1
+  writeScript('focuswindow.ps1', `
+param([string]$ProcessName)
+
+Add-Type @'
+using System;
+using System.Runtime.InteropServices;
+public class FocusWin {
+    [DllImport("user32.dll")] public static extern bool SetForegroundWindow(IntPtr hWnd);
+    [DllImport("user32.dll")] public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow);
+}
+'@
+
+$proc = Get-Process -Name $ProcessName -ErrorAction SilentlyContinue | Where-Object { $_.MainWindowHandle -ne 0 } | Select-Object -First 1
+if ($proc) {
+    [FocusWin]::ShowWindow($proc.MainWindowHandle, 9) | Out-Null
+    [FocusWin]::SetForegroundWindow($proc.MainWindowHandle) | Out-Null
+    Write-Output "OK"
+} else {
+    Write-Output "NOT_FOUND"
+}
+`);
+}
+
+function writeScript(name, content) {
+  const filePath = path.join(SCRIPTS_DIR, name);
+  // Only write if content changed (avoid unnecessary disk writes)
+  try {
+    const existing = fs.readFileSync(filePath, 'utf8');
+    if (existing.trim() === content.trim()) return;
+  } catch (e) { /* file doesn't exist, write it */ }
+  fs.writeFileSync(filePath, content.trim(), 'utf8');
+}
+
+// Initialize scripts on module load
+ensureScripts();
+
+// ─── Helper: Run a .ps1 script ──────────────────────
+function runPS1(scriptName, args = [], timeout = ACTION_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const scriptPath = path.join(SCRIPTS_DIR, scriptName);
+    if (!fs.existsSync(scriptPath)) {
+      return reject(new Error(`Script not found: ${scriptPath}`));
+    }
+
+    const psArgs = [
+      '-NoProfile', '-ExecutionPolicy', 'Bypass',
+      '-File', scriptPath,
+      ...args
+    ];
+
+    execFile('powershell', psArgs, { timeout, maxBuffer: 50 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) return reject(new Error(`${scriptName} failed: ${err.message}`));
+      resolve(stdout.trim());
+    });
+  });
+}
+
+// ─── Helper: Run inline PowerShell (simple commands only) ──
+function runPSInline(command, timeout = ACTION_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    execFile('powershell', ['-NoProfile', '-Command', command], { timeout }, (err, stdout, stderr) => {
+      if (err) return reject(new Error(`PS command failed: ${err.message}`));
+      resolve(stdout.trim());
+    });
+  });
+}
+
+function runPSInlineSync(scriptName) {
+  const scriptPath = path.join(SCRIPTS_DIR, scriptName);
+  return execSync(`powershell -NoProfile -ExecutionPolicy Bypass -File "${scriptPath}"`, 
+    { timeout: ACTION_TIMEOUT }).toString().trim();
+}
+
+/**
+ * Coordinates as one script argument. The "@" keeps a negative first number
+ * (a monitor left of the primary) from being read as a parameter name.
+ */
+function pointArg(...numbers) {
+  return `@${numbers.join(',')}`;
+}
+
+// ─── Screen ──────────────────────────────────────────
+
+async function screenshot(region, size) {
+  const args = [pointArg(region.x, region.y, region.width, region.height), `${size.width}x${size.height}`];
+  return runPS1('screenshot.ps1', args, SCREENSHOT_TIMEOUT);
+}
+
+function getScreenSize() {
+  const [width, height] = runPSInlineSync('screensize.ps1').split('x').map(Number);
+  return { width, height };
+}
+
+async function listDisplays() {
+  const raw = await runPS1('displays.ps1');
+  return raw.split('\n').filter(Boolean).map((line) => {
+    const [id, x, y, width, height, scale, primary, ...nameParts] = line.trim().split('|');
+    return {
+      id: Number(id), name: nameParts.join('|'),
+      x: Number(x), y: Number(y), width: Number(width), height: Number(height),
+      scale: Number(scale) || 1, primary: primary === '1',
+    };
+  });
+}
+
+// ─── Mouse ───────────────────────────────────────────
+
+async function click(x, y, button) {
+  const action = button === 'right' ? 'rightclick' : button === 'double' ? 'doubleclick' : 'leftclick';
+  await runPS1('input.ps1', [action, pointArg(x, y)]);
+}
+
+async function moveMouse(x, y) {
+  await runPS1('input.ps1', ['move', pointArg(x, y)]);
+}
+
+async function drag(x1, y1, x2, y2) {
+  await runPS1('input.ps1', ['drag', pointArg(x1, y1, x2, y2)]);
+}
+
+async function scroll(clicks) {
+  await runPS1('input.ps1', ['scroll', String(clicks)]);
+}
+
+// ─── Keyboard ────────────────────────────────────────
+
+async function type(text, delayMs) {
+  // SendKeys special chars need escaping: +^%~(){}[]
+  const escaped = text.replace(/([+^%~(){}[\]])/g, '{$1}');
+  // Escape single quotes for PowerShell
+  const psStr = escaped.replace(/'/g, "''");
+  
+  let cmd;
+  if (delayMs > 0) {
+    // Type char by char
+    const chars = [...psStr];
+    const parts = chars.map(c => `[System.Windows.Forms.SendKeys]::SendWait('${c}'); Start-Sleep -Milliseconds ${delayMs}`);
+    cmd = `Add-Type -AssemblyName System.Windows.Forms; ${parts.join('; ')}`;
+  } else {
+    cmd = `Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait('${psStr}')`;
+  }
+  
+  const timeout = ACTION_TIMEOUT + (delayMs > 0 ? delayMs * text.length : 0);
+  await runPSInline(cmd, timeout);
+}
+
+async function key({ modifiers, key: name }) {
+  const sendKeysStr = modifiers.map(m => SEND_KEYS_MODIFIERS[m]).join('') + (SEND_KEYS[name] || name);
+  const psStr = sendKeysStr.replace(/'/g, "''");
+  await runPSInline(`Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait('${psStr}')`);
+}
+
+// ─── Apps ────────────────────────────────────────────
+
+async function openApp(appName) {
+  const resolved = APP_ALIASES[appName.toLowerCase()] || appName;
+  const psStr = resolved.replace(/'/g, "''");
+  await runPSInline(`Start-Process '${psStr}'`, APP_OPEN_TIMEOUT);
+}
+
+async function openUrl(url) {
+  const psStr = url.replace(/'/g, "''");
+  await runPSInline(`Start-Process '${psStr}'`, APP_OPEN_TIMEOUT);
+}
+
+// ─── Windows ─────────────────────────────────────────
+
+async function getActiveWindow() {
+  const result = await runPS1('activewindow.ps1');
+  const [processName, ...titleParts] = result.split('|');
+  return { processName: processName || 'unknown', title: titleParts.join('|') || 'unknown' };
+}
+
+async function listWindows() {
+  const raw = await runPSInline(
+    'Get-Process | Where-Object { $_.MainWindowHandle -ne 0 } | '
+    + 'ForEach-Object { "$($_.MainWindowHandle)|$($_.ProcessName)|$($_.MainWindowTitle)" }'
+  );
+  return raw.split('\n').filter(Boolean).map(line => {
+    const [id, processName, ...titleParts] = line.trim().split('|');
+    return { id, processName, title: titleParts.join('|') };
+  });
+}
+
+async function focusWindow(processName) {
+  const result = await runPS1('focuswindow.ps1', [processName]);
+  return result === 'OK';
+}
+
+async function windowAction(action) {
+  return await runPS1('window.ps1', [action]);
+}
+
+// ─── UI Elements ─────────────────────────────────────
+
+async function listElements() {
+  return runPS1('ui-elements.ps1', ['list']);
+}
+
+async function findElement(text) {
+  return runPS1('ui-elements.ps1', ['find', text]);
+}
+
+async function getFocusedElement() {
+  return runPS1('ui-elements.ps1', ['focused']);
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  name: 'powershell',
+  screenshot,
+  getScreenSize,
+  listDisplays,
+  click,
+  moveMouse,
+  drag,
+  scroll,
+  type,
+  key,
+  openApp,
+  openUrl,
+  getActiveWindow,
+  listWindows,
+  focusWindow,
+  windowAction,
+  listElements,
+  findElement,
+  getFocusedElement,
+};
+
+
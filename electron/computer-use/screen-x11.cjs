@@ -0,0 +1,344 @@
+/**
+ * screen-x11.js — Linux screen driver for Klaw Computer Use
+ *
+ * Implements the driver interface documented in screen.js with X11 tools:
+ *   xdotool     — screen size, mouse, keyboard, window list/focus/geometry
+ *   xrandr      — monitors (without it the whole screen is one display)
+ *   ImageMagick — screenshots (`import -window root`, cropped and resized, kept in RAM)
+ *   xdg-open    — URLs
+ *   atspi.js    — UI elements from the accessibility tree
+ * Needs an X display (DISPLAY). Wayland sessions work through XWayland, for
+ * X11 apps only. Runs under a headless Xvfb display too (see test-screen-x11.js).
+ */
+
+const { execFile, execFileSync, spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const atspi = require('./atspi.cjs');
+
+// ─── Constants ───────────────────────────────────────
+const SCREENSHOT_TIMEOUT = 15000;
+const ACTION_TIMEOUT = 8000;
+const MAX_WINDOWS = 50;
+
+// Package that provides each tool, for the "not found" error
+const PACKAGES = { xdotool: 'xdotool', import: 'imagemagick', 'xdg-open': 'xdg-utils', xrandr: 'x11-xserver-utils' };
+
+// `xrandr --listmonitors` line: " 1: +*HDMI-1 1920/527x1080/296+0+0  HDMI-1"
+const MONITOR_LINE = /^\s*\d+:\s+\+?(\*?)(\S+)\s+(\d+)\/\d+x(\d+)\/\d+\+(\d+)\+(\d+)/;
+
+// X keysyms for screen.js key names
+const KEYSYMS = {
+  enter: 'Return', tab: 'Tab', escape: 'Escape', backspace: 'BackSpace', delete: 'Delete',
+  space: 'space', up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+  home: 'Home', end: 'End', pageup: 'Prior', pagedown: 'Next',
+  '-': 'minus', '=': 'equal', ',': 'comma', '.': 'period', '/': 'slash', ';': 'semicolon',
+  "'": 'apostrophe', '[': 'bracketleft', ']': 'bracketright', '\\': 'backslash', '`': 'grave',
+};
+
+// App names the AI uses (Windows-flavoured) → Linux commands, first one installed wins
+const APP_CANDIDATES = {
+  notepad: ['gnome-text-editor', 'gedit', 'kate', 'mousepad', 'xed', 'xedit'],
+  calculator: ['gnome-calculator', 'kcalc', 'galculator', 'xcalc'],
+  calc: ['gnome-calculator', 'kcalc', 'galculator', 'xcalc'],
+  explorer: ['nautilus', 'dolphin', 'thunar', 'nemo', 'pcmanfm'],
+  files: ['nautilus', 'dolphin', 'thunar', 'nemo', 'pcmanfm'],
+  terminal: ['x-terminal-emulator', 'gnome-terminal', 'konsole', 'xfce4-terminal', 'xterm'],
+  cmd: ['x-terminal-emulator', 'gnome-terminal', 'konsole', 'xfce4-terminal', 'xterm'],
+  powershell: ['x-terminal-emulator', 'gnome-terminal', 'konsole', 'xfce4-terminal', 'xterm'],
+  chrome: ['google-chrome', 'chromium', 'chromium-browser'],
+  edge: ['microsoft-edge', 'microsoft-edge-stable'],
+  vscode: ['code'],
+  paint: ['pinta', 'kolourpaint', 'gimp'],
+  word: ['libreoffice --writer'],
+  excel: ['libreoffice --calc'],
+  powerpoint: ['libreoffice --impress'],
+};
+
+// ─── Helpers ─────────────────────────────────────────
+
+function requireDisplay() {
+  if (process.env.DISPLAY) return;
+  throw new Error(process.env.WAYLAND_DISPLAY
+    ? 'Wayland session without XWayland (DISPLAY is not set) — the X11 driver needs an X display'
+    : 'No X display (DISPLAY is not set)');
+}
+
+/**
+ * Run an X11 tool and resolve with its stdout (a Buffer when encoding is 'buffer').
+ */
+function run(command, args, timeout = ACTION_TIMEOUT, encoding = 'utf8') {
+  return new Promise((resolve, reject) => {
+    requireDisplay();
+    execFile(command, args, { timeout, encoding, maxBuffer: 50 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err && err.code === 'ENOENT') {
+        return reject(new Error(`${command} not found — install ${PACKAGES[command] || command}`));
+      }
+      if (err) return reject(new Error(`${command} failed: ${String(stderr).trim() || err.message}`));
+      resolve(stdout);
+    });
+  });
+}
+
+async function xdotool(args, timeout) {
+  return (await run('xdotool', args.map(String), timeout)).trim();
+}
+
+function onPath(command) {
+  return (process.env.PATH || '').split(path.delimiter).some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Start a GUI program detached from this process; resolves once it has spawned.
+ */
+function launch(command, args = []) {
+  return new Promise((resolve, reject) => {
+    requireDisplay();
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+    child.once('error', (e) => {
+      reject(new Error(e.code === 'ENOENT' ? `${command} not found` : `${command} failed: ${e.message}`));
+    });
+    child.once('spawn', () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+/**
+ * The focused window. Without a window manager there is no _NET_ACTIVE_WINDOW,
+ * so fall back to the window holding input focus.
+ */
+async function activeWindowId() {
+  try {
+    return await xdotool(['getactivewindow']);
+  } catch (e) {
+    return await xdotool(['getwindowfocus']);
+  }
+}
+
+/**
+ * Process of the focused window, so AT-SPI reads the right app ('' when unknown).
+ */
+async function activePid() {
+  try {
+    return await xdotool(['getwindowpid', await activeWindowId()]);
+  } catch (e) {
+    return '';
+  }
+}
+
+async function describeWindow(id) {
+  const title = await xdotool(['getwindowname', id]).catch(() => '');
+  let processName = 'unknown';
+  try {
+    const pid = await xdotool(['getwindowpid', id]);
+    processName = fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+  } catch (e) { /* window without _NET_WM_PID */ }
+  return { id, processName, title };
+}
+
+// ─── Screen ──────────────────────────────────────────
+
+async function screenshot(region, size) {
+  const args = ['-window', 'root', '-crop', `${region.width}x${region.height}+${region.x}+${region.y}`, '+repage'];
+  if (size.width !== region.width || size.height !== region.height) {
+    args.push('-resize', `${size.width}x${size.height}!`);
+  }
+  const png = await run('import', [...args, 'png:-'], SCREENSHOT_TIMEOUT, 'buffer');
+  return png.toString('base64');
+}
+
+function getScreenSize() {
+  requireDisplay();
+  const [width, height] = execFileSync('xdotool', ['getdisplaygeometry'], { timeout: ACTION_TIMEOUT })
+    .toString().trim().split(/\s+/).map(Number);
+  return { width, height };
+}
+
+async function listDisplays() {
+  const raw = await run('xrandr', ['--listmonitors']);
+  const scale = await desktopScale();
+  return raw.split('\n').map((line) => line.match(MONITOR_LINE)).filter(Boolean)
+    .map(([, primary, name, width, height, x, y], i) => ({
+      id: i + 1, name,
+      x: Number(x), y: Number(y), width: Number(width), height: Number(height),
+      scale, primary: primary === '*',
+    }));
+}
+
+/**
+ * The desktop's scale factor from Xft.dpi (what GTK and Qt scale by), 1 when unset.
+ * X11 has one for all monitors, and input uses device pixels either way.
+ */
+async function desktopScale() {
+  try {
+    const dpi = (await run('xrdb', ['-query'])).match(/^Xft\.dpi:\s*([\d.]+)/m);
+    return dpi ? Number(dpi[1]) / 96 : 1;
+  } catch (e) {
+    return 1;
+  }
+}
+
+// ─── Mouse ───────────────────────────────────────────
+
+async function click(x, y, button) {
+  const clicks = button === 'right' ? ['click', 3]
+    : button === 'double' ? ['click', '--repeat', 2, '--delay', 80, 1]
+      : ['click', 1];
+  await xdotool(['mousemove', '--sync', x, y, ...clicks]);
+}
+
+async function moveMouse(x, y) {
+  await xdotool(['mousemove', '--sync', x, y]);
+}
+
+async function drag(x1, y1, x2, y2) {
+  await xdotool(['mousemove', '--sync', x1, y1, 'mousedown', 1, 'mousemove', '--sync', x2, y2, 'mouseup', 1]);
+}
+
+async function scroll(clicks) {
+  // Wheel up is button 4, down is button 5
+  await xdotool(['click', '--repeat', Math.abs(clicks), clicks > 0 ? 4 : 5]);
+}
+
+// ─── Keyboard ────────────────────────────────────────
+
+async function type(text, delayMs) {
+  const delay = delayMs > 0 ? ['--delay', delayMs] : [];
+  const timeout = ACTION_TIMEOUT + (delayMs > 0 ? delayMs * text.length : 0);
+  await xdotool(['type', '--clearmodifiers', ...delay, '--', text], timeout);
+}
+
+async function key({ modifiers, key: name }) {
+  const keysym = KEYSYMS[name] || (/^f\d+$/.test(name) ? name.toUpperCase() : name);
+  await xdotool(['key', '--clearmodifiers', [...modifiers, keysym].join('+')]);
+}
+
+// ─── Apps ────────────────────────────────────────────
+
+async function openApp(appName) {
+  const candidates = APP_CANDIDATES[appName.toLowerCase()];
+  if (!candidates) {
+    // The name comes from the model: run it as one command, never with arguments
+    await launch(appName);
+    return;
+  }
+  const found = candidates.find((c) => onPath(c.split(' ')[0]));
+  const [command, ...args] = (found || candidates[0]).split(' ');
+  await launch(command, args);
+}
+
+async function openUrl(url) {
+  await launch('xdg-open', [url]);
+}
+
+// ─── Windows ─────────────────────────────────────────
+
+async function getActiveWindow() {
+  const { processName, title } = await describeWindow(await activeWindowId());
+  return { processName, title: title || 'unknown' };
+}
+
+async function listWindows() {
+  // Exits 1 when nothing matches
+  const ids = await xdotool(['search', '--onlyvisible', '--name', '.']).catch(() => '');
+  const windows = [];
+  for (const id of ids.split('\n').filter(Boolean).slice(0, MAX_WINDOWS)) {
+    windows.push(await describeWindow(id));
+  }
+  return windows;
+}
+
+async function focusWindow(processName) {
+  const name = processName.toLowerCase();
+  const windows = await listWindows();
+  const win = windows.find((w) => w.processName.toLowerCase() === name)
+    || windows.find((w) => w.processName.toLowerCase().includes(name));
+  if (!win) return false;
+  try {
+    await xdotool(['windowactivate', '--sync', win.id]);
+  } catch (e) {
+    // No window manager: raise and focus by hand
+    await xdotool(['windowmap', win.id, 'windowraise', win.id, 'windowfocus', '--sync', win.id]);
+  }
+  return true;
+}
+
+async function windowAction(action) {
+  const id = await activeWindowId();
+  const { width, height } = getScreenSize();
+  const half = Math.floor(width / 2);
+  switch (action) {
+    case 'minimize':
+      await xdotool(['windowminimize', id]);
+      break;
+    case 'maximize':
+      await xdotool(['windowmove', id, 0, 0, 'windowsize', id, width, height]);
+      break;
+    case 'restore':
+      await xdotool(['windowmap', id, 'windowraise', id]);
+      break;
+    case 'close':
+      await xdotool(['windowclose', id]);
+      break;
+    case 'snap_left':
+      await xdotool(['windowmove', id, 0, 0, 'windowsize', id, half, height]);
+      break;
+    case 'snap_right':
+      await xdotool(['windowmove', id, half, 0, 'windowsize', id, half, height]);
+      break;
+    case 'info': {
+      const geometry = Object.fromEntries((await xdotool(['getwindowgeometry', '--shell', id]))
+        .split('\n').map((line) => line.split('=')));
+      return `${geometry.X},${geometry.Y},${geometry.WIDTH},${geometry.HEIGHT}`;
+    }
+  }
+  return 'OK';
+}
+
+// ─── UI Elements ─────────────────────────────────────
+
+async function listElements() {
+  return atspi.listElements(await activePid());
+}
+
+async function findElement(text) {
+  return atspi.findElement(text, await activePid());
+}
+
+async function getFocusedElement() {
+  return atspi.getFocusedElement(await activePid());
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  name: 'x11',
+  screenshot,
+  getScreenSize,
+  listDisplays,
+  click,
+  moveMouse,
+  drag,
+  scroll,
+  type,
+  key,
+  openApp,
+  openUrl,
+  getActiveWindow,
+  listWindows,
+  focusWindow,
+  windowAction,
+  listElements,
+  findElement,
+  getFocusedElement,
+};
+
+
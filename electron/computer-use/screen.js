@@ -4,223 +4,55 @@
  * Provides: screenshot, click, type, key, scroll, openApp, openUrl, etc.
  * All screenshot data stays in RAM — never written to disk.
  * 
- * Uses .ps1 script files for complex Win32 operations (here-strings 
- * don't work in inline PowerShell commands).
+ * Input is validated here; the OS work is done by a driver picked by platform:
+ *   screen-powershell.js — Windows (Win32 through PowerShell)
+ *   screen-x11.js        — Linux (xdotool / ImageMagick on an X display)
+ *
+ * A driver exports `name` and:
+ *   screenshot(region, size) → base64 PNG of region { x, y, width, height }, resized to size { width, height }
+ *   listDisplays() → [{ id, name, x, y, width, height, scale, primary }]   (id counts from 1)
+ *   getScreenSize() → { width, height } of the primary display (sync)
+ *   click(x, y, 'left'|'right'|'double')   moveMouse(x, y)   drag(x1, y1, x2, y2)
+ *   scroll(clicks)  (positive = up)        type(text, delayMs)
+ *   key({ modifiers: ['ctrl'|'alt'|'shift'], key })  (key: a KEY_NAMES entry or one character)
+ *   openApp(name)   openUrl(url)
+ *   getActiveWindow() → { processName, title }   listWindows() → [{ id, processName, title }]
+ *   focusWindow(processName) → boolean           windowAction(action) → "OK" | "x,y,w,h"
+ *   listElements() / findElement(text) / getFocusedElement() → "type|x|y|w|h|name" lines
+ * Coordinates reach the driver as integers, in the device pixels of the whole desktop
+ * (a monitor left of the primary has negative x); clicks and drags must land on a display.
+ * `scale` is the OS scale factor (1.5 at 150%), for information — bounds are already device pixels.
  */
 
-const { execSync, exec, execFile } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-const os = require('os');
-
-// ─── Constants ───────────────────────────────────────
-const SCREENSHOT_TIMEOUT = 15000;
-const ACTION_TIMEOUT = 8000;
-const APP_OPEN_TIMEOUT = 10000;
-// Write scripts to temp dir (can't write inside app.asar)
-const SCRIPTS_DIR = path.join(os.tmpdir(), 'korvus-ps-scripts');
-
-// ─── Init: Create PowerShell scripts on first load ──
-function ensureScripts() {
-  if (!fs.existsSync(SCRIPTS_DIR)) {
-    fs.mkdirSync(SCRIPTS_DIR, { recursive: true });
-  }
-
-  // screenshot.ps1 — capture screen to base64 PNG (RAM only)
-  writeScript('screenshot.ps1', `
-Add-Type -AssemblyName System.Windows.Forms
-Add-Type -AssemblyName System.Drawing
-$screen = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds
-$bmp = New-Object System.Drawing.Bitmap($screen.Width, $screen.Height)
-$gfx = [System.Drawing.Graphics]::FromImage($bmp)
-$gfx.CopyFromScreen($screen.Location, [System.Drawing.Point]::Empty, $screen.Size)
-$ms = New-Object System.IO.MemoryStream
-$bmp.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)
-$b64 = [Convert]::ToBase64String($ms.ToArray())
-$ms.Dispose()
-$gfx.Dispose()
-$bmp.Dispose()
-Write-Output $b64
-`);
-
-  // screensize.ps1
-  writeScript('screensize.ps1', `
-Add-Type -AssemblyName System.Windows.Forms
-$s = [System.Windows.Forms.Screen]::PrimaryScreen.Bounds
-Write-Output "$($s.Width)x$($s.Height)"
-`);
-
-  // input.ps1 — Win32 mouse/keyboard (accepts action as param)
-  writeScript('input.ps1', `
-param([string]$Action, [string]$Arg1, [string]$Arg2)
-
-Add-Type @'
-using System;
-using System.Runtime.InteropServices;
-using System.Threading;
-public class RootAIInput {
-    [DllImport("user32.dll")] public static extern bool SetCursorPos(int X, int Y);
-    [DllImport("user32.dll")] public static extern void mouse_event(uint dwFlags, int dx, int dy, uint dwData, int dwExtraInfo);
-    
-    public const uint MOUSEEVENTF_LEFTDOWN = 0x02;
-    public const uint MOUSEEVENTF_LEFTUP = 0x04;
-    public const uint MOUSEEVENTF_RIGHTDOWN = 0x08;
-    public const uint MOUSEEVENTF_RIGHTUP = 0x10;
-    public const uint MOUSEEVENTF_WHEEL = 0x0800;
-    
-    public static void LeftClick(int x, int y) {
-        SetCursorPos(x, y);
-        Thread.Sleep(50);
-        mouse_event(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
-        Thread.Sleep(30);
-        mouse_event(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
-    }
-    
-    public static void RightClick(int x, int y) {
-        SetCursorPos(x, y);
-        Thread.Sleep(50);
-        mouse_event(MOUSEEVENTF_RIGHTDOWN, 0, 0, 0, 0);
-        Thread.Sleep(30);
-        mouse_event(MOUSEEVENTF_RIGHTUP, 0, 0, 0, 0);
-    }
-    
-    public static void DoubleClick(int x, int y) {
-        SetCursorPos(x, y);
-        Thread.Sleep(50);
-        mouse_event(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
-        mouse_event(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
-        Thread.Sleep(80);
-        mouse_event(MOUSEEVENTF_LEFTDOWN, 0, 0, 0, 0);
-        mouse_event(MOUSEEVENTF_LEFTUP, 0, 0, 0, 0);
-    }
-    
-    public static void ScrollWheel(int clicks) {
-        mouse_event(MOUSEEVENTF_WHEEL, 0, 0, (uint)(clicks * 120), 0);
-    }
-    
-    public static void MoveTo(int x, int y) {
-        SetCursorPos(x, y);
-    }
-}
-'@
-
-switch ($Action) {
-    "leftclick"   { [RootAIInput]::LeftClick([int]$Arg1, [int]$Arg2) }
-    "rightclick"  { [RootAIInput]::RightClick([int]$Arg1, [int]$Arg2) }
-    "doubleclick" { [RootAIInput]::DoubleClick([int]$Arg1, [int]$Arg2) }
-    "scroll"      { [RootAIInput]::ScrollWheel([int]$Arg1) }
-    "move"        { [RootAIInput]::MoveTo([int]$Arg1, [int]$Arg2) }
-    default       { Write-Error "Unknown action: $Action" }
-}
-Write-Output "OK"
-`);
-
-  // activewindow.ps1
-  writeScript('activewindow.ps1', `
-Add-Type @'
-using System;
-using System.Runtime.InteropServices;
-using System.Text;
-public class ActiveWin {
-    [DllImport("user32.dll")] public static extern IntPtr GetForegroundWindow();
-    [DllImport("user32.dll")] public static extern int GetWindowText(IntPtr hWnd, StringBuilder text, int count);
-    [DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
-    public static string GetTitle() {
-        IntPtr h = GetForegroundWindow();
-        StringBuilder sb = new StringBuilder(256);
-        GetWindowText(h, sb, 256);
-        return sb.ToString();
-    }
-    public static uint GetPid() {
-        IntPtr h = GetForegroundWindow();
-        uint pid;
-        GetWindowThreadProcessId(h, out pid);
-        return pid;
-    }
-}
-'@
-$title = [ActiveWin]::GetTitle()
-$pid = [ActiveWin]::GetPid()
-$proc = Get-Process -Id $pid -ErrorAction SilentlyContinue
-Write-Output "$($proc.ProcessName)|$title"
-`);
-
-  // focuswindow.ps1
-  writeScript('focuswindow.ps1', `
-param([string]$ProcessName)
-
-Add-Type @'
-using System;
-using System.Runtime.InteropServices;
-public class FocusWin {
-    [DllImport("user32.dll")] public static extern bool SetForegroundWindow(IntPtr hWnd);
-    [DllImport("user32.dll")] public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow);
-}
-'@
-
-$proc = Get-Process -Name $ProcessName -ErrorAction SilentlyContinue | Where-Object { $_.MainWindowHandle -ne 0 } | Select-Object -First 1
-if ($proc) {
-    [FocusWin]::ShowWindow($proc.MainWindowHandle, 9) | Out-Null
-    [FocusWin]::SetForegroundWindow($proc.MainWindowHandle) | Out-Null
-    Write-Output "OK"
-} else {
-    Write-Output "NOT_FOUND"
-}
-`);
-}
+// ─── Driver ──────────────────────────────────────────
+const driver = process.platform === 'linux' ? require('./screen-x11') : require('./screen-powershell');
 
-function writeScript(name, content) {
-  const filePath = path.join(SCRIPTS_DIR, name);
-  // Only write if content changed (avoid unnecessary disk writes)
-  try {
-    const existing = fs.readFileSync(filePath, 'utf8');
-    if (existing.trim() === content.trim()) return;
-  } catch (e) { /* file doesn't exist, write it */ }
-  fs.writeFileSync(filePath, content.trim(), 'utf8');
-}
+// Key names accepted by key(), besides single characters
+const KEY_NAMES = [
+  'enter', 'tab', 'escape', 'backspace', 'delete', 'space',
+  'up', 'down', 'left', 'right', 'home', 'end', 'pageup', 'pagedown',
+  'f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7', 'f8', 'f9', 'f10', 'f11', 'f12',
+];
+const KEY_ALIASES = { return: 'enter', esc: 'escape', bs: 'backspace', del: 'delete' };
 
-// Initialize scripts on module load
-ensureScripts();
-
-// ─── Helper: Run a .ps1 script ──────────────────────
-function runPS1(scriptName, args = [], timeout = ACTION_TIMEOUT) {
-  return new Promise((resolve, reject) => {
-    const scriptPath = path.join(SCRIPTS_DIR, scriptName);
-    if (!fs.existsSync(scriptPath)) {
-      return reject(new Error(`Script not found: ${scriptPath}`));
-    }
-
-    const psArgs = [
-      '-NoProfile', '-ExecutionPolicy', 'Bypass',
-      '-File', scriptPath,
-      ...args
-    ];
-
-    execFile('powershell', psArgs, { timeout, maxBuffer: 50 * 1024 * 1024 }, (err, stdout, stderr) => {
-      if (err) return reject(new Error(`${scriptName} failed: ${err.message}`));
-      resolve(stdout.trim());
-    });
-  });
-}
-
-// ─── Helper: Run inline PowerShell (simple commands only) ──
-function runPSInline(command, timeout = ACTION_TIMEOUT) {
-  return new Promise((resolve, reject) => {
-    execFile('powershell', ['-NoProfile', '-Command', command], { timeout }, (err, stdout, stderr) => {
-      if (err) return reject(new Error(`PS command failed: ${err.message}`));
-      resolve(stdout.trim());
-    });
-  });
-}
+const DISPLAY_CACHE_MS = 10000; // monitors rarely change; bounds checks run on every click
+let displayCache = { at: 0, displays: null };
 
 // ─── Screenshot ──────────────────────────────────────
 /**
- * Take a screenshot and return as base64 PNG string.
+ * Take a screenshot of one display and return as base64 PNG string.
  * Image stays in RAM — never saved to disk.
+ * @param {object} [options] - { display: from getDisplay() (default: primary),
+ *   size: { width, height } to resize to (default: the display's own size) }
  * @returns {Promise<string>} Base64 encoded PNG image
  */
-async function screenshot() {
-  const b64 = await runPS1('screenshot.ps1', [], SCREENSHOT_TIMEOUT);
+async function screenshot(options = {}) {
+  const display = options.display || await getDisplay();
+  const region = { x: display.x, y: display.y, width: display.width, height: display.height };
+  const size = options.size
+    ? { width: Math.round(options.size.width), height: Math.round(options.size.height) }
+    : { width: display.width, height: display.height };
+  const b64 = await driver.screenshot(region, size);
   if (!b64 || b64.length < 100) throw new Error('Screenshot returned empty data');
   return b64;
 }
@@ -231,18 +63,64 @@ async function screenshot() {
  */
 function getScreenSize() {
   try {
-    const result = runPSInlineSync('screensize.ps1');
-    const [w, h] = result.split('x').map(Number);
-    return { width: w || 1920, height: h || 1080 };
+    const { width, height } = driver.getScreenSize();
+    return { width: width || 1920, height: height || 1080 };
   } catch (e) {
     return { width: 1920, height: 1080 };
   }
 }
 
-function runPSInlineSync(scriptName) {
-  const scriptPath = path.join(SCRIPTS_DIR, scriptName);
-  return execSync(`powershell -NoProfile -ExecutionPolicy Bypass -File "${scriptPath}"`, 
-    { timeout: ACTION_TIMEOUT }).toString().trim();
+// ─── Displays ────────────────────────────────────────
+
+/**
+ * List the monitors. Falls back to one display of getScreenSize() when the
+ * driver can't enumerate them.
+ * @param {object} [options] - { refresh: true to skip the 10s cache }
+ * @returns {Promise<Array<{ id: number, name: string, x: number, y: number, width: number, height: number, scale: number, primary: boolean }>>}
+ */
+async function listDisplays(options = {}) {
+  if (!options.refresh && displayCache.displays && Date.now() - displayCache.at < DISPLAY_CACHE_MS) {
+    return displayCache.displays;
+  }
+  let displays = [];
+  try {
+    displays = (await driver.listDisplays()).filter((d) => d.width > 0 && d.height > 0);
+  } catch (e) { /* enumeration unavailable — use the primary size */ }
+  if (displays.length === 0) {
+    const { width, height } = getScreenSize();
+    displays = [{ id: 1, name: 'primary', x: 0, y: 0, width, height, scale: 1, primary: true }];
+  }
+  if (!displays.some((d) => d.primary)) displays[0].primary = true;
+  displayCache = { at: Date.now(), displays };
+  return displays;
+}
+
+/**
+ * Pick a display.
+ * @param {number|string} [target] - id (1, "2"), name ("HDMI-1", "\\.\DISPLAY2" or "DISPLAY2", any case)
+ *   or 'primary' (default)
+ * @returns {Promise<object>} A listDisplays() entry
+ */
+async function getDisplay(target) {
+  const displays = await listDisplays();
+  const wanted = String(target ?? 'primary').trim().toLowerCase();
+  const display = wanted === 'primary' || wanted === ''
+    ? displays.find((d) => d.primary)
+    : displays.find((d) => String(d.id) === wanted || d.name.toLowerCase() === wanted)
+      || displays.find((d) => d.name.toLowerCase().replace(/^\\\\\.\\/, '') === wanted);
+  if (!display) {
+    const available = displays.map((d) => `${d.id} (${d.name} ${d.width}x${d.height})`).join(', ');
+    throw new Error(`Unknown display "${target}" — available: ${available}`);
+  }
+  return display;
+}
+
+/**
+ * True when a screen coordinate is on one of the displays.
+ */
+async function isOnScreen(x, y) {
+  const displays = await listDisplays();
+  return displays.some((d) => x >= d.x && x < d.x + d.width && y >= d.y && y < d.y + d.height);
 }
 
 // ─── Mouse Actions ───────────────────────────────────
@@ -256,16 +134,13 @@ function runPSInlineSync(scriptName) {
 async function click(x, y, options = {}) {
   x = Math.round(x);
   y = Math.round(y);
-  const { width, height } = getScreenSize();
   
-  if (x < 0 || x > width || y < 0 || y > height) {
-    throw new Error(`Click coordinates (${x}, ${y}) out of screen bounds (${width}x${height})`);
+  if (!(await isOnScreen(x, y))) {
+    throw new Error(`Click coordinates (${x}, ${y}) out of screen bounds (${await describeDesktop()})`);
   }
   
   const button = (options.button || 'left').toLowerCase();
-  const action = button === 'right' ? 'rightclick' : button === 'double' ? 'doubleclick' : 'leftclick';
-  
-  await runPS1('input.ps1', [action, String(x), String(y)]);
+  await driver.click(x, y, button === 'right' || button === 'double' ? button : 'left');
 }
 
 /**
@@ -274,7 +149,7 @@ async function click(x, y, options = {}) {
  * @param {number} y 
  */
 async function moveMouse(x, y) {
-  await runPS1('input.ps1', ['move', String(Math.round(x)), String(Math.round(y))]);
+  await driver.moveMouse(Math.round(x), Math.round(y));
 }
 
 /**
@@ -285,12 +160,11 @@ async function moveMouse(x, y) {
  * @param {number} y2 - End Y
  */
 async function drag(x1, y1, x2, y2) {
-  const { width, height } = getScreenSize();
   x1 = Math.round(x1); y1 = Math.round(y1);
   x2 = Math.round(x2); y2 = Math.round(y2);
-  if (x1 < 0 || x1 > width || y1 < 0 || y1 > height) throw new Error(`Drag start (${x1},${y1}) out of bounds`);
-  if (x2 < 0 || x2 > width || y2 < 0 || y2 > height) throw new Error(`Drag end (${x2},${y2}) out of bounds`);
-  await runPS1('input.ps1', ['drag', `${x1},${y1},${x2},${y2}`]);
+  if (!(await isOnScreen(x1, y1))) throw new Error(`Drag start (${x1},${y1}) out of bounds`);
+  if (!(await isOnScreen(x2, y2))) throw new Error(`Drag end (${x2},${y2}) out of bounds`);
+  await driver.drag(x1, y1, x2, y2);
 }
 
 /**
@@ -304,38 +178,19 @@ async function scroll(direction, amount = 3) {
     throw new Error(`Invalid scroll direction: "${direction}" (use "up" or "down")`);
   }
   const clicks = dir === 'up' ? amount : -amount;
-  await runPS1('input.ps1', ['scroll', String(clicks)]);
+  await driver.scroll(clicks);
 }
 
 // ─── Keyboard Actions ────────────────────────────────
 
 /**
- * Type text using SendKeys.
+ * Type text into the focused control.
  * @param {string} text - Text to type
  * @param {object} [options] - { delayMs: number }
  */
 async function type(text, options = {}) {
   if (!text || text.length === 0) throw new Error('Nothing to type — empty text');
-  
-  // SendKeys special chars need escaping: +^%~(){}[]
-  const escaped = text.replace(/([+^%~(){}[\]])/g, '{$1}');
-  // Escape single quotes for PowerShell
-  const psStr = escaped.replace(/'/g, "''");
-  
-  const delayMs = options.delayMs || 0;
-  let cmd;
-  
-  if (delayMs > 0) {
-    // Type char by char
-    const chars = [...psStr];
-    const parts = chars.map(c => `[System.Windows.Forms.SendKeys]::SendWait('${c}'); Start-Sleep -Milliseconds ${delayMs}`);
-    cmd = `Add-Type -AssemblyName System.Windows.Forms; ${parts.join('; ')}`;
-  } else {
-    cmd = `Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait('${psStr}')`;
-  }
-  
-  const timeout = ACTION_TIMEOUT + (delayMs > 0 ? delayMs * text.length : 0);
-  await runPSInline(cmd, timeout);
+  await driver.type(text, options.delayMs || 0);
 }
 
 /**
@@ -345,44 +200,25 @@ async function type(text, options = {}) {
 async function key(combo) {
   if (!combo) throw new Error('No key combo provided');
   
-  const keyMap = {
-    'enter': '{ENTER}', 'return': '{ENTER}',
-    'tab': '{TAB}',
-    'escape': '{ESC}', 'esc': '{ESC}',
-    'backspace': '{BACKSPACE}', 'bs': '{BACKSPACE}',
-    'delete': '{DELETE}', 'del': '{DELETE}',
-    'space': ' ',
-    'up': '{UP}', 'down': '{DOWN}', 'left': '{LEFT}', 'right': '{RIGHT}',
-    'home': '{HOME}', 'end': '{END}',
-    'pageup': '{PGUP}', 'pagedown': '{PGDN}',
-    'f1': '{F1}', 'f2': '{F2}', 'f3': '{F3}', 'f4': '{F4}',
-    'f5': '{F5}', 'f6': '{F6}', 'f7': '{F7}', 'f8': '{F8}',
-    'f9': '{F9}', 'f10': '{F10}', 'f11': '{F11}', 'f12': '{F12}',
-  };
-  
   const parts = combo.toLowerCase().split('+').map(s => s.trim());
-  let sendKeysStr = '';
-  let modifiers = '';
+  const modifiers = [];
+  let keyName = null;
   
   for (const part of parts) {
-    if (part === 'ctrl' || part === 'control') { modifiers += '^'; continue; }
-    if (part === 'alt') { modifiers += '%'; continue; }
-    if (part === 'shift') { modifiers += '+'; continue; }
+    if (part === 'ctrl' || part === 'control') { modifiers.push('ctrl'); continue; }
+    if (part === 'alt') { modifiers.push('alt'); continue; }
+    if (part === 'shift') { modifiers.push('shift'); continue; }
     
-    const mapped = keyMap[part];
-    if (mapped) {
-      sendKeysStr = modifiers + mapped;
-    } else if (part.length === 1) {
-      sendKeysStr = modifiers + part;
+    const name = KEY_ALIASES[part] || part;
+    if (KEY_NAMES.includes(name) || part.length === 1) {
+      keyName = name;
     } else {
       throw new Error(`Unknown key: "${part}" in combo "${combo}"`);
     }
   }
   
-  if (!sendKeysStr) throw new Error(`Could not parse key combo: "${combo}"`);
-  
-  const psStr = sendKeysStr.replace(/'/g, "''");
-  await runPSInline(`Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait('${psStr}')`);
+  if (!keyName) throw new Error(`Could not parse key combo: "${combo}"`);
+  await driver.key({ modifiers, key: keyName });
 }
 
 // ─── App/URL Launching ───────────────────────────────
@@ -393,21 +229,7 @@ async function key(combo) {
  */
 async function openApp(appName) {
   if (!appName) throw new Error('No app name provided');
-  
-  const aliases = {
-    'notepad': 'notepad', 'calculator': 'calc', 'calc': 'calc',
-    'paint': 'mspaint', 'explorer': 'explorer', 'files': 'explorer',
-    'cmd': 'cmd', 'terminal': 'wt', 'powershell': 'powershell',
-    'vscode': 'code', 'code': 'code',
-    'chrome': 'chrome', 'firefox': 'firefox', 'edge': 'msedge',
-    'word': 'winword', 'excel': 'excel', 'powerpoint': 'powerpnt',
-    'outlook': 'outlook', 'teams': 'ms-teams',
-    'spotify': 'spotify', 'discord': 'discord', 'slack': 'slack',
-  };
-  
-  const resolved = aliases[appName.toLowerCase()] || appName;
-  const psStr = resolved.replace(/'/g, "''");
-  await runPSInline(`Start-Process '${psStr}'`, APP_OPEN_TIMEOUT);
+  await driver.openApp(appName);
 }
 
 /**
@@ -419,8 +241,7 @@ async function openUrl(url) {
   if (!url.startsWith('http://') && !url.startsWith('https://')) {
     url = 'https://' + url;
   }
-  const psStr = url.replace(/'/g, "''");
-  await runPSInline(`Start-Process '${psStr}'`, APP_OPEN_TIMEOUT);
+  await driver.openUrl(url);
 }
 
 // ─── Window Management ───────────────────────────────
@@ -430,9 +251,15 @@ async function openUrl(url) {
  * @returns {Promise<{ title: string, processName: string }>}
  */
 async function getActiveWindow() {
-  const result = await runPS1('activewindow.ps1');
-  const [processName, ...titleParts] = result.split('|');
-  return { processName: processName || 'unknown', title: titleParts.join('|') || 'unknown' };
+  return driver.getActiveWindow();
+}
+
+/**
+ * List visible top-level windows.
+ * @returns {Promise<Array<{ id: string, processName: string, title: string }>>}
+ */
+async function listWindows() {
+  return driver.listWindows();
 }
 
 /**
@@ -442,8 +269,7 @@ async function getActiveWindow() {
  */
 async function focusWindow(processName) {
   if (!processName) throw new Error('No process name provided');
-  const result = await runPS1('focuswindow.ps1', [processName]);
-  return result === 'OK';
+  return driver.focusWindow(processName);
 }
 
 /**
@@ -458,7 +284,7 @@ async function focusWindow(processName) {
  * Returns array of { type, x, y, width, height, name }
  */
 async function listElements() {
-  const raw = await runPS1('ui-elements.ps1', ['list']);
+  const raw = await driver.listElements();
   return parseElements(raw);
 }
 
@@ -469,7 +295,7 @@ async function listElements() {
  */
 async function findElement(text) {
   if (!text) throw new Error('findElement requires search text');
-  const raw = await runPS1('ui-elements.ps1', ['find', text]);
+  const raw = await driver.findElement(text);
   return parseElements(raw);
 }
 
@@ -477,7 +303,7 @@ async function findElement(text) {
  * Get currently focused element info.
  */
 async function getFocusedElement() {
-  const raw = await runPS1('ui-elements.ps1', ['focused']);
+  const raw = await driver.getFocusedElement();
   const els = parseElements(raw);
   return els[0] || null;
 }
@@ -500,11 +326,15 @@ function parseElements(raw) {
 async function windowAction(action) {
   const valid = ['minimize', 'maximize', 'restore', 'close', 'snap_left', 'snap_right', 'info'];
   if (!valid.includes(action)) throw new Error(`Invalid window action: "${action}" (use ${valid.join('|')})`);
-  return await runPS1('window.ps1', [action]);
+  return await driver.windowAction(action);
 }
 
 // ─── Utility ─────────────────────────────────────────
 
+async function describeDesktop() {
+  return (await listDisplays()).map((d) => `${d.width}x${d.height} at ${d.x},${d.y}`).join(', ');
+}
+
 function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
@@ -513,6 +343,8 @@ function wait(ms) {
 module.exports = {
   screenshot,
   getScreenSize,
+  listDisplays,
+  getDisplay,
   click,
   drag,
   moveMouse,
@@ -522,10 +354,12 @@ module.exports = {
   openApp,
   openUrl,
   getActiveWindow,
+  listWindows,
   focusWindow,
   windowAction,
   listElements,
   findElement,
   getFocusedElement,
   wait,
+  driver: driver.name,
 };
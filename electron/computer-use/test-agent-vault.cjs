@@ -0,0 +1,134 @@
+/**
+ * Security Vault enforcement in the agent loop — blocked actions are refused
+ * back to the AI, confirmations pause the task until the user answers.
+ * Screen and vision are stubbed.
+ * Run: node test-agent-vault.cjs
+ */
+const { useTempHome, test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+useTempHome('vault-agent-');
+
+const screen = require('./screen.cjs');
+const vision = require('./vision.cjs');
+const { ComputerUseAgent } = require('./agent.cjs');
+
+// ─── Stubs ───────────────────────────────────────────
+
+// What the "desktop" did, and which window is in front
+const desktop = { window: 'notepad', done: [] };
+
+Object.assign(screen, {
+  getDisplay: async () => ({ id: 1, name: 'test', x: 0, y: 0, width: 800, height: 600, scale: 1, primary: true }),
+  screenshot: async () => `frame-${Math.random()}`.repeat(30),
+  listElements: async () => [],
+  getActiveWindow: async () => ({ processName: desktop.window, title: '' }),
+  wait: async () => {},
+  click: async (x, y) => { desktop.done.push(`click ${x},${y}`); },
+  type: async (text) => { desktop.done.push(`type ${text}`); },
+  openUrl: async (url) => { desktop.done.push(`open ${url}`); },
+  openApp: async (name) => { desktop.done.push(`app ${name}`); },
+});
+
+/**
+ * Scripted AI: returns each decision in turn, then done. Keeps the history it was shown.
+ */
+function scriptVision(decisions) {
+  const seen = [];
+  vision.analyzeScreen = async (screenshot, goal, history) => {
+    seen.push([...history]);
+    return decisions.shift() || { thought: 'Finished', action: 'done', params: { summary: 'ok' } };
+  };
+  return seen;
+}
+
+const newAgent = (options) => {
+  const agent = new ComputerUseAgent(options);
+  agent.on('error', () => {});
+  return agent;
+};
+
+async function main() {
+  console.log('\n🔒 Testing vault enforcement in agent.js\n');
+
+  await test('a blocked URL is refused and the AI is told why', async () => {
+    desktop.done = [];
+    const seen = scriptVision([
+      { thought: 'Opening the bank', action: 'open_url', params: { url: 'https://www.paypal.com' } },
+      { thought: 'Typing a note instead', action: 'type', params: { text: 'hello' } },
+    ]);
+    const agent = newAgent();
+    const steps = [];
+    agent.on('step', (step) => steps.push(step.action));
+    const result = await agent.run('pay the bill');
+    assert(result.success && desktop.done.join() === 'type hello', desktop.done.join());
+    assert(steps.includes('blocked'), steps.join());
+    assert(/REFUSED by Security Vault/.test(seen[1][0]), JSON.stringify(seen[1]));
+  });
+
+  await test('nothing runs while a password manager is in front', async () => {
+    desktop.done = [];
+    desktop.window = 'KeePass';
+    const seen = scriptVision([{ thought: 'Clicking the entry', action: 'click', params: { x: 10, y: 20 } }]);
+    const result = await newAgent().run('copy the password');
+    desktop.window = 'notepad';
+    assert(result.success && desktop.done.length === 0, desktop.done.join());
+    assert(/REFUSED.*KeePass/i.test(seen[1][0]), seen[1][0]);
+  });
+
+  await test('a blocked app is not opened', async () => {
+    desktop.done = [];
+    const seen = scriptVision([
+      { thought: 'Opening the password manager', action: 'open_app', params: { name: 'keepassxc' } },
+      { thought: 'Opening the editor instead', action: 'open_app', params: { name: 'notepad' } },
+    ]);
+    const result = await newAgent().run('find my bank password');
+    assert(result.success && desktop.done.join() === 'app notepad', desktop.done.join());
+    assert(/REFUSED.*keepassxc/i.test(seen[1][0]), seen[1][0]);
+  });
+
+  await test('a confirmation pauses the task until approveAction()', async () => {
+    desktop.done = [];
+    scriptVision([{ thought: 'Clicking send', action: 'click', params: { x: 5, y: 5 } }]);
+    const agent = newAgent({ budget: { maxDurationMs: 60 * 1000 } });
+    const requests = [];
+    agent.on('approval_needed', (request) => {
+      requests.push(request);
+      setTimeout(() => {
+        assert(agent.isAwaitingApproval() && desktop.done.length === 0, 'Ran before the user answered');
+        agent.approveAction();
+      }, 60);
+    });
+    const result = await agent.run('send the message');
+    assert(result.success && desktop.done.join() === 'click 5,5', desktop.done.join());
+    assert(requests.length === 1 && /send/.test(requests[0].reason) && requests[0].action === 'click', JSON.stringify(requests));
+    assert(result.budget.durationMs < 60, `Time waiting for the user was counted: ${result.budget.durationMs}ms`);
+  });
+
+  await test('a declined confirmation aborts the task', async () => {
+    desktop.done = [];
+    scriptVision([{ thought: 'Clicking delete', action: 'click', params: { x: 5, y: 5 } }]);
+    const agent = newAgent();
+    agent.on('approval_needed', () => setTimeout(() => agent.denyAction(), 10));
+    const result = await agent.run('clean up');
+    assert(!result.success && result.stopped === 'declined' && desktop.done.length === 0, JSON.stringify(result));
+  });
+
+  await test('onApproval decides on its own; stop() ends a waiting confirmation', async () => {
+    desktop.done = [];
+    scriptVision([{ thought: 'Clicking publish', action: 'click', params: { x: 1, y: 1 } }]);
+    const asked = [];
+    const decided = await newAgent({ onApproval: async (request) => { asked.push(request); return true; } }).run('publish');
+    assert(decided.success && asked.length === 1 && desktop.done.length === 1, JSON.stringify(decided));
+
+    desktop.done = [];
+    scriptVision([{ thought: 'Clicking pay', action: 'click', params: { x: 1, y: 1 } }]);
+    const agent = newAgent();
+    agent.on('approval_needed', () => setTimeout(() => agent.stop(), 10));
+    const stopped = await agent.run('pay');
+    assert(!stopped.success && !agent.isAwaitingApproval() && desktop.done.length === 0, JSON.stringify(stopped));
+  });
+}
+
+run(main);
+
+
@@ -32,6 +32,16 @@ agent.on('stopped', ({ reason, steps }) => {
   console.log(`\n⏹️  Stopped after ${steps} steps: ${reason}\n`);
 });
 
+// Actions the Security Vault wants confirmed wait for a y/N on the terminal
+agent.on('approval_needed', ({ action, reason }) => {
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(`\n🔒 ${reason}\n   Allow "${action}"? [y/N] `, (answer) => {
+    rl.close();
+    if (/^y/i.test(answer.trim())) agent.approveAction();
+    else agent.denyAction();
+  });
+});
+
 // Handle Ctrl+C
 process.on('SIGINT', () => {
   console.log('\n⏹️  Stopping agent...');
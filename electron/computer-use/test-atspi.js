@@ -0,0 +1,133 @@
+/**
+ * Test atspi.js against a GTK app on a headless Xvfb display.
+ * Needs Xvfb, dbus-run-session and python3-gi with the Atspi and Gtk 3 typelibs;
+ * xdotool for the click-through test. Skips when they aren't installed.
+ * Run: node test-atspi.js
+ */
+const fs = require('fs');
+const { spawn, spawnSync, execFileSync } = require('child_process');
+const { test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+const DISPLAY_NUM = 98;
+const TITLE = 'atspi-fixture';
+
+// A window with an entry and two buttons; "Save draft" renames the window
+const FIXTURE = `
+import gi
+gi.require_version('Gtk', '3.0')
+from gi.repository import Gtk
+win = Gtk.Window(title='${TITLE}')
+box = Gtk.Box(orientation=Gtk.Orientation.VERTICAL, spacing=8)
+entry = Gtk.Entry()
+box.add(entry)
+save = Gtk.Button(label='Save draft')
+save.connect('clicked', lambda b: win.set_title('saved'))
+box.add(save)
+box.add(Gtk.Button(label='Cancel'))
+win.add(box)
+win.connect('destroy', Gtk.main_quit)
+win.show_all()
+entry.grab_focus()
+Gtk.main()
+`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function installed(command) {
+  try {
+    execFileSync('which', [command], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function hasTypelibs() {
+  const check = "import gi; gi.require_version('Atspi', '2.0'); gi.require_version('Gtk', '3.0')";
+  return spawnSync('python3', ['-c', check], { stdio: 'ignore' }).status === 0;
+}
+
+function parse(raw) {
+  return raw.split('\n').filter(Boolean).map((line) => {
+    const [type, x, y, w, h, ...name] = line.split('|');
+    return { type, x: Number(x), y: Number(y), width: Number(w), height: Number(h), name: name.join('|') };
+  });
+}
+
+async function main() {
+  const missing = ['Xvfb', 'dbus-run-session', 'python3'].filter((c) => !installed(c));
+  if (missing.length === 0 && !hasTypelibs()) missing.push('python3-gi Atspi/Gtk typelibs');
+
+  // The app and this test have to share an accessibility bus: rerun inside a fresh session
+  if (missing.length === 0 && !process.env.ATSPI_TEST_BUS) {
+    const child = spawnSync('dbus-run-session', ['--', process.execPath, __filename], {
+      stdio: 'inherit',
+      env: { ...process.env, ATSPI_TEST_BUS: '1' },
+      timeout: 120000,
+    });
+    process.exit(child.status === null ? 1 : child.status);
+  }
+
+  console.log('\n♿ Testing atspi.js\n');
+  if (missing.length > 0) {
+    console.log(`  ⏭️  Skipped — not installed: ${missing.join(', ')}`);
+    return;
+  }
+
+  const xvfb = spawn('Xvfb', [`:${DISPLAY_NUM}`, '-screen', '0', '1024x768x24', '-nolisten', 'tcp'], { stdio: 'ignore' });
+  for (let i = 0; i < 50 && !fs.existsSync(`/tmp/.X11-unix/X${DISPLAY_NUM}`); i++) await sleep(100);
+  process.env.DISPLAY = `:${DISPLAY_NUM}`;
+  const env = { ...process.env, GTK_A11Y: 'atspi' };
+  delete env.NO_AT_BRIDGE;
+  const app = spawn('python3', ['-c', FIXTURE], { stdio: 'ignore', env });
+  const atspi = require('./atspi');
+
+  try {
+    let elements = [];
+    for (let i = 0; i < 50 && !elements.some((e) => e.name === 'Cancel'); i++) {
+      elements = parse(await atspi.listElements(app.pid).catch(() => ''));
+      await sleep(200);
+    }
+
+    await test('listElements returns the buttons and the entry', async () => {
+      const names = elements.map((e) => `${e.type}:${e.name}`);
+      assert(names.includes('Button:Save draft') && names.includes('Button:Cancel'), names.join(', '));
+      assert(elements.some((e) => e.type === 'Edit'), 'Entry missing');
+      const save = elements.find((e) => e.name === 'Save draft');
+      assert(save.x > 0 && save.y > 0 && save.width > 0 && save.height > 0, JSON.stringify(save));
+    });
+
+    await test('findElement matches part of a name, any case', async () => {
+      const found = parse(await atspi.findElement('save', app.pid));
+      assert(found.length === 1 && found[0].name === 'Save draft', JSON.stringify(found));
+      assert(parse(await atspi.findElement('nothing like this', app.pid)).length === 0, 'Unexpected match');
+    });
+
+    await test('getFocusedElement returns one record', async () => {
+      const focused = parse(await atspi.getFocusedElement(app.pid));
+      assert(focused.length === 1, JSON.stringify(focused));
+    });
+
+    if (!installed('xdotool')) {
+      console.log('  ⏭️  Click-through skipped — xdotool not installed');
+      return;
+    }
+
+    await test('clicking the found center presses the button', async () => {
+      const x11 = require('./screen-x11');
+      const [save] = parse(await atspi.findElement('save draft', app.pid));
+      await x11.click(save.x, save.y, 'left');
+      let renamed = false;
+      for (let i = 0; i < 20 && !renamed; i++) {
+        await sleep(100);
+        renamed = (await x11.listWindows()).some((w) => w.title === 'saved');
+      }
+      assert(renamed, 'Button was not pressed');
+    });
+  } finally {
+    app.kill();
+    xvfb.kill();
+  }
+}
+
+run(main);
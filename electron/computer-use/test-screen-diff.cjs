@@ -0,0 +1,158 @@
+/**
+ * Test screen-diff.js — PNG frames, changed regions, and the agent flagging
+ * actions with no visible effect (screen and vision are stubbed).
+ * Run: node test-screen-diff.cjs
+ */
+const sharp = require('sharp');
+const { useTempHome, test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+useTempHome('screen-diff-');
+
+const screenDiff = require('./screen-diff.cjs');
+const screen = require('./screen.cjs');
+const vision = require('./vision.cjs');
+const { ComputerUseAgent } = require('./agent.cjs');
+
+// ─── PNG fixtures ────────────────────────────────────
+
+const W = 960;
+const H = 540;
+
+/**
+ * Encode a grey screen with optional boxes as a base64 PNG.
+ * @param {Array<{ x, y, width, height, shade }>} boxes
+ * @param {object} [options] - { alpha, noise, sixteenBit: boolean, png: sharp PNG options (palette, progressive, ...) }
+ */
+async function png(boxes = [], options = {}) {
+  const channels = options.alpha ? 4 : 3;
+  const stride = W * channels;
+  const pixels = Buffer.alloc(stride * H, 200);
+  for (const box of boxes) {
+    for (let y = box.y; y < box.y + box.height; y++) {
+      for (let x = box.x; x < box.x + box.width; x++) {
+        pixels.fill(box.shade, y * stride + x * channels, y * stride + x * channels + 3);
+      }
+    }
+  }
+  if (options.noise) {
+    // One-level wobble, like two encoders disagreeing on a gradient
+    for (let i = 0; i < pixels.length; i += 7) pixels[i] ^= 1;
+  }
+  if (options.alpha) {
+    for (let i = 3; i < pixels.length; i += 4) {
+      pixels[i] = 255;
+    }
+  }
+  let image = sharp(pixels, { raw: { width: W, height: H, channels } });
+  if (options.sixteenBit) {
+    image = image.toColourspace('rgb16');
+  }
+  const encoded = await image.png(options.png).toBuffer();
+  return encoded.toString('base64');
+}
+
+const frameOf = async (boxes, options) => screenDiff.toFrame(await png(boxes, options));
+
+const DIALOG = { x: 640, y: 40, width: 240, height: 160, shade: 40 };
+
+// ─── Agent stubs ─────────────────────────────────────
+
+const desktop = { frames: [], clicks: 0 };
+
+Object.assign(screen, {
+  getDisplay: async () => ({ id: 1, name: 'test', x: 0, y: 0, width: W, height: H, scale: 1, primary: true }),
+  screenshot: async () => desktop.frames.shift() || await png(),
+  listElements: async () => [{ type: 'Button', x: 700, y: 100, name: 'Save' }],
+  getActiveWindow: async () => ({ processName: 'notepad', title: '' }),
+  wait: async () => {},
+  click: async () => { desktop.clicks++; },
+});
+
+function scriptVision(decisions) {
+  const calls = [];
+  vision.analyzeScreen = async (screenshot, goal, history, size, elements, screenChange) => {
+    calls.push({ history: [...history], screenChange });
+    return decisions.shift() || { thought: 'Finished', action: 'done', params: { summary: 'ok' } };
+  };
+  return calls;
+}
+
+async function main() {
+  console.log('\n🔍 Testing screen-diff.js\n');
+
+  await test('identical screens are unchanged, however the PNG is encoded', async () => {
+    const before = await frameOf([DIALOG]);
+    const encodings = {
+      alpha: { alpha: true },
+      filtered: { png: { adaptiveFiltering: true, compressionLevel: 9 } },
+      interlaced: { png: { progressive: true } },
+      palette: { png: { palette: true } },
+      '16-bit': { sixteenBit: true },
+    };
+    for (const [name, options] of Object.entries(encodings)) {
+      const after = await frameOf([DIALOG], options);
+      assert(after && !screenDiff.diffFrames(before, after).changed, `${name} PNG looked like a change`);
+    }
+  });
+
+  await test('one-level pixel noise is not a change', async () => {
+    const diff = screenDiff.diffFrames(await frameOf(), await frameOf([], { noise: true }));
+    assert(!diff.changed, JSON.stringify(diff));
+  });
+
+  await test('a new dialog is one region at top-right', async () => {
+    const diff = screenDiff.diffFrames(await frameOf(), await frameOf([DIALOG]));
+    assert(diff.changed && diff.regions.length === 1, JSON.stringify(diff));
+    const [region] = diff.regions;
+    assert(region.where === 'top-right', region.where);
+    assert(Math.abs(region.x - 640) <= 10 && Math.abs(region.width - 240) <= 20, JSON.stringify(region));
+    const text = screenDiff.describeChange(diff, [{ x: 700, y: 100, name: 'Save' }, { x: 10, y: 10, name: 'File' }]);
+    assert(/^changed at top-right \(\d+,\d+ \d+×\d+\) around "Save"$/.test(text), text);
+  });
+
+  await test('small changes are caught; a whole new screen is summarised', async () => {
+    const caret = { x: 100, y: 300, width: 2, height: 18, shade: 0 };
+    assert(screenDiff.diffFrames(await frameOf(), await frameOf([caret])).changed, 'Caret missed');
+    const page = { x: 0, y: 0, width: W, height: H, shade: 20 };
+    const text = screenDiff.describeChange(screenDiff.diffFrames(await frameOf(), await frameOf([page])));
+    assert(/most of the screen/.test(text), text);
+  });
+
+  await test('undecodable screenshots give no frame', async () => {
+    assert(await screenDiff.toFrame('not a png') === null, 'Expected null');
+  });
+
+  console.log('\n🤖 Agent\n');
+
+  await test('the AI hears what its last action changed', async () => {
+    desktop.frames = [await png(), await png([DIALOG])];
+    const calls = scriptVision([{ thought: 'Clicking the menu', action: 'click', params: { x: 10, y: 10 } }]);
+    const result = await new ComputerUseAgent().run('open the dialog');
+    assert(result.success && calls[0].screenChange === '', JSON.stringify(calls[0]));
+    assert(/^after "click": changed at top-right .* around "Save"$/.test(calls[1].screenChange), calls[1].screenChange);
+  });
+
+  await test('a click with no effect is flagged, three in a row stop the task', async () => {
+    desktop.frames = [];
+    desktop.clicks = 0;
+    const clickNothing = { thought: 'Clicking the dead button', action: 'click', params: { x: 10, y: 10 } };
+    const calls = scriptVision([
+      { thought: 'Waiting for it', action: 'wait', params: { ms: 10 } },
+      { ...clickNothing }, { ...clickNothing }, { ...clickNothing },
+    ]);
+    const agent = new ComputerUseAgent();
+    const flagged = [];
+    agent.on('step', (step) => { if (step.action === 'no_effect') flagged.push(step); });
+    let error = null;
+    agent.on('error', (event) => { error = event; });
+    const result = await agent.run('press the button');
+    assert(!result.success && /no visible effect/.test(result.summary) && desktop.clicks === 3, JSON.stringify(result));
+    assert(flagged.length === 3 && error, `Flagged ${flagged.length}`);
+    assert(!/NO EFFECT/.test(calls[1].history[0]), 'A wait was flagged');
+    assert(/\[NO EFFECT/.test(calls[2].history[1]) && /nothing changed/.test(calls[2].screenChange), JSON.stringify(calls[2]));
+  });
+}
+
+run(main);
+
+
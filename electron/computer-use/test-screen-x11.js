@@ -0,0 +1,125 @@
+/**
+ * Test screen-x11.js against a headless Xvfb display.
+ * Needs Xvfb, xdotool, xrandr and ImageMagick; xterm for the window/keyboard tests.
+ * Skips when they aren't installed.
+ * Run: node test-screen-x11.js
+ */
+const fs = require('fs');
+const { spawn, execFileSync } = require('child_process');
+const { test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+const DISPLAY_NUM = 99;
+const WIDTH = 1024;
+const HEIGHT = 768;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function installed(command) {
+  try {
+    execFileSync('which', [command], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+async function startXvfb() {
+  const xvfb = spawn('Xvfb', [`:${DISPLAY_NUM}`, '-screen', '0', `${WIDTH}x${HEIGHT}x24`, '-nolisten', 'tcp'], { stdio: 'ignore' });
+  for (let i = 0; i < 50 && !fs.existsSync(`/tmp/.X11-unix/X${DISPLAY_NUM}`); i++) await sleep(100);
+  process.env.DISPLAY = `:${DISPLAY_NUM}`;
+  return xvfb;
+}
+
+async function main() {
+  console.log('\n🐧 Testing screen-x11.js\n');
+
+  const missing = ['Xvfb', 'xdotool', 'xrandr', 'import'].filter((c) => !installed(c));
+  if (missing.length > 0) {
+    console.log(`  ⏭️  Skipped — not installed: ${missing.join(', ')}`);
+    return;
+  }
+
+  const xvfb = await startXvfb();
+  const x11 = require('./screen-x11');
+  let xterm = null;
+
+  try {
+    await test('getScreenSize matches the display', async () => {
+      const size = x11.getScreenSize();
+      assert(size.width === WIDTH && size.height === HEIGHT, `Got ${size.width}x${size.height}`);
+    });
+
+    await test('listDisplays reports the screen', async () => {
+      const displays = await x11.listDisplays();
+      assert(displays.length === 1, JSON.stringify(displays));
+      const [d] = displays;
+      assert(d.id === 1 && d.x === 0 && d.width === WIDTH && d.height === HEIGHT && d.scale > 0, JSON.stringify(d));
+    });
+
+    await test('screenshot is a PNG of the region, resized', async () => {
+      const whole = { x: 0, y: 0, width: WIDTH, height: HEIGHT };
+      let png = Buffer.from(await x11.screenshot(whole, { width: WIDTH, height: HEIGHT }), 'base64');
+      assert(png.subarray(1, 4).toString() === 'PNG', 'Not a PNG');
+      assert(png.readUInt32BE(16) === WIDTH && png.readUInt32BE(20) === HEIGHT, 'Wrong image size');
+      const corner = { x: WIDTH / 2, y: HEIGHT / 2, width: WIDTH / 2, height: HEIGHT / 2 };
+      png = Buffer.from(await x11.screenshot(corner, { width: 256, height: 192 }), 'base64');
+      assert(png.readUInt32BE(16) === 256 && png.readUInt32BE(20) === 192, 'Wrong resized size');
+    });
+
+    await test('moveMouse and click land on the coordinates', async () => {
+      await x11.moveMouse(100, 200);
+      assert(/x:100 y:200/.test(execFileSync('xdotool', ['getmouselocation']).toString()), 'Pointer not moved');
+      await x11.click(300, 400, 'left');
+      await x11.scroll(-3);
+      assert(/x:300 y:400/.test(execFileSync('xdotool', ['getmouselocation']).toString()), 'Pointer not moved');
+    });
+
+    if (!installed('xterm')) {
+      console.log('  ⏭️  Window tests skipped — xterm not installed');
+      return;
+    }
+
+    xterm = spawn('xterm', ['-title', 'x11-driver-test', '-e', 'cat'], { stdio: 'ignore' });
+    for (let i = 0; i < 50; i++) {
+      if ((await x11.listWindows()).some((w) => w.title === 'x11-driver-test')) break;
+      await sleep(100);
+    }
+
+    await test('listWindows and focusWindow find the app by process name', async () => {
+      const win = (await x11.listWindows()).find((w) => w.title === 'x11-driver-test');
+      assert(win && win.processName === 'xterm', JSON.stringify(await x11.listWindows()));
+      assert(await x11.focusWindow('xterm'), 'focusWindow returned false');
+      assert(!(await x11.focusWindow('no-such-app')), 'Focused a missing app');
+    });
+
+    await test('getActiveWindow reports the focused window', async () => {
+      const active = await x11.getActiveWindow();
+      assert(active.processName === 'xterm' && active.title === 'x11-driver-test', JSON.stringify(active));
+    });
+
+    await test('type and key reach the focused window', async () => {
+      await x11.type('hello', 0);
+      await x11.key({ modifiers: [], key: 'enter' });
+      await x11.key({ modifiers: ['ctrl'], key: 'a' });
+      await x11.key({ modifiers: [], key: 'f5' });
+    });
+
+    await test('windowAction moves and reports the window', async () => {
+      assert(await x11.windowAction('snap_right') === 'OK', 'snap_right');
+      const [x, y, w, h] = (await x11.windowAction('info')).split(',').map(Number);
+      assert(x === WIDTH / 2 && y === 0 && w > 0 && h > 0, `Geometry ${x},${y},${w},${h}`);
+    });
+
+    await test('openApp runs an unknown name as one command, without arguments', async () => {
+      const marker = `/tmp/open-app-test-${process.pid}`;
+      const error = await x11.openApp(`touch ${marker}`).catch((e) => e);
+      await sleep(200);
+      assert(/not found/.test(error?.message) && !fs.existsSync(marker), `Name split into arguments: ${error?.message}`);
+    });
+  } finally {
+    if (xterm) xterm.kill();
+    xvfb.kill();
+  }
+}
+
+run(main);
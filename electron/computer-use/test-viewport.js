@@ -0,0 +1,147 @@
+/**
+ * Test viewport.js and display selection — image ↔ screen coordinates, and the
+ * agent working on a scaled-down secondary monitor (driver, screen and vision are stubbed).
+ * Run: node test-viewport.js
+ */
+const { useTempHome, test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+useTempHome('viewport-');
+
+const driver = process.platform === 'linux' ? require('./screen-x11') : require('./screen-powershell');
+const viewport = require('./viewport');
+const screen = require('./screen');
+const vision = require('./vision');
+const { ComputerUseAgent } = require('./agent');
+
+async function throws(fn, pattern) {
+  try {
+    await fn();
+  } catch (e) {
+    assert(pattern.test(e.message), e.message);
+    return;
+  }
+  throw new Error('Should have thrown');
+}
+
+// ─── Desktop ─────────────────────────────────────────
+
+// A 1080p primary, and a 150%-scaled 1440p monitor to its left
+const PRIMARY = { id: 1, name: 'HDMI-1', x: 0, y: 0, width: 1920, height: 1080, scale: 1, primary: true };
+const LEFT = { id: 2, name: 'DP-1', x: -2560, y: 0, width: 2560, height: 1440, scale: 1.5, primary: false };
+
+const desktop = { shots: [], clicks: [], drags: [] };
+
+Object.assign(driver, {
+  listDisplays: async () => [PRIMARY, LEFT],
+  screenshot: async (region, size) => {
+    desktop.shots.push({ region, size });
+    return 'iVBOR'.padEnd(200, 'A');
+  },
+  click: async (x, y) => { desktop.clicks.push(`${x},${y}`); },
+  drag: async (x1, y1, x2, y2) => { desktop.drags.push(`${x1},${y1} → ${x2},${y2}`); },
+});
+
+async function main() {
+  console.log('\n🖥️  Testing viewport.js\n');
+
+  await test('big displays shrink to fit 1280×800, small ones keep their size', async () => {
+    const left = viewport.createViewport(LEFT);
+    assert(left.width === 1280 && left.height === 720, `${left.width}x${left.height}`);
+    const tall = viewport.createViewport({ x: 0, y: 0, width: 1200, height: 1920 });
+    assert(tall.width === 500 && tall.height === 800, `${tall.width}x${tall.height}`);
+    const small = viewport.createViewport({ x: 0, y: 0, width: 1024, height: 768 });
+    assert(small.width === 1024 && small.height === 768, `${small.width}x${small.height}`);
+  });
+
+  await test('image pixels map to the display and back', async () => {
+    const left = viewport.createViewport(LEFT);
+    const center = viewport.toScreen(left, 640, 360);
+    assert(center.x === -1280 && center.y === 720, JSON.stringify(center));
+    const corner = viewport.toScreen(left, 1280, 720);
+    assert(corner.x === -1 && corner.y === 1439, `Edge left the display: ${JSON.stringify(corner)}`);
+    const back = viewport.toImage(left, -1280, 720);
+    assert(back.x === 640 && back.y === 360, JSON.stringify(back));
+  });
+
+  await test('points outside the screenshot are refused', async () => {
+    const left = viewport.createViewport(LEFT);
+    await throws(() => viewport.toScreen(left, 1300, 10), /outside the screenshot \(1280x720\)/);
+    await throws(() => viewport.toScreen(left, 10, -1), /outside the screenshot/);
+  });
+
+  await test('UI elements keep only the display\'s, in image pixels', async () => {
+    const elements = [
+      { type: 'Button', x: -640, y: 300, width: 200, height: 60, name: 'Send' },
+      { type: 'Button', x: 500, y: 300, width: 100, height: 30, name: 'On the primary' },
+    ];
+    const seen = viewport.elementsToImage(viewport.createViewport(LEFT), elements);
+    assert(seen.length === 1 && seen[0].name === 'Send', JSON.stringify(seen));
+    assert(seen[0].x === 960 && seen[0].y === 150 && seen[0].width === 100 && seen[0].height === 30, JSON.stringify(seen[0]));
+  });
+
+  console.log('\n🖥️  Displays\n');
+
+  await test('getDisplay picks by id, name or primary', async () => {
+    assert((await screen.getDisplay()).name === 'HDMI-1', 'Default is not the primary');
+    assert((await screen.getDisplay(2)).name === 'DP-1', 'By id');
+    assert((await screen.getDisplay('dp-1')).id === 2, 'By name');
+    await throws(() => screen.getDisplay('VGA-1'), /Unknown display "VGA-1" — available: 1 \(HDMI-1 1920x1080\), 2 \(DP-1 2560x1440\)/);
+  });
+
+  await test('screenshots capture one display, resized', async () => {
+    desktop.shots = [];
+    await screen.screenshot({ display: LEFT, size: { width: 1280, height: 720 } });
+    await screen.screenshot();
+    const [left, primary] = desktop.shots;
+    assert(left.region.x === -2560 && left.region.width === 2560 && left.size.width === 1280, JSON.stringify(left));
+    assert(primary.region.x === 0 && primary.size.width === 1920 && primary.size.height === 1080, JSON.stringify(primary));
+  });
+
+  await test('clicks anywhere on the desktop pass, off it fail', async () => {
+    desktop.clicks = [];
+    await screen.click(-2000, 100);
+    await screen.click(1900, 1000);
+    assert(desktop.clicks.join(' ') === '-2000,100 1900,1000', desktop.clicks.join(' '));
+    await throws(() => screen.click(100, 1200), /out of screen bounds/);
+    await throws(() => screen.drag(10, 10, 2000, 10), /Drag end \(2000,10\) out of bounds/);
+  });
+
+  console.log('\n🤖 Agent\n');
+
+  await test('the AI works in screenshot pixels of the chosen display', async () => {
+    desktop.shots = [];
+    desktop.clicks = [];
+    desktop.drags = [];
+    screen.listElements = async () => [{ type: 'Button', x: -640, y: 300, width: 200, height: 60, name: 'Send' }];
+    screen.getActiveWindow = async () => ({ processName: 'notepad', title: '' });
+    screen.wait = async () => {};
+    const calls = [];
+    const decisions = [
+      { thought: 'Clicking the middle', action: 'click', params: { x: 640, y: 360 } },
+      { thought: 'Moving the note', action: 'drag', params: { x1: 0, y1: 0, x2: 1280, y2: 720 } },
+    ];
+    vision.analyzeScreen = async (screenshot, goal, history, size, elements) => {
+      calls.push({ size, elements });
+      return decisions.shift() || { thought: 'Finished', action: 'done', params: { summary: 'ok' } };
+    };
+
+    const agent = new ComputerUseAgent({ display: 'DP-1' });
+    let started = null;
+    agent.on('start', (event) => { started = event; });
+    const result = await agent.run('send the note');
+
+    assert(result.success, result.summary);
+    assert(started.display.id === 2 && started.display.scale === 1.5 && started.image.width === 1280, JSON.stringify(started));
+    assert(calls[0].size.width === 1280 && calls[0].size.height === 720, JSON.stringify(calls[0].size));
+    assert(calls[0].elements[0].x === 960 && calls[0].elements[0].y === 150, JSON.stringify(calls[0].elements));
+    assert(desktop.shots.every((s) => s.region.x === -2560 && s.size.width === 1280), JSON.stringify(desktop.shots));
+    assert(desktop.clicks.join() === '-1280,720', desktop.clicks.join());
+    assert(desktop.drags.join() === '-2560,0 → -1,1439', desktop.drags.join());
+  });
+
+  await test('an unknown display fails before the task starts', async () => {
+    await throws(() => new ComputerUseAgent({ display: 7 }).run('anything'), /Unknown display "7"/);
+  });
+}
+
+run(main);
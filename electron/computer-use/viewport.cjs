@@ -0,0 +1,91 @@
+/**
+ * viewport.js — Screenshot pixels vs screen coordinates for Klaw Computer Use
+ *
+ * The AI sees one display, shrunk to fit 1280×800 (bigger images cost more
+ * tokens and don't make clicks more accurate), and answers in that image's
+ * pixels. A viewport maps its answers back to OS input coordinates, and UI
+ * element positions the other way.
+ *
+ * Drivers report display bounds and take input in the same device pixels (the
+ * PowerShell scripts run DPI-aware; X11 has only one kind of pixel), so one
+ * ratio per display covers both the downscale and the OS scale factor. Screen
+ * coordinates span the whole desktop: a monitor left of the primary has
+ * negative x.
+ */
+
+// ─── Config ──────────────────────────────────────────
+const MAX_IMAGE = { width: 1280, height: 800 };
+
+// ─── Viewports ───────────────────────────────────────
+
+/**
+ * The image the AI gets for a display.
+ * @param {{ x: number, y: number, width: number, height: number }} display - From screen.getDisplay()
+ * @param {{ width: number, height: number }} [max] - Largest image; never scaled up
+ * @returns {{ display: object, width: number, height: number }} width/height of the image
+ */
+function createViewport(display, max = MAX_IMAGE) {
+  const ratio = Math.min(1, max.width / display.width, max.height / display.height);
+  return {
+    display,
+    width: Math.max(1, Math.round(display.width * ratio)),
+    height: Math.max(1, Math.round(display.height * ratio)),
+  };
+}
+
+/**
+ * Image pixel → screen coordinate.
+ * @returns {{ x: number, y: number }}
+ * @throws when the point is outside the image
+ */
+function toScreen(viewport, x, y) {
+  if (x < 0 || x > viewport.width || y < 0 || y > viewport.height) {
+    throw new Error(`(${x}, ${y}) is outside the screenshot (${viewport.width}x${viewport.height})`);
+  }
+  const { display } = viewport;
+  return {
+    x: display.x + Math.min(display.width - 1, Math.round(x * display.width / viewport.width)),
+    y: display.y + Math.min(display.height - 1, Math.round(y * display.height / viewport.height)),
+  };
+}
+
+/**
+ * Screen coordinate → image pixel (may fall outside the image).
+ * @returns {{ x: number, y: number }}
+ */
+function toImage(viewport, x, y) {
+  const { display } = viewport;
+  return {
+    x: Math.round((x - display.x) * viewport.width / display.width),
+    y: Math.round((y - display.y) * viewport.height / display.height),
+  };
+}
+
+/**
+ * UI elements (screen coordinates, from screen.listElements()) as the AI sees
+ * them: those centered on the viewport's display, in image pixels.
+ * @param {Array<{ type, x, y, width, height, name }>} elements
+ * @returns {Array<{ type, x, y, width, height, name }>}
+ */
+function elementsToImage(viewport, elements) {
+  const { display } = viewport;
+  return elements
+    .filter((e) => e.x >= display.x && e.x < display.x + display.width && e.y >= display.y && e.y < display.y + display.height)
+    .map((e) => ({
+      ...e,
+      ...toImage(viewport, e.x, e.y),
+      width: Math.round(e.width * viewport.width / display.width),
+      height: Math.round(e.height * viewport.height / display.height),
+    }));
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  createViewport,
+  toScreen,
+  toImage,
+  elementsToImage,
+  MAX_IMAGE,
+};
+
+
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Tray, Menu, nativeImage, shell, globalShortcut, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, Tray, Menu, Notification, nativeImage, shell, globalShortcut, dialog, ipcMain } = require('electron');
 const { spawn, execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
@@ -1172,6 +1172,8 @@ app.whenReady().then(async () => {
   if (configExists) {
     started = await startGateway();
     startHealthCheck();
+    startSessionHealthMonitor();
+    startWebTaskQueue();
     setupAutoUpdater();
   } else {
     console.log('[Klaw] First run detected — skipping gateway, showing setup wizard');
@@ -1863,6 +1865,8 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   isQuitting = true;
   globalShortcut.unregisterAll();
+  if (sessionHealthMonitor) sessionHealthMonitor.stop();
+  if (webTaskQueue) webTaskQueue.stop();
   stopGateway();
   // Clean up lock files
   try {
@@ -2374,6 +2378,17 @@ ipcMain.handle('computer-use-start', async (event, goal) => {
       mainWindow.webContents.send('computer-use-event', { type: 'stopped', ...data });
     }
   });
+  cuAgent.on('budget', (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('computer-use-event', { type: 'budget', ...data });
+    }
+  });
+  cuAgent.on('approval_needed', (data) => {
+    notifyComputerUseApproval(data);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('computer-use-event', { type: 'approval_needed', ...data });
+    }
+  });
   
   // Run in background (don't await — return immediately)
   cuAgent.run(goal).catch(err => {
@@ -2407,6 +2422,14 @@ ipcMain.handle('computer-use-resume', () => {
   return { resumed: false };
 });
 
+// The user's answer to an 'approval_needed' event
+ipcMain.handle('computer-use-approval', (event, approve) => {
+  if (!cuAgent || !cuAgent.isAwaitingApproval()) return { decided: false, reason: 'No action awaiting approval' };
+  if (approve) cuAgent.approveAction();
+  else cuAgent.denyAction();
+  return { decided: true };
+});
+
 ipcMain.handle('computer-use-status', () => {
   return {
     running: cuAgent ? cuAgent.isRunning() : false,
@@ -2525,13 +2548,18 @@ ipcMain.on('screen-vision-send', async (event, { crop, prompt, scaleFactor }) =>
 
 let computerUseAgent = null;
 
-ipcMain.handle('computer-use:start', async (event, task) => {
+// options.budget: { maxTokens, maxCostUsd, maxDurationMs } — when a limit is hit the
+// agent pauses and sends 'computer-use:budget' until computer-use:budget-decision.
+// Actions the Security Vault wants confirmed pause it the same way: 'computer-use:approval'
+// until computer-use:approval-decision.
+// options.display: the monitor to work on — id or name from computer-use:displays (default: primary).
+ipcMain.handle('computer-use:start', async (event, task, options = {}) => {
   try {
     if (computerUseAgent && computerUseAgent.running) {
       return { success: false, error: 'Agent already running' };
     }
     const { ComputerUseAgent } = require('./computer-use/index.cjs');
-    computerUseAgent = new ComputerUseAgent();
+    computerUseAgent = new ComputerUseAgent({ budget: options.budget, display: options.display });
     
     const steps = [];
     computerUseAgent.on('step', (step) => {
@@ -2541,6 +2569,17 @@ ipcMain.handle('computer-use:start', async (event, task) => {
         mainWindow.webContents.send('computer-use:step', step);
       }
     });
+    computerUseAgent.on('budget', (data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('computer-use:budget', data);
+      }
+    });
+    computerUseAgent.on('approval_needed', (data) => {
+      notifyComputerUseApproval(data);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('computer-use:approval', data);
+      }
+    });
     
     const result = await computerUseAgent.run(task);
     return { success: true, result, steps };
@@ -2562,6 +2601,33 @@ ipcMain.handle('computer-use:stop', async () => {
   }
 });
 
+ipcMain.handle('computer-use:budget-decision', (event, approve) => {
+  if (!computerUseAgent) return { success: false, error: 'Agent not running' };
+  const decided = approve ? computerUseAgent.approveBudget() : computerUseAgent.denyBudget();
+  return decided ? { success: true } : { success: false, error: 'No budget approval pending' };
+});
+
+ipcMain.handle('computer-use:approval-decision', (event, approve) => {
+  if (!computerUseAgent) return { success: false, error: 'Agent not running' };
+  const decided = approve ? computerUseAgent.approveAction() : computerUseAgent.denyAction();
+  return decided ? { success: true } : { success: false, error: 'No action awaiting approval' };
+});
+
+// Desktop notification for an action the Security Vault wants confirmed
+function notifyComputerUseApproval({ action, reason }) {
+  const title = 'Computer use wants your approval';
+  const body = `${reason}\nNext action: ${action}`;
+  if (Notification.isSupported()) {
+    const notification = new Notification({ title, body });
+    notification.on('click', () => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.show();
+    });
+    notification.show();
+  } else if (tray) {
+    tray.displayBalloon({ title, content: reason, iconType: 'warning' });
+  }
+}
+
 ipcMain.handle('computer-use:status', () => {
   return {
     running: computerUseAgent ? computerUseAgent.running : false,
@@ -2569,10 +2635,20 @@ ipcMain.handle('computer-use:status', () => {
   };
 });
 
-ipcMain.handle('computer-use:screenshot', async () => {
+ipcMain.handle('computer-use:displays', async () => {
   try {
     const screen = require('./computer-use/screen.cjs');
-    const b64 = await screen.screenshot();
+    const displays = await screen.listDisplays({ refresh: true });
+    return { success: true, displays };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('computer-use:screenshot', async (event, display) => {
+  try {
+    const screen = require('./computer-use/screen.cjs');
+    const b64 = await screen.screenshot({ display: await screen.getDisplay(display) });
     return { success: true, screenshot: b64 };
   } catch (e) {
     return { success: false, error: e.message };
@@ -2655,7 +2731,7 @@ ipcMain.handle('computer-use:vault-check', async (event, url) => {
 
 ipcMain.handle('web-agent:navigate', async (event, url, task) => {
   try {
-    const WebAgent = require('./browser-agent/web-agent');
+    const WebAgent = require('./browser-agent/web-agent.cjs');
     const agent = new WebAgent();
     const result = await agent.navigate(url, task);
     return { success: true, result };
@@ -2665,9 +2741,113 @@ ipcMain.handle('web-agent:navigate', async (event, url, task) => {
   }
 });
 
+// Run a task with the AI navigator. Steps, streamed thoughts and token usage
+// are pushed to the renderer while it runs. The renderer may only set options.schema,
+// options.budget and options.context; everything else is decided here.
+// With options.budget, a task that hits a limit pauses and sends 'web-agent:budget'
+// until web-agent:budget-decision. A CAPTCHA or login wall pauses the task, brings the
+// browser to the front and sends 'web-agent:handoff' until web-agent:handoff-continue/-cancel.
+// Sensitive clicks and typing send 'web-agent:approval' and wait for
+// web-agent:approval-decision (or an answer through the gateway's exec approvals).
+// options.schema (JSON Schema) makes result the validated data, with the raw extraction alongside.
+let activeWebAgent = null;
+
+// Desktop notification for a web action waiting for approval
+function notifyWebApproval({ summary, reason, state }) {
+  if (state !== 'waiting') return;
+  const title = 'Web task wants your approval';
+  if (Notification.isSupported()) {
+    const notification = new Notification({ title, body: `${reason}\n${summary}` });
+    notification.on('click', () => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.show();
+    });
+    notification.show();
+  } else if (tray) {
+    tray.displayBalloon({ title, content: reason, iconType: 'warning' });
+  }
+}
+
+// Desktop notification for a paused web task; clicking it opens the window with the Continue button
+function notifyWebHandoff({ kind, url, state }) {
+  if (state !== 'waiting') return;
+  const title = kind === 'captcha' ? 'Web task needs a CAPTCHA solved' : 'Web task needs you to sign in';
+  const body = `${url || 'The browser'} is waiting for you. Press Continue in Klaw when you're done.`;
+  if (Notification.isSupported()) {
+    const notification = new Notification({ title, body });
+    notification.on('click', () => {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.show();
+    });
+    notification.show();
+  } else if (tray) {
+    tray.displayBalloon({ title, content: body, iconType: 'warning' });
+  }
+}
+
+ipcMain.handle('web-agent:execute', async (event, task, options) => {
+  let agent = null;
+  try {
+    const { WebAgent } = require('./browser-agent/web-agent.cjs');
+    const { callGatewayForWebAgent } = require('./browser-agent/ai-bridge.cjs');
+    const { schema, budget, context } = options || {};
+    agent = new WebAgent({ budget, context, handoff: true, approvalMode: 'ask', askAI: callGatewayForWebAgent });
+    activeWebAgent = agent;
+    const forward = (channel) => (data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, data);
+      }
+    };
+    agent.on('step', forward('web-agent:step'));
+    agent.on('thought', forward('web-agent:thought'));
+    agent.on('usage', forward('web-agent:usage'));
+    agent.on('budget', forward('web-agent:budget'));
+    agent.on('handoff', forward('web-agent:handoff'));
+    agent.on('handoff', notifyWebHandoff);
+    agent.on('approval', forward('web-agent:approval'));
+    agent.on('approval', notifyWebApproval);
+    const result = await agent.execute(task, { schema });
+    return { success: result.success, result };
+  } catch (e) {
+    console.error('[Klaw] Web Agent execute error:', e.message);
+    return { success: false, error: e.message };
+  } finally {
+    if (activeWebAgent === agent) {
+      activeWebAgent = null;
+    }
+  }
+});
+
+ipcMain.handle('web-agent:budget-decision', (event, approve) => {
+  if (!activeWebAgent) return { success: false, error: 'No web task running' };
+  const decided = approve ? activeWebAgent.approveBudget() : activeWebAgent.denyBudget();
+  return decided ? { success: true } : { success: false, error: 'No budget approval pending' };
+});
+
+// Answer a CAPTCHA/login handoff — the interactive task's, else the queued task's
+function answerWebHandoff(resume) {
+  if (activeWebAgent && activeWebAgent.isAwaitingHandoff()) {
+    resume ? activeWebAgent.continueHandoff() : activeWebAgent.cancelHandoff();
+    return { success: true };
+  }
+  if (webTaskQueue && webTaskQueue.answerHandoff(resume)) return { success: true };
+  return { success: false, error: 'No web task is waiting for you' };
+}
+
+ipcMain.handle('web-agent:handoff-continue', () => answerWebHandoff(true));
+ipcMain.handle('web-agent:handoff-cancel', () => answerWebHandoff(false));
+
+// options: { always } — allow the same control for the rest of the task
+ipcMain.handle('web-agent:approval-decision', (event, approve, options) => {
+  if (activeWebAgent && activeWebAgent.isAwaitingApproval()) {
+    approve ? activeWebAgent.approveAction(options) : activeWebAgent.denyAction();
+    return { success: true };
+  }
+  if (webTaskQueue && webTaskQueue.answerApproval(approve, options)) return { success: true };
+  return { success: false, error: 'No web action is waiting for approval' };
+});
+
 ipcMain.handle('web-agent:login', async (event, site, credentials) => {
   try {
-    const LoginManager = require('./browser-agent/login-manager');
+    const LoginManager = require('./browser-agent/login-manager.cjs');
     const lm = new LoginManager();
     const result = await lm.login(site, credentials);
     return { success: true, result };
@@ -2676,6 +2856,204 @@ ipcMain.handle('web-agent:login', async (event, site, credentials) => {
   }
 });
 
+ipcMain.handle('web-agent:sessions', async () => {
+  try {
+    const loginManager = require('./browser-agent/login-manager.cjs');
+    const sessionStore = require('./browser-agent/session-store.cjs');
+    return { success: true, sessions: loginManager.listSessions(), keySource: sessionStore.keySource() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:sessions-export', async (event, filePath, passphrase, sites) => {
+  try {
+    const loginManager = require('./browser-agent/login-manager.cjs');
+    return { success: true, ...loginManager.exportSessions(filePath, passphrase, sites) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:sessions-import', async (event, filePath, passphrase, options) => {
+  try {
+    const loginManager = require('./browser-agent/login-manager.cjs');
+    return { success: true, ...loginManager.importSessions(filePath, passphrase, options) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:profiles', async () => {
+  try {
+    const siteProfiles = require('./browser-agent/site-profiles.cjs');
+    siteProfiles.loadProfiles({ reload: true });
+    return { success: true, ...siteProfiles.listProfiles() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:profile-test', async (event, profile, options) => {
+  try {
+    const loginManager = require('./browser-agent/login-manager.cjs');
+    const result = await loginManager.testProfile(profile, options);
+    return { success: true, result };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Session health: re-checks saved logins in the background and alerts
+// (tray + gateway channels) before a scheduled run hits an expired session.
+let sessionHealthMonitor = null;
+
+function getSessionHealthMonitor() {
+  if (sessionHealthMonitor) return sessionHealthMonitor;
+  const { SessionHealthMonitor } = require('./browser-agent/session-health.cjs');
+  sessionHealthMonitor = new SessionHealthMonitor();
+  const forward = (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('web-agent:session-health', data);
+    }
+  };
+  sessionHealthMonitor.on('session_checked', forward);
+  sessionHealthMonitor.on('notified', ({ message }) => {
+    if (tray) tray.displayBalloon({ title: 'Klaw', content: message, iconType: 'warning' });
+  });
+  sessionHealthMonitor.on('notify_failed', ({ name, error }) => {
+    console.error(`[Klaw] Session alert for ${name} failed:`, error);
+  });
+  return sessionHealthMonitor;
+}
+
+function startSessionHealthMonitor() {
+  try {
+    getSessionHealthMonitor().start();
+  } catch (e) {
+    console.error('[Klaw] Session health monitor failed to start:', e.message);
+  }
+}
+
+ipcMain.handle('web-agent:session-health', async () => {
+  try {
+    return { success: true, sessions: getSessionHealthMonitor().getHealth() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:session-health-check', async () => {
+  try {
+    return { success: true, sessions: await getSessionHealthMonitor().checkAll() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:session-health-config', async (event, config) => {
+  try {
+    getSessionHealthMonitor().configure(config);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Web task queue: tasks wait their turn (priority, retries, cron schedules) instead
+// of failing while the agent is busy; results go back to the chat that queued them.
+let webTaskQueue = null;
+
+function getWebTaskQueue() {
+  if (webTaskQueue) return webTaskQueue;
+  const { TaskQueue } = require('./browser-agent/task-queue.cjs');
+  webTaskQueue = new TaskQueue();
+  const forward = (type) => (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('web-agent:queue', { type, ...data });
+    }
+  };
+  for (const type of ['added', 'task_start', 'task_step', 'task_handoff', 'task_approval', 'task_done', 'task_retry', 'task_failed', 'schedule_retry', 'cancelled']) {
+    webTaskQueue.on(type, forward(type));
+  }
+  webTaskQueue.on('task_handoff', notifyWebHandoff);
+  webTaskQueue.on('task_approval', notifyWebApproval);
+  webTaskQueue.on('deliver_failed', ({ id, error }) => {
+    console.error(`[Klaw] Web task ${id} result not delivered:`, error);
+  });
+  return webTaskQueue;
+}
+
+function startWebTaskQueue() {
+  try {
+    getWebTaskQueue().start();
+  } catch (e) {
+    console.error('[Klaw] Web task queue failed to start:', e.message);
+  }
+}
+
+// options: { priority, schedule, maxRetries, origin: { channel, target, account }, schema, agent }
+ipcMain.handle('web-agent:queue-add', async (event, task, options) => {
+  try {
+    return { success: true, entry: await getWebTaskQueue().add(task, options) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:queue-list', async (event, filter) => {
+  try {
+    return { success: true, entries: getWebTaskQueue().list(filter) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:queue-cancel', async (event, id) => {
+  try {
+    const cancelled = getWebTaskQueue().cancel(id);
+    return cancelled ? { success: true } : { success: false, error: `No pending task ${id}` };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('web-agent:runs', async () => {
+  try {
+    const { WebAgent } = require('./browser-agent/web-agent.cjs');
+    return { success: true, runs: new WebAgent().listRuns() };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Replayed payment/send/delete clicks wait for web-agent:approval-decision like a live task
+ipcMain.handle('web-agent:replay', async (event, runId, options) => {
+  let agent = null;
+  try {
+    const { WebAgent } = require('./browser-agent/web-agent.cjs');
+    agent = new WebAgent({ approvalMode: 'ask' });
+    activeWebAgent = agent;
+    const forward = (channel) => (data) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, data);
+      }
+    };
+    agent.on('replay_step', forward('web-agent:replay-step'));
+    agent.on('approval', forward('web-agent:approval'));
+    agent.on('approval', notifyWebApproval);
+    const result = await agent.replay(runId, { delayMs: options?.delayMs, values: options?.values });
+    return { success: true, result };
+  } catch (e) {
+    console.error('[Klaw] Web Agent replay error:', e.message);
+    return { success: false, error: e.message };
+  } finally {
+    if (activeWebAgent === agent) {
+      activeWebAgent = null;
+    }
+  }
+});
+
 // ─── Earn Mode IPC ───────────────────────────────────
 // Freelance automation — lives in electron/earn-mode/
 // Gateway is NEVER touched.
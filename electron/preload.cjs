@@ -9,10 +9,11 @@ contextBridge.exposeInMainWorld('klawApp', {
   
   // Computer Use Agent
   computerUse: {
-    start: (task) => ipcRenderer.invoke('computer-use:start', task),
+    start: (task, opts) => ipcRenderer.invoke('computer-use:start', task, opts),
     stop: () => ipcRenderer.invoke('computer-use:stop'),
     status: () => ipcRenderer.invoke('computer-use:status'),
-    screenshot: () => ipcRenderer.invoke('computer-use:screenshot'),
+    displays: () => ipcRenderer.invoke('computer-use:displays'),
+    screenshot: (display) => ipcRenderer.invoke('computer-use:screenshot', display),
     click: (x, y, opts) => ipcRenderer.invoke('computer-use:click', x, y, opts),
     type: (text) => ipcRenderer.invoke('computer-use:type', text),
     key: (combo) => ipcRenderer.invoke('computer-use:key', combo),
@@ -23,12 +24,65 @@ contextBridge.exposeInMainWorld('klawApp', {
     onStep: (callback) => {
       ipcRenderer.on('computer-use:step', (event, data) => callback(data));
     },
+    budgetDecision: (approve) => ipcRenderer.invoke('computer-use:budget-decision', approve),
+    onBudget: (callback) => {
+      ipcRenderer.on('computer-use:budget', (event, data) => callback(data));
+    },
+    approvalDecision: (approve) => ipcRenderer.invoke('computer-use:approval-decision', approve),
+    onApproval: (callback) => {
+      ipcRenderer.on('computer-use:approval', (event, data) => callback(data));
+    },
   },
 
   // Web Agent
   webAgent: {
     navigate: (url, task) => ipcRenderer.invoke('web-agent:navigate', url, task),
+    execute: (task, opts) => ipcRenderer.invoke('web-agent:execute', task, opts),
+    onStep: (callback) => {
+      ipcRenderer.on('web-agent:step', (event, data) => callback(data));
+    },
+    onThought: (callback) => {
+      ipcRenderer.on('web-agent:thought', (event, data) => callback(data));
+    },
+    onUsage: (callback) => {
+      ipcRenderer.on('web-agent:usage', (event, data) => callback(data));
+    },
+    budgetDecision: (approve) => ipcRenderer.invoke('web-agent:budget-decision', approve),
+    onBudget: (callback) => {
+      ipcRenderer.on('web-agent:budget', (event, data) => callback(data));
+    },
+    handoffContinue: () => ipcRenderer.invoke('web-agent:handoff-continue'),
+    handoffCancel: () => ipcRenderer.invoke('web-agent:handoff-cancel'),
+    onHandoff: (callback) => {
+      ipcRenderer.on('web-agent:handoff', (event, data) => callback(data));
+    },
+    approvalDecision: (approve, opts) => ipcRenderer.invoke('web-agent:approval-decision', approve, opts),
+    onApproval: (callback) => {
+      ipcRenderer.on('web-agent:approval', (event, data) => callback(data));
+    },
     login: (site, creds) => ipcRenderer.invoke('web-agent:login', site, creds),
+    sessions: () => ipcRenderer.invoke('web-agent:sessions'),
+    exportSessions: (filePath, passphrase, sites) => ipcRenderer.invoke('web-agent:sessions-export', filePath, passphrase, sites),
+    importSessions: (filePath, passphrase, opts) => ipcRenderer.invoke('web-agent:sessions-import', filePath, passphrase, opts),
+    profiles: () => ipcRenderer.invoke('web-agent:profiles'),
+    testProfile: (profile, opts) => ipcRenderer.invoke('web-agent:profile-test', profile, opts),
+    sessionHealth: () => ipcRenderer.invoke('web-agent:session-health'),
+    checkSessionHealth: () => ipcRenderer.invoke('web-agent:session-health-check'),
+    configureSessionHealth: (config) => ipcRenderer.invoke('web-agent:session-health-config', config),
+    onSessionHealth: (callback) => {
+      ipcRenderer.on('web-agent:session-health', (event, data) => callback(data));
+    },
+    queueAdd: (task, opts) => ipcRenderer.invoke('web-agent:queue-add', task, opts),
+    queueList: (filter) => ipcRenderer.invoke('web-agent:queue-list', filter),
+    queueCancel: (id) => ipcRenderer.invoke('web-agent:queue-cancel', id),
+    onQueue: (callback) => {
+      ipcRenderer.on('web-agent:queue', (event, data) => callback(data));
+    },
+    runs: () => ipcRenderer.invoke('web-agent:runs'),
+    replay: (runId, opts) => ipcRenderer.invoke('web-agent:replay', runId, opts),
+    onReplayStep: (callback) => {
+      ipcRenderer.on('web-agent:replay-step', (event, data) => callback(data));
+    },
   },
 
   // Earn Mode
@@ -0,0 +1,774 @@
+/**
+ * ai-provider.js — One AI client for every desktop agent
+ *
+ * The web agent (browser-agent/ai-bridge.js) and the computer-use agent
+ * (computer-use/vision.js) both call models through this module, so they
+ * always resolve the same provider, key and model.
+ *
+ * Providers: the gateway, anthropic, openai (and OpenAI-compatible base URLs),
+ * google and ollama.
+ *
+ * The gateway comes first: its `agent.complete` RPC uses the agent's model,
+ * fallbacks and auth profiles (OAuth included), and records usage in session
+ * logs. When it isn't running, a direct key is used (first match wins):
+ *   1. Environment variables (ANTHROPIC_API_KEY, OPENAI_API_KEY, GOOGLE_API_KEY)
+ *   2. Config files in CONFIG_FILES order — "env" section, then "providers"
+ * and without one, the gateway's agent runs locally (no tools).
+ *
+ * Every call streams where the API supports it, times out, and retries
+ * rate limits / overloads / network errors with exponential backoff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const https = require('https');
+const http = require('http');
+
+// ─── Config ──────────────────────────────────────────
+const HOME = os.homedir();
+
+// Desktop app first, then the older per-agent locations
+const CONFIG_FILES = [
+  process.env.OPENCLAW_CONFIG_PATH,
+  path.join(HOME, '.klaw', 'klaw.json'),
+  path.join(HOME, '.root-ai', 'root.json'),
+  path.join(HOME, '.korvus', 'root.json'),
+  path.join(HOME, '.openclaw', 'openclaw.json'),
+  path.join(HOME, '.openclaw', 'config.json'),
+].filter(Boolean);
+
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o',
+  google: 'gemini-2.0-flash',
+  ollama: 'llava',
+};
+
+const BASE_URLS = {
+  anthropic: 'https://api.anthropic.com',
+  openai: 'https://api.openai.com',
+  google: 'https://generativelanguage.googleapis.com',
+  ollama: 'http://localhost:11434',
+};
+
+// USD per million input/output tokens, for budgets when the provider doesn't
+// report cost. Matched by the longest model-id prefix; unknown models stay unpriced.
+const PRICES = {
+  'claude-opus': [15, 75],
+  'claude-sonnet': [3, 15],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-haiku': [0.8, 4],
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gemini-2.0-flash': [0.1, 0.4],
+  'gemini-2.5-flash': [0.3, 2.5],
+  'gemini-2.5-pro': [1.25, 10],
+};
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const RETRYABLE_STATUS = [408, 409, 429, 500, 502, 503, 504, 529];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+const GATEWAY_RECHECK_MS = 60000; // after finding the gateway down, use the direct key this long
+
+// ─── Key Lookup ──────────────────────────────────────
+
+/**
+ * Resolve which provider to use: the gateway, with the direct key as its fallback.
+ * @returns {{ provider: 'gateway', apiKey: string, model: string, baseUrl: string, source: string, fallback: object|null }}
+ *   fallback: getDirectConfig() — used while the gateway is unreachable
+ */
+function getAIConfig() {
+  // Keys in the gateway's auth profiles are not read here: calls through the
+  // gateway get its profile rotation, cooldowns and model fallback
+  return {
+    provider: 'gateway',
+    apiKey: getGatewayToken(),
+    model: '',
+    baseUrl: '',
+    source: 'gateway',
+    fallback: getDirectConfig(),
+  };
+}
+
+/**
+ * Resolve a key for calling a provider's API directly.
+ * @returns {{ provider: string, apiKey: string, model: string, baseUrl: string, source: string }|null}
+ *   provider: 'anthropic' | 'openai' | 'google' | 'ollama'; source says where the key came from
+ */
+function getDirectConfig() {
+  const fromEnv = configFromEnv(process.env);
+  if (fromEnv) return { ...fromEnv, source: 'env' };
+
+  for (const file of CONFIG_FILES) {
+    const config = readJson(file);
+    if (!config) continue;
+    const found = configFromEnv(config.env || {}) || configFromProviders(config.providers || {});
+    if (found) return { ...found, source: file };
+  }
+  return null;
+}
+
+function configFromEnv(env) {
+  // OAuth tokens (sk-ant-oat…) don't work against the API directly — the gateway handles those
+  if (env.ANTHROPIC_API_KEY && !env.ANTHROPIC_API_KEY.startsWith('sk-ant-oat')) {
+    return providerConfig('anthropic', env.ANTHROPIC_API_KEY, env.ANTHROPIC_MODEL);
+  }
+  if (env.OPENAI_API_KEY) {
+    return providerConfig('openai', env.OPENAI_API_KEY, env.OPENAI_MODEL, env.OPENAI_BASE_URL);
+  }
+  if (env.GOOGLE_API_KEY) {
+    return providerConfig('google', env.GOOGLE_API_KEY, env.GOOGLE_MODEL);
+  }
+  return null;
+}
+
+function configFromProviders(providers) {
+  for (const name of ['anthropic', 'openai', 'google']) {
+    const p = providers[name];
+    if (p?.apiKey && !(name === 'anthropic' && p.apiKey.startsWith('sk-ant-oat'))) {
+      return providerConfig(name, p.apiKey, p.model, p.baseUrl);
+    }
+  }
+  if (providers.ollama) {
+    return providerConfig('ollama', '', providers.ollama.model, providers.ollama.baseUrl);
+  }
+  return null;
+}
+
+function providerConfig(provider, apiKey, model, baseUrl) {
+  return {
+    provider,
+    apiKey,
+    model: model || DEFAULT_MODELS[provider],
+    baseUrl: (baseUrl || BASE_URLS[provider]).replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * Read the gateway auth token from the config files.
+ * @returns {string}
+ */
+function getGatewayToken() {
+  for (const file of CONFIG_FILES) {
+    const config = readJson(file);
+    const token = config?.gateway?.auth?.token || config?.auth?.token || config?.gateway?.token || '';
+    if (token) return token;
+  }
+  return '';
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null; // missing or unreadable — try the next one
+  }
+}
+
+// ─── Completion ──────────────────────────────────────
+
+/**
+ * Run one model call.
+ *
+ * @param {object} request
+ * @param {string} request.system - System prompt
+ * @param {string} request.prompt - User message
+ * @param {Array<{ data: string, mediaType?: string }>} [request.images] - Base64 images (default type image/png)
+ * @param {Array<{ name, description, parameters }>} [request.tools] - JSON-schema tools for native tool calling
+ * @param {function} [request.onText] - (delta) => void, receives text as it streams
+ * @param {number} [request.maxTokens=1000]
+ * @param {object} [options]
+ * @param {object} [options.config] - Provider config (default: getAIConfig())
+ * @param {number} [options.timeoutMs=60000] - Per attempt; for streams, the longest silence allowed
+ * @param {number} [options.retries=2] - Extra attempts for rate limits, overloads and network errors
+ * @param {string} [options.sessionId='desktop-agent'] - Gateway session: the agent.complete source, or the local agent's session id
+ * @returns {Promise<{ text: string, toolCall: { name, input, error? }|null, usage: { inputTokens, outputTokens, costUsd? }|null, provider: string, model: string|null }>}
+ */
+async function complete(request, options = {}) {
+  const config = options.config || getAIConfig();
+  const call = PROVIDERS[config.provider];
+  if (!call) throw new Error(`Unsupported AI provider: ${config.provider}`);
+
+  const req = {
+    system: request.system || '',
+    prompt: request.prompt || '',
+    images: request.images || [],
+    tools: request.tools || [],
+    maxTokens: request.maxTokens || 1000,
+    onText: request.onText || (() => {}),
+  };
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    // A retry after text was streamed would show the thought twice — only retry clean failures
+    let streamed = false;
+    const onText = (text) => {
+      streamed = true;
+      req.onText(text);
+    };
+    try {
+      const reply = await call(config, { ...req, onText }, { timeoutMs, sessionId: options.sessionId || 'desktop-agent' });
+      const provider = reply.provider || config.provider; // the gateway may hand over to a direct key
+      const model = reply.model || config.model || null;
+      if (reply.usage && typeof reply.usage.costUsd !== 'number') {
+        const costUsd = estimateCostUsd(provider, model, reply.usage);
+        if (costUsd !== null) reply.usage.costUsd = costUsd;
+      }
+      return { ...reply, provider, model };
+    } catch (e) {
+      if (attempt >= retries || streamed || !isRetryable(e)) throw e;
+      await sleep(retryDelay(e, attempt));
+    }
+  }
+}
+
+function isRetryable(error) {
+  if (error.status) return RETRYABLE_STATUS.includes(error.status);
+  return error.timeout === true || RETRYABLE_CODES.includes(error.code);
+}
+
+function retryDelay(error, attempt) {
+  if (error.retryAfterMs) return Math.min(error.retryAfterMs, RETRY_MAX_DELAY);
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return Math.round(backoff * (0.5 + Math.random() / 2)); // jitter so parallel agents don't retry in lockstep
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Price one call from its token counts.
+ * @returns {number|null} USD, or null when the model has no known price
+ */
+function estimateCostUsd(provider, model, usage) {
+  if (provider === 'ollama') return 0; // local
+  const id = String(model || '').replace(/^[^/]+\//, '');
+  const prefix = Object.keys(PRICES)
+    .filter((key) => id.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+  const [input, output] = PRICES[prefix];
+  return ((usage.inputTokens || 0) * input + (usage.outputTokens || 0) * output) / 1e6;
+}
+
+// ─── Provider: Anthropic ─────────────────────────────
+async function callAnthropic(config, req, { timeoutMs }) {
+  const content = [
+    ...req.images.map((img) => ({ type: 'image', source: { type: 'base64', media_type: img.mediaType || 'image/png', data: img.data } })),
+    { type: 'text', text: req.prompt },
+  ];
+  const body = {
+    model: config.model,
+    max_tokens: req.maxTokens,
+    stream: true,
+    system: req.system,
+    messages: [{ role: 'user', content }],
+    ...(req.tools.length > 0 && {
+      tools: req.tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters })),
+    }),
+  };
+
+  let text = '';
+  let toolCall = null;
+  let toolJson = '';
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  await streamRequest(`${config.baseUrl}/v1/messages`, {
+    'x-api-key': config.apiKey,
+    'anthropic-version': '2023-06-01',
+  }, body, (event) => {
+    switch (event.type) {
+      case 'message_start':
+        usage.inputTokens = event.message?.usage?.input_tokens || 0;
+        usage.outputTokens = event.message?.usage?.output_tokens || 0;
+        break;
+      case 'content_block_start':
+        // Only the first tool call counts — agents take one action per step
+        if (event.content_block?.type === 'tool_use' && !toolCall) toolCall = { name: event.content_block.name, index: event.index };
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          req.onText(event.delta.text);
+        } else if (event.delta?.type === 'input_json_delta' && toolCall?.index === event.index) {
+          toolJson += event.delta.partial_json;
+        }
+        break;
+      case 'message_delta':
+        if (event.usage?.output_tokens) usage.outputTokens = event.usage.output_tokens;
+        break;
+      case 'error':
+        throw apiError(`Anthropic error: ${event.error?.message || 'stream failed'}`, event.error?.type === 'overloaded_error' ? 529 : 0);
+    }
+  }, { timeoutMs });
+
+  return { text, toolCall: toolCall && parseToolCall(toolCall.name, toolJson), usage };
+}
+
+// ─── Provider: OpenAI ────────────────────────────────
+async function callOpenAI(config, req, { timeoutMs }) {
+  const content = req.images.length === 0 ? req.prompt : [
+    ...req.images.map((img) => ({ type: 'image_url', image_url: { url: `data:${img.mediaType || 'image/png'};base64,${img.data}`, detail: 'high' } })),
+    { type: 'text', text: req.prompt },
+  ];
+  const body = {
+    model: config.model,
+    max_tokens: req.maxTokens,
+    stream: true,
+    stream_options: { include_usage: true },
+    messages: [
+      { role: 'system', content: req.system },
+      { role: 'user', content },
+    ],
+    ...(req.tools.length > 0 && {
+      tools: req.tools.map((t) => ({ type: 'function', function: t })),
+      parallel_tool_calls: false,
+    }),
+  };
+
+  let text = '';
+  let toolName = null;
+  let toolArgs = '';
+  let usage = null;
+
+  await streamRequest(`${config.baseUrl}/v1/chat/completions`, {
+    'Authorization': `Bearer ${config.apiKey}`,
+  }, body, (chunk) => {
+    if (chunk.error) throw apiError(`OpenAI error: ${chunk.error.message}`);
+    if (chunk.usage) usage = { inputTokens: chunk.usage.prompt_tokens || 0, outputTokens: chunk.usage.completion_tokens || 0 };
+    const delta = chunk.choices?.[0]?.delta;
+    if (delta?.content) {
+      text += delta.content;
+      req.onText(delta.content);
+    }
+    for (const call of delta?.tool_calls || []) {
+      if (call.index !== undefined && call.index !== 0) continue;
+      if (call.function?.name) toolName = call.function.name;
+      if (call.function?.arguments) toolArgs += call.function.arguments;
+    }
+  }, { timeoutMs });
+
+  return { text, toolCall: toolName && parseToolCall(toolName, toolArgs), usage };
+}
+
+// ─── Provider: Google (Gemini) ───────────────────────
+async function callGoogle(config, req, { timeoutMs }) {
+  const body = {
+    systemInstruction: { parts: [{ text: req.system }] },
+    contents: [{
+      role: 'user',
+      parts: [
+        ...req.images.map((img) => ({ inlineData: { mimeType: img.mediaType || 'image/png', data: img.data } })),
+        { text: req.prompt },
+      ],
+    }],
+    generationConfig: { maxOutputTokens: req.maxTokens },
+    ...(req.tools.length > 0 && {
+      tools: [{
+        functionDeclarations: req.tools.map((t) => ({
+          name: t.name,
+          description: t.description,
+          // Gemini rejects an empty object schema — parameterless tools omit it
+          ...(Object.keys(t.parameters.properties || {}).length > 0 && { parameters: toGoogleSchema(t.parameters) }),
+        })),
+      }],
+    }),
+  };
+
+  let text = '';
+  let toolCall = null;
+  let usage = null;
+
+  const url = `${config.baseUrl}/v1beta/models/${config.model}:streamGenerateContent?alt=sse&key=${encodeURIComponent(config.apiKey)}`;
+  await streamRequest(url, {}, body, (chunk) => {
+    if (chunk.error) throw apiError(`Google error: ${chunk.error.message}`, chunk.error.code);
+    // usageMetadata is cumulative — the last chunk has the totals
+    if (chunk.usageMetadata) {
+      usage = { inputTokens: chunk.usageMetadata.promptTokenCount || 0, outputTokens: chunk.usageMetadata.candidatesTokenCount || 0 };
+    }
+    for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+      if (part.text) {
+        text += part.text;
+        req.onText(part.text);
+      }
+      if (part.functionCall && !toolCall) {
+        const tool = req.tools.find((t) => t.name === part.functionCall.name);
+        toolCall = { name: part.functionCall.name, input: fromGoogleArgs(tool?.parameters, part.functionCall.args || {}) };
+      }
+    }
+  }, { timeoutMs });
+
+  return { text, toolCall, usage };
+}
+
+/**
+ * Gemini accepts an OpenAPI subset: every schema needs a type and
+ * additionalProperties / minimum / maximum are not allowed. A schema with no
+ * type (any JSON value) has no equivalent, so Gemini is asked for a string —
+ * JSON text for objects and arrays, parsed back by fromGoogleArgs.
+ */
+function toGoogleSchema(schema) {
+  if (!schema.type) {
+    return { type: 'string', description: [schema.description, 'objects and arrays as JSON text'].filter(Boolean).join('; ') };
+  }
+  const out = { type: schema.type };
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum;
+  if (schema.items) out.items = toGoogleSchema(schema.items);
+  if (schema.properties) {
+    out.properties = {};
+    for (const [key, value] of Object.entries(schema.properties)) out.properties[key] = toGoogleSchema(value);
+  }
+  if (schema.required) out.required = schema.required;
+  return out;
+}
+
+/**
+ * Turn the JSON text Gemini sent for untyped params back into objects and arrays.
+ */
+function fromGoogleArgs(schema, args) {
+  const input = { ...args };
+  for (const [key, value] of Object.entries(schema?.properties || {})) {
+    if (value.type || typeof input[key] !== 'string' || !/^\s*[[{]/.test(input[key])) {
+      continue;
+    }
+    try {
+      input[key] = JSON.parse(input[key]);
+    } catch {
+      // not JSON after all — keep the text
+    }
+  }
+  return input;
+}
+
+// ─── Provider: Ollama (Local) ────────────────────────
+async function callOllama(config, req, { timeoutMs }) {
+  const body = {
+    model: config.model,
+    stream: true,
+    messages: [
+      { role: 'system', content: req.system },
+      { role: 'user', content: req.prompt, ...(req.images.length > 0 && { images: req.images.map((img) => img.data) }) },
+    ],
+    options: { num_predict: req.maxTokens },
+    ...(req.tools.length > 0 && { tools: req.tools.map((t) => ({ type: 'function', function: t })) }),
+  };
+
+  let text = '';
+  let toolCall = null;
+  let usage = null;
+
+  await streamRequest(`${config.baseUrl}/api/chat`, {}, body, (chunk) => {
+    if (chunk.error) throw apiError(`Ollama error: ${chunk.error}`);
+    if (chunk.message?.content) {
+      text += chunk.message.content;
+      req.onText(chunk.message.content);
+    }
+    const call = chunk.message?.tool_calls?.[0]?.function;
+    if (call && !toolCall) toolCall = { name: call.name, input: call.arguments || {} };
+    if (chunk.done) usage = { inputTokens: chunk.prompt_eval_count || 0, outputTokens: chunk.eval_count || 0 };
+  }, { timeoutMs, format: 'ndjson' });
+
+  return { text, toolCall, usage };
+}
+
+// ─── Provider: Gateway ───────────────────────────────
+// The `agent.complete` RPC runs the call with the gateway's configured model,
+// fallbacks and auth-profile rotation, and records usage in the
+// agent:<id>:desktop:<source> session. No streaming: onText gets the full text once.
+async function callGateway(config, req, options) {
+  const { fallback } = config;
+  if (fallback && Date.now() < gatewayDownUntil) return callDirect(fallback, req, options);
+  try {
+    const reply = await callGatewayRPC(req, { timeoutMs: options.timeoutMs, source: options.sessionId });
+    gatewayDownUntil = 0;
+    return reply;
+  } catch (e) {
+    // Gateway not running (or too old for agent.complete): use the direct key, else run the agent locally
+    if (!GATEWAY_UNAVAILABLE.test(e.message) && e.code !== 'ENOGATEWAYCLI') throw e;
+    if (!fallback) return callGatewayLocal(req, options);
+    gatewayDownUntil = Date.now() + GATEWAY_RECHECK_MS;
+    return callDirect(fallback, req, options);
+  }
+}
+
+async function callDirect(config, req, options) {
+  const reply = await PROVIDERS[config.provider](config, req, options);
+  return { ...reply, provider: config.provider, model: reply.model || config.model };
+}
+
+let gatewayDownUntil = 0;
+// Down, too old for agent.complete, or a source checkout whose CLI isn't built
+const GATEWAY_UNAVAILABLE = /gateway closed|unknown method|ECONNREFUSED|missing dist\/entry/i;
+const GATEWAY_STARTUP_SLACK = 15000; // CLI start + connect on top of the model call
+
+async function callGatewayRPC(req, { timeoutMs, source }) {
+  const params = {
+    source,
+    system: req.system,
+    prompt: req.prompt,
+    images: req.images.map((img) => ({ data: img.data, mimeType: img.mediaType || 'image/png' })),
+    tools: req.tools,
+    maxTokens: req.maxTokens,
+    timeoutMs,
+  };
+  // Screenshots are too big for a command line, so params go through a private temp file
+  const dir = makePrivateDir();
+  const file = path.join(dir, 'params.json');
+
+  let stdout;
+  try {
+    fs.writeFileSync(file, JSON.stringify(params), { mode: 0o600, flag: 'wx' });
+    stdout = await runGatewayCLI([
+      'gateway', 'call', 'agent.complete',
+      '--params-file', file,
+      '--json',
+      '--timeout', String(timeoutMs + GATEWAY_STARTUP_SLACK),
+    ], { timeout: timeoutMs + 2 * GATEWAY_STARTUP_SLACK });
+  } catch (e) {
+    if (/gateway timeout/i.test(e.message)) e.timeout = true;
+    throw e;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  let result = null;
+  try {
+    result = JSON.parse(stdout.slice(stdout.indexOf('{')));
+  } catch (e) { /* reported below */ }
+  if (!result) throw new Error(`Gateway returned no result: ${stdout.trim().slice(0, 200)}`);
+  if (result.text) req.onText(result.text);
+  return {
+    text: result.text || '',
+    toolCall: result.toolCall ? { name: result.toolCall.name, input: result.toolCall.input || {} } : null,
+    usage: result.usage ? {
+      inputTokens: (result.usage.input || 0) + (result.usage.cacheRead || 0) + (result.usage.cacheWrite || 0),
+      outputTokens: result.usage.output || 0,
+      costUsd: result.usage.cost?.total ?? null,
+    } : null,
+    model: result.provider && result.model ? `${result.provider}/${result.model}` : null,
+  };
+}
+
+// No tools: the reply text is returned for the caller to parse.
+async function callGatewayLocal(req, { timeoutMs, sessionId }) {
+  // The agent reads images with its `image` tool, so they go through temp files.
+  // The message goes through one too: page text on the command line would show in `ps`.
+  const dir = makePrivateDir();
+  try {
+    const files = req.images.map((img, i) => {
+      const ext = (img.mediaType || 'image/png').split('/')[1] || 'png';
+      const file = path.join(dir, `screen-${i}.${ext}`);
+      fs.writeFileSync(file, Buffer.from(img.data, 'base64'), { mode: 0o600, flag: 'wx' });
+      return file;
+    });
+
+    const parts = [req.system];
+    if (files.length > 0) parts.push(`Use the \`image\` tool to look at:\n${files.join('\n')}`);
+    parts.push(req.prompt);
+    const messageFile = path.join(dir, 'message.txt');
+    fs.writeFileSync(messageFile, parts.join('\n\n'), { mode: 0o600, flag: 'wx' });
+
+    const stdout = await runGatewayCLI([
+      'agent', '--local',
+      '--session-id', sessionId,
+      '--json',
+      '--message-file', messageFile,
+    ], { timeout: timeoutMs });
+    return { text: gatewayReplyText(stdout), toolCall: null, usage: null };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Temp folder only this user can read (mkdtemp creates it 0700 under an unguessable name)
+function makePrivateDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'desktop-agent-'));
+}
+
+function gatewayReplyText(stdout) {
+  try {
+    const jsonMatch = stdout.match(/\{[\s\S]*"payloads"[\s\S]*\}/);
+    if (jsonMatch) return JSON.parse(jsonMatch[0]).payloads?.[0]?.text || '';
+  } catch (e) { /* not the JSON envelope */ }
+  return stdout.trim();
+}
+
+/**
+ * Run a gateway CLI command and return its stdout.
+ * Uses KLAW_GATEWAY_CLI when set, else the first CLI entry found next to the app or installed.
+ * @param {string[]} cliArgs - Arguments after the CLI entry, e.g. ['message', 'send', ...]
+ * @param {object} [options] - { timeout: 60000 }
+ * @returns {Promise<string>}
+ */
+function runGatewayCLI(cliArgs, options = {}) {
+  const { execFile } = require('child_process');
+
+  const candidates = [
+    process.env.KLAW_GATEWAY_CLI,
+    path.join(__dirname, '..', '..', 'openclaw.mjs'),
+    path.join(__dirname, '..', '..', 'root.mjs'),
+    path.join(__dirname, '..', 'gateway', 'openclaw.mjs'),
+    path.join(HOME, '.root-ai', 'root.mjs'),
+    path.join(HOME, 'AppData', 'Roaming', 'npm', 'node_modules', 'openclaw', 'openclaw.mjs'),
+    path.join(HOME, 'AppData', 'Roaming', 'npm', 'node_modules', 'openclaw', 'src', 'entry.js'),
+  ];
+  const cliPath = candidates.find((p) => p && fs.existsSync(p));
+  if (!cliPath) {
+    const error = new Error('No AI provider configured. Set ANTHROPIC_API_KEY, OPENAI_API_KEY or GOOGLE_API_KEY, or install the gateway CLI.');
+    error.code = 'ENOGATEWAYCLI';
+    return Promise.reject(error);
+  }
+
+  const nodePaths = ['C:\\Program Files\\nodejs\\node.exe', '/usr/local/bin/node', '/usr/bin/node'];
+  const nodeBin = nodePaths.find((p) => fs.existsSync(p)) || 'node';
+
+  return new Promise((resolve, reject) => {
+    const env = {
+      ...process.env,
+      OPENCLAW_NO_RESPAWN: '1',
+      OPENCLAW_NODE_OPTIONS_READY: '1',
+      Root_NO_RESPAWN: '1',
+      Root_NODE_OPTIONS_READY: '1',
+    };
+    execFile(nodeBin, ['--disable-warning=ExperimentalWarning', cliPath, ...cliArgs], {
+      cwd: path.dirname(cliPath),
+      env,
+      timeout: options.timeout || DEFAULT_TIMEOUT,
+      maxBuffer: 10 * 1024 * 1024,
+      encoding: 'utf8',
+    }, (err, stdout, stderr) => {
+      if (err && !stdout) {
+        reject(new Error(`Gateway CLI error: ${stderr?.trim() || err.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+const PROVIDERS = {
+  anthropic: callAnthropic,
+  openai: callOpenAI,
+  google: callGoogle,
+  ollama: callOllama,
+  gateway: callGateway,
+};
+
+/**
+ * Build a toolCall from streamed argument JSON.
+ * Broken arguments are reported on the call so the agent can feed them back.
+ */
+function parseToolCall(name, json) {
+  if (!json.trim()) return { name, input: {} };
+  try {
+    return { name, input: JSON.parse(json) };
+  } catch (e) {
+    return { name, input: null, error: `Invalid tool arguments: ${e.message}` };
+  }
+}
+
+// ─── HTTP Helper ─────────────────────────────────────
+
+/**
+ * POST JSON and hand every streamed event to onEvent.
+ * format 'sse' reads `data:` lines (Anthropic/OpenAI/Google), 'ndjson' one JSON object per line (Ollama).
+ * Errors carry { status, retryAfterMs } for HTTP failures and { timeout: true } for timeouts.
+ */
+function streamRequest(url, headers, body, onEvent, { timeoutMs = DEFAULT_TIMEOUT, format = 'sse' } = {}) {
+  const target = new URL(url);
+  const lib = target.protocol === 'http:' ? http : https;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const fail = (e) => {
+      req.destroy();
+      reject(e);
+    };
+    const req = lib.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
+    }, (res) => {
+      res.setEncoding('utf8');
+      if (res.statusCode >= 400) {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          const error = apiError(apiErrorMessage(res.statusCode, data), res.statusCode);
+          const retryAfter = Number(res.headers['retry-after']);
+          if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+          reject(error);
+        });
+        return;
+      }
+
+      let buffer = '';
+      const handleLine = (line) => {
+        const data = format === 'sse' ? (line.startsWith('data:') ? line.slice(5).trim() : '') : line.trim();
+        if (!data || data === '[DONE]') return;
+        onEvent(JSON.parse(data));
+      };
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        try {
+          lines.forEach(handleLine);
+        } catch (e) {
+          fail(e);
+        }
+      });
+      res.on('end', () => {
+        try {
+          handleLine(buffer);
+          resolve();
+        } catch (e) {
+          reject(e);
+        }
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      const error = new Error(`AI request timed out (${Math.round(timeoutMs / 1000)}s)`);
+      error.timeout = true;
+      fail(error);
+    });
+    req.write(payload);
+    req.end();
+  });
+}
+
+function apiError(message, status = 0) {
+  const error = new Error(message);
+  if (status) error.status = status;
+  return error;
+}
+
+function apiErrorMessage(status, data) {
+  try {
+    const json = JSON.parse(data);
+    const error = Array.isArray(json) ? json[0]?.error : json.error;
+    const message = typeof error === 'string' ? error : error?.message;
+    if (message) return `AI API error ${status}: ${message}`;
+  } catch (e) { /* not JSON */ }
+  return `AI API error ${status}: ${data.substring(0, 200)}`;
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = {
+  complete,
+  estimateCostUsd,
+  getAIConfig,
+  getDirectConfig,
+  getGatewayToken,
+  runGatewayCLI,
+  CONFIG_FILES,
+  DEFAULT_MODELS,
+};
@@ -0,0 +1,226 @@
+/**
+ * budget.js — Per-task token, dollar and wall-clock limits for the desktop agents
+ *
+ * Step caps alone don't bound cost: one screenshot-heavy run can use far more
+ * tokens than twenty text-only steps. WebAgent and ComputerUseAgent feed every
+ * AI call's usage into a TaskBudget and check it between steps:
+ *   - 'warning' once a limit passes warnAt (default 80%)
+ *   - 'exceeded' when a limit is hit — the agent pauses until the run is
+ *     approved to continue (the hit limit grows by its original size) or stopped
+ *
+ * Costs come from the provider's usage when it reports them (the gateway does);
+ * otherwise ai-provider.js estimates them from its price table.
+ */
+
+// ─── Config ──────────────────────────────────────────
+const DEFAULT_WARN_AT = 0.8;
+
+// limit name → how to read the matching total
+const LIMITS = {
+  maxTokens: { label: 'tokens', used: (b) => b.totals.inputTokens + b.totals.outputTokens },
+  maxCostUsd: { label: 'cost', used: (b) => b.totals.costUsd },
+  maxDurationMs: { label: 'time', used: (b) => b.elapsedMs() },
+};
+
+class TaskBudget {
+  /**
+   * @param {object} [limits] - Unset or 0 means no limit
+   * @param {number} [limits.maxTokens] - Input + output tokens across every AI call
+   * @param {number} [limits.maxCostUsd] - Dollars across every AI call
+   * @param {number} [limits.maxDurationMs] - Wall-clock time, not counting time paused for approval
+   * @param {number} [limits.warnAt=0.8] - Fraction of a limit that triggers a warning
+   */
+  constructor(limits = {}) {
+    this.limits = {};
+    for (const name of Object.keys(LIMITS)) {
+      if (limits[name] > 0) this.limits[name] = limits[name];
+    }
+    this.warnAt = limits.warnAt || DEFAULT_WARN_AT;
+    this.reset();
+  }
+
+  /**
+   * Start a new task: zero the totals and the clock.
+   */
+  reset() {
+    this.startedAt = Date.now();
+    this.pausedMs = 0;
+    this.pausedAt = null;
+    this.totals = { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0, unpricedCalls: 0 };
+    this.warned = new Set();
+    this.extended = {}; // limit name → extra allowance granted on approval
+    this.pending = null; // resolve() of the approval being waited for
+  }
+
+  hasLimits() {
+    return Object.keys(this.limits).length > 0;
+  }
+
+  /**
+   * Add one AI call's usage.
+   * @param {{ inputTokens, outputTokens, costUsd? }|null} usage - null when the provider didn't report it
+   */
+  record(usage) {
+    this.totals.calls++;
+    if (!usage) {
+      this.totals.unpricedCalls++;
+      return;
+    }
+    this.totals.inputTokens += usage.inputTokens || 0;
+    this.totals.outputTokens += usage.outputTokens || 0;
+    if (typeof usage.costUsd === 'number') {
+      this.totals.costUsd += usage.costUsd;
+    } else {
+      this.totals.unpricedCalls++;
+    }
+  }
+
+  /**
+   * Task time so far, not counting time spent waiting for approval.
+   */
+  elapsedMs() {
+    const pausedNow = this.pausedAt ? Date.now() - this.pausedAt : 0;
+    return Date.now() - this.startedAt - this.pausedMs - pausedNow;
+  }
+
+  /** Stop the clock while the user decides. */
+  pause() {
+    if (!this.pausedAt) this.pausedAt = Date.now();
+  }
+
+  resume() {
+    if (this.pausedAt) this.pausedMs += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+  }
+
+  /**
+   * Compare the totals with the limits.
+   * Warnings are returned once per limit; exceeded limits every time until extended.
+   * @returns {{ warnings: Array<object>, exceeded: Array<object> }}
+   *   each entry: { limit, label, used, max, fraction }
+   */
+  check() {
+    const warnings = [];
+    const exceeded = [];
+    for (const [name, max] of Object.entries(this.allowance())) {
+      const used = LIMITS[name].used(this);
+      const entry = { limit: name, label: LIMITS[name].label, used, max, fraction: used / max };
+      if (used >= max) {
+        exceeded.push(entry);
+      } else if (entry.fraction >= this.warnAt && !this.warned.has(name)) {
+        this.warned.add(name);
+        warnings.push(entry);
+      }
+    }
+    return { warnings, exceeded };
+  }
+
+  /**
+   * Let the task continue past the given limits: each grows by its original size.
+   * @param {string[]} names - Limit names from check().exceeded
+   */
+  extend(names) {
+    for (const name of names) {
+      if (!this.limits[name]) continue;
+      this.extended[name] = (this.extended[name] || 0) + this.limits[name];
+      this.warned.delete(name);
+    }
+  }
+
+  // ─── Approval ──────────────────────────────────────
+
+  /**
+   * Run between steps. Reports through onEvent:
+   *   { state: 'warning', limit, label, used, max, fraction, totals }
+   *   { state: 'exceeded', exceeded, totals, awaitingApproval: true }
+   *   { state: 'approved' | 'denied', exceeded, totals }
+   * The clock stops while waiting for the decision.
+   *
+   * @param {function} onEvent - (event) => void
+   * @param {function} [decide] - async ({ exceeded, totals }) => boolean; default waits for approve()/deny()
+   * @returns {Promise<string|null>} null to continue, otherwise why the task has to stop
+   */
+  async checkpoint(onEvent, decide) {
+    const { warnings, exceeded } = this.check();
+    for (const warning of warnings) onEvent({ state: 'warning', ...warning, totals: this.summary() });
+    if (exceeded.length === 0) return null;
+
+    this.pause();
+    let approved = false;
+    try {
+      onEvent({ state: 'exceeded', exceeded, totals: this.summary(), awaitingApproval: true });
+      approved = decide
+        ? Boolean(await decide({ exceeded, totals: this.summary() }))
+        : await new Promise((resolve) => { this.pending = resolve; });
+    } finally {
+      this.pending = null;
+      this.resume();
+    }
+
+    onEvent({ state: approved ? 'approved' : 'denied', exceeded, totals: this.summary() });
+    if (!approved) return `Budget exceeded: ${describeLimits(exceeded)}`;
+    this.extend(exceeded.map((e) => e.limit));
+    return null;
+  }
+
+  /** True while checkpoint() waits for approve()/deny(). */
+  isAwaitingApproval() {
+    return this.pending !== null;
+  }
+
+  /** Continue the paused task; the hit limits grow by their original size. */
+  approve() {
+    if (!this.pending) return false;
+    this.pending(true);
+    return true;
+  }
+
+  /** Stop the paused task. */
+  deny() {
+    if (!this.pending) return false;
+    this.pending(false);
+    return true;
+  }
+
+  /** Current limits including approved extensions. */
+  allowance() {
+    const allowance = {};
+    for (const [name, max] of Object.entries(this.limits)) {
+      allowance[name] = max + (this.extended[name] || 0);
+    }
+    return allowance;
+  }
+
+  /**
+   * Totals for the task log and results.
+   * @returns {{ inputTokens, outputTokens, totalTokens, costUsd, costComplete, calls, durationMs, limits }}
+   *   costComplete is false when some calls had no price (cost is then a lower bound)
+   */
+  summary() {
+    const { inputTokens, outputTokens, costUsd, calls, unpricedCalls } = this.totals;
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      costUsd: Math.round(costUsd * 1e6) / 1e6,
+      costComplete: unpricedCalls === 0,
+      calls,
+      durationMs: this.elapsedMs(),
+      limits: this.hasLimits() ? this.allowance() : null,
+    };
+  }
+}
+
+/**
+ * Describe exceeded limits for a stop message, e.g. "tokens 51,200/50,000".
+ */
+function describeLimits(entries) {
+  return entries.map(({ label, used, max }) => {
+    if (label === 'cost') return `cost $${used.toFixed(2)}/$${max.toFixed(2)}`;
+    if (label === 'time') return `time ${Math.round(used / 1000)}s/${Math.round(max / 1000)}s`;
+    return `tokens ${used.toLocaleString('en-US')}/${max.toLocaleString('en-US')}`;
+  }).join(', ');
+}
+
+// ─── Exports ─────────────────────────────────────────
+module.exports = { TaskBudget, describeLimits, LIMITS };
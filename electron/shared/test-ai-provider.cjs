@@ -0,0 +1,263 @@
+/**
+ * ai-provider.js tests — key lookup, request formats, images, retries, gateway RPC.
+ * A local server plays every provider's API and a stub script plays the gateway
+ * CLI.
+ * Run: node test-ai-provider.cjs
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { useTempHome, test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+const home = useTempHome('ai-provider-');
+for (const key of ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GOOGLE_API_KEY', 'OPENCLAW_CONFIG_PATH', 'OPENCLAW_STATE_DIR', 'KLAW_GATEWAY_CLI']) {
+  delete process.env[key];
+}
+const provider = require('./ai-provider.cjs');
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+};
+
+// Each request gets the next scripted reply: { status?, headers?, body?, events?, ndjson? }
+const replies = [];
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => body += chunk);
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    const reply = replies.shift() || { status: 500, body: { error: { message: 'no scripted reply' } } };
+    if (reply.status) {
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.body));
+    } else if (reply.ndjson) {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.end(reply.ndjson.map((c) => JSON.stringify(c)).join('\n'));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(reply.events.map((e) => `data: ${JSON.stringify(e)}\n\n`).join(''));
+    }
+  });
+});
+
+// Plays the gateway CLI (KLAW_GATEWAY_CLI): records each call and answers
+// agent.complete from the scripted reply, or fails like a stopped gateway
+function installGatewayStub(behavior) {
+  fs.writeFileSync(path.join(home, 'gateway-behavior.json'), JSON.stringify(behavior));
+  fs.rmSync(path.join(home, 'gateway-calls.json'), { force: true });
+  process.env.KLAW_GATEWAY_CLI = path.join(home, 'gateway-stub.mjs');
+  fs.writeFileSync(process.env.KLAW_GATEWAY_CLI, `
+    import fs from 'node:fs';
+    import path from 'node:path';
+    const home = ${JSON.stringify(home)};
+    const args = process.argv.slice(2);
+    const behavior = JSON.parse(fs.readFileSync(home + '/gateway-behavior.json', 'utf8'));
+    const callsFile = home + '/gateway-calls.json';
+    const calls = fs.existsSync(callsFile) ? JSON.parse(fs.readFileSync(callsFile, 'utf8')) : [];
+    const paramsFile = args.includes('--params-file') ? args[args.indexOf('--params-file') + 1] : null;
+    const messageFile = args.includes('--message-file') ? args[args.indexOf('--message-file') + 1] : null;
+    const tempFile = paramsFile || messageFile;
+    calls.push({
+      args,
+      paramsFile,
+      params: paramsFile ? JSON.parse(fs.readFileSync(paramsFile, 'utf8')) : null,
+      message: messageFile ? fs.readFileSync(messageFile, 'utf8') : null,
+      tempModes: tempFile ? [fs.statSync(path.dirname(tempFile)).mode & 0o777, fs.statSync(tempFile).mode & 0o777] : null,
+    });
+    fs.writeFileSync(callsFile, JSON.stringify(calls));
+    if (args[0] === 'agent') {
+      console.log(JSON.stringify({ payloads: [{ text: 'local reply' }] }));
+    } else if (behavior.down) {
+      console.error('Gateway call failed: gateway closed (1006 abnormal closure (no close frame)): no close reason');
+      process.exit(1);
+    } else if (behavior.error) {
+      console.error('Gateway call failed: ' + behavior.error);
+      process.exit(1);
+    } else {
+      console.log(JSON.stringify(behavior.reply, null, 2));
+    }
+  `);
+}
+const readGatewayCalls = () => JSON.parse(fs.readFileSync(path.join(home, 'gateway-calls.json'), 'utf8'));
+
+const IMAGE = { data: Buffer.from('fake png').toString('base64'), mediaType: 'image/png' };
+let baseUrl;
+const configFor = (name) => ({ provider: name, apiKey: 'k', model: `${name}-model`, baseUrl });
+
+async function main() {
+  console.log('\n🧪 Testing ai-provider.js\n');
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await test('both agents resolve the same key from the config files', () => {
+    const none = provider.getAIConfig();
+    assert(none.provider === 'gateway' && none.fallback === null, `Expected gateway only with no keys: ${JSON.stringify(none)}`);
+    writeJson(path.join(home, '.korvus', 'root.json'), { providers: { openai: { apiKey: 'sk-korvus' } } });
+    writeJson(path.join(home, '.root-ai', 'root.json'), { env: { ANTHROPIC_API_KEY: 'sk-ant-api-root', ANTHROPIC_MODEL: 'claude-x' } });
+    const config = provider.getAIConfig();
+    assert(config.provider === 'gateway', `The gateway should come first: ${JSON.stringify(config)}`);
+    const direct = config.fallback;
+    assert(direct.provider === 'anthropic' && direct.apiKey === 'sk-ant-api-root' && direct.model === 'claude-x', `Got ${JSON.stringify(direct)}`);
+    assert(direct.source.endsWith(path.join('.root-ai', 'root.json')), `Wrong source ${direct.source}`);
+  });
+
+  await test('OAuth tokens and auth profiles are left to the gateway', () => {
+    writeJson(path.join(home, '.root-ai', 'root.json'), { env: { ANTHROPIC_API_KEY: 'sk-ant-oat-123' } });
+    assert(provider.getDirectConfig().apiKey === 'sk-korvus', 'OAuth token used for direct API calls');
+    fs.rmSync(path.join(home, '.korvus'), { recursive: true });
+    writeJson(path.join(home, '.klaw', 'agents', 'main', 'agent', 'auth-profiles.json'), {
+      profiles: { 'google:default': { type: 'api_key', provider: 'google', key: 'g-key' } },
+    });
+    const config = provider.getAIConfig();
+    assert(config.fallback === null, `Auth profile read directly: ${JSON.stringify(config)}`);
+  });
+
+  await test('Anthropic: image, tools, streamed text and usage', async () => {
+    replies.push({ events: [
+      { type: 'message_start', message: { usage: { input_tokens: 1200, output_tokens: 1 } } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Clicking OK.' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', name: 'click' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"x":10,' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"y":20}' } },
+      { type: 'message_delta', usage: { output_tokens: 42 } },
+    ] });
+    const streamed = [];
+    const tools = [{ name: 'click', description: 'Click', parameters: { type: 'object', properties: { x: { type: 'integer' } } } }];
+    const reply = await provider.complete({ system: 's', prompt: 'p', images: [IMAGE], tools, onText: (t) => streamed.push(t) }, { config: configFor('anthropic') });
+    assert(reply.text === 'Clicking OK.' && streamed.length === 1, 'Text not streamed');
+    assert(reply.toolCall.name === 'click' && reply.toolCall.input.y === 20, `Tool call: ${JSON.stringify(reply.toolCall)}`);
+    assert(reply.usage.inputTokens === 1200 && reply.usage.outputTokens === 42, `Usage: ${JSON.stringify(reply.usage)}`);
+    const sent = requests.pop();
+    assert(sent.url === '/v1/messages' && sent.headers['x-api-key'] === 'k', 'Wrong endpoint or key header');
+    assert(sent.body.messages[0].content[0].source.data === IMAGE.data && sent.body.tools[0].input_schema, 'Image or tools missing');
+  });
+
+  await test('Google and Ollama: images and usage in their own formats', async () => {
+    replies.push({ events: [
+      { candidates: [{ content: { parts: [{ text: '{"action":"wait"}' }] } }], usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 9 } },
+    ] });
+    const google = await provider.complete({ system: 's', prompt: 'p', images: [IMAGE] }, { config: configFor('google') });
+    const googleReq = requests.pop();
+    assert(/:streamGenerateContent\?alt=sse&key=k$/.test(googleReq.url), `Google URL: ${googleReq.url}`);
+    assert(googleReq.body.contents[0].parts[0].inlineData.data === IMAGE.data, 'Google image missing');
+    assert(google.text === '{"action":"wait"}' && google.usage.inputTokens === 300, 'Google reply wrong');
+
+    replies.push({ ndjson: [
+      { message: { content: 'hel' }, done: false },
+      { message: { content: 'lo' }, done: true, prompt_eval_count: 55, eval_count: 2 },
+    ] });
+    const ollama = await provider.complete({ system: 's', prompt: 'p', images: [IMAGE] }, { config: configFor('ollama') });
+    const ollamaReq = requests.pop();
+    assert(ollamaReq.url === '/api/chat' && ollamaReq.body.messages[1].images[0] === IMAGE.data, 'Ollama image missing');
+    assert(ollama.text === 'hello' && ollama.usage.outputTokens === 2, `Ollama reply wrong: ${JSON.stringify(ollama)}`);
+  });
+
+  await test('Google: untyped params are asked for as JSON text and parsed back', async () => {
+    replies.push({ events: [
+      { candidates: [{ content: { parts: [{ functionCall: { name: 'done', args: { result: '{"items":[1,2]}', note: '[x' } } }] } }] },
+    ] });
+    const tools = [{
+      name: 'done',
+      description: 'Done',
+      parameters: { type: 'object', properties: { result: { description: 'Any JSON value' }, note: {} }, required: ['result'] },
+    }];
+    const reply = await provider.complete({ system: 's', prompt: 'p', tools }, { config: configFor('google') });
+    const declared = requests.pop().body.tools[0].functionDeclarations[0].parameters.properties;
+    assert(declared.result.type === 'string' && declared.result.description === 'Any JSON value; objects and arrays as JSON text', JSON.stringify(declared));
+    assert(declared.note.description === 'objects and arrays as JSON text', JSON.stringify(declared.note));
+    assert(reply.toolCall.input.result.items.join() === '1,2', `Not parsed: ${JSON.stringify(reply.toolCall)}`);
+    assert(reply.toolCall.input.note === '[x', 'Text that is not JSON should stay text');
+  });
+
+  await test('rate limits are retried, client errors are not', async () => {
+    replies.push({ status: 429, headers: { 'retry-after': '1' }, body: { error: { message: 'slow down' } } });
+    replies.push({ events: [{ choices: [{ delta: { content: 'ok' } }] }] });
+    const started = Date.now();
+    const reply = await provider.complete({ system: 's', prompt: 'p' }, { config: configFor('openai') });
+    assert(reply.text === 'ok' && Date.now() - started >= 900, 'Did not wait for retry-after');
+
+    replies.push({ status: 400, body: { error: { message: 'bad request' } } });
+    replies.push({ events: [{ choices: [{ delta: { content: 'should not be used' } }] }] });
+    const error = await provider.complete({ system: 's', prompt: 'p' }, { config: configFor('openai') }).catch((e) => e);
+    assert(error.status === 400 && /bad request/.test(error.message), `Unexpected: ${error.message}`);
+    replies.length = 0;
+  });
+
+  await test('retries give up after the limit', async () => {
+    replies.push({ status: 503, body: { error: { message: 'down' } } }, { status: 503, body: { error: { message: 'still down' } } });
+    const before = requests.length;
+    const error = await provider.complete({ system: 's', prompt: 'p' }, { config: configFor('openai'), retries: 1 }).catch((e) => e);
+    assert(error.status === 503 && requests.length - before === 2, `Expected 2 attempts, got ${requests.length - before}`);
+  });
+
+  await test('gateway: agent.complete gets images and tools, usage comes back', async () => {
+    installGatewayStub({ reply: {
+      text: 'Opening the menu.',
+      toolCall: { id: 't1', name: 'click', input: { x: 5, y: 6 } },
+      usage: { input: 800, output: 20, cacheRead: 200, cacheWrite: 0, cost: { total: 0.0042 } },
+      provider: 'anthropic',
+      model: 'claude-x',
+    } });
+    const streamed = [];
+    const tools = [{ name: 'click', description: 'Click', parameters: { type: 'object' } }];
+    const reply = await provider.complete(
+      { system: 's', prompt: 'p', images: [IMAGE], tools, onText: (t) => streamed.push(t) },
+      { config: { provider: 'gateway' }, sessionId: 'computer-use' },
+    );
+    assert(reply.toolCall.name === 'click' && reply.toolCall.input.y === 6, `Tool call: ${JSON.stringify(reply.toolCall)}`);
+    assert(reply.usage.inputTokens === 1000 && reply.usage.costUsd === 0.0042, `Usage: ${JSON.stringify(reply.usage)}`);
+    assert(reply.model === 'anthropic/claude-x' && streamed.join('') === 'Opening the menu.', 'Model or text missing');
+
+    const [call] = readGatewayCalls();
+    assert(call.args.slice(0, 3).join(' ') === 'gateway call agent.complete', `CLI args: ${call.args.join(' ')}`);
+    assert(call.params.source === 'computer-use' && call.params.images[0].mimeType === 'image/png', 'Params not forwarded');
+    assert(call.params.tools[0].name === 'click' && !fs.existsSync(call.paramsFile), 'Tools missing or params file left behind');
+    assert(call.tempModes.join() === [0o700, 0o600].join(), `Params readable by others: ${call.tempModes.map((m) => m.toString(8))}`);
+  });
+
+  await test('gateway: a stopped gateway falls back to a local agent run', async () => {
+    installGatewayStub({ down: true });
+    const reply = await provider.complete({ system: 's', prompt: 'p' }, { config: { provider: 'gateway' } });
+    assert(reply.text === 'local reply' && reply.toolCall === null, `Unexpected: ${JSON.stringify(reply)}`);
+    const calls = readGatewayCalls();
+    assert(calls.length === 2 && calls[1].args.slice(0, 2).join(' ') === 'agent --local', 'No local fallback');
+    assert(calls[1].message === 's\n\np' && !calls[1].args.includes('--message'), `Prompt on the command line: ${calls[1].args.join(' ')}`);
+    assert(calls[1].tempModes.join() === [0o700, 0o600].join(), `Message readable by others: ${calls[1].tempModes.map((m) => m.toString(8))}`);
+
+    installGatewayStub({ error: 'All models failed (2): anthropic/claude-x: 429 rate limit' });
+    const error = await provider.complete({ system: 's', prompt: 'p' }, { config: { provider: 'gateway' }, retries: 0 }).catch((e) => e);
+    assert(/All models failed/.test(error.message) && readGatewayCalls().length === 1, `Model errors should not fall back: ${error.message}`);
+  });
+
+  await test('gateway first; while it is down the direct key answers', async () => {
+    const config = { provider: 'gateway', fallback: configFor('openai') };
+    installGatewayStub({ reply: { text: 'from the gateway', provider: 'anthropic', model: 'claude-x' } });
+    const viaGateway = await provider.complete({ system: 's', prompt: 'p' }, { config });
+    assert(viaGateway.text === 'from the gateway' && viaGateway.provider === 'gateway', `Unexpected: ${JSON.stringify(viaGateway)}`);
+
+    installGatewayStub({ down: true });
+    const before = requests.length;
+    replies.push({ events: [{ choices: [{ delta: { content: 'direct' } }] }] }, { events: [{ choices: [{ delta: { content: 'direct again' } }] }] });
+    const first = await provider.complete({ system: 's', prompt: 'p' }, { config });
+    const second = await provider.complete({ system: 's', prompt: 'p' }, { config });
+    assert(first.text === 'direct' && first.provider === 'openai' && first.model === 'openai-model', `Unexpected: ${JSON.stringify(first)}`);
+    assert(second.text === 'direct again' && requests.length - before === 2, 'Direct key not used');
+    assert(readGatewayCalls().length === 1, 'A down gateway should not be asked again on every call');
+  });
+
+  await test('silent streams time out', async () => {
+    const stalled = http.createServer(() => { /* never answers */ });
+    await new Promise((resolve) => stalled.listen(0, '127.0.0.1', resolve));
+    const config = { ...configFor('openai'), baseUrl: `http://127.0.0.1:${stalled.address().port}` };
+    const error = await provider.complete({ system: 's', prompt: 'p' }, { config, timeoutMs: 300, retries: 0 }).catch((e) => e);
+    stalled.close();
+    stalled.closeAllConnections?.();
+    assert(error.timeout && /timed out/.test(error.message), `Unexpected: ${error.message}`);
+  });
+}
+
+run(main, () => {
+  server.close();
+});
@@ -0,0 +1,155 @@
+/**
+ * budget.js tests — limits, warnings, approval pauses, cost estimates, and the
+ * computer-use agent stopping on its budget (screen and vision are stubbed).
+ * Run: node test-budget.cjs
+ */
+const { useTempHome, test, assert, run } = require('../browser-agent/test-fixtures/harness.cjs');
+
+useTempHome('budget-');
+const { TaskBudget, describeLimits } = require('./budget.cjs');
+const { estimateCostUsd } = require('./ai-provider.cjs');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stub the desktop and the model so the agent loop runs without either
+function stubComputerUse(usagePerStep) {
+  const screen = require('../computer-use/screen.cjs');
+  const vision = require('../computer-use/vision.cjs');
+  Object.assign(screen, {
+    getScreenSize: () => ({ width: 800, height: 600 }),
+    screenshot: async () => `frame-${Math.random()}`.repeat(30),
+    listElements: async () => [],
+    wait: async () => {},
+    key: async () => {},
+  });
+  vision.analyzeScreen = async () => ({ thought: 'pressing tab', action: 'key', params: { combo: 'tab' }, usage: { ...usagePerStep } });
+}
+
+async function main() {
+  console.log('\n💰 Budget Tests\n');
+
+  await test('no limits never warns or stops', async () => {
+    const budget = new TaskBudget();
+    budget.record({ inputTokens: 1e6, outputTokens: 1e6, costUsd: 50 });
+    const { warnings, exceeded } = budget.check();
+    assert(!budget.hasLimits() && warnings.length === 0 && exceeded.length === 0, 'Unexpected limit');
+  });
+
+  await test('warns once as a limit approaches, then reports it exceeded', async () => {
+    const budget = new TaskBudget({ maxTokens: 1000 });
+    budget.record({ inputTokens: 700, outputTokens: 150 });
+    assert(budget.check().warnings[0]?.limit === 'maxTokens', 'Expected a token warning at 85%');
+    assert(budget.check().warnings.length === 0, 'Warning repeated');
+    budget.record({ inputTokens: 200, outputTokens: 0 });
+    const { exceeded } = budget.check();
+    assert(exceeded.length === 1 && exceeded[0].used === 1050, `Expected 1050/1000 exceeded: ${JSON.stringify(exceeded)}`);
+    assert(describeLimits(exceeded) === 'tokens 1,050/1,000', describeLimits(exceeded));
+  });
+
+  await test('unpriced calls leave the cost incomplete', async () => {
+    const budget = new TaskBudget({ maxCostUsd: 1 });
+    budget.record({ inputTokens: 10, outputTokens: 5, costUsd: 0.25 });
+    budget.record({ inputTokens: 10, outputTokens: 5 });
+    budget.record(null);
+    const summary = budget.summary();
+    assert(summary.costUsd === 0.25 && !summary.costComplete && summary.calls === 3, JSON.stringify(summary));
+    assert(summary.totalTokens === 30 && summary.limits.maxCostUsd === 1, JSON.stringify(summary));
+  });
+
+  await test('approval extends the hit limit by its original size', async () => {
+    const budget = new TaskBudget({ maxCostUsd: 0.5 });
+    budget.record({ inputTokens: 0, outputTokens: 0, costUsd: 0.6 });
+    const events = [];
+    const waiting = budget.checkpoint((event) => events.push(event));
+    await sleep(10);
+    assert(budget.isAwaitingApproval(), 'Expected to wait for approval');
+    assert(budget.approve(), 'approve() found nothing pending');
+    assert(await waiting === null, 'Approved checkpoint should continue');
+    assert(events.map((e) => e.state).join() === 'exceeded,approved', events.map((e) => e.state).join());
+    assert(budget.allowance().maxCostUsd === 1, `Expected $1 allowance, got ${budget.allowance().maxCostUsd}`);
+    assert(!budget.approve(), 'Nothing should be pending any more');
+  });
+
+  await test('denial returns the stop reason', async () => {
+    const budget = new TaskBudget({ maxTokens: 10 });
+    budget.record({ inputTokens: 20, outputTokens: 0 });
+    const reason = await budget.checkpoint(() => {}, async ({ exceeded }) => exceeded[0].limit !== 'maxTokens');
+    assert(reason === 'Budget exceeded: tokens 20/10', reason);
+  });
+
+  await test('time paused for approval is not counted', async () => {
+    const budget = new TaskBudget({ maxDurationMs: 40 });
+    await sleep(50);
+    const waiting = budget.checkpoint(() => {});
+    await sleep(100);
+    budget.approve();
+    await waiting;
+    const elapsed = budget.elapsedMs();
+    assert(elapsed >= 40 && elapsed < 100, `Expected ~50ms of task time, got ${elapsed}`);
+    assert(budget.allowance().maxDurationMs === 80, 'Time limit should double');
+  });
+
+  await test('estimates cost from the price table', async () => {
+    const cost = estimateCostUsd('anthropic', 'claude-sonnet-4-20250514', { inputTokens: 1e6, outputTokens: 1e5 });
+    assert(Math.abs(cost - 4.5) < 1e-9, `Expected $4.50, got ${cost}`);
+    const mini = estimateCostUsd('gateway', 'openai/gpt-4o-mini', { inputTokens: 1e6, outputTokens: 0 });
+    assert(Math.abs(mini - 0.15) < 1e-9, `Longest prefix should win: ${mini}`);
+    assert(estimateCostUsd('ollama', 'llava', { inputTokens: 500, outputTokens: 500 }) === 0, 'Local models are free');
+    assert(estimateCostUsd('openai', 'some-new-model', { inputTokens: 1, outputTokens: 1 }) === null, 'Unknown models are unpriced');
+  });
+
+  console.log('\n🖥️  Computer Use Agent\n');
+  stubComputerUse({ inputTokens: 400, outputTokens: 100, costUsd: 0.01 });
+  const { ComputerUseAgent } = require('../computer-use/agent.cjs');
+
+  await test('computer use pauses at the limit and stops when denied', async () => {
+    const agent = new ComputerUseAgent({ budget: { maxTokens: 1200 } });
+    const events = [];
+    agent.on('budget', (event) => {
+      events.push(event.state);
+      if (event.state === 'exceeded') setTimeout(() => agent.denyBudget(), 20);
+    });
+    const result = await agent.run('tab around');
+    assert(result.stopped === 'budget' && !result.success, `Expected a budget stop: ${JSON.stringify(result)}`);
+    assert(result.steps === 3, `Expected 3 steps (1500 tokens), got ${result.steps}`);
+    assert(events.join() === 'warning,exceeded,denied', events.join());
+    assert(result.budget.totalTokens === 1500 && result.budget.costUsd === 0.03, JSON.stringify(result.budget));
+  });
+
+  await test('computer use continues after approval', async () => {
+    const decisions = [];
+    const agent = new ComputerUseAgent({
+      budget: { maxTokens: 1000 },
+      onBudgetExceeded: async ({ totals }) => {
+        decisions.push(totals.totalTokens);
+        return decisions.length < 2;
+      },
+    });
+    const result = await agent.run('tab around');
+    assert(decisions.join() === '1000,2000', `Expected approval at 1000 then 2000 tokens: ${decisions.join()}`);
+    assert(result.steps === 4 && result.stopped === 'budget', JSON.stringify(result));
+  });
+
+  await test('computer use tasks are logged with totals', async () => {
+    const log = new ComputerUseAgent().getTaskLog();
+    assert(log.length === 2, `Expected 2 logged tasks, got ${log.length}`);
+    assert(log[1].goal === 'tab around' && log[1].budget.calls === 4, JSON.stringify(log[1]));
+  });
+
+  await test('a failed AI call is not retried again on top of the provider', async () => {
+    const vision = require('../computer-use/vision.cjs');
+    let calls = 0;
+    vision.analyzeScreen = async () => {
+      calls++;
+      throw new Error('All models failed: 529 overloaded');
+    };
+    const agent = new ComputerUseAgent();
+    agent.on('error', () => {});
+    const result = await agent.run('tab around');
+    assert(calls === 1, `Expected 1 AI call, got ${calls}`);
+    assert(!result.success && /AI analysis failed: All models failed/.test(result.summary), JSON.stringify(result));
+    assert(!agent.running, 'Agent still marked running');
+  });
+}
+
+run(main);
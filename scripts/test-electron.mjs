@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// Runs the desktop app's self-contained agent tests (electron/*/test-*.cjs).
+// Each is a plain Node script that prints its own results and exits non-zero
+// on failure. Live tests (real sites, real AI keys, a real desktop) are not
+// listed here; run those by hand.
+
+import { spawnSync } from "node:child_process";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const suites = [
+  "electron/shared/test-budget.cjs",
+  "electron/shared/test-ai-provider.cjs",
+  "electron/browser-agent/test-action-schema.cjs",
+  "electron/browser-agent/test-ai-stream.cjs",
+  "electron/browser-agent/test-session-store.cjs",
+  "electron/browser-agent/test-site-profiles.cjs",
+  "electron/browser-agent/test-task-queue.cjs",
+  "electron/browser-agent/test-browser-lifecycle.cjs",
+  "electron/browser-agent/test-session-health.cjs",
+  "electron/browser-agent/test-result-schema.cjs",
+  "electron/browser-agent/test-approval.cjs",
+  "electron/browser-agent/test-handoff.cjs",
+  "electron/browser-agent/test-role-snapshot.cjs",
+  // Local fixture server + scripted AI; needs a local Chrome/Chromium.
+  "electron/browser-agent/test-navigator.cjs",
+  "electron/computer-use/test-vault.cjs",
+  "electron/computer-use/test-agent-vault.cjs",
+  "electron/computer-use/test-screen-diff.cjs",
+  "electron/computer-use/test-viewport.cjs",
+];
+
+const only = process.argv.slice(2);
+const selected = only.length
+  ? suites.filter((suite) => only.some((name) => suite.includes(name)))
+  : suites;
+
+const failed = [];
+for (const suite of selected) {
+  const result = spawnSync(process.execPath, [path.basename(suite)], {
+    cwd: path.join(repoRoot, path.dirname(suite)),
+    stdio: "inherit",
+  });
+  if (result.status !== 0) {
+    failed.push(suite);
+  }
+}
+
+if (failed.length > 0) {
+  console.error(`\n${failed.length} of ${selected.length} electron test suites failed:`);
+  for (const suite of failed) {
+    console.error(`  ${suite}`);
+  }
+  process.exit(1);
+}
+console.log(`\nAll ${selected.length} electron test suites passed.`);
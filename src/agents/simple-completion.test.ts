@@ -0,0 +1,178 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import type { OpenClawConfig } from "../config/config.js";
+
+const {
+  completeSimple,
+  markAuthProfileFailure,
+  markAuthProfileGood,
+  markAuthProfileUsed,
+  profiles,
+  cooling,
+} = vi.hoisted(() => ({
+  completeSimple: vi.fn(),
+  markAuthProfileFailure: vi.fn(async () => {}),
+  markAuthProfileGood: vi.fn(async () => {}),
+  markAuthProfileUsed: vi.fn(async () => {}),
+  profiles: {} as Record<string, string[]>,
+  cooling: new Set<string>(),
+}));
+
+vi.mock("@mariozechner/pi-ai", async () => {
+  const actual = await vi.importActual<typeof import("@mariozechner/pi-ai")>("@mariozechner/pi-ai");
+  return { ...actual, completeSimple };
+});
+
+vi.mock("./models-config.js", () => ({
+  ensureOpenClawModelsJson: vi.fn(async () => {}),
+}));
+
+vi.mock("./pi-embedded-runner/model.js", () => ({
+  resolveModel: (provider: string, id: string) => ({
+    model: { provider, id, api: "openai-completions", input: ["text", "image"] },
+  }),
+}));
+
+vi.mock("./auth-profiles.js", async () => {
+  const actual = await vi.importActual<typeof import("./auth-profiles.js")>("./auth-profiles.js");
+  return {
+    ...actual,
+    ensureAuthProfileStore: () => ({ version: 1, profiles: {} }),
+    resolveAuthProfileOrder: ({ provider }: { provider: string }) => profiles[provider] ?? [],
+    isProfileInCooldown: (_store: unknown, id: string) => cooling.has(id),
+    markAuthProfileFailure,
+    markAuthProfileGood,
+    markAuthProfileUsed,
+  };
+});
+
+vi.mock("./model-auth.js", async () => {
+  const actual = await vi.importActual<typeof import("./model-auth.js")>("./model-auth.js");
+  return {
+    ...actual,
+    getApiKeyForModel: async ({ profileId }: { profileId?: string }) => ({
+      apiKey: `key-${profileId ?? "env"}`,
+      profileId,
+      source: profileId ? `profile:${profileId}` : "env",
+      mode: "api-key",
+    }),
+  };
+});
+
+const { runSimpleCompletion } = await import("./simple-completion.js");
+
+const cfg = {
+  agents: {
+    defaults: { model: { primary: "anthropic/claude-test", fallbacks: ["openai/gpt-test"] } },
+  },
+} satisfies OpenClawConfig;
+
+function reply(content: unknown[], stopReason = "stop", errorMessage?: string) {
+  return {
+    role: "assistant",
+    content,
+    stopReason,
+    errorMessage,
+    api: "openai-completions",
+    provider: "test",
+    model: "test",
+    usage: {
+      input: 120,
+      output: 8,
+      cacheRead: 0,
+      cacheWrite: 0,
+      totalTokens: 128,
+      cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, total: 0 },
+    },
+    timestamp: Date.now(),
+  };
+}
+
+describe("runSimpleCompletion", () => {
+  beforeEach(() => {
+    completeSimple.mockReset();
+    markAuthProfileFailure.mockClear();
+    markAuthProfileGood.mockClear();
+    markAuthProfileUsed.mockClear();
+    cooling.clear();
+    for (const key of Object.keys(profiles)) {
+      delete profiles[key];
+    }
+  });
+
+  it("rotates to the next auth profile when one is rate limited", async () => {
+    profiles.anthropic = ["anthropic:a", "anthropic:b"];
+    completeSimple
+      .mockResolvedValueOnce(reply([], "error", "429 rate limit exceeded"))
+      .mockResolvedValueOnce(
+        reply([
+          { type: "text", text: "Clicking search." },
+          { type: "toolCall", id: "t1", name: "click", arguments: { target: "Search" } },
+        ]),
+      );
+
+    const result = await runSimpleCompletion({ cfg, agentId: "main", prompt: "page" });
+
+    expect(completeSimple.mock.calls.map((call) => call[2].apiKey)).toEqual([
+      "key-anthropic:a",
+      "key-anthropic:b",
+    ]);
+    expect(markAuthProfileFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ profileId: "anthropic:a", reason: "rate_limit" }),
+    );
+    expect(markAuthProfileGood).toHaveBeenCalledWith(
+      expect.objectContaining({ profileId: "anthropic:b" }),
+    );
+    expect(result).toMatchObject({
+      text: "Clicking search.",
+      toolCall: { name: "click", input: { target: "Search" } },
+      provider: "anthropic",
+      model: "claude-test",
+      profileId: "anthropic:b",
+    });
+    expect(result.message.usage.totalTokens).toBe(128);
+  });
+
+  it("skips profiles in cooldown and falls back to the next model", async () => {
+    profiles.anthropic = ["anthropic:a", "anthropic:b"];
+    cooling.add("anthropic:a");
+    completeSimple
+      .mockResolvedValueOnce(reply([], "error", "401 invalid api key"))
+      .mockResolvedValueOnce(reply([{ type: "text", text: "ok" }]));
+
+    const result = await runSimpleCompletion({ cfg, agentId: "main", prompt: "page" });
+
+    expect(completeSimple.mock.calls[0][2].apiKey).toBe("key-anthropic:b");
+    expect(result.provider).toBe("openai");
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ provider: "anthropic", model: "claude-test", reason: "auth" }),
+    ]);
+    expect(markAuthProfileUsed).not.toHaveBeenCalled();
+  });
+
+  it("sends the system prompt, images and tools", async () => {
+    completeSimple.mockResolvedValueOnce(reply([{ type: "text", text: "done" }]));
+
+    await runSimpleCompletion({
+      cfg,
+      agentId: "main",
+      system: "You control a browser.",
+      prompt: "Screenshot attached",
+      images: [{ data: "aGVsbG8=", mimeType: "image/png" }],
+      tools: [{ name: "wait", description: "Wait a moment" }],
+      model: "openai/gpt-test",
+    });
+
+    const [model, context] = completeSimple.mock.calls[0];
+    expect(model).toMatchObject({ provider: "openai", id: "gpt-test" });
+    expect(context.systemPrompt).toBe("You control a browser.");
+    expect(context.messages[0].content[1]).toEqual({
+      type: "image",
+      data: "aGVsbG8=",
+      mimeType: "image/png",
+    });
+    expect(context.tools[0]).toMatchObject({
+      name: "wait",
+      parameters: { type: "object", properties: {} },
+    });
+  });
+});
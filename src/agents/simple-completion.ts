@@ -0,0 +1,246 @@
+import {
+  type Api,
+  type AssistantMessage,
+  type Context,
+  completeSimple,
+  type ImageContent,
+  type Model,
+  type TextContent,
+  type Tool,
+  type ToolCall,
+} from "@mariozechner/pi-ai";
+import type { OpenClawConfig } from "../config/config.js";
+import { resolveAgentDir, resolveEffectiveModelFallbacks } from "./agent-scope.js";
+import {
+  ensureAuthProfileStore,
+  isProfileInCooldown,
+  markAuthProfileFailure,
+  markAuthProfileGood,
+  markAuthProfileUsed,
+  resolveAuthProfileOrder,
+  type AuthProfileStore,
+} from "./auth-profiles.js";
+import { FailoverError, describeFailoverError } from "./failover-error.js";
+import { getApiKeyForModel, requireApiKey } from "./model-auth.js";
+import { runWithModelFallback, type FallbackAttempt } from "./model-fallback.js";
+import { resolveDefaultModelForAgent, resolveModelRefFromString } from "./model-selection.js";
+import { ensureOpenClawModelsJson } from "./models-config.js";
+import { resolveModel } from "./pi-embedded-runner/model.js";
+
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_TIMEOUT_MS = 120_000;
+
+export type SimpleCompletionTool = {
+  name: string;
+  description?: string;
+  /** JSON schema of the tool arguments. */
+  parameters?: Record<string, unknown>;
+};
+
+export type SimpleCompletionParams = {
+  cfg: OpenClawConfig;
+  agentId: string;
+  system?: string;
+  prompt: string;
+  images?: Array<{ data: string; mimeType: string }>;
+  tools?: SimpleCompletionTool[];
+  maxTokens?: number;
+  timeoutMs?: number;
+  /** "provider/model" (or an alias) instead of the agent's configured model. */
+  model?: string;
+};
+
+export type SimpleCompletionResult = {
+  text: string;
+  toolCall: { id: string; name: string; input: Record<string, unknown> } | null;
+  /** The assistant message as returned by the provider, usage included. */
+  message: AssistantMessage;
+  provider: string;
+  model: string;
+  profileId?: string;
+  attempts: FallbackAttempt[];
+};
+
+/**
+ * One model call outside of an agent run (no session context, no tool execution), made with
+ * the agent's configured model, fallbacks and auth-profile rotation. Used by desktop agents
+ * that keep their own loop but should share credentials, cooldowns and usage accounting.
+ */
+export async function runSimpleCompletion(
+  params: SimpleCompletionParams,
+): Promise<SimpleCompletionResult> {
+  const { cfg, agentId } = params;
+  const agentDir = resolveAgentDir(cfg, agentId);
+  await ensureOpenClawModelsJson(cfg, agentDir);
+
+  const defaultRef = resolveDefaultModelForAgent({ cfg, agentId });
+  const override = params.model?.trim()
+    ? resolveModelRefFromString({ raw: params.model, defaultProvider: defaultRef.provider })?.ref
+    : undefined;
+  const ref = override ?? defaultRef;
+
+  const context: Context = {
+    ...(params.system ? { systemPrompt: params.system } : {}),
+    messages: [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: params.prompt },
+          ...(params.images ?? []).map(
+            (image): ImageContent => ({
+              type: "image",
+              data: image.data,
+              mimeType: image.mimeType,
+            }),
+          ),
+        ],
+        timestamp: Date.now(),
+      },
+    ],
+    ...(params.tools?.length
+      ? {
+          tools: params.tools.map(
+            (tool): Tool => ({
+              name: tool.name,
+              description: tool.description ?? "",
+              parameters: (tool.parameters ?? {
+                type: "object",
+                properties: {},
+              }) as Tool["parameters"],
+            }),
+          ),
+        }
+      : {}),
+  };
+
+  const authStore = ensureAuthProfileStore(agentDir, { allowKeychainPrompt: false });
+  const fallback = await runWithModelFallback({
+    cfg,
+    provider: ref.provider,
+    model: ref.model,
+    agentDir,
+    fallbacksOverride: resolveEffectiveModelFallbacks({
+      cfg,
+      agentId,
+      hasSessionModelOverride: Boolean(override),
+    }),
+    run: async (provider, modelId) => {
+      const { model, error } = resolveModel(provider, modelId, agentDir, cfg);
+      if (!model) {
+        throw new FailoverError(error ?? `Unknown model: ${provider}/${modelId}`, {
+          reason: "model_not_found",
+          provider,
+          model: modelId,
+        });
+      }
+      if (params.images?.length && !model.input?.includes("image")) {
+        throw new FailoverError(`Model does not support images: ${provider}/${modelId}`, {
+          reason: "format",
+          provider,
+          model: modelId,
+        });
+      }
+      return await completeWithProfiles({ ...params, agentDir, authStore, model, context });
+    },
+  });
+
+  const { message, profileId } = fallback.result;
+  const text = message.content
+    .filter((block): block is TextContent => block.type === "text")
+    .map((block) => block.text)
+    .join("")
+    .trim();
+  const call = message.content.find((block): block is ToolCall => block.type === "toolCall");
+  return {
+    text,
+    toolCall: call ? { id: call.id, name: call.name, input: call.arguments ?? {} } : null,
+    message,
+    provider: fallback.provider,
+    model: fallback.model,
+    profileId,
+    attempts: fallback.attempts,
+  };
+}
+
+/**
+ * Try the provider's auth profiles in rotation order, skipping ones in cooldown. Failed
+ * profiles are marked so other runs back off too; the last error goes to model fallback.
+ */
+async function completeWithProfiles(params: {
+  cfg: OpenClawConfig;
+  agentDir: string;
+  authStore: AuthProfileStore;
+  model: Model<Api>;
+  context: Context;
+  maxTokens?: number;
+  timeoutMs?: number;
+}): Promise<{ message: AssistantMessage; profileId?: string }> {
+  const { cfg, agentDir, authStore, model } = params;
+  const profileIds = resolveAuthProfileOrder({ cfg, store: authStore, provider: model.provider });
+  const available = profileIds.filter((id) => !isProfileInCooldown(authStore, id));
+  // No profiles (env/models.json keys), or all cooling down and fallback chose to probe anyway
+  const candidates: Array<string | undefined> = available.length > 0 ? available : [undefined];
+
+  let lastError: unknown;
+  for (const candidate of candidates) {
+    let profileId = candidate;
+    try {
+      const auth = await getApiKeyForModel({ model, cfg, agentDir, profileId, store: authStore });
+      profileId = auth.profileId;
+      const apiKey = requireApiKey(auth, model.provider);
+      const message = await completeOnce({ ...params, apiKey });
+      if (profileId) {
+        await markAuthProfileGood({
+          store: authStore,
+          provider: model.provider,
+          profileId,
+          agentDir,
+        });
+        await markAuthProfileUsed({ store: authStore, profileId, agentDir });
+      }
+      return { message, profileId };
+    } catch (err) {
+      lastError = err;
+      const { reason } = describeFailoverError(err);
+      if (!profileId || !reason || reason === "timeout") {
+        throw err;
+      }
+      await markAuthProfileFailure({ store: authStore, profileId, reason, cfg, agentDir });
+      if (reason === "format" || reason === "model_not_found") {
+        throw err; // another key for the same model will not help
+      }
+    }
+  }
+  throw lastError;
+}
+
+async function completeOnce(params: {
+  model: Model<Api>;
+  context: Context;
+  apiKey: string;
+  maxTokens?: number;
+  timeoutMs?: number;
+}): Promise<AssistantMessage> {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), params.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+  try {
+    const message = await completeSimple(params.model, params.context, {
+      apiKey: params.apiKey,
+      maxTokens: params.maxTokens ?? DEFAULT_MAX_TOKENS,
+      signal: controller.signal,
+    });
+    if (message.stopReason === "error" || message.stopReason === "aborted") {
+      if (controller.signal.aborted) {
+        throw new FailoverError("Model call timed out", {
+          reason: "timeout",
+          provider: params.model.provider,
+          model: params.model.id,
+        });
+      }
+      throw new Error(message.errorMessage || `${params.model.provider} request failed`);
+    }
+    return message;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
@@ -1,3 +1,6 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import { Command } from "commander";
 import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
 
@@ -100,6 +103,23 @@ describe("registerAgentCommands", () => {
     );
   });
 
+  it("reads the message from --message-file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "agent-message-"));
+    const file = path.join(dir, "message.txt");
+    fs.writeFileSync(file, "long prompt\nwith page text");
+    try {
+      await runCli(["agent", "--message-file", file, "--session-id", "s1"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(agentCliCommandMock).toHaveBeenCalledWith(
+      expect.objectContaining({ message: "long prompt\nwith page text", sessionId: "s1" }),
+      runtime,
+      { deps: true },
+    );
+  });
+
   it("runs agents add and computes hasFlags based on explicit options", async () => {
     await runCli(["agents", "add", "alpha"]);
     expect(agentsAddCommandMock).toHaveBeenNthCalledWith(
@@ -87,7 +87,7 @@ function formatPayloadForLog(payload: {
 export async function agentViaGatewayCommand(opts: AgentCliOpts, runtime: RuntimeEnv) {
   const body = (opts.message ?? "").trim();
   if (!body) {
-    throw new Error("Message (--message) is required");
+    throw new Error("Message (--message or --message-file) is required");
   }
   if (!opts.to && !opts.sessionId && !opts.agent) {
     throw new Error("Pass --to <E.164>, --session-id, or --agent to choose a session");
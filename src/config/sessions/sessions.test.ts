@@ -17,7 +17,10 @@ import {
   validateSessionId,
 } from "./paths.js";
 import { resolveSessionResetPolicy } from "./reset.js";
-import { appendAssistantMessageToSessionTranscript } from "./transcript.js";
+import {
+  appendAssistantMessageToSessionTranscript,
+  appendCompletionToSessionTranscript,
+} from "./transcript.js";
 import type { SessionEntry } from "./types.js";
 
 function useTempSessionsFixture(prefix: string) {
@@ -299,6 +302,63 @@ describe("appendAssistantMessageToSessionTranscript", () => {
   });
 });
 
+describe("appendCompletionToSessionTranscript", () => {
+  const fixture = useTempSessionsFixture("completion-transcript-test-");
+
+  it("creates the session and records the reply with its usage", async () => {
+    const sessionKey = "agent:main:desktop:web-agent";
+    fs.writeFileSync(fixture.storePath(), JSON.stringify({}), "utf-8");
+    const message = {
+      role: "assistant" as const,
+      content: [{ type: "text" as const, text: "Clicking search." }],
+      api: "anthropic-messages" as const,
+      provider: "anthropic",
+      model: "claude-test",
+      usage: {
+        input: 900,
+        output: 40,
+        cacheRead: 0,
+        cacheWrite: 0,
+        totalTokens: 940,
+        cost: { input: 0.01, output: 0.002, cacheRead: 0, cacheWrite: 0, total: 0.012 },
+      },
+      stopReason: "stop" as const,
+      timestamp: Date.now(),
+    };
+
+    const result = await appendCompletionToSessionTranscript({
+      sessionKey,
+      prompt: "Find the search box",
+      message,
+      label: "Web agent",
+      storePath: fixture.storePath(),
+    });
+
+    expect(result.ok).toBe(true);
+    if (!result.ok) {
+      return;
+    }
+    const lines = fs.readFileSync(result.sessionFile, "utf-8").trim().split("\n");
+    expect(lines.map((line) => JSON.parse(line).message?.role)).toEqual([
+      undefined,
+      "user",
+      "assistant",
+    ]);
+    expect(JSON.parse(lines[0])).toMatchObject({ type: "session", id: result.sessionId });
+    expect(JSON.parse(lines[2]).message.usage.cost.total).toBe(0.012);
+
+    const saved = loadSessionStore(fixture.storePath(), { skipCache: true })[sessionKey];
+    expect(saved).toMatchObject({
+      sessionId: result.sessionId,
+      label: "Web agent",
+      modelProvider: "anthropic",
+      model: "claude-test",
+      inputTokens: 900,
+      outputTokens: 40,
+    });
+  });
+});
+
 describe("resolveAndPersistSessionFile", () => {
   const fixture = useTempSessionsFixture("session-file-test-");
 
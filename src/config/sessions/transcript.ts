@@ -1,10 +1,13 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
+import type { AssistantMessage } from "@mariozechner/pi-ai";
 import { CURRENT_SESSION_VERSION, SessionManager } from "@mariozechner/pi-coding-agent";
+import { prepareSessionManagerForRun } from "../../agents/pi-embedded-runner/session-manager-init.js";
 import { emitSessionTranscriptUpdate } from "../../sessions/transcript-events.js";
 import { resolveDefaultSessionStorePath } from "./paths.js";
 import { resolveAndPersistSessionFile } from "./session-file.js";
-import { loadSessionStore } from "./store.js";
+import { loadSessionStore, updateSessionStore } from "./store.js";
 import type { SessionEntry } from "./types.js";
 
 function stripQuery(value: string): string {
@@ -156,3 +159,94 @@ export async function appendAssistantMessageToSessionTranscript(params: {
   emitSessionTranscriptUpdate(sessionFile);
   return { ok: true, sessionFile };
 }
+
+export type CompletionTranscriptResult =
+  | { ok: true; sessionFile: string; sessionId: string }
+  | { ok: false; reason: string };
+
+/**
+ * Record a standalone model call (prompt + provider reply with usage) in a session transcript,
+ * creating the session on first use. Keeps calls made outside agent runs in session usage.
+ */
+export async function appendCompletionToSessionTranscript(params: {
+  agentId?: string;
+  sessionKey: string;
+  prompt: string;
+  message: AssistantMessage;
+  /** Label for a newly created session. */
+  label?: string;
+  /** Optional override for store path (mostly for tests). */
+  storePath?: string;
+}): Promise<CompletionTranscriptResult> {
+  const sessionKey = params.sessionKey.trim();
+  if (!sessionKey) {
+    return { ok: false, reason: "missing sessionKey" };
+  }
+
+  const storePath = params.storePath ?? resolveDefaultSessionStorePath(params.agentId);
+  const store = loadSessionStore(storePath, { skipCache: true });
+  const existing = store[sessionKey] as SessionEntry | undefined;
+  const sessionId = existing?.sessionId ?? crypto.randomUUID();
+  let sessionFile: string;
+  try {
+    const resolvedSessionFile = await resolveAndPersistSessionFile({
+      sessionId,
+      sessionKey,
+      sessionStore: store,
+      storePath,
+      sessionEntry: existing ?? {
+        sessionId,
+        updatedAt: Date.now(),
+        ...(params.label ? { label: params.label } : {}),
+      },
+      agentId: params.agentId,
+      sessionsDir: path.dirname(storePath),
+    });
+    sessionFile = resolvedSessionFile.sessionFile;
+  } catch (err) {
+    return {
+      ok: false,
+      reason: err instanceof Error ? err.message : String(err),
+    };
+  }
+
+  // The prompt goes in before any assistant reply, so let SessionManager write the header
+  // itself on the first flush rather than pre-creating the file (that would duplicate it).
+  const hadSessionFile = fs.existsSync(sessionFile);
+  await fs.promises.mkdir(path.dirname(sessionFile), { recursive: true });
+  const sessionManager = SessionManager.open(sessionFile);
+  await prepareSessionManagerForRun({
+    sessionManager,
+    sessionFile,
+    hadSessionFile,
+    sessionId,
+    cwd: process.cwd(),
+  });
+  sessionManager.appendMessage({
+    role: "user",
+    content: [{ type: "text", text: params.prompt }],
+    timestamp: params.message.timestamp,
+  });
+  sessionManager.appendMessage(params.message);
+
+  const { usage } = params.message;
+  await updateSessionStore(storePath, (current) => {
+    const entry = current[sessionKey];
+    if (!entry) {
+      return;
+    }
+    current[sessionKey] = {
+      ...entry,
+      updatedAt: Date.now(),
+      modelProvider: params.message.provider,
+      model: params.message.model,
+      inputTokens: usage.input,
+      outputTokens: usage.output,
+      totalTokens: usage.totalTokens,
+      totalTokensFresh: true,
+    };
+  });
+
+  emitSessionTranscriptUpdate(sessionFile);
+  return { ok: true, sessionFile, sessionId };
+}
@@ -66,6 +66,7 @@ const METHOD_SCOPE_GROUPS: Record<OperatorScope, readonly string[]> = {
     "cron.list",
     "cron.status",
     "cron.runs",
+    "cron.nextRun",
     "system-presence",
     "last-heartbeat",
     "node.list",
@@ -81,6 +82,7 @@ const METHOD_SCOPE_GROUPS: Record<OperatorScope, readonly string[]> = {
     "poll",
     "agent",
     "agent.wait",
+    "agent.complete",
     "wake",
     "talk.mode",
     "tts.enable",
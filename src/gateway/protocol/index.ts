@@ -1,6 +1,8 @@
 import AjvPkg, { type ErrorObject } from "ajv";
 import type { SessionsPatchResult } from "../session-utils.types.js";
 import {
+  type AgentCompleteParams,
+  AgentCompleteParamsSchema,
   type AgentEvent,
   AgentEventSchema,
   type AgentIdentityParams,
@@ -80,6 +82,8 @@ import {
   CronJobSchema,
   type CronListParams,
   CronListParamsSchema,
+  type CronNextRunParams,
+  CronNextRunParamsSchema,
   type CronRemoveParams,
   CronRemoveParamsSchema,
   type CronRunLogEntry,
@@ -248,6 +252,8 @@ export const validateAgentParams = ajv.compile(AgentParamsSchema);
 export const validateAgentIdentityParams =
   ajv.compile<AgentIdentityParams>(AgentIdentityParamsSchema);
 export const validateAgentWaitParams = ajv.compile<AgentWaitParams>(AgentWaitParamsSchema);
+export const validateAgentCompleteParams =
+  ajv.compile<AgentCompleteParams>(AgentCompleteParamsSchema);
 export const validateWakeParams = ajv.compile<WakeParams>(WakeParamsSchema);
 export const validateAgentsListParams = ajv.compile<AgentsListParams>(AgentsListParamsSchema);
 export const validateAgentsCreateParams = ajv.compile<AgentsCreateParams>(AgentsCreateParamsSchema);
@@ -334,6 +340,7 @@ export const validateCronUpdateParams = ajv.compile<CronUpdateParams>(CronUpdate
 export const validateCronRemoveParams = ajv.compile<CronRemoveParams>(CronRemoveParamsSchema);
 export const validateCronRunParams = ajv.compile<CronRunParams>(CronRunParamsSchema);
 export const validateCronRunsParams = ajv.compile<CronRunsParams>(CronRunsParamsSchema);
+export const validateCronNextRunParams = ajv.compile<CronNextRunParams>(CronNextRunParamsSchema);
 export const validateDevicePairListParams = ajv.compile<DevicePairListParams>(
   DevicePairListParamsSchema,
 );
@@ -435,6 +442,7 @@ export {
   AgentParamsSchema,
   AgentIdentityParamsSchema,
   AgentIdentityResultSchema,
+  AgentCompleteParamsSchema,
   WakeParamsSchema,
   PushTestParamsSchema,
   PushTestResultSchema,
@@ -502,6 +510,7 @@ export {
   CronRemoveParamsSchema,
   CronRunParamsSchema,
   CronRunsParamsSchema,
+  CronNextRunParamsSchema,
   LogsTailParamsSchema,
   LogsTailResultSchema,
   ChatHistoryParamsSchema,
@@ -531,6 +540,7 @@ export type {
   AgentIdentityParams,
   AgentIdentityResult,
   AgentWaitParams,
+  AgentCompleteParams,
   ChatEvent,
   TickEvent,
   ShutdownEvent,
@@ -609,6 +619,7 @@ export type {
   CronRemoveParams,
   CronRunParams,
   CronRunsParams,
+  CronNextRunParams,
   CronRunLogEntry,
   ExecApprovalsGetParams,
   ExecApprovalsSetParams,
@@ -122,6 +122,42 @@ export const AgentWaitParamsSchema = Type.Object(
   { additionalProperties: false },
 );
 
+export const AgentCompleteImageSchema = Type.Object(
+  {
+    /** Base64 image data. */
+    data: NonEmptyString,
+    mimeType: Type.String({ pattern: "^image/" }),
+  },
+  { additionalProperties: false },
+);
+
+export const AgentCompleteToolSchema = Type.Object(
+  {
+    name: NonEmptyString,
+    description: Type.Optional(Type.String()),
+    /** JSON schema of the tool arguments. */
+    parameters: Type.Optional(Type.Record(Type.String(), Type.Unknown())),
+  },
+  { additionalProperties: false },
+);
+
+export const AgentCompleteParamsSchema = Type.Object(
+  {
+    prompt: NonEmptyString,
+    system: Type.Optional(Type.String()),
+    /** Calling desktop agent; usage is recorded in the `agent:<id>:desktop:<source>` session. */
+    source: Type.Optional(Type.String({ pattern: "^[a-z0-9][a-z0-9-]{0,31}$" })),
+    agentId: Type.Optional(NonEmptyString),
+    /** "provider/model" (or an alias) instead of the agent's configured model. */
+    model: Type.Optional(NonEmptyString),
+    images: Type.Optional(Type.Array(AgentCompleteImageSchema, { maxItems: 4 })),
+    tools: Type.Optional(Type.Array(AgentCompleteToolSchema)),
+    maxTokens: Type.Optional(Type.Integer({ minimum: 1 })),
+    timeoutMs: Type.Optional(Type.Integer({ minimum: 1 })),
+  },
+  { additionalProperties: false },
+);
+
 export const WakeParamsSchema = Type.Object(
   {
     mode: Type.Union([Type.Literal("now"), Type.Literal("next-heartbeat")]),
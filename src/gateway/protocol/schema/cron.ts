@@ -295,6 +295,14 @@ export const CronRunsParamsSchema = Type.Object(
   { additionalProperties: false },
 );
 
+export const CronNextRunParamsSchema = Type.Object(
+  {
+    schedule: CronScheduleSchema,
+    nowMs: Type.Optional(Type.Integer({ minimum: 0 })),
+  },
+  { additionalProperties: false },
+);
+
 export const CronRunLogEntrySchema = Type.Object(
   {
     ts: Type.Integer({ minimum: 0 }),
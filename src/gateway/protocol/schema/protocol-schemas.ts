@@ -1,5 +1,6 @@
 import type { TSchema } from "@sinclair/typebox";
 import {
+  AgentCompleteParamsSchema,
   AgentEventSchema,
   AgentIdentityParamsSchema,
   AgentIdentityResultSchema,
@@ -63,6 +64,7 @@ import {
   CronAddParamsSchema,
   CronJobSchema,
   CronListParamsSchema,
+  CronNextRunParamsSchema,
   CronRemoveParamsSchema,
   CronRunLogEntrySchema,
   CronRunParamsSchema,
@@ -164,6 +166,7 @@ export const ProtocolSchemas: Record<string, TSchema> = {
   AgentIdentityParams: AgentIdentityParamsSchema,
   AgentIdentityResult: AgentIdentityResultSchema,
   AgentWaitParams: AgentWaitParamsSchema,
+  AgentCompleteParams: AgentCompleteParamsSchema,
   WakeParams: WakeParamsSchema,
   NodePairRequestParams: NodePairRequestParamsSchema,
   NodePairListParams: NodePairListParamsSchema,
@@ -246,6 +249,7 @@ export const ProtocolSchemas: Record<string, TSchema> = {
   CronRemoveParams: CronRemoveParamsSchema,
   CronRunParams: CronRunParamsSchema,
   CronRunsParams: CronRunsParamsSchema,
+  CronNextRunParams: CronNextRunParamsSchema,
   CronRunLogEntry: CronRunLogEntrySchema,
   LogsTailParams: LogsTailParamsSchema,
   LogsTailResult: LogsTailResultSchema,
@@ -1,5 +1,6 @@
 import type { Static } from "@sinclair/typebox";
 import type {
+  AgentCompleteParamsSchema,
   AgentEventSchema,
   AgentIdentityParamsSchema,
   AgentIdentityResultSchema,
@@ -61,6 +62,7 @@ import type {
   CronAddParamsSchema,
   CronJobSchema,
   CronListParamsSchema,
+  CronNextRunParamsSchema,
   CronRemoveParamsSchema,
   CronRunLogEntrySchema,
   CronRunParamsSchema,
@@ -154,6 +156,7 @@ export type AgentIdentityParams = Static<typeof AgentIdentityParamsSchema>;
 export type AgentIdentityResult = Static<typeof AgentIdentityResultSchema>;
 export type PollParams = Static<typeof PollParamsSchema>;
 export type AgentWaitParams = Static<typeof AgentWaitParamsSchema>;
+export type AgentCompleteParams = Static<typeof AgentCompleteParamsSchema>;
 export type WakeParams = Static<typeof WakeParamsSchema>;
 export type NodePairRequestParams = Static<typeof NodePairRequestParamsSchema>;
 export type NodePairListParams = Static<typeof NodePairListParamsSchema>;
@@ -235,6 +238,7 @@ export type CronUpdateParams = Static<typeof CronUpdateParamsSchema>;
 export type CronRemoveParams = Static<typeof CronRemoveParamsSchema>;
 export type CronRunParams = Static<typeof CronRunParamsSchema>;
 export type CronRunsParams = Static<typeof CronRunsParamsSchema>;
+export type CronNextRunParams = Static<typeof CronNextRunParamsSchema>;
 export type CronRunLogEntry = Static<typeof CronRunLogEntrySchema>;
 export type LogsTailParams = Static<typeof LogsTailParamsSchema>;
 export type LogsTailResult = Static<typeof LogsTailResultSchema>;
@@ -84,12 +84,14 @@ const BASE_METHODS = [
   "cron.remove",
   "cron.run",
   "cron.runs",
+  "cron.nextRun",
   "system-presence",
   "system-event",
   "send",
   "agent",
   "agent.identity.get",
   "agent.wait",
+  "agent.complete",
   "browser.request",
   // WebChat WebSocket-native chat methods
   "chat.history",
@@ -0,0 +1,173 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { ErrorCodes } from "../protocol/index.js";
+import { agentCompleteHandlers } from "./agent-complete.js";
+
+vi.mock("../../agents/simple-completion.js", () => ({
+  runSimpleCompletion: vi.fn(),
+}));
+
+vi.mock("../../config/config.js", () => ({
+  loadConfig: vi.fn(() => ({})),
+}));
+
+vi.mock("../../config/sessions.js", () => ({
+  appendCompletionToSessionTranscript: vi.fn(),
+  resolveStorePath: vi.fn(() => "/tmp/openclaw-test/sessions.json"),
+}));
+
+import { runSimpleCompletion } from "../../agents/simple-completion.js";
+import { appendCompletionToSessionTranscript } from "../../config/sessions.js";
+
+type RespondCall = [boolean, unknown?, { code: number; message: string }?];
+
+const usage = {
+  input: 900,
+  output: 40,
+  cacheRead: 0,
+  cacheWrite: 0,
+  totalTokens: 940,
+  cost: { input: 0.01, output: 0.002, cacheRead: 0, cacheWrite: 0, total: 0.012 },
+};
+
+function createInvokeParams(params: Record<string, unknown>) {
+  const respond = vi.fn();
+  const warn = vi.fn();
+  return {
+    respond,
+    warn,
+    invoke: async () =>
+      await agentCompleteHandlers["agent.complete"]({
+        params,
+        respond: respond as never,
+        context: { logGateway: { warn } } as never,
+        client: null,
+        req: { type: "req", id: "req-1", method: "agent.complete" },
+        isWebchatConnect: () => false,
+      }),
+  };
+}
+
+function expectError(respond: ReturnType<typeof vi.fn>, code: string, messagePart: string) {
+  const call = respond.mock.calls[0] as RespondCall | undefined;
+  expect(call?.[0]).toBe(false);
+  expect(call?.[2]?.code).toBe(code);
+  expect(call?.[2]?.message).toContain(messagePart);
+}
+
+describe("agent.complete handler", () => {
+  beforeEach(() => {
+    vi.mocked(runSimpleCompletion).mockReset();
+    vi.mocked(appendCompletionToSessionTranscript).mockReset();
+    vi.mocked(appendCompletionToSessionTranscript).mockResolvedValue({
+      ok: true,
+      sessionFile: "/tmp/openclaw-test/s.jsonl",
+      sessionId: "s1",
+    });
+  });
+
+  it.each([
+    [{}, "must have required property 'prompt'"],
+    [{ prompt: "hi", source: "Web Agent" }, "source"],
+    [{ prompt: "hi", images: [{ data: "aGk=", mimeType: "text/plain" }] }, "images/0/mimeType"],
+    [
+      {
+        prompt: "hi",
+        images: Array.from({ length: 5 }, () => ({ data: "aGk=", mimeType: "image/png" })),
+      },
+      "images",
+    ],
+    [{ prompt: "hi", tools: [{ description: "no name" }] }, "tools/0"],
+    [{ prompt: "hi", maxTokens: 0 }, "maxTokens"],
+    [{ prompt: "hi", temperature: 1 }, "unexpected property"],
+  ])("rejects invalid params %j", async (params, messagePart) => {
+    const { respond, invoke } = createInvokeParams(params);
+    await invoke();
+    expectError(respond, ErrorCodes.INVALID_REQUEST, "invalid agent.complete params");
+    expectError(respond, ErrorCodes.INVALID_REQUEST, messagePart);
+    expect(runSimpleCompletion).not.toHaveBeenCalled();
+  });
+
+  it("rejects unknown agent ids", async () => {
+    const { respond, invoke } = createInvokeParams({ prompt: "hi", agentId: "ghost" });
+    await invoke();
+    expectError(respond, ErrorCodes.INVALID_REQUEST, 'unknown agent id "ghost"');
+  });
+
+  it("runs the call and records usage in the desktop session", async () => {
+    vi.mocked(runSimpleCompletion).mockResolvedValue({
+      text: "Clicking Send.",
+      toolCall: { id: "t1", name: "click", input: { ref: "e3" } },
+      message: { role: "assistant", usage } as never,
+      provider: "anthropic",
+      model: "claude-test",
+      attempts: [],
+    });
+    const tools = [{ name: "click", parameters: { type: "object" } }];
+    const { respond, invoke } = createInvokeParams({
+      prompt: "Find the send button",
+      system: "You drive a browser",
+      source: "web-agent",
+      images: [{ data: "aGk=", mimeType: "image/png" }],
+      tools,
+      maxTokens: 500,
+    });
+    await invoke();
+
+    expect(runSimpleCompletion).toHaveBeenCalledWith(
+      expect.objectContaining({
+        agentId: "main",
+        prompt: "Find the send button",
+        system: "You drive a browser",
+        images: [{ data: "aGk=", mimeType: "image/png" }],
+        tools,
+        maxTokens: 500,
+      }),
+    );
+    expect(appendCompletionToSessionTranscript).toHaveBeenCalledWith(
+      expect.objectContaining({
+        sessionKey: "agent:main:desktop:web-agent",
+        prompt: "Find the send button\n[1 image(s) attached]",
+        label: "Desktop: web-agent",
+      }),
+    );
+    const call = respond.mock.calls[0] as RespondCall;
+    expect(call[0]).toBe(true);
+    expect(call[1]).toMatchObject({
+      text: "Clicking Send.",
+      toolCall: { name: "click", input: { ref: "e3" } },
+      usage: { input: 900, cost: { total: 0.012 } },
+      provider: "anthropic",
+      model: "claude-test",
+      sessionKey: "agent:main:desktop:web-agent",
+    });
+  });
+
+  it("still answers when usage cannot be recorded", async () => {
+    vi.mocked(runSimpleCompletion).mockResolvedValue({
+      text: "ok",
+      toolCall: null,
+      message: { role: "assistant", usage } as never,
+      provider: "openai",
+      model: "gpt-test",
+      attempts: [],
+    });
+    vi.mocked(appendCompletionToSessionTranscript).mockRejectedValue(new Error("disk full"));
+    const { respond, warn, invoke } = createInvokeParams({ prompt: "hi" });
+    await invoke();
+    expect((respond.mock.calls[0] as RespondCall)[0]).toBe(true);
+    expect(appendCompletionToSessionTranscript).toHaveBeenCalledWith(
+      expect.objectContaining({ sessionKey: "agent:main:desktop:desktop" }),
+    );
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("disk full"));
+  });
+
+  it("reports model failures as unavailable", async () => {
+    vi.mocked(runSimpleCompletion).mockRejectedValue(
+      new Error("All models failed (1): anthropic/claude-test: 429 rate limit"),
+    );
+    const { respond, invoke } = createInvokeParams({ prompt: "hi" });
+    await invoke();
+    expectError(respond, ErrorCodes.UNAVAILABLE, "All models failed");
+    expect(appendCompletionToSessionTranscript).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+import { listAgentIds, resolveDefaultAgentId } from "../../agents/agent-scope.js";
+import { runSimpleCompletion } from "../../agents/simple-completion.js";
+import { loadConfig } from "../../config/config.js";
+import { appendCompletionToSessionTranscript, resolveStorePath } from "../../config/sessions.js";
+import { normalizeAgentId } from "../../routing/session-key.js";
+import { ErrorCodes, errorShape, validateAgentCompleteParams } from "../protocol/index.js";
+import { formatForLog } from "../ws-log.js";
+import type { GatewayRequestHandlers } from "./types.js";
+import { assertValidParams } from "./validation.js";
+
+const MAX_TRANSCRIPT_PROMPT_CHARS = 2000;
+
+function transcriptPrompt(prompt: string, imageCount: number): string {
+  const extra = prompt.length - MAX_TRANSCRIPT_PROMPT_CHARS;
+  const text =
+    extra > 0 ? `${prompt.slice(0, MAX_TRANSCRIPT_PROMPT_CHARS)}… [${extra} more chars]` : prompt;
+  return imageCount > 0 ? `${text}\n[${imageCount} image(s) attached]` : text;
+}
+
+export const agentCompleteHandlers: GatewayRequestHandlers = {
+  /**
+   * A single model call with the agent's model, fallbacks and auth profiles. Desktop agents
+   * (web agent, computer use) run their own loops and use this instead of raw API keys; each
+   * call is recorded in the `agent:<id>:desktop:<source>` session for usage reporting.
+   */
+  "agent.complete": async ({ params, respond, context }) => {
+    if (!assertValidParams(params, validateAgentCompleteParams, "agent.complete", respond)) {
+      return;
+    }
+    const { prompt, images = [], tools = [] } = params;
+    const source = params.source ?? "desktop";
+
+    const cfg = loadConfig();
+    const agentIdRaw = params.agentId?.trim() ?? "";
+    const agentId = agentIdRaw ? normalizeAgentId(agentIdRaw) : resolveDefaultAgentId(cfg);
+    if (!listAgentIds(cfg).includes(agentId)) {
+      respond(
+        false,
+        undefined,
+        errorShape(
+          ErrorCodes.INVALID_REQUEST,
+          `invalid agent.complete params: unknown agent id "${agentIdRaw}"`,
+        ),
+      );
+      return;
+    }
+
+    try {
+      const result = await runSimpleCompletion({
+        cfg,
+        agentId,
+        prompt,
+        system: params.system,
+        images,
+        tools,
+        model: params.model,
+        maxTokens: params.maxTokens,
+        timeoutMs: params.timeoutMs,
+      });
+
+      const sessionKey = `agent:${agentId}:desktop:${source}`;
+      const recorded = await appendCompletionToSessionTranscript({
+        agentId,
+        sessionKey,
+        prompt: transcriptPrompt(prompt, images.length),
+        message: result.message,
+        label: `Desktop: ${source}`,
+        storePath: resolveStorePath(cfg.session?.store, { agentId }),
+      }).catch((err: unknown) => ({ ok: false as const, reason: formatForLog(err) }));
+      if (!recorded.ok) {
+        context.logGateway.warn(`agent.complete usage not recorded: ${recorded.reason}`);
+      }
+
+      respond(true, {
+        text: result.text,
+        toolCall: result.toolCall,
+        usage: result.message.usage,
+        provider: result.provider,
+        model: result.model,
+        sessionKey,
+        attempts: result.attempts,
+      });
+    } catch (err) {
+      respond(false, undefined, errorShape(ErrorCodes.UNAVAILABLE, formatForLog(err)));
+    }
+  },
+};
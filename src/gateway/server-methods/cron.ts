@@ -4,7 +4,8 @@ import {
   readCronRunLogEntriesPageAll,
   resolveCronRunLogPath,
 } from "../../cron/run-log.js";
-import type { CronJobCreate, CronJobPatch } from "../../cron/types.js";
+import { computeNextRunAtMs } from "../../cron/schedule.js";
+import type { CronJobCreate, CronJobPatch, CronSchedule } from "../../cron/types.js";
 import { validateScheduleTimestamp } from "../../cron/validate-timestamp.js";
 import {
   ErrorCodes,
@@ -12,6 +13,7 @@ import {
   formatValidationErrors,
   validateCronAddParams,
   validateCronListParams,
+  validateCronNextRunParams,
   validateCronRemoveParams,
   validateCronRunParams,
   validateCronRunsParams,
@@ -295,4 +297,32 @@ export const cronHandlers: GatewayRequestHandlers = {
     });
     respond(true, page, undefined);
   },
+  /**
+   * Next fire time of a schedule without creating a job, for schedulers outside the gateway
+   * (the desktop web-agent queue) that should read cron expressions the same way.
+   */
+  "cron.nextRun": ({ params, respond }) => {
+    if (!validateCronNextRunParams(params)) {
+      respond(
+        false,
+        undefined,
+        errorShape(
+          ErrorCodes.INVALID_REQUEST,
+          `invalid cron.nextRun params: ${formatValidationErrors(validateCronNextRunParams.errors)}`,
+        ),
+      );
+      return;
+    }
+    const p = params as { schedule: CronSchedule; nowMs?: number };
+    try {
+      const nextRunAtMs = computeNextRunAtMs(p.schedule, p.nowMs ?? Date.now());
+      respond(true, { nextRunAtMs: nextRunAtMs ?? null }, undefined);
+    } catch (err) {
+      respond(
+        false,
+        undefined,
+        errorShape(ErrorCodes.INVALID_REQUEST, `invalid cron.nextRun schedule: ${String(err)}`),
+      );
+    }
+  },
 };
@@ -391,6 +391,42 @@ describe("gateway server cron", () => {
     }
   });
 
+  test("computes next run times without creating jobs", async () => {
+    const { prevSkipCron, dir } = await setupCronTestRun({
+      tempPrefix: "openclaw-gw-cron-next-",
+      cronEnabled: false,
+    });
+
+    const { server, ws } = await startServerWithClient();
+    await connectOk(ws);
+
+    try {
+      const nowMs = Date.parse("2026-03-02T10:15:00.000Z");
+      const cronRes = await rpcReq(ws, "cron.nextRun", {
+        schedule: { kind: "cron", expr: "0 9 * * *", tz: "UTC" },
+        nowMs,
+      });
+      expect(cronRes.ok).toBe(true);
+      expect(cronRes.payload).toEqual({ nextRunAtMs: Date.parse("2026-03-03T09:00:00.000Z") });
+
+      const pastRes = await rpcReq(ws, "cron.nextRun", {
+        schedule: { kind: "at", at: "2026-03-01T00:00:00.000Z" },
+        nowMs,
+      });
+      expect(pastRes.payload).toEqual({ nextRunAtMs: null });
+
+      const invalidRes = await rpcReq(ws, "cron.nextRun", {
+        schedule: { kind: "cron", expr: "not a cron" },
+      });
+      expect(invalidRes.ok).toBe(false);
+
+      const listRes = await rpcReq(ws, "cron.list", { includeDisabled: true });
+      expect((listRes.payload as { jobs?: unknown[] } | null)?.jobs).toEqual([]);
+    } finally {
+      await cleanupCronTestRun({ ws, server, dir, prevSkipCron });
+    }
+  });
+
   test("writes cron run history and auto-runs due jobs", async () => {
     const { prevSkipCron, dir } = await setupCronTestRun({
       tempPrefix: "openclaw-gw-cron-log-",
@@ -44,6 +44,14 @@ export default defineConfig([
     fixedExtension: false,
     platform: "node",
   },
+  {
+    // Loaded by the Electron browser agent so it picks the same browser as the gateway browser tool.
+    entry: "src/browser/chrome.executables.ts",
+    outDir: "dist/browser",
+    env,
+    fixedExtension: false,
+    platform: "node",
+  },
   {
     entry: "src/extensionAPI.ts",
     env,